@@ -1,4 +1,5 @@
 const mysql = require('mysql2');
+const { PERMISSIONS, SYSTEM_ROLES } = require('./permissions');
 require('dotenv').config();
 
 const pool = mysql.createPool({
@@ -29,8 +30,87 @@ const createDatabase = async () => {
   }
 };
 
+// Adds a column to a table created by an older version of this file.
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched.
+const hasColumn = async (table, column) => {
+  const [rows] = await promisePool.execute(
+    `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  return rows.length > 0;
+};
+
+const hasTable = async (table) => {
+  const [rows] = await promisePool.execute(
+    'SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+
+  return rows.length > 0;
+};
+
+const ensureColumn = async (table, column, definition, foreignKey = null) => {
+  if (await hasColumn(table, column)) {
+    return;
+  }
+
+  await promisePool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+
+  if (foreignKey) {
+    await promisePool.execute(`ALTER TABLE ${table} ADD FOREIGN KEY ${foreignKey}`);
+  }
+};
+
 const createTables = async () => {
   try {
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL,
+        base_role ENUM('admin', 'formador', 'estudiante') NOT NULL,
+        is_system BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255) NULL
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Tenants are the outsourced campaigns / clients. Rows with a NULL
+    // tenant_id belong to the platform itself (super-admins, shared courses).
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS tenants (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        status ENUM('active', 'archived') NOT NULL DEFAULT 'active',
+        settings JSON NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
     await promisePool.execute(`
       CREATE TABLE IF NOT EXISTS users (
         id INT AUTO_INCREMENT PRIMARY KEY,
@@ -38,10 +118,18 @@ const createTables = async () => {
         email VARCHAR(255) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
         role ENUM('admin', 'formador', 'estudiante') NOT NULL,
+        role_id INT NULL,
+        tenant_id INT NULL,
         profile_image VARCHAR(500) NULL,
         bio TEXT NULL,
+        status ENUM('active', 'suspended', 'deactivated', 'archived') NOT NULL DEFAULT 'active',
+        status_reason VARCHAR(255) NULL,
+        status_changed_at DATETIME NULL,
+        anonymized_at DATETIME NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE SET NULL,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id)
       )
     `);
 
@@ -50,9 +138,11 @@ const createTables = async () => {
         id INT AUTO_INCREMENT PRIMARY KEY,
         title VARCHAR(255) NOT NULL,
         description TEXT,
+        tenant_id INT NULL,
         created_by INT NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id),
         FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
       )
     `);
@@ -264,15 +354,822 @@ const createTables = async () => {
       )
     `);
 
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        user_agent VARCHAR(500) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_reason VARCHAR(50) NULL,
+        impersonator_id INT NULL,
+        read_only BOOLEAN DEFAULT FALSE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_sessions_user (user_id)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        requested_ip VARCHAR(45) NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_reset_token (token_hash)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NULL,
+        role ENUM('admin', 'formador', 'estudiante') NOT NULL,
+        course_ids JSON NULL,
+        formador_id INT NULL,
+        tenant_id INT NULL,
+        invited_by INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        accepted_at DATETIME NULL,
+        accepted_user_id INT NULL,
+        revoked_at DATETIME NULL,
+        last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        send_count INT DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (formador_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+        UNIQUE KEY unique_invitation_token (token_hash),
+        INDEX idx_invitations_email (email)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id INT PRIMARY KEY,
+        secret_encrypted VARCHAR(255) NOT NULL,
+        enabled_at DATETIME NULL,
+        last_used_step BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_recovery_codes_user (user_id)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        actor_id INT NULL,
+        action VARCHAR(100) NOT NULL,
+        target_user_id INT NULL,
+        details JSON NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_audit_action (action),
+        INDEX idx_audit_target (target_user_id)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        email VARCHAR(255) NOT NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(500) NULL,
+        success BOOLEAN NOT NULL,
+        failure_reason VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_login_attempts_user (user_id, created_at),
+        INDEX idx_login_attempts_email (email, created_at)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS account_lockouts (
+        user_id INT PRIMARY KEY,
+        failed_attempts INT NOT NULL DEFAULT 0,
+        last_failed_at DATETIME NULL,
+        locked_until DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS user_permission_grants (
+        user_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        granted_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, permission_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+        FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS impersonation_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NULL,
+        impersonator_id INT NULL,
+        user_id INT NULL,
+        method VARCHAR(10) NOT NULL,
+        path VARCHAR(500) NOT NULL,
+        status_code INT NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE SET NULL,
+        FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_impersonation_logs_impersonator (impersonator_id, created_at),
+        INDEX idx_impersonation_logs_session (session_id)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) UNIQUE NOT NULL,
+        scopes JSON NOT NULL,
+        ip_allowlist JSON NULL,
+        rate_limit_per_minute INT NULL,
+        expires_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        last_used_ip VARCHAR(45) NULL,
+        created_by INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME NULL,
+        removed_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_provider_subject (provider, subject),
+        INDEX idx_user_identities_user (user_id)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS oidc_logins (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        state_hash CHAR(64) UNIQUE NOT NULL,
+        nonce VARCHAR(64) NOT NULL,
+        code_verifier VARCHAR(128) NOT NULL,
+        return_to VARCHAR(500) NULL,
+        user_id INT NULL,
+        login_code_hash CHAR(64) UNIQUE NULL,
+        expires_at DATETIME NOT NULL,
+        completed_at DATETIME NULL,
+        exchanged_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS user_imports (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        created_by INT NULL,
+        file_name VARCHAR(255) NULL,
+        method ENUM('password', 'invitation') NOT NULL,
+        total_rows INT NOT NULL,
+        created_count INT NOT NULL,
+        report JSON NULL,
+        result_file VARCHAR(255) NULL,
+        result_expires_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_user_imports_created_by (created_by)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS cohorts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        campaign VARCHAR(255) NULL,
+        description TEXT NULL,
+        start_date DATE NULL,
+        end_date DATE NULL,
+        lead_formador_id INT NULL,
+        tenant_id INT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (lead_formador_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cohorts_lead_formador (lead_formador_id)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS cohort_courses (
+        cohort_id INT NOT NULL,
+        course_id INT NOT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (cohort_id, course_id),
+        FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS cohort_members (
+        cohort_id INT NOT NULL,
+        student_id INT NOT NULL,
+        added_by INT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (cohort_id, student_id),
+        FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cohort_members_student (student_id)
+      )
+    `);
+
+    // Immutable snapshots of published courses (see utils/course-versions.js)
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS course_versions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        course_id INT NOT NULL,
+        version_number INT NOT NULL,
+        snapshot JSON NOT NULL,
+        notes VARCHAR(500) NULL,
+        published_by INT NULL,
+        published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+        FOREIGN KEY (published_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_course_version (course_id, version_number)
+      )
+    `);
+
+    // Files stored under uploads/, so listings and deletions can be scoped to
+    // the tenant that uploaded them
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS media_files (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type ENUM('video', 'image') NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NULL,
+        size BIGINT NULL,
+        tenant_id INT NULL,
+        uploaded_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_media_file (type, filename)
+      )
+    `);
+
+    // SCORM packages of an activity, unpacked under uploads/scorm/<folder>
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS scorm_packages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        scorm_version ENUM('1.2', '2004') NOT NULL,
+        identifier VARCHAR(255) NULL,
+        folder VARCHAR(64) NOT NULL UNIQUE,
+        size BIGINT NULL,
+        uploaded_by INT NULL,
+        archived_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Launchable items of the default organization of a package
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS scorm_scos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        package_id INT NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        launch_path VARCHAR(1000) NOT NULL,
+        scorm_type ENUM('sco', 'asset') NOT NULL DEFAULT 'sco',
+        passing_score DECIMAL(5,2) NULL,
+        launch_data TEXT NULL,
+        order_index INT DEFAULT 0,
+        FOREIGN KEY (package_id) REFERENCES scorm_packages(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Runtime data of each attempt of a student at a SCO. cmi holds the data
+    // model as the SCO set it; the other columns are derived from it.
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS scorm_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sco_id INT NOT NULL,
+        package_id INT NOT NULL,
+        student_id INT NOT NULL,
+        attempt_number INT NOT NULL DEFAULT 1,
+        completion_status ENUM('not attempted', 'incomplete', 'completed', 'unknown') NOT NULL DEFAULT 'unknown',
+        success_status ENUM('passed', 'failed', 'unknown') NOT NULL DEFAULT 'unknown',
+        score_raw DECIMAL(10,2) NULL,
+        score_min DECIMAL(10,2) NULL,
+        score_max DECIMAL(10,2) NULL,
+        score_scaled DECIMAL(5,4) NULL,
+        percentage DECIMAL(5,2) NULL,
+        total_seconds DECIMAL(12,2) NOT NULL DEFAULT 0,
+        sessions INT NOT NULL DEFAULT 1,
+        last_exit VARCHAR(20) NULL,
+        cmi JSON NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completed_at DATETIME NULL,
+        ended_at DATETIME NULL,
+        FOREIGN KEY (sco_id) REFERENCES scorm_scos(id) ON DELETE CASCADE,
+        FOREIGN KEY (package_id) REFERENCES scorm_packages(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_scorm_attempt (sco_id, student_id, attempt_number)
+      )
+    `);
+
+    // xAPI statements: generated by the platform (source = platform) or sent
+    // by external content to /xapi/statements. actor_ifi identifies the agent
+    // (mbox, account...) and actor_user_id is set when it is one of our users.
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS xapi_statements (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        statement_id CHAR(36) NOT NULL UNIQUE,
+        actor_ifi VARCHAR(512) NULL,
+        actor_user_id INT NULL,
+        verb_id VARCHAR(512) NOT NULL,
+        object_id VARCHAR(512) NULL,
+        registration CHAR(36) NULL,
+        tenant_id INT NULL,
+        source ENUM('platform', 'external') NOT NULL DEFAULT 'platform',
+        voided BOOLEAN NOT NULL DEFAULT FALSE,
+        statement JSON NOT NULL,
+        stored_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL,
+        INDEX idx_xapi_actor (actor_ifi(191)),
+        INDEX idx_xapi_verb (verb_id(191)),
+        INDEX idx_xapi_object (object_id(191))
+      )
+    `);
+
+    // Platform statements waiting to be forwarded to the external LRS
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS xapi_outbox (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        statement_seq INT NOT NULL,
+        status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME NULL,
+        FOREIGN KEY (statement_seq) REFERENCES xapi_statements(id) ON DELETE CASCADE,
+        INDEX idx_xapi_outbox_due (status, next_attempt_at)
+      )
+    `);
+
+    // LTI 1.3 platforms (LMSs) that launch our courses. deployment_ids NULL
+    // accepts any deployment of the registration.
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_platforms (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        issuer VARCHAR(255) NOT NULL,
+        client_id VARCHAR(255) NOT NULL,
+        deployment_ids JSON NULL,
+        auth_login_url VARCHAR(500) NOT NULL,
+        auth_token_url VARCHAR(500) NOT NULL,
+        auth_token_audience VARCHAR(500) NULL,
+        jwks_url VARCHAR(500) NOT NULL,
+        tenant_id INT NULL,
+        jit_provisioning BOOLEAN NOT NULL DEFAULT TRUE,
+        link_by_email BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        disabled_at DATETIME NULL,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_lti_platform (issuer, client_id)
+      )
+    `);
+
+    // Keys the tool signs its JWTs with (deep linking, AGS client assertions)
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_tool_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        kid VARCHAR(64) NOT NULL UNIQUE,
+        private_key_encrypted TEXT NOT NULL,
+        public_jwk JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        retired_at DATETIME NULL
+      )
+    `);
+
+    // OIDC login initiations waiting for the launch (state and nonce)
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_logins (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        state_hash VARCHAR(64) NOT NULL UNIQUE,
+        nonce VARCHAR(64) NOT NULL,
+        platform_id INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        completed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (platform_id) REFERENCES lti_platforms(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Validated launches, exchanged by the frontend for a session
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_launches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        platform_id INT NOT NULL,
+        user_id INT NOT NULL,
+        message_type VARCHAR(50) NOT NULL,
+        deployment_id VARCHAR(255) NOT NULL,
+        resource_link_id INT NULL,
+        course_id INT NULL,
+        activity_id INT NULL,
+        deep_linking JSON NULL,
+        launch_code_hash VARCHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        exchanged_at DATETIME NULL,
+        responded_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (platform_id) REFERENCES lti_platforms(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Resource links placed in the platform and the course/activity they open
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_resource_links (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        platform_id INT NOT NULL,
+        deployment_id VARCHAR(255) NOT NULL,
+        link_id VARCHAR(255) NOT NULL,
+        title VARCHAR(255) NULL,
+        context_id VARCHAR(255) NULL,
+        context_title VARCHAR(255) NULL,
+        course_id INT NULL,
+        activity_id INT NULL,
+        ags_lineitems_url VARCHAR(500) NULL,
+        ags_lineitem_url VARCHAR(500) NULL,
+        ags_scopes JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (platform_id) REFERENCES lti_platforms(id) ON DELETE CASCADE,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_lti_resource_link (platform_id, deployment_id, link_id)
+      )
+    `);
+
+    // Users that launched a link, with their id at the platform (AGS userId)
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_link_members (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        resource_link_id INT NOT NULL,
+        user_id INT NOT NULL,
+        platform_user_id VARCHAR(255) NOT NULL,
+        last_launch_at DATETIME NOT NULL,
+        FOREIGN KEY (resource_link_id) REFERENCES lti_resource_links(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_lti_link_member (resource_link_id, user_id)
+      )
+    `);
+
+    // AGS line items created at the platform for each quiz or workshop
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_line_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        resource_link_id INT NOT NULL,
+        item_type ENUM('quiz', 'workshop') NOT NULL,
+        item_id INT NOT NULL,
+        lineitem_url VARCHAR(500) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (resource_link_id) REFERENCES lti_resource_links(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_lti_line_item (resource_link_id, item_type, item_id)
+      )
+    `);
+
+    // Scores waiting to be sent to the platform through AGS
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS lti_score_outbox (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        resource_link_id INT NOT NULL,
+        user_id INT NOT NULL,
+        item_type ENUM('quiz', 'workshop') NOT NULL,
+        item_id INT NOT NULL,
+        score DECIMAL(10,2) NOT NULL,
+        max_score DECIMAL(10,2) NOT NULL,
+        status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME NULL,
+        FOREIGN KEY (resource_link_id) REFERENCES lti_resource_links(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_lti_score_due (status, next_attempt_at)
+      )
+    `);
+
+    // Outgoing webhooks: events an admin subscribes an external URL to. The
+    // secret signs the payloads, so it is stored encrypted instead of hashed.
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        events JSON NOT NULL,
+        secret_encrypted TEXT NOT NULL,
+        tenant_id INT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        disabled_at DATETIME NULL,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Every event published to webhooks. user_id is the user the event is
+    // about (its payload is removed with the personal data); dedupe_key makes
+    // one-time events (course.completed) happen once.
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id CHAR(36) NOT NULL UNIQUE,
+        event_type VARCHAR(50) NOT NULL,
+        user_id INT NULL,
+        tenant_id INT NULL,
+        dedupe_key VARCHAR(191) NULL UNIQUE,
+        payload JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL
+      )
+    `);
+
+    // One row per event and subscription; a replay is a new row (replay_of)
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_seq INT NOT NULL,
+        subscription_id INT NOT NULL,
+        replay_of INT NULL,
+        status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_status_code INT NULL,
+        last_error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME NULL,
+        FOREIGN KEY (event_seq) REFERENCES webhook_events(id) ON DELETE CASCADE,
+        FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        FOREIGN KEY (replay_of) REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        INDEX idx_webhook_delivery_due (status, next_attempt_at)
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        delivery_id INT NOT NULL,
+        attempt_number INT NOT NULL,
+        status_code INT NULL,
+        response_body TEXT NULL,
+        error TEXT NULL,
+        duration_ms INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE
+      )
+    `);
+
+    // An activity stays locked for a student until every prerequisite is met:
+    // another activity completed, or a quiz passed with min_percentage (the
+    // quiz's passing_score when null)
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS activity_prerequisites (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        prerequisite_type ENUM('activity', 'quiz') NOT NULL,
+        required_activity_id INT NULL,
+        quiz_id INT NULL,
+        min_percentage INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (required_activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Learning paths (see utils/learning-paths.js): ordered courses where
+    // each one is enrolled once the courses it requires are completed
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS learning_paths (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        tenant_id INT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS learning_path_courses (
+        path_id INT NOT NULL,
+        course_id INT NOT NULL,
+        position INT NOT NULL,
+        PRIMARY KEY (path_id, course_id),
+        FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS learning_path_prerequisites (
+        path_id INT NOT NULL,
+        course_id INT NOT NULL,
+        required_course_id INT NOT NULL,
+        PRIMARY KEY (path_id, course_id, required_course_id),
+        FOREIGN KEY (path_id, course_id) REFERENCES learning_path_courses(path_id, course_id) ON DELETE CASCADE,
+        FOREIGN KEY (path_id, required_course_id) REFERENCES learning_path_courses(path_id, course_id) ON DELETE CASCADE
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS learning_path_cohorts (
+        path_id INT NOT NULL,
+        cohort_id INT NOT NULL,
+        added_by INT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (path_id, cohort_id),
+        FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+        FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE CASCADE,
+        FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await promisePool.execute(`
+      CREATE TABLE IF NOT EXISTS learning_path_assignments (
+        path_id INT NOT NULL,
+        student_id INT NOT NULL,
+        cohort_id INT NULL,
+        assigned_by INT NULL,
+        assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME NULL,
+        PRIMARY KEY (path_id, student_id),
+        FOREIGN KEY (path_id) REFERENCES learning_paths(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (cohort_id) REFERENCES cohorts(id) ON DELETE SET NULL,
+        FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_learning_path_assignments_student (student_id)
+      )
+    `);
+
+    // Columns added after the first release
+    await ensureColumn('users', 'role_id', 'INT NULL AFTER role', '(role_id) REFERENCES roles(id) ON DELETE SET NULL');
+    await ensureColumn('user_sessions', 'impersonator_id', 'INT NULL', '(impersonator_id) REFERENCES users(id) ON DELETE CASCADE');
+    await ensureColumn('user_sessions', 'read_only', 'BOOLEAN DEFAULT FALSE');
+    await ensureColumn('users', 'status', "ENUM('active', 'suspended', 'deactivated', 'archived') NOT NULL DEFAULT 'active' AFTER bio");
+    await ensureColumn('users', 'status_reason', 'VARCHAR(255) NULL AFTER status');
+    await ensureColumn('users', 'status_changed_at', 'DATETIME NULL AFTER status_reason');
+    await ensureColumn('users', 'anonymized_at', 'DATETIME NULL AFTER status_changed_at');
+    await ensureColumn('user_identities', 'removed_at', 'DATETIME NULL');
+    await ensureColumn('users', 'tenant_id', 'INT NULL AFTER role_id', '(tenant_id) REFERENCES tenants(id)');
+    await ensureColumn('courses', 'tenant_id', 'INT NULL AFTER description', '(tenant_id) REFERENCES tenants(id)');
+    await ensureColumn('invitations', 'tenant_id', 'INT NULL AFTER formador_id', '(tenant_id) REFERENCES tenants(id)');
+    await ensureColumn('cohorts', 'tenant_id', 'INT NULL AFTER lead_formador_id', '(tenant_id) REFERENCES tenants(id)');
+
+    // No foreign key: course_versions already references courses and deleting
+    // a course must not cascade back into it
+    await ensureColumn('courses', 'published_version_id', 'INT NULL AFTER tenant_id');
+    await ensureColumn('course_assignments', 'version_id', 'INT NULL AFTER student_id', '(version_id) REFERENCES course_versions(id) ON DELETE SET NULL');
+    await ensureColumn('activities', 'archived_at', 'DATETIME NULL');
+    await ensureColumn('workshops', 'archived_at', 'DATETIME NULL');
+    await ensureColumn('quizzes', 'archived_at', 'DATETIME NULL');
+    await ensureColumn('grades', 'version_id', 'INT NULL AFTER quiz_id', '(version_id) REFERENCES course_versions(id) ON DELETE SET NULL');
+    await ensureColumn('workshop_grades', 'version_id', 'INT NULL AFTER workshop_id', '(version_id) REFERENCES course_versions(id) ON DELETE SET NULL');
+    await ensureColumn('courses', 'package_uid', 'VARCHAR(36) NULL AFTER published_version_id');
+    await ensureColumn('courses', 'sequence_mode', "ENUM('free', 'sequential') NOT NULL DEFAULT 'free' AFTER description");
+
+    // forum_posts comes from database/forum_tables.sql and may not be installed
+    if (await hasTable('forum_posts')) {
+      await ensureColumn('forum_posts', 'tenant_id', 'INT NULL AFTER author_id', '(tenant_id) REFERENCES tenants(id)');
+    }
+
     console.log('All tables created successfully');
   } catch (error) {
     console.error('Error creating tables:', error);
   }
 };
 
+// Keeps the permission catalog and the built-in roles in sync with
+// config/permissions.js. Custom roles are left untouched.
+const seedRolesAndPermissions = async () => {
+  try {
+    // users.edit.students became an ownership scope; renaming the row keeps it
+    // on the custom roles that hold it
+    await promisePool.execute(
+      "UPDATE IGNORE permissions SET name = 'users.edit.own_students' WHERE name = 'users.edit.students'"
+    );
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await promisePool.execute(
+        'INSERT INTO permissions (name, description) VALUES (?, ?) ON DUPLICATE KEY UPDATE description = VALUES(description)',
+        [name, description]
+      );
+    }
+
+    for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+      await promisePool.execute(
+        `INSERT INTO roles (name, description, base_role, is_system) VALUES (?, ?, ?, TRUE)
+         ON DUPLICATE KEY UPDATE base_role = VALUES(base_role), is_system = TRUE`,
+        [name, role.description, name]
+      );
+
+      await promisePool.query(
+        `DELETE rp FROM role_permissions rp
+         JOIN roles r ON rp.role_id = r.id
+         JOIN permissions p ON rp.permission_id = p.id
+         WHERE r.name = ? AND p.name NOT IN (?)`,
+        [name, role.permissions]
+      );
+
+      await promisePool.query(
+        `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+         SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN (?)
+         WHERE r.name = ?`,
+        [role.permissions, name]
+      );
+    }
+
+    // Accounts created before roles existed get the built-in role of their base role
+    await promisePool.execute(
+      `UPDATE users u
+       JOIN roles r ON r.name = u.role AND r.is_system = TRUE
+       SET u.role_id = r.id
+       WHERE u.role_id IS NULL`
+    );
+
+    console.log('Roles and permissions seeded successfully');
+  } catch (error) {
+    console.error('Error seeding roles and permissions:', error);
+  }
+};
+
 const initializeDatabase = async () => {
   await createDatabase();
   await createTables();
+  await seedRolesAndPermissions();
 };
 
 module.exports = { pool: promisePool, initializeDatabase };
\ No newline at end of file
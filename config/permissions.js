@@ -0,0 +1,146 @@
+// Permission catalog. A permission may end in a scope suffix:
+//   .all           - every resource
+//   .own           - resources that belong to the user (their grades, their posts...)
+//   .own_students  - resources of students linked to the formador (student_formador
+//                    or enrolled in one of their formador_courses)
+// can('grades.view') passes with any of grades.view.all / .own_students / .own and
+// the scope decides which records are visible.
+const PERMISSIONS = {
+  'course.create': 'Create courses',
+  'course.edit': 'Edit courses, activities, content blocks, quizzes and workshops',
+  'course.delete': 'Delete courses',
+  'course.publish': 'Publish course versions, roll them back and move students between versions',
+  'media.upload.image': 'Upload images',
+  'media.upload.video': 'Upload videos',
+  'media.manage': 'List and delete uploaded files',
+  'users.view': 'List every user',
+  'users.create': 'Create users of any role',
+  'users.create.students': 'Create student accounts',
+  'users.edit': 'Edit users of any role',
+  'users.edit.own_students': 'Edit the accounts of own students',
+  'users.delete': 'Suspend, deactivate, archive and reactivate users',
+  'users.purge': 'Permanently erase deactivated users and their data',
+  'users.personal_data': 'Export and anonymize the personal data of a user',
+  'users.security': 'Manage sessions, lockouts and two-factor of other users',
+  'users.impersonate': 'Act as another user to see what they see',
+  'students.view.all': 'View every student',
+  'students.view.own_students': 'View own students',
+  'formadores.manage': 'Manage formadores and their course assignments',
+  'enrollments.manage': 'Assign and unassign courses to students',
+  'cohorts.manage': 'Create cohorts and manage their members and course bundle',
+  'cohorts.view.all': 'View every cohort and its reports',
+  'cohorts.view.own': 'View the cohorts led by the user',
+  'learning_paths.manage': 'Create learning paths, assign them to students and cohorts and view their progress',
+  'enrollments.view.all': 'View every course assignment',
+  'enrollments.view.own_students': 'View course assignments of own students',
+  'grades.view.all': 'View grades of every student',
+  'grades.view.own_students': 'View grades of own students',
+  'grades.view.own': 'View own grades',
+  'grades.audit': 'Audit quiz and workshop answers',
+  'grades.stats': 'View platform-wide grade statistics',
+  'surveys.view.all': 'View every satisfaction survey',
+  'surveys.view.own_students': 'View satisfaction surveys of own students',
+  'surveys.view.own': 'View own satisfaction surveys',
+  'surveys.submit': 'Answer satisfaction surveys',
+  'learning.participate': 'Take assigned courses, quizzes and workshops',
+  'forum.post': 'Publish forum posts',
+  'forum.moderate': 'Delete any forum post or comment',
+  'analytics.view': 'View the analytics dashboard',
+  'invitations.manage.all': 'Manage every invitation and invite any role',
+  'invitations.manage.own': 'Invite students and manage own invitations',
+  'roles.manage': 'Manage roles and assign them to users',
+  'tenants.manage': 'Create and provision tenants and act inside any of them',
+  'api_keys.manage': 'Manage API keys for integrations',
+  'xapi.statements.all': 'Send and read xAPI statements of any learner',
+  'xapi.statements.own': 'Send and read own xAPI statements',
+  'lti.manage': 'Register and manage LTI platforms',
+  'webhooks.manage': 'Manage outgoing webhooks and their delivery log'
+};
+
+// Built-in roles, seeded on startup. They match the users.role ENUM, which is
+// kept as the base role of every account (custom roles extend one of them).
+const SYSTEM_ROLES = {
+  admin: {
+    description: 'Administrador de la plataforma',
+    permissions: [
+      'course.create', 'course.edit', 'course.delete', 'course.publish',
+      'media.upload.image', 'media.upload.video', 'media.manage',
+      'users.view', 'users.create', 'users.edit', 'users.delete', 'users.purge', 'users.personal_data', 'users.security', 'users.impersonate',
+      'students.view.all', 'formadores.manage',
+      'enrollments.manage', 'enrollments.view.all',
+      'cohorts.manage', 'cohorts.view.all', 'learning_paths.manage',
+      'grades.view.all', 'grades.audit', 'grades.stats',
+      'surveys.view.all',
+      'forum.post', 'forum.moderate',
+      'analytics.view',
+      'invitations.manage.all',
+      'roles.manage', 'api_keys.manage',
+      'tenants.manage',
+      'xapi.statements.all', 'lti.manage', 'webhooks.manage'
+    ]
+  },
+  formador: {
+    description: 'Formador',
+    permissions: [
+      'media.upload.image',
+      'users.create.students', 'users.edit.own_students',
+      'students.view.own_students',
+      'enrollments.manage', 'enrollments.view.own_students',
+      'cohorts.view.own',
+      'grades.view.own_students', 'grades.audit',
+      'surveys.view.own_students',
+      'forum.post',
+      'analytics.view',
+      'invitations.manage.own'
+    ]
+  },
+  estudiante: {
+    description: 'Estudiante',
+    permissions: [
+      'grades.view.own',
+      'surveys.view.own', 'surveys.submit',
+      'learning.participate',
+      'xapi.statements.own'
+    ]
+  }
+};
+
+const BASE_ROLES = Object.keys(SYSTEM_ROLES);
+
+// Wider scopes an admin may grant to an individual formador on top of their
+// role (see PUT /api/users/formador/:formadorId/scope)
+const GRANTABLE_SCOPES = [
+  'students.view.all',
+  'enrollments.view.all',
+  'grades.view.all',
+  'surveys.view.all'
+];
+
+// What a learner does on their own account (take courses, answer surveys)
+const LEARNER_PERMISSIONS = ['learning.participate', 'surveys.submit'];
+
+// Permissions an API key can never carry: account administration, actions of a
+// learner, and ownership scopes (a key does not own students or grades)
+const API_KEY_EXCLUDED_PERMISSIONS = [
+  'users.purge',
+  'users.personal_data',
+  'users.security',
+  'users.impersonate',
+  'roles.manage',
+  'api_keys.manage',
+  'tenants.manage',
+  ...LEARNER_PERMISSIONS
+];
+
+const isApiKeyScope = (name) => Boolean(PERMISSIONS[name]) &&
+  !API_KEY_EXCLUDED_PERMISSIONS.includes(name) &&
+  !/\.own(_students)?$/.test(name);
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  BASE_ROLES,
+  GRANTABLE_SCOPES,
+  LEARNER_PERMISSIONS,
+  isApiKeyScope
+};
@@ -5,10 +5,13 @@ CREATE TABLE IF NOT EXISTS forum_posts (
   content TEXT NOT NULL,
   image_url VARCHAR(500) NULL,
   author_id INT NOT NULL,
+  tenant_id INT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id),
   INDEX idx_author_id (author_id),
+  INDEX idx_tenant_id (tenant_id),
   INDEX idx_created_at (created_at)
 );
 
@@ -1,8 +1,15 @@
 const { initializeDatabase } = require('./config/database');
+const { publishUnversionedCourses } = require('./utils/course-versions');
 
 async function init() {
   try {
     await initializeDatabase();
+
+    const published = await publishUnversionedCourses();
+    if (published > 0) {
+      console.log(`Published version 1 of ${published} existing courses`);
+    }
+
     console.log('Database initialization completed');
     process.exit(0);
   } catch (error) {
@@ -1,44 +1,194 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { touchSession } = require('../utils/sessions');
+const {
+  getUserPermissions,
+  getPermissionScopes,
+  holdsPermission,
+  canAccessResource
+} = require('../utils/permissions');
+const { isAllowedWhileReadOnly, trackImpersonatedRequest } = require('../utils/impersonation');
+const {
+  isApiKey,
+  findApiKey,
+  isIpAllowed,
+  consumeRateLimit,
+  touchApiKey
+} = require('../utils/api-keys');
+const { resolveRequestTenant } = require('../utils/tenants');
+
+// API keys only work on routes guarded by can(), so endpoints that act on "the
+// current user" (profile, 2FA, forum comments...) stay reserved to real users.
+// Writes made with a key are attributed to the admin who created it.
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await findApiKey(key);
+
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  if (!req.route?.stack.some(layer => layer.handle.permission)) {
+    return res.status(403).json({ message: 'This endpoint is not available to API keys' });
+  }
+
+  if (!isIpAllowed(req.ip, apiKey.ip_allowlist)) {
+    return res.status(403).json({ message: 'IP address not allowed for this API key' });
+  }
+
+  const rateLimit = consumeRateLimit(apiKey);
+
+  res.set('X-RateLimit-Limit', String(rateLimit.limit));
+  res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', String(rateLimit.retryAfter));
+    return res.status(429).json({ message: 'API key rate limit exceeded', retryAfter: rateLimit.retryAfter });
+  }
+
+  await touchApiKey(apiKey.id, req.ip);
+
+  req.apiKey = { id: apiKey.id, name: apiKey.name };
+  req.user = {
+    id: apiKey.created_by,
+    name: `API key: ${apiKey.name}`,
+    email: null,
+    role: 'integration',
+    role_id: null,
+    role_name: null
+  };
+  // A key never does more than its creator currently may: scopes the creator
+  // lost (demotion, edited role, revoked grant) stop working
+  const creatorPermissions = await getUserPermissions({ id: apiKey.created_by, role_id: apiKey.creator_role_id });
+  req.permissions = apiKey.scopes.filter(scope => holdsPermission(creatorPermissions, scope));
+  // A key works inside the tenant of the admin who created it
+  req.tenantId = apiKey.tenant_id || null;
+
+  if (req.header('X-Tenant-Id') && Number(req.header('X-Tenant-Id')) !== req.tenantId) {
+    return res.status(403).json({ message: 'You cannot act in another tenant' });
+  }
+
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+    const apiKey = req.header('X-API-Key') || (isApiKey(token) ? token : null);
+
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     if (!token) {
       return res.status(401).json({ message: 'No token provided' });
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    if (!decoded.sessionId) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
     const [rows] = await pool.execute(
-      'SELECT id, name, email, role FROM users WHERE id = ?',
-      [decoded.userId]
+      `SELECT u.id, u.name, u.email, u.role, r.id as role_id, r.name as role_name, u.tenant_id,
+              s.impersonator_id, s.read_only, imp.name as impersonator_name
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       LEFT JOIN users imp ON s.impersonator_id = imp.id
+       LEFT JOIN roles r ON r.id = u.role_id
+         OR (u.role_id IS NULL AND r.name = u.role AND r.is_system = TRUE)
+       WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         AND u.status = 'active'`,
+      [decoded.sessionId, decoded.userId]
     );
 
     if (rows.length === 0) {
-      return res.status(401).json({ message: 'Invalid token' });
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+
+    await touchSession(decoded.sessionId);
+
+    const { impersonator_id, impersonator_name, read_only, ...user } = rows[0];
+
+    req.user = user;
+    req.permissions = await getUserPermissions(user);
+    req.sessionId = decoded.sessionId;
+
+    const tenant = await resolveRequestTenant(req, user.tenant_id, req.permissions);
+
+    if (tenant.status) {
+      return res.status(tenant.status).json({ message: tenant.message });
+    }
+
+    req.tenantId = tenant.tenantId;
+
+    if (impersonator_id) {
+      req.impersonator = { id: impersonator_id, name: impersonator_name };
+      req.readOnly = Boolean(read_only);
+      trackImpersonatedRequest(req, res);
+
+      if (req.readOnly && !isAllowedWhileReadOnly(req)) {
+        return res.status(403).json({ message: 'Impersonated sessions are read-only', impersonation: true });
+      }
     }
 
-    req.user = rows[0];
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid token' });
   }
 };
 
-const authorize = (...roles) => {
-  return (req, res, next) => {
+// can('course.edit') requires the permission (any scope). With a resource
+// resolver the scope is checked against the resolved object, e.g.
+//   can('grades.view', req => ({ userId: req.params.studentId, studentId: req.params.studentId }))
+// lets grades.view.all through, grades.view.own_students only for linked
+// students and grades.view.own only for the user themself. Without a resolver
+// list handlers narrow their results with buildScopeFilter().
+const can = (permission, resourceResolver) => {
+  const middleware = async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const scopes = getPermissionScopes(req, permission);
+
+    if (scopes !== null && scopes.length === 0) {
       return res.status(403).json({ message: 'Insufficient permissions' });
     }
 
-    next();
+    if (scopes === null || !resourceResolver) {
+      return next();
+    }
+
+    try {
+      const resource = await resourceResolver(req);
+
+      if (!resource) {
+        return res.status(404).json({ message: 'Resource not found' });
+      }
+
+      if (!(await canAccessResource(req, permission, resource))) {
+        return res.status(403).json({ message: 'Insufficient permissions' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   };
+
+  middleware.permission = permission;
+  return middleware;
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+// True when the user holds the permission without any ownership restriction
+const hasPermission = (req, permission) => getPermissionScopes(req, permission) === null;
+
+// Resolver for routes addressing a student through a route parameter
+const studentParam = (param = 'studentId') => (req) => ({
+  userId: req.params[param],
+  studentId: req.params[param]
+});
+
+module.exports = { auth, can, hasPermission, studentParam };
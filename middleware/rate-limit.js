@@ -0,0 +1,54 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { hashToken } = require('../utils/tokens');
+const { verifyChallenge } = require('../utils/two-factor');
+
+// Many agents share one NAT, so auth limiters key on the account being
+// targeted and only fall back to the IP. Each route keys on the one field it
+// acts on: honouring any other field of the body would let a client pick a
+// fresh bucket per request (e.g. a random email on /2fa/verify).
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip)}`;
+
+const emailKey = (req) => {
+  const email = req.body?.email;
+  return email ? `email:${String(email).trim().toLowerCase()}` : ipKey(req);
+};
+
+// Only a challenge signed by us names an account; forged ones share the IP bucket
+const challengeKey = (req) => {
+  const userId = req.body?.challengeToken ? verifyChallenge(req.body.challengeToken, '2fa') : null;
+  return userId ? `user:${userId}` : ipKey(req);
+};
+
+const resetTokenKey = (req) => {
+  const token = req.body?.token;
+  return token ? `token:${hashToken(String(token))}` : ipKey(req);
+};
+
+const createAuthLimiter = (keyGenerator) => rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20,
+  keyGenerator,
+  message: { message: 'Too many authentication attempts for this account' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const loginLimiter = createAuthLimiter(emailKey);
+const twoFactorLimiter = createAuthLimiter(challengeKey);
+const resetPasswordLimiter = createAuthLimiter(resetTokenKey);
+
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: emailKey,
+  message: { message: 'Too many password reset requests for this email' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+module.exports = {
+  loginLimiter,
+  twoFactorLimiter,
+  resetPasswordLimiter,
+  forgotPasswordLimiter
+};
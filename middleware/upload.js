@@ -58,6 +58,52 @@ const upload = multer({
   }
 });
 
+// Spreadsheets for bulk imports are parsed in memory and never stored in uploads/
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.txt', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+}).single('file');
+
+// Course packages (.zip with manifest and media, or a bare manifest .json)
+// are read in memory and their media written to uploads/ by the import
+const uploadCoursePackage = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['.zip', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .zip and .json course packages are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 512 * 1024 * 1024, // 512MB limit
+  }
+}).single('package');
+
+// SCORM packages are unpacked from memory into uploads/scorm/
+const uploadScormPackage = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .zip SCORM packages are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 512 * 1024 * 1024, // 512MB limit
+  }
+}).single('package');
+
 const uploadVideo = upload.single('video');
 const uploadImage = upload.single('image');
 const uploadFiles = upload.fields([
@@ -68,5 +114,8 @@ const uploadFiles = upload.fields([
 module.exports = {
   uploadVideo,
   uploadImage,
-  uploadFiles
+  uploadFiles,
+  uploadSpreadsheet,
+  uploadCoursePackage,
+  uploadScormPackage
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+// Minimal LDAP directory shaped like Active Directory, for local testing of
+// the LDAP login and the deactivation job. NOT for production.
+//
+//   node mock-ldap-server.js
+//
+// Then set in .env:
+//   LDAP_ENABLED=true
+//   LDAP_URL=ldap://localhost:3890
+//   LDAP_BIND_DN=cn=svc-lms,ou=Servicios,dc=asiste,dc=local
+//   LDAP_BIND_PASSWORD=svc-password
+//   LDAP_BASE_DN=dc=asiste,dc=local
+//   LDAP_ID_ATTRIBUTE=entryUUID
+//   LDAP_SYNC_FILTER=(&(objectClass=user)(mail=*))
+//   LDAP_ROLE_MAPPING={"admin":["LMS-Admins"],"formador":["LMS-Formadores"],"estudiante":["LMS-Estudiantes"]}
+//   LDAP_COURSE_MAPPING={"Curso-Induccion":[1]}
+//
+// Every account's password is "password". Users are read from
+// MOCK_LDAP_USERS_FILE (a JSON array like DEFAULT_USERS) on each request when
+// set, so removing someone from that file simulates a deleted AD account.
+const fs = require('fs');
+const crypto = require('crypto');
+const ldap = require('ldapjs');
+
+const PORT = parseInt(process.env.MOCK_LDAP_PORT, 10) || 3890;
+const BASE_DN = 'dc=asiste,dc=local';
+const SERVICE_DN = `cn=svc-lms,ou=Servicios,${BASE_DN}`;
+const SERVICE_PASSWORD = process.env.MOCK_LDAP_SERVICE_PASSWORD || 'svc-password';
+const USER_PASSWORD = 'password';
+
+const group = (cn) => `CN=${cn},OU=Grupos,DC=asiste,DC=local`;
+
+const DEFAULT_USERS = [
+  { username: 'admin.ldap', name: 'Administrador LDAP', email: 'admin.ldap@asiste.local', groups: ['LMS-Admins'] },
+  { username: 'formador.ldap', name: 'Formador LDAP', email: 'formador.ldap@asiste.local', groups: ['LMS-Formadores', 'Curso-Induccion'] },
+  { username: 'agente.ldap', name: 'Agente LDAP', email: 'agente.ldap@asiste.local', groups: ['LMS-Estudiantes', 'Curso-Induccion'] }
+];
+
+const loadUsers = () => {
+  if (!process.env.MOCK_LDAP_USERS_FILE) {
+    return DEFAULT_USERS;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.MOCK_LDAP_USERS_FILE, 'utf8'));
+};
+
+const toEntry = (user) => ({
+  dn: `cn=${user.username},ou=Usuarios,${BASE_DN}`,
+  attributes: {
+    objectClass: ['top', 'person', 'organizationalPerson', 'user'],
+    cn: user.username,
+    sAMAccountName: user.username,
+    mail: user.email,
+    displayName: user.name,
+    memberOf: user.groups.map(group),
+    // Stable per username, like objectGUID survives renames in AD
+    entryUUID: crypto.createHash('md5').update(user.username).digest('hex')
+  }
+});
+
+// ldapjs drops attributes whose name differs in case from the request, so the
+// requested names are matched here and the entry is sent as-is
+const toSearchEntry = (res, entry, requested) => {
+  const names = requested.map(name => name.toLowerCase());
+  const attributes = Object.entries(entry.attributes)
+    .filter(([name]) => names.length === 0 || names.includes('*') || names.includes(name.toLowerCase()))
+    .map(([type, values]) => new ldap.Attribute({ type, values: [].concat(values) }));
+
+  return res.createSearchEntry({ objectName: entry.dn, attributes });
+};
+
+const normalizeDn = (dn) => dn.toString().replace(/\s/g, '').toLowerCase();
+
+const server = ldap.createServer();
+
+server.bind(BASE_DN, (req, res, next) => {
+  const dn = normalizeDn(req.dn);
+  const password = req.credentials;
+
+  if (dn === normalizeDn(SERVICE_DN) && password === SERVICE_PASSWORD) {
+    res.end();
+    return next();
+  }
+
+  const user = loadUsers().map(toEntry).find(entry => normalizeDn(entry.dn) === dn);
+
+  if (user && password === USER_PASSWORD) {
+    res.end();
+    return next();
+  }
+
+  return next(new ldap.InvalidCredentialsError());
+});
+
+server.search(BASE_DN, (req, res, next) => {
+  if (normalizeDn(req.connection.ldap.bindDN) !== normalizeDn(SERVICE_DN)) {
+    return next(new ldap.InsufficientAccessRightsError());
+  }
+
+  loadUsers().map(toEntry).forEach(entry => {
+    if (req.filter.matches(entry.attributes, false)) {
+      res.send(toSearchEntry(res, entry, req.attributes));
+    }
+  });
+
+  res.end();
+  return next();
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LDAP server running at ldap://localhost:${PORT} (base ${BASE_DN})`);
+});
@@ -0,0 +1,380 @@
+// Minimal LTI 1.3 platform (LMS) for local testing of the LTI tool: resource
+// link and deep linking launches, and an AGS gradebook that receives scores.
+// NOT for production: it launches whoever fills the form.
+//
+//   node mock-lti-platform.js
+//
+// Then register it as an admin with POST /api/lti/platforms:
+//   {
+//     "name": "Mock LMS",
+//     "issuer": "http://localhost:4500",
+//     "client_id": "asiste-tool",
+//     "deployment_ids": ["deployment-1"],
+//     "auth_login_url": "http://localhost:4500/auth",
+//     "auth_token_url": "http://localhost:4500/token",
+//     "jwks_url": "http://localhost:4500/jwks"
+//   }
+// and set LTI_TOOL_URL (here MOCK_LTI_TOOL_URL) to the public URL of the API.
+// The API refuses localhost URLs unless ALLOW_PRIVATE_OUTBOUND_URLS=true.
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_LTI_PORT, 10) || 4500;
+const ISSUER = process.env.MOCK_LTI_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_LTI_CLIENT_ID || 'asiste-tool';
+const DEPLOYMENT_ID = process.env.MOCK_LTI_DEPLOYMENT_ID || 'deployment-1';
+const TOOL_URL = (process.env.MOCK_LTI_TOOL_URL || 'http://localhost:5001').replace(/\/+$/, '');
+const KEY_ID = 'mock-lti-key-1';
+
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim';
+const ROLES = {
+  Learner: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner',
+  Instructor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor'
+};
+const AGS_SCOPES = [
+  'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// In-memory state of the fake LMS
+const pendingLaunches = new Map();
+const accessTokens = new Map();
+const placedLinks = [];
+const lineItems = [];
+const scores = [];
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body, contentType = 'application/json') => {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(JSON.stringify(body));
+};
+
+const sendHtml = (res, html) => {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html><html><body style="font-family: sans-serif; max-width: 720px; margin: 40px auto">${html}</body></html>`);
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+});
+
+const readForm = async (req) => Object.fromEntries(new URLSearchParams(await readBody(req)));
+
+const autoPostForm = (action, fields) => `
+  <p>Redirecting...</p>
+  <form id="lti" method="post" action="${escapeHtml(action)}">
+    ${Object.entries(fields).map(([key, value]) =>
+      `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('')}
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+  <script>document.getElementById('lti').submit();</script>`;
+
+// The tool signs client assertions and deep linking responses with the keys
+// published at its JWKS URL
+const verifyToolJwt = async (token, options) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed JWT');
+  }
+
+  const response = await fetch(`${TOOL_URL}/api/lti/jwks`);
+  const { keys } = await response.json();
+  const jwk = keys.find(key => key.kid === decoded.header.kid);
+
+  if (!jwk) {
+    throw new Error(`Unknown tool key ${decoded.header.kid}`);
+  }
+
+  return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: ['RS256'], ...options });
+};
+
+const requireToken = (req, scope) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const entry = accessTokens.get(token);
+  return Boolean(entry && entry.expiresAt > Date.now() && entry.scopes.includes(scope));
+};
+
+const renderHome = () => `
+  <h2>Mock LTI platform</h2>
+  <p>Issuer <code>${escapeHtml(ISSUER)}</code>, client <code>${escapeHtml(CLIENT_ID)}</code>,
+     deployment <code>${escapeHtml(DEPLOYMENT_ID)}</code>, tool <code>${escapeHtml(TOOL_URL)}</code></p>
+  <form method="post" action="/launch">
+    <p><label>User id at the LMS<br><input name="sub" value="lms-user-1" size="40"></label></p>
+    <p><label>Name<br><input name="name" value="Estudiante LTI" size="40"></label></p>
+    <p><label>Email (empty = not shared)<br><input name="email" value="estudiante.lti@example.com" size="40"></label></p>
+    <p><label>Role<br><select name="role">
+      <option value="Learner">Learner</option>
+      <option value="Instructor">Instructor</option>
+    </select></label></p>
+    <p><label>Launch<br><select name="link">
+      <option value="deep-linking">Deep linking (instructor picks content)</option>
+      ${placedLinks.map((link, index) =>
+        `<option value="${index}" selected>${escapeHtml(link.title)} (${escapeHtml(JSON.stringify(link.custom))})</option>`).join('')}
+    </select></label></p>
+    <button type="submit">Launch tool</button>
+  </form>
+  <h3>Gradebook</h3>
+  <ul>
+    ${lineItems.map(item => `<li>${escapeHtml(item.label)} (${escapeHtml(item.resourceId)})<ul>
+      ${scores.filter(score => score.lineItemId === item.id).map(score =>
+        `<li>${escapeHtml(score.userId)}: ${escapeHtml(score.scoreGiven)} / ${escapeHtml(score.scoreMaximum)} at ${escapeHtml(score.timestamp)}</li>`).join('')}
+    </ul></li>`).join('') || '<li>No scores yet</li>'}
+  </ul>`;
+
+// Step 1: third-party initiated login at the tool
+const handleLaunch = async (req, res) => {
+  const form = await readForm(req);
+  const messageHint = base64Url(crypto.randomBytes(16));
+  const link = form.link === 'deep-linking' ? null : placedLinks[parseInt(form.link, 10)];
+
+  pendingLaunches.set(messageHint, {
+    user: { sub: form.sub, name: form.name, email: form.email || undefined, role: form.role },
+    link,
+    expiresAt: Date.now() + 5 * 60 * 1000
+  });
+
+  const login = new URL(`${TOOL_URL}/api/lti/login`);
+  login.searchParams.set('iss', ISSUER);
+  login.searchParams.set('login_hint', form.sub);
+  login.searchParams.set('lti_message_hint', messageHint);
+  login.searchParams.set('client_id', CLIENT_ID);
+  login.searchParams.set('lti_deployment_id', DEPLOYMENT_ID);
+  login.searchParams.set('target_link_uri', `${TOOL_URL}/api/lti/launch`);
+
+  res.writeHead(302, { Location: login.toString() });
+  res.end();
+};
+
+// Step 2: OIDC authentication request from the tool, answered with the
+// id_token posted to its redirect URI
+const handleAuth = async (req, res, url) => {
+  const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(url.searchParams);
+  const launch = pendingLaunches.get(params.lti_message_hint);
+  pendingLaunches.delete(params.lti_message_hint);
+
+  if (params.client_id !== CLIENT_ID || params.response_type !== 'id_token' || !params.nonce) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  if (params.redirect_uri !== `${TOOL_URL}/api/lti/launch`) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is not registered' });
+  }
+
+  if (!launch || launch.expiresAt < Date.now() || launch.user.sub !== params.login_hint) {
+    return sendJson(res, 400, { error: 'login_required' });
+  }
+
+  const { user, link } = launch;
+  const claims = {
+    sub: user.sub,
+    name: user.name,
+    ...(user.email ? { email: user.email } : {}),
+    nonce: params.nonce,
+    [`${CLAIM}/version`]: '1.3.0',
+    [`${CLAIM}/deployment_id`]: DEPLOYMENT_ID,
+    [`${CLAIM}/roles`]: [ROLES[user.role] || ROLES.Learner],
+    [`${CLAIM}/context`]: { id: 'mock-course-1', title: 'Curso de prueba' }
+  };
+
+  if (link) {
+    Object.assign(claims, {
+      [`${CLAIM}/message_type`]: 'LtiResourceLinkRequest',
+      [`${CLAIM}/target_link_uri`]: link.url,
+      [`${CLAIM}/resource_link`]: { id: link.id, title: link.title },
+      [`${CLAIM}/custom`]: link.custom,
+      'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint': {
+        scope: AGS_SCOPES,
+        lineitems: `${ISSUER}/lineitems`
+      }
+    });
+  } else {
+    Object.assign(claims, {
+      [`${CLAIM}/message_type`]: 'LtiDeepLinkingRequest',
+      [`${CLAIM}/target_link_uri`]: `${TOOL_URL}/api/lti/launch`,
+      'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings': {
+        deep_link_return_url: `${ISSUER}/deep-link-return`,
+        accept_types: ['ltiResourceLink'],
+        accept_presentation_document_targets: ['iframe', 'window'],
+        accept_multiple: true,
+        data: base64Url(crypto.randomBytes(8))
+      }
+    });
+  }
+
+  const idToken = jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  sendHtml(res, autoPostForm(params.redirect_uri, { id_token: idToken, state: params.state }));
+};
+
+// Deep linking response: the picked content becomes links of the LMS
+const handleDeepLinkReturn = async (req, res) => {
+  const form = await readForm(req);
+
+  try {
+    const claims = await verifyToolJwt(form.JWT, { issuer: CLIENT_ID, audience: ISSUER });
+    const items = claims['https://purl.imsglobal.org/spec/lti-dl/claim/content_items'] || [];
+
+    items.forEach(item => placedLinks.push({
+      id: `link-${placedLinks.length + 1}`,
+      title: item.title,
+      url: item.url,
+      custom: item.custom || {}
+    }));
+
+    sendHtml(res, `<h2>${items.length} links placed</h2><p><a href="/">Back to the LMS</a></p>`);
+  } catch (error) {
+    sendHtml(res, `<h2>Invalid deep linking response</h2><p>${escapeHtml(error.message)}</p>`);
+  }
+};
+
+// AGS access token: client credentials with the tool's signed assertion
+const handleToken = async (req, res) => {
+  const params = await readForm(req);
+
+  if (params.grant_type !== 'client_credentials' ||
+      params.client_assertion_type !== 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  try {
+    await verifyToolJwt(params.client_assertion, { issuer: CLIENT_ID, subject: CLIENT_ID, audience: `${ISSUER}/token` });
+  } catch (error) {
+    return sendJson(res, 401, { error: 'invalid_client', error_description: error.message });
+  }
+
+  const scopes = String(params.scope || '').split(' ').filter(scope => AGS_SCOPES.includes(scope));
+  const token = base64Url(crypto.randomBytes(24));
+  accessTokens.set(token, { scopes, expiresAt: Date.now() + 3600 * 1000 });
+
+  sendJson(res, 200, { access_token: token, token_type: 'Bearer', expires_in: 3600, scope: scopes.join(' ') });
+};
+
+const handleLineItems = async (req, res, url) => {
+  if (!requireToken(req, AGS_SCOPES[0])) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+
+  if (req.method === 'GET') {
+    const resourceId = url.searchParams.get('resource_id');
+    const resourceLinkId = url.searchParams.get('resource_link_id');
+
+    return sendJson(res, 200, lineItems.filter(item =>
+      (!resourceId || item.resourceId === resourceId) &&
+      (!resourceLinkId || item.resourceLinkId === resourceLinkId)
+    ), 'application/vnd.ims.lis.v2.lineitemcontainer+json');
+  }
+
+  const body = JSON.parse(await readBody(req) || '{}');
+
+  if (!body.label || !(Number(body.scoreMaximum) > 0)) {
+    return sendJson(res, 400, { error: 'label and scoreMaximum are required' });
+  }
+
+  const item = { ...body, id: `${ISSUER}/lineitems/${lineItems.length + 1}` };
+  lineItems.push(item);
+
+  sendJson(res, 201, item, 'application/vnd.ims.lis.v2.lineitem+json');
+};
+
+const handleLineItem = async (req, res, url) => {
+  const match = url.pathname.match(/^\/lineitems\/(\d+)(\/scores)?$/);
+  const item = lineItems.find(entry => entry.id === `${ISSUER}/lineitems/${match[1]}`);
+
+  if (!item) {
+    return sendJson(res, 404, { error: 'not_found' });
+  }
+
+  if (!match[2] && req.method === 'GET') {
+    if (!requireToken(req, AGS_SCOPES[0])) {
+      return sendJson(res, 401, { error: 'invalid_token' });
+    }
+    return sendJson(res, 200, item, 'application/vnd.ims.lis.v2.lineitem+json');
+  }
+
+  if (!match[2] || req.method !== 'POST') {
+    return sendJson(res, 405, { error: 'method_not_allowed' });
+  }
+
+  if (!requireToken(req, AGS_SCOPES[1])) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+
+  const score = JSON.parse(await readBody(req) || '{}');
+
+  if (!score.userId || score.scoreGiven === undefined || !score.timestamp) {
+    return sendJson(res, 400, { error: 'userId, scoreGiven and timestamp are required' });
+  }
+
+  scores.push({ ...score, lineItemId: item.id });
+  console.log(`Score for ${score.userId} in "${item.label}": ${score.scoreGiven}/${score.scoreMaximum}`);
+
+  res.writeHead(204);
+  res.end();
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (url.pathname === '/' && req.method === 'GET') {
+      return sendHtml(res, renderHome());
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (url.pathname === '/launch' && req.method === 'POST') {
+      return await handleLaunch(req, res);
+    }
+
+    if (url.pathname === '/auth') {
+      return await handleAuth(req, res, url);
+    }
+
+    if (url.pathname === '/deep-link-return' && req.method === 'POST') {
+      return await handleDeepLinkReturn(req, res);
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      return await handleToken(req, res);
+    }
+
+    if (url.pathname === '/lineitems') {
+      return await handleLineItems(req, res, url);
+    }
+
+    if (url.pathname.startsWith('/lineitems/')) {
+      return await handleLineItem(req, res, url);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock LTI error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LTI platform running at ${ISSUER}`);
+});
@@ -0,0 +1,173 @@
+// Minimal OpenID Connect provider for local testing of the SSO login.
+// NOT for production: it signs in whoever fills the form.
+//
+//   node mock-oidc-provider.js
+//
+// Then set in .env:
+//   OIDC_ENABLED=true
+//   OIDC_ISSUER=http://localhost:4400
+//   OIDC_CLIENT_ID=asiste-university
+//   OIDC_REDIRECT_URI=http://localhost:5001/api/auth/oidc/callback
+//   OIDC_ROLE_MAPPING={"admin":["lms-admins"],"formador":["lms-formadores"]}
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const authorizationCodes = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+});
+
+const renderLoginForm = (query) => `<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock OIDC provider</h2>
+  <form method="post" action="/authorize">
+    ${Object.entries(query).map(([key, value]) =>
+      `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('')}
+    <p><label>Email<br><input name="email" value="${escapeHtml(query.login_hint || 'agente@asisteuniversity.com')}" size="40"></label></p>
+    <p><label>Name<br><input name="name" value="Agente de Prueba" size="40"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" value="" size="40"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`;
+
+const handleAuthorize = async (req, res, url) => {
+  const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(url.searchParams);
+
+  if (!params.redirect_uri || !params.client_id) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'client_id and redirect_uri are required' });
+  }
+
+  if (params.code_challenge_method && params.code_challenge_method !== 'S256') {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'Only S256 PKCE is supported' });
+  }
+
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(renderLoginForm(params));
+  }
+
+  const code = base64Url(crypto.randomBytes(24));
+
+  authorizationCodes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    user: {
+      sub: crypto.createHash('sha256').update(params.email.toLowerCase()).digest('hex').substring(0, 24),
+      email: params.email,
+      email_verified: true,
+      name: params.name,
+      groups: String(params.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    },
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+
+  if (params.state) {
+    redirect.searchParams.set('state', params.state);
+  }
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const params = await readForm(req);
+  const entry = authorizationCodes.get(params.code);
+  authorizationCodes.delete(params.code);
+
+  if (params.grant_type !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  if (entry.clientId !== params.client_id || entry.redirectUri !== params.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+  }
+
+  if (entry.codeChallenge) {
+    const challenge = base64Url(crypto.createHash('sha256').update(params.code_verifier || '').digest());
+
+    if (challenge !== entry.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.user, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: entry.clientId, expiresIn: '5m' }
+  );
+
+  sendJson(res, 200, {
+    access_token: base64Url(crypto.randomBytes(24)),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (url.pathname === '/authorize') {
+      return await handleAuthorize(req, res, url);
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      return await handleToken(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -0,0 +1,36 @@
+-- Migración al sistema de permisos (roles como datos)
+-- Ejecutar en bases de datos existentes ANTES de `node init-db.js`.
+-- init-db.js crea las tablas roles / permissions / role_permissions, carga el
+-- catálogo de permisos y asigna a cada usuario el rol de sistema de su users.role.
+-- Se puede ejecutar más de una vez: si users.role_id ya existe (también la crea
+-- init-db.js) no cambia nada.
+
+CREATE TABLE IF NOT EXISTS roles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description VARCHAR(255) NULL,
+  base_role ENUM('admin', 'formador', 'estudiante') NOT NULL,
+  is_system BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+SET @add_role_id = (
+  SELECT COUNT(*) = 0 FROM information_schema.COLUMNS
+  WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role_id'
+);
+
+SET @sql = IF(@add_role_id, 'ALTER TABLE users ADD COLUMN role_id INT NULL AFTER role', 'DO 0');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = IF(@add_role_id,
+  'ALTER TABLE users ADD CONSTRAINT fk_users_role FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE SET NULL',
+  'DO 0');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- Verificar después de ejecutar init-db.js:
+-- SELECT u.email, u.role, r.name FROM users u LEFT JOIN roles r ON u.role_id = r.id;
@@ -1,6 +1,17 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { tenantParam } = require('../utils/tenants');
+const {
+  hasPublishedVersions,
+  getStudentCourseVersion,
+  findSnapshotActivity,
+  summarizeSnapshotActivity
+} = require('../utils/course-versions');
+const { emitActivityCompleted } = require('../utils/xapi');
+const { publishActivityCompleted } = require('../utils/webhooks');
+const { getActivityLocks, getActivityLock } = require('../utils/sequencing');
+const { advanceLearningPaths } = require('../utils/learning-paths');
 
 const router = express.Router();
 
@@ -9,23 +20,48 @@ const router = express.Router();
  * /api/activities/course/{courseId}:
  *   get:
  *     summary: Get activities for a course
+ *     description: |
+ *       Students also get whether each activity is locked by the sequencing
+ *       rules of their version (is_locked), why (lock_reason) and the unmet
+ *       requirements.
  *     tags: [Activities]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/course/:courseId', auth, async (req, res) => {
+router.get('/course/:courseId', auth, tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
+    // Students get the activities of the version they are pinned to
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [courseId, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(courseId, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      if (!pinned.snapshot) {
+        return res.status(404).json({ message: 'This course has not been published yet' });
+      }
+
+      const [progressRows] = await pool.execute(
+        `SELECT ap.activity_id FROM activity_progress ap
+         JOIN activities a ON ap.activity_id = a.id
+         WHERE a.course_id = ? AND ap.student_id = ? AND ap.completed = TRUE`,
+        [courseId, req.user.id]
+      );
+
+      const completed = new Set(progressRows.map(row => row.activity_id));
+      const locks = await getActivityLocks(pinned.snapshot, req.user.id);
+
+      return res.json({
+        sequence_mode: pinned.snapshot.course.sequence_mode || 'free',
+        activities: pinned.snapshot.activities.map(activity => ({
+          ...summarizeSnapshotActivity(activity, courseId),
+          is_completed: completed.has(activity.id) ? 1 : 0,
+          ...locks.get(activity.id)
+        }))
+      });
     }
 
     const [rows] = await pool.execute(
@@ -34,10 +70,10 @@ router.get('/course/:courseId', auth, async (req, res) => {
               COUNT(DISTINCT q.id) as quiz_count,
               MAX(ap.completed) as is_completed
        FROM activities a
-       LEFT JOIN workshops w ON a.id = w.activity_id
-       LEFT JOIN quizzes q ON a.id = q.activity_id
+       LEFT JOIN workshops w ON a.id = w.activity_id AND w.archived_at IS NULL
+       LEFT JOIN quizzes q ON a.id = q.activity_id AND q.archived_at IS NULL
        LEFT JOIN activity_progress ap ON a.id = ap.activity_id AND ap.student_id = ?
-       WHERE a.course_id = ?
+       WHERE a.course_id = ? AND a.archived_at IS NULL
        GROUP BY a.id, a.title, a.description, a.content_type, a.content_url, a.course_id, a.order_index, a.created_at
        ORDER BY a.order_index ASC`,
       [req.user.id, courseId]
@@ -59,7 +95,7 @@ router.get('/course/:courseId', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, tenantParam('activity'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -78,15 +114,39 @@ router.get('/:id', auth, async (req, res) => {
 
     const activity = activityRows[0];
 
+    // Students get the activity as it is in the version they are pinned to
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [activity.course_id, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(activity.course_id, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      const versionActivity = pinned.snapshot && findSnapshotActivity(pinned.snapshot, id);
+
+      if (!versionActivity) {
+        return res.status(404).json({ message: 'Activity not found' });
+      }
+
+      const lock = await getActivityLock(pinned.snapshot, id, req.user.id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      return res.json({
+        activity: {
+          ...summarizeSnapshotActivity(versionActivity, activity.course_id),
+          is_completed: activity.is_completed,
+          content_blocks: versionActivity.content_blocks.map(block => ({ ...block, activity_id: versionActivity.id })),
+          workshops: versionActivity.workshops.map(({ questions, ...workshop }) => ({ ...workshop, activity_id: versionActivity.id })),
+          quizzes: versionActivity.quizzes.map(({ questions, ...quiz }) => ({ ...quiz, activity_id: versionActivity.id }))
+        }
+      });
+    }
+
+    if (activity.archived_at) {
+      return res.status(404).json({ message: 'Activity not found' });
     }
 
     // Get content blocks
@@ -96,12 +156,12 @@ router.get('/:id', auth, async (req, res) => {
     );
 
     const [workshopRows] = await pool.execute(
-      'SELECT * FROM workshops WHERE activity_id = ? ORDER BY order_index ASC',
+      'SELECT * FROM workshops WHERE activity_id = ? AND archived_at IS NULL ORDER BY order_index ASC',
       [id]
     );
 
     const [quizRows] = await pool.execute(
-      'SELECT * FROM quizzes WHERE activity_id = ? ORDER BY id ASC',
+      'SELECT * FROM quizzes WHERE activity_id = ? AND archived_at IS NULL ORDER BY id ASC',
       [id]
     );
 
@@ -125,7 +185,7 @@ router.get('/:id', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin'), async (req, res) => {
+router.post('/', auth, can('course.edit'), tenantParam('course', 'course_id', { write: true, source: 'body' }), async (req, res) => {
   try {
     const { title, description, course_id, order_index } = req.body;
 
@@ -163,7 +223,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin'), async (req, res) => {
+router.put('/:id', auth, can('course.edit'), tenantParam('activity', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, order_index } = req.body;
@@ -173,7 +233,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
     }
 
     const [result] = await pool.execute(
-      'UPDATE activities SET title = ?, description = ?, order_index = ? WHERE id = ?',
+      'UPDATE activities SET title = ?, description = ?, order_index = ? WHERE id = ? AND archived_at IS NULL',
       [title, description || '', order_index || 0, id]
     );
 
@@ -197,7 +257,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/:id/complete', auth, authorize('estudiante'), async (req, res) => {
+router.post('/:id/complete', auth, can('learning.participate'), tenantParam('activity'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -210,15 +270,22 @@ router.post('/:id/complete', auth, authorize('estudiante'), async (req, res) =>
       return res.status(404).json({ message: 'Activity not found' });
     }
 
-    const [assignmentRows] = await pool.execute(
-      'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-      [activityRows[0].course_id, req.user.id]
-    );
+    const pinned = await getStudentCourseVersion(activityRows[0].course_id, req.user.id);
 
-    if (assignmentRows.length === 0) {
+    if (!pinned) {
       return res.status(403).json({ message: 'You are not assigned to this course' });
     }
 
+    if (!pinned.snapshot || !findSnapshotActivity(pinned.snapshot, id)) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    const lock = await getActivityLock(pinned.snapshot, id, req.user.id);
+
+    if (lock) {
+      return res.status(403).json(lock);
+    }
+
     await pool.execute(
       `INSERT INTO activity_progress (student_id, activity_id, completed, completed_at) 
        VALUES (?, ?, TRUE, NOW()) 
@@ -226,6 +293,10 @@ router.post('/:id/complete', auth, authorize('estudiante'), async (req, res) =>
       [req.user.id, id]
     );
 
+    emitActivityCompleted(req.user.id, id);
+    publishActivityCompleted(req.user.id, id);
+    advanceLearningPaths(req.user.id, id);
+
     res.json({ message: 'Activity marked as completed' });
   } catch (error) {
     console.error('Complete activity error:', error);
@@ -242,16 +313,26 @@ router.post('/:id/complete', auth, authorize('estudiante'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, can('course.edit'), tenantParam('activity', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const [result] = await pool.execute('DELETE FROM activities WHERE id = ?', [id]);
+    const [activityRows] = await pool.execute(
+      'SELECT course_id FROM activities WHERE id = ? AND archived_at IS NULL',
+      [id]
+    );
 
-    if (result.affectedRows === 0) {
+    if (activityRows.length === 0) {
       return res.status(404).json({ message: 'Activity not found' });
     }
 
+    // Published versions (and the progress of their students) still use it
+    if (await hasPublishedVersions(activityRows[0].course_id)) {
+      await pool.execute('UPDATE activities SET archived_at = NOW() WHERE id = ?', [id]);
+    } else {
+      await pool.execute('DELETE FROM activities WHERE id = ?', [id]);
+    }
+
     res.json({ message: 'Activity deleted successfully' });
   } catch (error) {
     console.error('Delete activity error:', error);
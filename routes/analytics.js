@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { buildTenantFilter, buildTenantUserFilter } = require('../utils/tenants');
 
 const router = express.Router();
 
@@ -9,18 +10,24 @@ const router = express.Router();
  * /api/analytics/dashboard:
  *   get:
  *     summary: Get dashboard analytics data
+ *     description: Inside a tenant only its users count, and courses are its own plus the shared library.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/dashboard', auth, can('analytics.view'), async (req, res) => {
   try {
+    const userTenant = buildTenantFilter(req, 'tenant_id');
+    const courseTenant = buildTenantFilter(req, 'c.tenant_id', { shared: true });
+    const studentTenant = buildTenantUserFilter(req, 'student_id');
+
     // Get total users by role
     const [usersByRole] = await pool.execute(`
       SELECT role, COUNT(*) as count 
       FROM users 
+      WHERE 1 = 1${userTenant.clause}
       GROUP BY role
-    `);
+    `, userTenant.params);
 
     // Get total courses and activities
     const [coursesData] = await pool.execute(`
@@ -33,7 +40,8 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
       LEFT JOIN activities a ON c.id = a.course_id
       LEFT JOIN workshops w ON a.id = w.activity_id
       LEFT JOIN quizzes q ON a.id = q.activity_id
-    `);
+      WHERE 1 = 1${courseTenant.clause}
+    `, courseTenant.params);
 
     // Get enrollment statistics
     const [enrollmentStats] = await pool.execute(`
@@ -42,7 +50,8 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         COUNT(DISTINCT student_id) as unique_students,
         COUNT(DISTINCT course_id) as courses_with_students
       FROM course_assignments
-    `);
+      WHERE 1 = 1${studentTenant.clause}
+    `, studentTenant.params);
 
     // Get average grades
     const [gradesStats] = await pool.execute(`
@@ -51,7 +60,8 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         COUNT(DISTINCT student_id) as students_with_grades,
         COUNT(*) as total_quiz_attempts
       FROM grades
-    `);
+      WHERE 1 = 1${studentTenant.clause}
+    `, studentTenant.params);
 
     const [workshopGradesStats] = await pool.execute(`
       SELECT 
@@ -59,7 +69,8 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         COUNT(DISTINCT student_id) as students_with_workshop_grades,
         COUNT(*) as total_workshop_attempts
       FROM workshop_grades
-    `);
+      WHERE 1 = 1${studentTenant.clause}
+    `, studentTenant.params);
 
     // Get grades distribution
     const [gradesDistribution] = await pool.execute(`
@@ -73,13 +84,13 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         END as grade_range,
         COUNT(*) as count
       FROM (
-        SELECT percentage FROM grades
+        SELECT percentage FROM grades WHERE 1 = 1${studentTenant.clause}
         UNION ALL
-        SELECT percentage FROM workshop_grades
+        SELECT percentage FROM workshop_grades WHERE 1 = 1${studentTenant.clause}
       ) all_grades
       GROUP BY grade_range
       ORDER BY MIN(percentage) DESC
-    `);
+    `, [...studentTenant.params, ...studentTenant.params]);
 
     // Get monthly student registration trend (last 6 months)
     const [enrollmentTrend] = await pool.execute(`
@@ -87,10 +98,10 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         DATE_FORMAT(created_at, '%Y-%m') as month,
         COUNT(*) as enrollments
       FROM users
-      WHERE role = 'estudiante' AND created_at >= DATE_SUB(NOW(), INTERVAL 6 MONTH)
+      WHERE role = 'estudiante' AND created_at >= DATE_SUB(NOW(), INTERVAL 6 MONTH)${userTenant.clause}
       GROUP BY DATE_FORMAT(created_at, '%Y-%m')
       ORDER BY month ASC
-    `);
+    `, userTenant.params);
 
     // Get satisfaction statistics (course surveys)
     const [satisfactionStats] = await pool.execute(`
@@ -102,7 +113,8 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         COUNT(*) as total_surveys,
         SUM(CASE WHEN would_recommend = 1 THEN 1 ELSE 0 END) as would_recommend_count
       FROM satisfaction_surveys
-    `);
+      WHERE 1 = 1${studentTenant.clause}
+    `, studentTenant.params);
 
     // Get general satisfaction statistics (student overall experience)
     const [generalSatisfactionStats] = await pool.execute(`
@@ -115,7 +127,8 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         COUNT(*) as total_surveys,
         SUM(CASE WHEN would_recommend = 1 THEN 1 ELSE 0 END) as would_recommend_count
       FROM general_satisfaction_surveys
-    `);
+      WHERE 1 = 1${studentTenant.clause}
+    `, studentTenant.params);
 
     // Get satisfaction trends over time (general surveys)
     const [satisfactionTrend] = await pool.execute(`
@@ -124,12 +137,15 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         AVG(overall_experience) as avg_experience,
         COUNT(*) as survey_count
       FROM general_satisfaction_surveys
-      WHERE submitted_at >= DATE_SUB(NOW(), INTERVAL 6 MONTH)
+      WHERE submitted_at >= DATE_SUB(NOW(), INTERVAL 6 MONTH)${studentTenant.clause}
       GROUP BY DATE_FORMAT(submitted_at, '%Y-%m')
       ORDER BY month ASC
-    `);
+    `, studentTenant.params);
 
     // Get course completion rates
+    const enrollmentTenant = buildTenantUserFilter(req, 'ca.student_id');
+    const progressTenant = buildTenantUserFilter(req, 'ap.student_id');
+
     const [completionRates] = await pool.execute(`
       SELECT 
         c.id,
@@ -138,16 +154,19 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         COUNT(DISTINCT ap.student_id) as students_with_progress,
         ROUND((COUNT(DISTINCT ap.student_id) / NULLIF(COUNT(DISTINCT ca.student_id), 0)) * 100, 2) as completion_rate
       FROM courses c
-      LEFT JOIN course_assignments ca ON c.id = ca.course_id
+      LEFT JOIN course_assignments ca ON c.id = ca.course_id${enrollmentTenant.clause}
       LEFT JOIN activities a ON c.id = a.course_id
-      LEFT JOIN activity_progress ap ON a.id = ap.activity_id AND ap.completed = 1
+      LEFT JOIN activity_progress ap ON a.id = ap.activity_id AND ap.completed = 1${progressTenant.clause}
+      WHERE 1 = 1${courseTenant.clause}
       GROUP BY c.id, c.title
       HAVING enrolled_students > 0
       ORDER BY completion_rate DESC
       LIMIT 10
-    `);
+    `, [...enrollmentTenant.params, ...progressTenant.params, ...courseTenant.params]);
 
     // Get top performing students
+    const topStudentTenant = buildTenantFilter(req, 'u.tenant_id');
+
     const [topStudents] = await pool.execute(`
       SELECT 
         u.id,
@@ -158,12 +177,12 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
       FROM users u
       LEFT JOIN grades g ON u.id = g.student_id
       LEFT JOIN workshop_grades wg ON u.id = wg.student_id
-      WHERE u.role = 'estudiante'
+      WHERE u.role = 'estudiante'${topStudentTenant.clause}
       GROUP BY u.id, u.name
       HAVING quizzes_taken > 0 OR workshops_taken > 0
       ORDER BY avg_grade DESC
       LIMIT 10
-    `);
+    `, topStudentTenant.params);
 
     // Get activity by day of week
     const [activityByDay] = await pool.execute(`
@@ -171,14 +190,14 @@ router.get('/dashboard', auth, authorize('admin', 'formador'), async (req, res)
         DAYNAME(completed_at) as day_name,
         COUNT(*) as count
       FROM (
-        SELECT completed_at FROM grades
+        SELECT completed_at FROM grades WHERE 1 = 1${studentTenant.clause}
         UNION ALL
-        SELECT completed_at FROM workshop_grades
+        SELECT completed_at FROM workshop_grades WHERE 1 = 1${studentTenant.clause}
       ) all_completions
       WHERE completed_at IS NOT NULL
       GROUP BY DAYNAME(completed_at), DAYOFWEEK(completed_at)
       ORDER BY DAYOFWEEK(completed_at)
-    `);
+    `, [...studentTenant.params, ...studentTenant.params]);
 
     res.json({
       usersByRole,
@@ -0,0 +1,279 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { generateApiKey, parseJsonList, isValidAllowlistEntry } = require('../utils/api-keys');
+const { isApiKeyScope } = require('../config/permissions');
+const { holdsPermission } = require('../utils/permissions');
+const { buildTenantFilter, tenantParam } = require('../utils/tenants');
+
+const router = express.Router();
+
+// Validates the editable fields shared by create and update. A key can only
+// carry permissions the admin creating or editing it holds.
+const validateApiKeyInput = ({ name, scopes, ip_allowlist, rate_limit_per_minute, expires_at }, heldPermissions) => {
+  if (!name) {
+    return 'Name is required';
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+
+  const invalidScopes = scopes.filter(scope => !isApiKeyScope(scope));
+
+  if (invalidScopes.length > 0) {
+    return `Invalid scopes for an API key: ${invalidScopes.join(', ')}`;
+  }
+
+  const notHeld = scopes.filter(scope => !holdsPermission(heldPermissions, scope));
+
+  if (notHeld.length > 0) {
+    return `You cannot give an API key permissions you do not have: ${notHeld.join(', ')}`;
+  }
+
+  if (ip_allowlist !== undefined && ip_allowlist !== null) {
+    if (!Array.isArray(ip_allowlist) || !ip_allowlist.every(isValidAllowlistEntry)) {
+      return 'ip_allowlist must be a list of IP addresses or IPv4 CIDR ranges';
+    }
+  }
+
+  if (rate_limit_per_minute !== undefined && rate_limit_per_minute !== null) {
+    if (!Number.isInteger(rate_limit_per_minute) || rate_limit_per_minute < 1) {
+      return 'rate_limit_per_minute must be a positive integer';
+    }
+  }
+
+  if (expires_at && Number.isNaN(new Date(expires_at).getTime())) {
+    return 'expires_at must be a valid date';
+  }
+
+  return null;
+};
+
+const formatApiKey = (row) => ({
+  ...row,
+  scopes: parseJsonList(row.scopes),
+  ip_allowlist: parseJsonList(row.ip_allowlist)
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get API keys (the secret itself is never returned)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('api_keys.manage'), async (req, res) => {
+  try {
+    // A key belongs to the tenant of the admin who created it
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
+    const [rows] = await pool.execute(
+      `SELECT k.id, k.name, k.key_prefix, k.scopes, k.ip_allowlist, k.rate_limit_per_minute,
+              k.expires_at, k.last_used_at, k.last_used_ip, k.created_at, k.revoked_at,
+              k.created_by, u.name as created_by_name,
+              CASE
+                WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+                WHEN k.expires_at IS NOT NULL AND k.expires_at <= NOW() THEN 'expired'
+                ELSE 'active'
+              END as status
+       FROM api_keys k
+       JOIN users u ON k.created_by = u.id
+       WHERE 1 = 1${tenant.clause}
+       ORDER BY k.created_at DESC`,
+      tenant.params
+    );
+
+    res.json({ apiKeys: rows.map(formatApiKey) });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       The key is returned only once. Integrations send it as `X-API-Key: ak_...`
+ *       (or `Authorization: Bearer ak_...`) on any endpoint covered by its scopes.
+ *       Scopes are limited to the permissions of the admin creating the key,
+ *       and a key loses those its creator no longer has.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [grades.view.all, enrollments.view.all]
+ *               ip_allowlist:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [203.0.113.10, 10.0.0.0/24]
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ */
+router.post('/', auth, can('api_keys.manage'), async (req, res) => {
+  try {
+    const { name, scopes, ip_allowlist, rate_limit_per_minute, expires_at } = req.body;
+
+    const validationError = validateApiKeyInput(req.body, req.permissions);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const [result] = await pool.execute(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, ip_allowlist, rate_limit_per_minute, expires_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        keyPrefix,
+        keyHash,
+        JSON.stringify(scopes),
+        ip_allowlist && ip_allowlist.length > 0 ? JSON.stringify(ip_allowlist) : null,
+        rate_limit_per_minute || null,
+        expires_at ? new Date(expires_at) : null,
+        req.user.id
+      ]
+    );
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'api_key_created',
+      details: { api_key_id: result.insertId, name, scopes },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      apiKey: {
+        id: result.insertId,
+        name,
+        key,
+        key_prefix: keyPrefix,
+        scopes,
+        ip_allowlist: ip_allowlist || [],
+        rate_limit_per_minute: rate_limit_per_minute || null,
+        expires_at: expires_at || null
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   put:
+ *     summary: Update the name, scopes, IP allowlist, rate limit or expiry of an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', auth, can('api_keys.manage'), tenantParam('api_key'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, scopes, ip_allowlist, rate_limit_per_minute, expires_at } = req.body;
+
+    const validationError = validateApiKeyInput(req.body, req.permissions);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE api_keys
+       SET name = ?, scopes = ?, ip_allowlist = ?, rate_limit_per_minute = ?, expires_at = ?
+       WHERE id = ? AND revoked_at IS NULL`,
+      [
+        name,
+        JSON.stringify(scopes),
+        ip_allowlist && ip_allowlist.length > 0 ? JSON.stringify(ip_allowlist) : null,
+        rate_limit_per_minute || null,
+        expires_at ? new Date(expires_at) : null,
+        id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'API key not found or revoked' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'api_key_updated',
+      details: { api_key_id: Number(id), name, scopes },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'API key updated successfully' });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('api_keys.manage'), tenantParam('api_key'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.execute(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'API key not found or already revoked' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'api_key_revoked',
+      details: { api_key_id: Number(id) },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
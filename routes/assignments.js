@@ -1,6 +1,10 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, hasPermission } = require('../middleware/auth');
+const { OWN_STUDENTS_SQL } = require('../utils/permissions');
+const { buildTenantFilter, buildTenantUserFilter, tenantParam } = require('../utils/tenants');
+const { emitCourseEnrollments } = require('../utils/xapi');
+const { publishEnrollments } = require('../utils/webhooks');
 
 const router = express.Router();
 
@@ -13,7 +17,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/', auth, can('enrollments.view'), async (req, res) => {
   try {
     let query = `
       SELECT ca.*, c.title as course_title, s.name as student_name, s.email as student_email,
@@ -24,11 +28,14 @@ router.get('/', auth, authorize('admin', 'formador'), async (req, res) => {
       JOIN users u ON ca.assigned_by = u.id
     `;
 
-    let params = [];
+    const tenant = buildTenantFilter(req, 's.tenant_id');
 
-    if (req.user.role === 'formador') {
-      query += ' WHERE ca.assigned_by = ? OR ca.student_id IN (SELECT student_id FROM student_formador WHERE formador_id = ?)';
-      params = [req.user.id, req.user.id];
+    query += ` WHERE 1 = 1${tenant.clause}`;
+    let params = [...tenant.params];
+
+    if (!hasPermission(req, 'enrollments.view')) {
+      query += ` AND (ca.assigned_by = ? OR ca.student_id IN (${OWN_STUDENTS_SQL}))`;
+      params.push(req.user.id, req.user.id, req.user.id);
     }
 
     query += ' ORDER BY ca.assigned_at DESC';
@@ -51,7 +58,7 @@ router.get('/', auth, authorize('admin', 'formador'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
+router.post('/', auth, can('enrollments.manage'), tenantParam('user', 'student_id', { source: 'body' }), tenantParam('course', 'course_id', { source: 'body' }), async (req, res) => {
   try {
     const { course_id, student_id } = req.body;
 
@@ -60,7 +67,7 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
     }
 
     const [studentRows] = await pool.execute(
-      'SELECT id, role FROM users WHERE id = ? AND role = "estudiante"',
+      'SELECT id, role, status FROM users WHERE id = ? AND role = "estudiante"',
       [student_id]
     );
 
@@ -68,6 +75,10 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    if (studentRows[0].status !== 'active') {
+      return res.status(400).json({ message: `Student account is ${studentRows[0].status}` });
+    }
+
     const [courseRows] = await pool.execute(
       'SELECT id FROM courses WHERE id = ?',
       [course_id]
@@ -86,6 +97,9 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
         [course_id, student_id, req.user.id]
       );
 
+      emitCourseEnrollments([{ studentId: student_id, courseId: course_id }]);
+      publishEnrollments([{ studentId: student_id, courseId: course_id }]);
+
       res.status(201).json({ message: 'Course assigned successfully' });
     } catch (error) {
       if (error.code === 'ER_DUP_ENTRY') {
@@ -108,20 +122,24 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin', 'formador'), async (req, res) => {
+router.delete('/:id', auth, can('enrollments.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
     let query = 'DELETE FROM course_assignments WHERE id = ?';
     let params = [id];
 
-    if (req.user.role === 'formador') {
-      query = `DELETE ca FROM course_assignments ca 
-               JOIN student_formador sf ON ca.student_id = sf.student_id 
-               WHERE ca.id = ? AND sf.formador_id = ?`;
-      params = [id, req.user.id];
+    // Without enrollments.view.all only assignments of own students can be removed
+    if (!hasPermission(req, 'enrollments.view')) {
+      query = `DELETE FROM course_assignments
+               WHERE id = ? AND student_id IN (SELECT own.student_id FROM (${OWN_STUDENTS_SQL}) own)`;
+      params = [id, req.user.id, req.user.id];
     }
 
+    const tenant = buildTenantUserFilter(req, 'student_id');
+    query += tenant.clause;
+    params.push(...tenant.params);
+
     const [result] = await pool.execute(query, params);
 
     if (result.affectedRows === 0) {
@@ -144,7 +162,7 @@ router.delete('/:id', auth, authorize('admin', 'formador'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.get('/student/:studentId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/student/:studentId', auth, can('enrollments.manage'), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
@@ -178,7 +196,7 @@ router.get('/student/:studentId', auth, authorize('admin', 'formador'), async (r
  *     security:
  *       - bearerAuth: []
  */
-router.get('/student/:studentId/courses', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/student/:studentId/courses', auth, can('enrollments.manage'), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
@@ -207,7 +225,7 @@ router.get('/student/:studentId/courses', auth, authorize('admin', 'formador'),
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/student/:studentId/course/:courseId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.delete('/student/:studentId/course/:courseId', auth, can('enrollments.manage'), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId, courseId } = req.params;
 
@@ -239,13 +257,15 @@ router.delete('/student/:studentId/course/:courseId', auth, authorize('admin', '
  *     security:
  *       - bearerAuth: []
  */
-router.get('/course/:courseId/students', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/course/:courseId/students', auth, can('enrollments.manage'), tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
     // For formadores, we allow access to all courses since they can assign courses to students
     // This is consistent with the course listing endpoint
 
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
     // Get all students with their assignment status for this course
     const [rows] = await pool.execute(
       `SELECT u.id, u.name, u.email, u.profile_image,
@@ -253,9 +273,9 @@ router.get('/course/:courseId/students', auth, authorize('admin', 'formador'), a
               CASE WHEN ca.id IS NOT NULL THEN 1 ELSE 0 END as is_assigned
        FROM users u
        LEFT JOIN course_assignments ca ON u.id = ca.student_id AND ca.course_id = ?
-       WHERE u.role = 'estudiante'
+       WHERE u.role = 'estudiante'${tenant.clause}
        ORDER BY is_assigned DESC, u.name ASC`,
-      [courseId]
+      [courseId, ...tenant.params]
     );
 
     const assignedStudents = rows.filter(student => student.is_assigned);
@@ -281,7 +301,7 @@ router.get('/course/:courseId/students', auth, authorize('admin', 'formador'), a
  *     security:
  *       - bearerAuth: []
  */
-router.get('/formador-students', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/formador-students', auth, can('enrollments.view'), async (req, res) => {
   try {
     let query = `
       SELECT sf.*, 
@@ -292,12 +312,15 @@ router.get('/formador-students', auth, authorize('admin', 'formador'), async (re
       JOIN users f ON sf.formador_id = f.id
     `;
 
-    let params = [];
+    const tenant = buildTenantFilter(req, 's.tenant_id');
+
+    query += ` WHERE 1 = 1${tenant.clause}`;
+    let params = [...tenant.params];
 
-    // If formador, only show their own assignments
-    if (req.user.role === 'formador') {
-      query += ' WHERE sf.formador_id = ?';
-      params = [req.user.id];
+    // Restricted viewers only see their own assignments
+    if (!hasPermission(req, 'enrollments.view')) {
+      query += ' AND sf.formador_id = ?';
+      params.push(req.user.id);
     }
 
     query += ' ORDER BY sf.assigned_at DESC';
@@ -320,7 +343,7 @@ router.get('/formador-students', auth, authorize('admin', 'formador'), async (re
  *     security:
  *       - bearerAuth: []
  */
-router.get('/formador-students/:studentId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/formador-students/:studentId', auth, can('enrollments.view'), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
@@ -334,8 +357,8 @@ router.get('/formador-students/:studentId', auth, authorize('admin', 'formador')
 
     let params = [studentId];
 
-    // If formador, only show if they are assigned to this student
-    if (req.user.role === 'formador') {
+    // Restricted viewers only see the assignment if they are the student's formador
+    if (!hasPermission(req, 'enrollments.view')) {
       query += ' AND sf.formador_id = ?';
       params.push(req.user.id);
     }
@@ -360,7 +383,7 @@ router.get('/formador-students/:studentId', auth, authorize('admin', 'formador')
  *     security:
  *       - bearerAuth: []
  */
-router.post('/formador-students', auth, authorize('admin'), async (req, res) => {
+router.post('/formador-students', auth, can('formadores.manage'), tenantParam('user', 'formador_id', { source: 'body' }), tenantParam('user', 'student_id', { source: 'body' }), async (req, res) => {
   try {
     const { formador_id, student_id } = req.body;
 
@@ -369,7 +392,7 @@ router.post('/formador-students', auth, authorize('admin'), async (req, res) =>
     }
 
     const [formadorRows] = await pool.execute(
-      'SELECT id FROM users WHERE id = ? AND role = "formador"',
+      'SELECT id, status FROM users WHERE id = ? AND role = "formador"',
       [formador_id]
     );
 
@@ -378,7 +401,7 @@ router.post('/formador-students', auth, authorize('admin'), async (req, res) =>
     }
 
     const [studentRows] = await pool.execute(
-      'SELECT id FROM users WHERE id = ? AND role = "estudiante"',
+      'SELECT id, status FROM users WHERE id = ? AND role = "estudiante"',
       [student_id]
     );
 
@@ -386,6 +409,14 @@ router.post('/formador-students', auth, authorize('admin'), async (req, res) =>
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    if (formadorRows[0].status !== 'active') {
+      return res.status(400).json({ message: `Formador account is ${formadorRows[0].status}` });
+    }
+
+    if (studentRows[0].status !== 'active') {
+      return res.status(400).json({ message: `Student account is ${studentRows[0].status}` });
+    }
+
     try {
       await pool.execute(
         'INSERT INTO student_formador (student_id, formador_id) VALUES (?, ?)',
@@ -414,7 +445,7 @@ router.post('/formador-students', auth, authorize('admin'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/formador-students/:studentId/:formadorId', auth, authorize('admin'), async (req, res) => {
+router.delete('/formador-students/:studentId/:formadorId', auth, can('formadores.manage'), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId, formadorId } = req.params;
 
@@ -1,11 +1,39 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
-const { auth } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { loginLimiter, resetPasswordLimiter, forgotPasswordLimiter } = require('../middleware/rate-limit');
+const {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
+const { logAudit } = require('../utils/audit');
+const { isLocalLoginAllowed } = require('../utils/oidc');
+const { isLdapEnabled, findDirectoryUser, verifyDirectoryPassword } = require('../utils/ldap');
+const { findUserByIdentity } = require('../utils/identities');
+const { getLoginBlockMessage } = require('../utils/user-status');
+const { syncDirectoryUser } = require('../utils/directory-sync');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { tenantParam, resolveDefaultTenant } = require('../utils/tenants');
+const { getUserPermissions, holdsPermission } = require('../utils/permissions');
+const { LEARNER_PERMISSIONS } = require('../config/permissions');
+const { publishUsersCreated } = require('../utils/webhooks');
+const {
+  recordLoginAttempt,
+  getLockState,
+  registerFailedLogin,
+  completeLogin,
+  sendLockedResponse
+} = require('../utils/login-protection');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
 /**
  * @swagger
  * components:
@@ -28,7 +56,8 @@ const router = express.Router();
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Self-register a student account (only when PUBLIC_REGISTRATION=estudiante)
+ *     description: New accounts are normally created through invitations (/api/invitations).
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -40,7 +69,6 @@ const router = express.Router();
  *               - name
  *               - email
  *               - password
- *               - role
  *             properties:
  *               name:
  *                 type: string
@@ -50,18 +78,23 @@ const router = express.Router();
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [admin, formador, estudiante]
+ *                 enum: [estudiante]
  */
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
+    const role = req.body.role || 'estudiante';
+
+    if (process.env.PUBLIC_REGISTRATION !== 'estudiante') {
+      return res.status(403).json({ message: 'Public registration is disabled. Ask for an invitation.' });
+    }
 
-    if (!name || !email || !password || !role) {
+    if (!name || !email || !password) {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
-    if (!['admin', 'formador', 'estudiante'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role' });
+    if (role !== 'estudiante') {
+      return res.status(403).json({ message: 'Only student accounts can be self-registered' });
     }
 
     const [existingUser] = await pool.execute(
@@ -73,23 +106,28 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Email already registered' });
     }
 
+    const tenant = await resolveDefaultTenant();
+
+    if (tenant.error) {
+      return res.status(403).json({ message: tenant.error });
+    }
+
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
     const [result] = await pool.execute(
-      'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
-      [name, email, hashedPassword, role]
+      'INSERT INTO users (name, email, password, role, tenant_id) VALUES (?, ?, ?, ?, ?)',
+      [name, email, hashedPassword, role, tenant.tenantId]
     );
 
-    const token = jwt.sign(
-      { userId: result.insertId },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    publishUsersCreated([result.insertId]);
+
+    const { token, refreshToken } = await createSession(result.insertId, req);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
+      refreshToken,
       user: {
         id: result.insertId,
         name,
@@ -103,11 +141,66 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Bind against the directory with the user's own DN. Lockout counters live on
+// the linked local account, so repeated failures stop here before they can
+// lock the Active Directory account itself.
+const loginWithDirectory = async (directoryUser, login, password, req, res) => {
+  let localUser = await findUserByIdentity('ldap', directoryUser.subject);
+
+  if (!localUser && directoryUser.email) {
+    const [rows] = await pool.execute(
+      'SELECT id, name, email, role, status FROM users WHERE email = ?',
+      [directoryUser.email]
+    );
+    localUser = rows[0] || null;
+  }
+
+  if (localUser) {
+    const lockState = await getLockState(localUser.id);
+
+    if (lockState.locked) {
+      await recordLoginAttempt({ userId: localUser.id, email: login, req, success: false, failureReason: 'locked' });
+      return sendLockedResponse(res, lockState.retryAfter);
+    }
+  }
+
+  const isPasswordValid = await verifyDirectoryPassword(directoryUser.dn, password);
+
+  if (!isPasswordValid) {
+    if (localUser) {
+      await registerFailedLogin(localUser, req, 'invalid_password');
+    } else {
+      await recordLoginAttempt({ email: login, req, success: false, failureReason: 'invalid_password' });
+    }
+
+    return res.status(401).json({ message: 'Invalid credentials' });
+  }
+
+  const result = await syncDirectoryUser(directoryUser);
+
+  if (result.error) {
+    await recordLoginAttempt({
+      userId: localUser ? localUser.id : null,
+      email: login,
+      req,
+      success: false,
+      failureReason: 'directory_rejected'
+    });
+    return res.status(403).json({ message: result.error });
+  }
+
+  return completeLogin(result.user, req, res);
+};
+
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: |
+ *       With LDAP_ENABLED=true the email field also accepts a directory login
+ *       (sAMAccountName). Directory accounts are checked against LDAP / Active
+ *       Directory; anything not found there falls back to the local password.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -124,7 +217,7 @@ router.post('/register', async (req, res) => {
  *               password:
  *                 type: string
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -132,40 +225,432 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
+    if (isLdapEnabled()) {
+      let directoryUser = null;
+
+      try {
+        directoryUser = await findDirectoryUser(email);
+      } catch (error) {
+        // Directory unreachable: local accounts can still sign in
+        console.error('LDAP lookup error:', error);
+      }
+
+      if (directoryUser) {
+        return await loginWithDirectory(directoryUser, email, password, req, res);
+      }
+    }
+
     const [rows] = await pool.execute(
-      'SELECT id, name, email, password, role FROM users WHERE email = ?',
+      'SELECT id, name, email, password, role, status FROM users WHERE email = ?',
       [email]
     );
 
     if (rows.length === 0) {
+      await recordLoginAttempt({ email, req, success: false, failureReason: 'unknown_email' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     const user = rows[0];
+
+    const lockState = await getLockState(user.id);
+
+    if (lockState.locked) {
+      await recordLoginAttempt({ userId: user.id, email, req, success: false, failureReason: 'locked' });
+      return sendLockedResponse(res, lockState.retryAfter);
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      await registerFailedLogin(user, req, 'invalid_password');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const blockedMessage = getLoginBlockMessage(user.status);
+
+    if (blockedMessage) {
+      await recordLoginAttempt({ userId: user.id, email, req, success: false, failureReason: user.status });
+      return res.status(403).json({ message: blockedMessage });
+    }
+
+    if (!isLocalLoginAllowed(user.role)) {
+      await recordLoginAttempt({ userId: user.id, email, req, success: false, failureReason: 'local_login_disabled' });
+      return res.status(403).json({
+        message: 'Password login is disabled for your account. Use single sign-on.',
+        useSso: true
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Revoke every session of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    if (req.impersonator) {
+      return res.status(403).json({ message: 'Not available while impersonating' });
+    }
+
+    const revoked = await revokeUserSessions(req.user.id, 'logout_all');
+
+    res.json({ message: 'All sessions revoked', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issues a new reset link (only the most recent one stays valid) and mails it
+const sendPasswordResetLink = async (user, requestedIp) => {
+  const token = generateToken();
+
+  await pool.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [user.id]
+  );
+
+  await pool.execute(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [user.id, hashToken(token), requestedIp, PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablecer tu contraseña - Asiste University',
+    text: `Hola ${user.name},\n\n` +
+      `Recibimos una solicitud para restablecer tu contraseña. Usa el siguiente enlace:\n\n${resetUrl}\n\n` +
+      `El enlace vence en ${PASSWORD_RESET_TTL_MINUTES} minutos y solo puede usarse una vez.\n` +
+      'Si no solicitaste este cambio, ignora este correo.'
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ */
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const [rows] = await pool.execute(
+      'SELECT id, name, email FROM users WHERE email = ?',
+      [email]
+    );
+
+    // Same response, in the same time, whether or not the email exists, to
+    // avoid account enumeration: the link is issued and mailed in the background
+    if (rows.length > 0) {
+      sendPasswordResetLink(rows[0], req.ip || null)
+        .catch(error => console.error('Send password reset link error:', error));
+    }
+
+    res.json({ message: 'If the email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ */
+router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+    }
+
+    const [tokenRows] = await pool.execute(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+
+    if (tokenRows.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const resetToken = tokenRows[0];
+
+    // Consume the token first so concurrent requests cannot reuse it
+    const [consumed] = await pool.execute(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [resetToken.id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    await pool.execute(
+      'UPDATE users SET password = ? WHERE id = ?',
+      [hashedPassword, resetToken.user_id]
+    );
+
+    await revokeUserSessions(resetToken.user_id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/impersonate/end:
+ *   post:
+ *     summary: End the current impersonation session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/impersonate/end', auth, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ message: 'This session is not an impersonation' });
+    }
+
+    await revokeSession(req.sessionId, 'impersonation_ended');
+
+    await logAudit({
+      actorId: req.impersonator.id,
+      action: 'impersonation_ended',
+      targetUserId: req.user.id,
+      details: { session_id: req.sessionId },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/impersonate/{userId}:
+ *   post:
+ *     summary: Get a token that acts as another user ("view as student")
+ *     description: |
+ *       The token is flagged with impersonatorId, expires after IMPERSONATION_TTL_MINUTES,
+ *       cannot be refreshed and is read-only unless readOnly is false. Every request made
+ *       with it is logged in impersonation_logs with the real admin id. Users holding
+ *       permissions the impersonator lacks (custom roles, grants) cannot be impersonated.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               readOnly:
+ *                 type: boolean
+ *                 default: true
+ *               reason:
+ *                 type: string
+ */
+router.post('/impersonate/:userId', auth, can('users.impersonate'), tenantParam('user', 'userId'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const readOnly = req.body?.readOnly !== false;
+    const reason = req.body?.reason || null;
+
+    if (req.impersonator) {
+      return res.status(400).json({ message: 'End the current impersonation first' });
+    }
+
+    if (Number(userId) === req.user.id) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+
+    const [userRows] = await pool.execute(
+      `SELECT u.id, u.name, u.email, u.role, u.status, r.id as role_id
+       FROM users u
+       LEFT JOIN roles r ON r.id = u.role_id
+         OR (u.role_id IS NULL AND r.name = u.role AND r.is_system = TRUE)
+       WHERE u.id = ?`,
+      [userId]
+    );
+
+    if (userRows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { role_id, ...targetUser } = userRows[0];
+
+    if (targetUser.role === 'admin') {
+      return res.status(403).json({ message: 'Administrators cannot be impersonated' });
+    }
+
+    // Custom roles and grants can give a formador or student account more than
+    // the impersonator holds; acting as it (even read-only) would lend them.
+    // Learner permissions only act on the impersonated account itself.
+    const targetPermissions = await getUserPermissions({ id: targetUser.id, role_id });
+    const notHeld = targetPermissions.filter(name =>
+      !LEARNER_PERMISSIONS.includes(name) && !holdsPermission(req.permissions, name));
+
+    if (notHeld.length > 0) {
+      return res.status(403).json({ message: 'You cannot impersonate a user with permissions you do not have' });
+    }
+
+    if (targetUser.status !== 'active') {
+      return res.status(400).json({ message: `Cannot impersonate an account that is ${targetUser.status}` });
+    }
+
+    const session = await createImpersonationSession(targetUser.id, req.user.id, readOnly, req);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'impersonation_started',
+      targetUserId: targetUser.id,
+      details: { session_id: session.sessionId, read_only: readOnly, reason },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'Impersonation started',
+      token: session.token,
+      expiresInMinutes: session.expiresInMinutes,
+      user: targetUser,
+      impersonation: {
+        impersonatorId: req.user.id,
+        readOnly
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Start impersonation error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -186,8 +671,14 @@ router.get('/me', auth, async (req, res) => {
         id: req.user.id,
         name: req.user.name,
         email: req.user.email,
-        role: req.user.role
-      }
+        role: req.user.role,
+        role_name: req.user.role_name
+      },
+      tenant_id: req.tenantId,
+      permissions: req.permissions,
+      impersonation: req.impersonator
+        ? { impersonatorId: req.impersonator.id, impersonatorName: req.impersonator.name, readOnly: req.readOnly }
+        : null
     });
   } catch (error) {
     console.error('Get user error:', error);
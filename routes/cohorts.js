@@ -0,0 +1,782 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can, hasPermission } = require('../middleware/auth');
+const {
+  syncCohortEnrollments,
+  getCohortCourseIds,
+  getCohortMemberIds,
+  getCohortStats
+} = require('../utils/cohorts');
+const { buildTenantFilter, tenantParam } = require('../utils/tenants');
+const { emitCourseEnrollments } = require('../utils/xapi');
+const { publishEnrollments } = require('../utils/webhooks');
+const { assignCohortPaths } = require('../utils/learning-paths');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Resolver for can(): cohorts.view.own only covers the cohorts the user leads
+const cohortParam = async (req) => {
+  const [rows] = await pool.execute('SELECT lead_formador_id FROM cohorts WHERE id = ?', [req.params.id]);
+  return rows[0] ? { userId: rows[0].lead_formador_id } : null;
+};
+
+// Narrows cohort lists to the tenant and, for formadores holding
+// cohorts.view.own, to the cohorts they lead
+const buildCohortScope = (req) => {
+  const tenant = buildTenantFilter(req, 'co.tenant_id');
+
+  return hasPermission(req, 'cohorts.view')
+    ? tenant
+    : { clause: ` AND co.lead_formador_id = ?${tenant.clause}`, params: [req.user.id, ...tenant.params] };
+};
+
+const parseIdList = (value) => {
+  if (!Array.isArray(value) || value.some(id => !Number.isInteger(Number(id)))) {
+    return null;
+  }
+
+  return [...new Set(value.map(Number))];
+};
+
+// Shared by create and update; only checks the fields present in the body
+const validateCohortFields = (body, { requireName }) => {
+  if (requireName && !body.name) {
+    return 'Name is required';
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (body[field] && !DATE_PATTERN.test(body[field])) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+
+  if (body.start_date && body.end_date && body.end_date < body.start_date) {
+    return 'end_date cannot be before start_date';
+  }
+
+  return null;
+};
+
+const findActiveFormador = async (req, formadorId) => {
+  const tenant = buildTenantFilter(req, 'tenant_id');
+  const [rows] = await pool.execute(
+    `SELECT id FROM users WHERE id = ? AND role = "formador" AND status = "active"${tenant.clause}`,
+    [formadorId, ...tenant.params]
+  );
+
+  return rows[0] || null;
+};
+
+// Ids that are not existing courses (of the tenant or the shared library)
+const findMissingCourses = async (req, courseIds) => {
+  if (courseIds.length === 0) {
+    return [];
+  }
+
+  const tenant = buildTenantFilter(req, 'tenant_id', { shared: true });
+  const [rows] = await pool.query(`SELECT id FROM courses WHERE id IN (?)${tenant.clause}`, [courseIds, ...tenant.params]);
+  const found = new Set(rows.map(row => row.id));
+
+  return courseIds.filter(id => !found.has(id));
+};
+
+// Ids that are not active student accounts (of the tenant)
+const findInvalidStudents = async (req, studentIds) => {
+  if (studentIds.length === 0) {
+    return [];
+  }
+
+  const tenant = buildTenantFilter(req, 'tenant_id');
+  const [rows] = await pool.query(
+    `SELECT id FROM users WHERE id IN (?) AND role = 'estudiante' AND status = 'active'${tenant.clause}`,
+    [studentIds, ...tenant.params]
+  );
+  const found = new Set(rows.map(row => row.id));
+
+  return studentIds.filter(id => !found.has(id));
+};
+
+const getCohortById = async (id) => {
+  const [rows] = await pool.execute(
+    `SELECT co.*, f.name as lead_formador_name, u.name as created_by_name
+     FROM cohorts co
+     LEFT JOIN users f ON co.lead_formador_id = f.id
+     LEFT JOIN users u ON co.created_by = u.id
+     WHERE co.id = ?`,
+    [id]
+  );
+
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /api/cohorts:
+ *   get:
+ *     summary: Get cohorts (formadores only see the cohorts they lead)
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign
+ *         schema:
+ *           type: string
+ */
+router.get('/', auth, can('cohorts.view'), async (req, res) => {
+  try {
+    const scope = buildCohortScope(req);
+
+    let query = `
+      SELECT co.*, f.name as lead_formador_name,
+             (SELECT COUNT(*) FROM cohort_members cm WHERE cm.cohort_id = co.id) as member_count,
+             (SELECT COUNT(*) FROM cohort_courses cc WHERE cc.cohort_id = co.id) as course_count
+      FROM cohorts co
+      LEFT JOIN users f ON co.lead_formador_id = f.id
+      WHERE 1 = 1${scope.clause}
+    `;
+    const params = [...scope.params];
+
+    if (req.query.campaign) {
+      query += ' AND co.campaign = ?';
+      params.push(req.query.campaign);
+    }
+
+    query += ' ORDER BY co.start_date DESC, co.created_at DESC';
+
+    const [rows] = await pool.execute(query, params);
+
+    res.json({ cohorts: rows });
+  } catch (error) {
+    console.error('Get cohorts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/compare:
+ *   get:
+ *     summary: Compare progress, grades and satisfaction across cohorts
+ *     description: Without ids every visible cohort is compared. Only the courses of each cohort's bundle are counted.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated cohort ids
+ */
+router.get('/compare', auth, can('cohorts.view'), async (req, res) => {
+  try {
+    const scope = buildCohortScope(req);
+
+    let query = `
+      SELECT co.id, co.name, co.campaign, co.start_date, co.end_date, f.name as lead_formador_name
+      FROM cohorts co
+      LEFT JOIN users f ON co.lead_formador_id = f.id
+      WHERE 1 = 1${scope.clause}
+    `;
+    const params = [...scope.params];
+
+    if (req.query.ids) {
+      const ids = String(req.query.ids).split(',').map(Number);
+
+      if (ids.some(id => !Number.isInteger(id))) {
+        return res.status(400).json({ message: 'ids must be a comma-separated list of cohort ids' });
+      }
+
+      query += ' AND co.id IN (?)';
+      params.push(ids);
+    }
+
+    query += ' ORDER BY co.start_date ASC, co.id ASC';
+
+    const [cohorts] = await pool.query(query, params);
+
+    const report = [];
+
+    for (const cohort of cohorts) {
+      report.push({ ...cohort, stats: await getCohortStats(cohort.id) });
+    }
+
+    res.json({ cohorts: report });
+  } catch (error) {
+    console.error('Compare cohorts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}:
+ *   get:
+ *     summary: Get a cohort with its courses, members and indicators
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', auth, can('cohorts.view', cohortParam), tenantParam('cohort'), async (req, res) => {
+  try {
+    const cohort = await getCohortById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found' });
+    }
+
+    const [courses] = await pool.execute(
+      `SELECT c.id, c.title, cc.added_at
+       FROM cohort_courses cc
+       JOIN courses c ON cc.course_id = c.id
+       WHERE cc.cohort_id = ?
+       ORDER BY c.title ASC`,
+      [cohort.id]
+    );
+
+    const [members] = await pool.execute(
+      `SELECT u.id, u.name, u.email, u.status, cm.added_at
+       FROM cohort_members cm
+       JOIN users u ON cm.student_id = u.id
+       WHERE cm.cohort_id = ?
+       ORDER BY u.name ASC`,
+      [cohort.id]
+    );
+
+    res.json({
+      cohort: {
+        ...cohort,
+        courses,
+        members,
+        stats: await getCohortStats(cohort.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get cohort error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}/progress:
+ *   get:
+ *     summary: Get the progress of every member in every course of the cohort
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/progress', auth, can('cohorts.view', cohortParam), tenantParam('cohort'), async (req, res) => {
+  try {
+    const cohort = await getCohortById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found' });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT u.id as student_id, u.name as student_name, u.status,
+              c.id as course_id, c.title as course_title,
+              (SELECT COUNT(*) FROM activities a WHERE a.course_id = c.id) as total_activities,
+              (SELECT COUNT(*) FROM activity_progress ap
+               JOIN activities a ON ap.activity_id = a.id
+               WHERE a.course_id = c.id AND ap.student_id = u.id AND ap.completed = 1) as completed_activities
+       FROM cohort_members cm
+       JOIN users u ON cm.student_id = u.id
+       JOIN cohort_courses cc ON cc.cohort_id = cm.cohort_id
+       JOIN courses c ON cc.course_id = c.id
+       WHERE cm.cohort_id = ?
+       ORDER BY u.name ASC, c.title ASC`,
+      [cohort.id]
+    );
+
+    const students = new Map();
+
+    for (const row of rows) {
+      if (!students.has(row.student_id)) {
+        students.set(row.student_id, {
+          student_id: row.student_id,
+          student_name: row.student_name,
+          status: row.status,
+          courses: []
+        });
+      }
+
+      const total = Number(row.total_activities);
+      const completed = Number(row.completed_activities);
+
+      students.get(row.student_id).courses.push({
+        course_id: row.course_id,
+        course_title: row.course_title,
+        total_activities: total,
+        completed_activities: completed,
+        progress_percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+      });
+    }
+
+    res.json({ cohort_id: cohort.id, progress: [...students.values()] });
+  } catch (error) {
+    console.error('Get cohort progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts:
+ *   post:
+ *     summary: Create a cohort, optionally with its course bundle and members
+ *     description: Members are enrolled in every course of the bundle and linked to the lead formador.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               campaign:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *               lead_formador_id:
+ *                 type: integer
+ *               course_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               student_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ */
+router.post('/', auth, can('cohorts.manage'), async (req, res) => {
+  const body = req.body || {};
+  const validationError = validateCohortFields(body, { requireName: true });
+
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  const courseIds = parseIdList(body.course_ids || []);
+  const studentIds = parseIdList(body.student_ids || []);
+
+  if (!courseIds || !studentIds) {
+    return res.status(400).json({ message: 'course_ids and student_ids must be arrays of ids' });
+  }
+
+  let connection;
+
+  try {
+    if (body.lead_formador_id && !(await findActiveFormador(req, body.lead_formador_id))) {
+      return res.status(404).json({ message: 'Lead formador not found' });
+    }
+
+    const missingCourses = await findMissingCourses(req, courseIds);
+
+    if (missingCourses.length > 0) {
+      return res.status(404).json({ message: `Courses not found: ${missingCourses.join(', ')}` });
+    }
+
+    const invalidStudents = await findInvalidStudents(req, studentIds);
+
+    if (invalidStudents.length > 0) {
+      return res.status(400).json({ message: `Not active students: ${invalidStudents.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      `INSERT INTO cohorts (name, campaign, description, start_date, end_date, lead_formador_id, tenant_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        body.name,
+        body.campaign || null,
+        body.description || null,
+        body.start_date || null,
+        body.end_date || null,
+        body.lead_formador_id || null,
+        req.tenantId || null,
+        req.user.id
+      ]
+    );
+
+    const cohortId = result.insertId;
+
+    if (courseIds.length > 0) {
+      await connection.query(
+        'INSERT INTO cohort_courses (cohort_id, course_id) VALUES ?',
+        [courseIds.map(courseId => [cohortId, courseId])]
+      );
+    }
+
+    if (studentIds.length > 0) {
+      await connection.query(
+        'INSERT INTO cohort_members (cohort_id, student_id, added_by) VALUES ?',
+        [studentIds.map(studentId => [cohortId, studentId, req.user.id])]
+      );
+    }
+
+    const enrolled = await syncCohortEnrollments(connection, {
+      studentIds,
+      courseIds,
+      leadFormadorId: body.lead_formador_id || null,
+      assignedBy: req.user.id
+    });
+
+    await connection.commit();
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    res.status(201).json({
+      message: 'Cohort created successfully',
+      cohort: await getCohortById(cohortId)
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Create cohort error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}:
+ *   put:
+ *     summary: Update a cohort
+ *     description: A new lead formador is linked to the current members and courses; the previous one keeps their links.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', auth, can('cohorts.manage'), tenantParam('cohort'), async (req, res) => {
+  const body = req.body || {};
+  const validationError = validateCohortFields(body, { requireName: false });
+
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  let connection;
+
+  try {
+    const cohort = await getCohortById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found' });
+    }
+
+    if (body.lead_formador_id && !(await findActiveFormador(req, body.lead_formador_id))) {
+      return res.status(404).json({ message: 'Lead formador not found' });
+    }
+
+    const updated = {
+      name: body.name ?? cohort.name,
+      campaign: body.campaign !== undefined ? body.campaign || null : cohort.campaign,
+      description: body.description !== undefined ? body.description || null : cohort.description,
+      start_date: body.start_date !== undefined ? body.start_date || null : cohort.start_date,
+      end_date: body.end_date !== undefined ? body.end_date || null : cohort.end_date,
+      lead_formador_id: body.lead_formador_id !== undefined ? body.lead_formador_id || null : cohort.lead_formador_id
+    };
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.execute(
+      `UPDATE cohorts
+       SET name = ?, campaign = ?, description = ?, start_date = ?, end_date = ?, lead_formador_id = ?
+       WHERE id = ?`,
+      [
+        updated.name,
+        updated.campaign,
+        updated.description,
+        updated.start_date,
+        updated.end_date,
+        updated.lead_formador_id,
+        cohort.id
+      ]
+    );
+
+    let enrolled = [];
+
+    if (updated.lead_formador_id && Number(updated.lead_formador_id) !== cohort.lead_formador_id) {
+      enrolled = await syncCohortEnrollments(connection, {
+        studentIds: await getCohortMemberIds(connection, cohort.id),
+        courseIds: await getCohortCourseIds(connection, cohort.id),
+        leadFormadorId: updated.lead_formador_id,
+        assignedBy: req.user.id
+      });
+    }
+
+    await connection.commit();
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    res.json({ message: 'Cohort updated successfully', cohort: await getCohortById(cohort.id) });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Update cohort error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}/courses:
+ *   put:
+ *     summary: Replace the course bundle of a cohort
+ *     description: Members are enrolled in the added courses. Removed courses keep their enrollments.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - course_ids
+ *             properties:
+ *               course_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ */
+router.put('/:id/courses', auth, can('cohorts.manage'), tenantParam('cohort'), async (req, res) => {
+  const courseIds = parseIdList(req.body?.course_ids);
+
+  if (!courseIds) {
+    return res.status(400).json({ message: 'course_ids must be an array of ids' });
+  }
+
+  let connection;
+
+  try {
+    const cohort = await getCohortById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found' });
+    }
+
+    const missingCourses = await findMissingCourses(req, courseIds);
+
+    if (missingCourses.length > 0) {
+      return res.status(404).json({ message: `Courses not found: ${missingCourses.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const currentCourseIds = await getCohortCourseIds(connection, cohort.id);
+    const addedCourseIds = courseIds.filter(id => !currentCourseIds.includes(id));
+
+    await connection.execute('DELETE FROM cohort_courses WHERE cohort_id = ?', [cohort.id]);
+
+    if (courseIds.length > 0) {
+      await connection.query(
+        'INSERT INTO cohort_courses (cohort_id, course_id) VALUES ?',
+        [courseIds.map(courseId => [cohort.id, courseId])]
+      );
+    }
+
+    const enrolled = await syncCohortEnrollments(connection, {
+      studentIds: await getCohortMemberIds(connection, cohort.id),
+      courseIds: addedCourseIds,
+      leadFormadorId: cohort.lead_formador_id,
+      assignedBy: req.user.id
+    });
+
+    await connection.commit();
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    res.json({ message: 'Cohort courses updated successfully', course_ids: courseIds, added: addedCourseIds });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Update cohort courses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}/members:
+ *   post:
+ *     summary: Add students to a cohort and enroll them in its courses and learning paths
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - student_ids
+ *             properties:
+ *               student_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ */
+router.post('/:id/members', auth, can('cohorts.manage'), tenantParam('cohort'), async (req, res) => {
+  const studentIds = parseIdList(req.body?.student_ids);
+
+  if (!studentIds || studentIds.length === 0) {
+    return res.status(400).json({ message: 'student_ids must be a non-empty array of ids' });
+  }
+
+  let connection;
+
+  try {
+    const cohort = await getCohortById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found' });
+    }
+
+    const invalidStudents = await findInvalidStudents(req, studentIds);
+
+    if (invalidStudents.length > 0) {
+      return res.status(400).json({ message: `Not active students: ${invalidStudents.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const currentMemberIds = await getCohortMemberIds(connection, cohort.id);
+    const newMemberIds = studentIds.filter(id => !currentMemberIds.includes(id));
+
+    if (newMemberIds.length > 0) {
+      await connection.query(
+        'INSERT INTO cohort_members (cohort_id, student_id, added_by) VALUES ?',
+        [newMemberIds.map(studentId => [cohort.id, studentId, req.user.id])]
+      );
+    }
+
+    const enrolled = await syncCohortEnrollments(connection, {
+      studentIds: newMemberIds,
+      courseIds: await getCohortCourseIds(connection, cohort.id),
+      leadFormadorId: cohort.lead_formador_id,
+      assignedBy: req.user.id
+    });
+
+    await connection.commit();
+
+    // New members also get the learning paths assigned to the cohort
+    enrolled.push(...await assignCohortPaths(cohort.id, newMemberIds, req.user.id));
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    res.status(201).json({
+      message: `${newMemberIds.length} students added to the cohort`,
+      added: newMemberIds,
+      already_members: studentIds.filter(id => currentMemberIds.includes(id))
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Add cohort members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}/members/{studentId}:
+ *   delete:
+ *     summary: Remove a student from a cohort
+ *     description: Course enrollments, grades and progress are kept.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/members/:studentId', auth, can('cohorts.manage'), tenantParam('cohort'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM cohort_members WHERE cohort_id = ? AND student_id = ?',
+      [req.params.id, req.params.studentId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Cohort member not found' });
+    }
+
+    res.json({ message: 'Student removed from the cohort successfully' });
+  } catch (error) {
+    console.error('Remove cohort member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cohorts/{id}:
+ *   delete:
+ *     summary: Delete a cohort
+ *     description: Only the grouping is removed; enrollments, grades and progress are kept.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('cohorts.manage'), tenantParam('cohort'), async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM cohorts WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Cohort not found' });
+    }
+
+    res.json({ message: 'Cohort deleted successfully' });
+  } catch (error) {
+    console.error('Delete cohort error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { tenantParam } = require('../utils/tenants');
+const { getStudentCourseVersion, findSnapshotActivity } = require('../utils/course-versions');
+const { getActivityLock } = require('../utils/sequencing');
 
 const router = express.Router();
 
@@ -13,10 +16,34 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/activity/:activityId', auth, async (req, res) => {
+router.get('/activity/:activityId', auth, tenantParam('activity', 'activityId'), async (req, res) => {
   try {
     const { activityId } = req.params;
 
+    // Students get the blocks of the version they are pinned to
+    if (req.user.role === 'estudiante') {
+      const [activityRows] = await pool.execute('SELECT course_id FROM activities WHERE id = ?', [activityId]);
+      const pinned = activityRows.length > 0 ? await getStudentCourseVersion(activityRows[0].course_id, req.user.id) : null;
+
+      if (!pinned) {
+        return res.status(403).json({ message: 'You are not assigned to this course' });
+      }
+
+      const versionActivity = pinned.snapshot && findSnapshotActivity(pinned.snapshot, activityId);
+
+      if (!versionActivity) {
+        return res.status(404).json({ message: 'Activity not found' });
+      }
+
+      const lock = await getActivityLock(pinned.snapshot, activityId, req.user.id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      return res.json({ blocks: versionActivity.content_blocks.map(block => ({ ...block, activity_id: versionActivity.id })) });
+    }
+
     const [rows] = await pool.execute(
       'SELECT * FROM activity_content_blocks WHERE activity_id = ? ORDER BY order_index ASC',
       [activityId]
@@ -38,7 +65,7 @@ router.get('/activity/:activityId', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin'), async (req, res) => {
+router.post('/', auth, can('course.edit'), tenantParam('activity', 'activity_id', { write: true, source: 'body' }), async (req, res) => {
   try {
     const { activity_id, block_type, content_text, content_url, order_index } = req.body;
 
@@ -89,7 +116,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin'), async (req, res) => {
+router.put('/:id', auth, can('course.edit'), tenantParam('content_block', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { block_type, content_text, content_url, order_index } = req.body;
@@ -123,7 +150,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, can('course.edit'), tenantParam('content_block', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
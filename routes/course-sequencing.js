@@ -0,0 +1,191 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { tenantParam } = require('../utils/tenants');
+const { validateSequencing } = require('../utils/sequencing');
+
+// Mounted on /api/courses/:courseId/sequencing. Edits the draft; students
+// get the rules with the next published version.
+const router = express.Router({ mergeParams: true });
+
+const getDraftActivities = async (courseId) => {
+  const [activities] = await pool.execute(
+    'SELECT id, title, order_index FROM activities WHERE course_id = ? AND archived_at IS NULL ORDER BY order_index ASC, id ASC',
+    [courseId]
+  );
+
+  return activities;
+};
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/sequencing:
+ *   get:
+ *     summary: Get the sequencing rules of a course draft
+ *     description: The sequence mode and, for each activity in display order, the prerequisites that unlock it.
+ *     tags: [Course Sequencing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('course.edit'), tenantParam('course', 'courseId'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const [courseRows] = await pool.execute('SELECT id, sequence_mode FROM courses WHERE id = ?', [courseId]);
+
+    if (courseRows.length === 0) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const activities = await getDraftActivities(courseId);
+    let prerequisites = [];
+
+    if (activities.length > 0) {
+      [prerequisites] = await pool.query(
+        `SELECT p.id, p.activity_id, p.prerequisite_type, p.required_activity_id, ra.title as required_activity_title,
+                p.quiz_id, q.title as quiz_title, p.min_percentage, q.passing_score as quiz_passing_score
+         FROM activity_prerequisites p
+         LEFT JOIN activities ra ON p.required_activity_id = ra.id
+         LEFT JOIN quizzes q ON p.quiz_id = q.id
+         WHERE p.activity_id IN (?) AND ra.archived_at IS NULL AND q.archived_at IS NULL
+         ORDER BY p.id ASC`,
+        [activities.map(activity => activity.id)]
+      );
+    }
+
+    res.json({
+      sequence_mode: courseRows[0].sequence_mode,
+      activities: activities.map(activity => ({
+        ...activity,
+        prerequisites: prerequisites.filter(prerequisite => prerequisite.activity_id === activity.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get course sequencing error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/sequencing:
+ *   put:
+ *     summary: Replace the sequencing rules of a course draft
+ *     description: |
+ *       In sequential mode an activity unlocks once every earlier activity is
+ *       completed. Prerequisites add conditions on top: another activity
+ *       completed, or a quiz of another activity passed with min_percentage
+ *       (the quiz's passing score when omitted). Rules that would lock
+ *       activities forever (cycles) are rejected. Students get the rules
+ *       once the course is published again.
+ *     tags: [Course Sequencing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sequence_mode:
+ *                 type: string
+ *                 enum: [free, sequential]
+ *               prerequisites:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     activity_id:
+ *                       type: integer
+ *                     prerequisite_type:
+ *                       type: string
+ *                       enum: [activity, quiz]
+ *                     required_activity_id:
+ *                       type: integer
+ *                     quiz_id:
+ *                       type: integer
+ *                     min_percentage:
+ *                       type: integer
+ */
+router.put('/', auth, can('course.edit'), tenantParam('course', 'courseId', { write: true }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { sequence_mode: sequenceMode = 'free', prerequisites = [] } = req.body || {};
+
+    if (!Array.isArray(prerequisites)) {
+      return res.status(400).json({ message: 'prerequisites must be a list' });
+    }
+
+    const [courseRows] = await pool.execute('SELECT id FROM courses WHERE id = ?', [courseId]);
+
+    if (courseRows.length === 0) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const activities = await getDraftActivities(courseId);
+    let quizzes = [];
+
+    if (activities.length > 0) {
+      [quizzes] = await pool.query(
+        'SELECT id, activity_id FROM quizzes WHERE activity_id IN (?) AND archived_at IS NULL',
+        [activities.map(activity => activity.id)]
+      );
+    }
+
+    const errors = validateSequencing({ sequenceMode, prerequisites }, { activities, quizzes });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid sequencing rules', errors });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute('UPDATE courses SET sequence_mode = ? WHERE id = ?', [sequenceMode, courseId]);
+
+      if (activities.length > 0) {
+        await connection.query(
+          'DELETE FROM activity_prerequisites WHERE activity_id IN (?)',
+          [activities.map(activity => activity.id)]
+        );
+      }
+
+      if (prerequisites.length > 0) {
+        await connection.query(
+          'INSERT INTO activity_prerequisites (activity_id, prerequisite_type, required_activity_id, quiz_id, min_percentage) VALUES ?',
+          [prerequisites.map(prerequisite => [
+            prerequisite.activity_id,
+            prerequisite.prerequisite_type,
+            prerequisite.prerequisite_type === 'activity' ? prerequisite.required_activity_id : null,
+            prerequisite.prerequisite_type === 'quiz' ? prerequisite.quiz_id : null,
+            prerequisite.prerequisite_type === 'quiz' ? prerequisite.min_percentage ?? null : null
+          ])]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'course_sequencing_updated',
+      details: { course_id: Number(courseId), sequence_mode: sequenceMode, prerequisites: prerequisites.length },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Sequencing rules updated. Publish the course for students to get them.' });
+  } catch (error) {
+    console.error('Update course sequencing error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
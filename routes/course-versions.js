@@ -0,0 +1,327 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { tenantParam } = require('../utils/tenants');
+const {
+  buildCourseSnapshot,
+  getCourseVersion,
+  findCourseVersion,
+  diffSnapshots,
+  publishCourseVersion,
+  rollbackCourseVersion,
+  migrateStudents
+} = require('../utils/course-versions');
+
+// Mounted on /api/courses/:courseId/versions
+const router = express.Router({ mergeParams: true });
+
+const summarizeChanges = (changes) => ({
+  added: changes.filter(change => change.change === 'added').length,
+  removed: changes.filter(change => change.change === 'removed').length,
+  modified: changes.filter(change => change.change === 'modified').length
+});
+
+const getPublishedVersion = async (courseId) => {
+  const [rows] = await pool.execute('SELECT published_version_id FROM courses WHERE id = ?', [courseId]);
+
+  return rows[0]?.published_version_id ? getCourseVersion(rows[0].published_version_id) : null;
+};
+
+// "draft" or a version number of the course
+const resolveSnapshot = async (courseId, reference) => {
+  if (reference === 'draft') {
+    const snapshot = await buildCourseSnapshot(pool, courseId);
+    return snapshot ? { version: 'draft', snapshot } : null;
+  }
+
+  const version = await findCourseVersion(courseId, reference);
+  return version ? { version: version.version_number, snapshot: version.snapshot } : null;
+};
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/versions:
+ *   get:
+ *     summary: Get the published versions of a course
+ *     description: Includes how many students are pinned to each version and how many changes the draft has since the published one.
+ *     tags: [Course Versions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('course.edit'), tenantParam('course', 'courseId'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const [courseRows] = await pool.execute('SELECT id, published_version_id FROM courses WHERE id = ?', [courseId]);
+
+    if (courseRows.length === 0) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const [versions] = await pool.execute(
+      `SELECT cv.id, cv.version_number, cv.notes, cv.published_at, cv.published_by, u.name as published_by_name,
+              (SELECT COUNT(*) FROM course_assignments ca WHERE ca.version_id = cv.id) as pinned_students
+       FROM course_versions cv
+       LEFT JOIN users u ON cv.published_by = u.id
+       WHERE cv.course_id = ?
+       ORDER BY cv.version_number DESC`,
+      [courseId]
+    );
+
+    const published = await getPublishedVersion(courseId);
+    let draftChanges = null;
+
+    if (published) {
+      const draft = await buildCourseSnapshot(pool, courseId);
+      draftChanges = summarizeChanges(diffSnapshots(published.snapshot, draft));
+    }
+
+    res.json({
+      versions: versions.map(version => ({ ...version, is_published: version.id === courseRows[0].published_version_id })),
+      published_version: published ? published.version_number : null,
+      draft_changes: draftChanges
+    });
+  } catch (error) {
+    console.error('Get course versions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/versions:
+ *   post:
+ *     summary: Publish the draft of a course as a new version
+ *     description: Students already pinned to a version stay on it; new students and students opening the course for the first time get this one.
+ *     tags: [Course Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: What changed, shown in the version history
+ */
+router.post('/', auth, can('course.publish'), tenantParam('course', 'courseId', { write: true }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const notes = req.body?.notes;
+
+    if (notes && notes.length > 500) {
+      return res.status(400).json({ message: 'Notes must be at most 500 characters' });
+    }
+
+    const draft = await buildCourseSnapshot(pool, courseId);
+
+    if (!draft) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const published = await getPublishedVersion(courseId);
+
+    if (published && diffSnapshots(published.snapshot, draft).length === 0) {
+      return res.status(400).json({ message: `Nothing to publish: the draft matches version ${published.version_number}` });
+    }
+
+    const version = await publishCourseVersion(courseId, { notes, actorId: req.user.id });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'course_version_published',
+      details: { course_id: Number(courseId), version_number: version.version_number },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({ message: 'Course version published successfully', version });
+  } catch (error) {
+    console.error('Publish course version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a course
+ *     description: |
+ *       Activities, quizzes and workshops are matched by id; content blocks and
+ *       questions by position. Each change is added, removed or modified (with
+ *       the fields that differ).
+ *     tags: [Course Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Version number or "draft" (defaults to the published version)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Version number or "draft" (defaults to the draft)
+ */
+router.get('/diff', auth, can('course.edit'), tenantParam('course', 'courseId'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    let fromReference = req.query.from;
+    const toReference = req.query.to || 'draft';
+
+    if (!fromReference) {
+      const published = await getPublishedVersion(courseId);
+
+      if (!published) {
+        return res.status(400).json({ message: 'The course has no published version; specify from' });
+      }
+
+      fromReference = String(published.version_number);
+    }
+
+    const from = await resolveSnapshot(courseId, fromReference);
+    const to = await resolveSnapshot(courseId, toReference);
+
+    if (!from || !to) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const changes = diffSnapshots(from.snapshot, to.snapshot);
+
+    res.json({
+      from: from.version,
+      to: to.version,
+      summary: summarizeChanges(changes),
+      changes
+    });
+  } catch (error) {
+    console.error('Diff course versions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/versions/{versionNumber}:
+ *   get:
+ *     summary: Get the content of a published version
+ *     tags: [Course Versions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:versionNumber', auth, can('course.edit'), tenantParam('course', 'courseId'), async (req, res) => {
+  try {
+    const version = await findCourseVersion(req.params.courseId, req.params.versionNumber);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    console.error('Get course version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/versions/{versionNumber}/rollback:
+ *   post:
+ *     summary: Roll a course back to a published version
+ *     description: |
+ *       Resets the draft to the content of the version and publishes that
+ *       version again for new students. Students pinned to other versions stay
+ *       on them until migrated. Activities, quizzes and workshops missing from
+ *       the version are archived, never deleted, so existing grades are kept.
+ *     tags: [Course Versions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:versionNumber/rollback', auth, can('course.publish'), tenantParam('course', 'courseId', { write: true }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const version = await findCourseVersion(courseId, req.params.versionNumber);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    await rollbackCourseVersion(courseId, version);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'course_version_rolled_back',
+      details: { course_id: Number(courseId), version_number: version.version_number },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: `Course rolled back to version ${version.version_number}` });
+  } catch (error) {
+    console.error('Rollback course version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{courseId}/versions/{versionNumber}/migrate:
+ *   post:
+ *     summary: Move enrolled students to a version
+ *     description: Without student_ids every student of the course is moved. Grades keep the version they were obtained on.
+ *     tags: [Course Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               student_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ */
+router.post('/:versionNumber/migrate', auth, can('course.publish'), tenantParam('course', 'courseId', { write: true }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const studentIds = req.body?.student_ids;
+
+    if (studentIds !== undefined && (!Array.isArray(studentIds) || studentIds.length === 0 || studentIds.some(id => !Number.isInteger(Number(id))))) {
+      return res.status(400).json({ message: 'student_ids must be a non-empty list of student ids' });
+    }
+
+    const version = await findCourseVersion(courseId, req.params.versionNumber);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const migrated = await migrateStudents(courseId, version.id, studentIds ? studentIds.map(Number) : null);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'course_students_migrated',
+      details: {
+        course_id: Number(courseId),
+        version_number: version.version_number,
+        student_ids: studentIds ? studentIds.map(Number) : 'all',
+        migrated
+      },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: `Students moved to version ${version.version_number}`, migrated });
+  } catch (error) {
+    console.error('Migrate course students error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,20 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { buildTenantFilter, buildTenantUserFilter, tenantParam } = require('../utils/tenants');
+const { getStudentCourseVersion, summarizeSnapshotActivity } = require('../utils/course-versions');
+const { cloneCourse } = require('../utils/course-clone');
+const { uploadCoursePackage } = require('../middleware/upload');
+const { logAudit } = require('../utils/audit');
+const {
+  CONFLICT_STRATEGIES,
+  buildCourseManifest,
+  buildCoursePackageZip,
+  validateManifest,
+  readCoursePackage,
+  planCourseImport,
+  importCoursePackage
+} = require('../utils/course-package');
 
 const router = express.Router();
 
@@ -9,26 +23,32 @@ const router = express.Router();
  * /api/courses:
  *   get:
  *     summary: Get courses
+ *     description: Inside a tenant, its own courses plus the shared library (courses without tenant). Students only see published courses.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  */
 router.get('/', auth, async (req, res) => {
   try {
+    // Shared courses only count the students of the current tenant
+    const tenantStudents = buildTenantUserFilter(req, 'ca.student_id');
+    const tenant = buildTenantFilter(req, 'c.tenant_id', { shared: true });
+
     let query = `
       SELECT c.*, u.name as created_by_name,
              COUNT(DISTINCT ca.student_id) as student_count,
              COUNT(DISTINCT a.id) as activity_count
       FROM courses c
       LEFT JOIN users u ON c.created_by = u.id
-      LEFT JOIN course_assignments ca ON c.id = ca.course_id
-      LEFT JOIN activities a ON c.id = a.course_id
+      LEFT JOIN course_assignments ca ON c.id = ca.course_id${tenantStudents.clause}
+      LEFT JOIN activities a ON c.id = a.course_id AND a.archived_at IS NULL
+      WHERE 1 = 1${tenant.clause}
     `;
 
-    let params = [];
+    let params = [...tenantStudents.params, ...tenant.params];
 
     if (req.user.role === 'estudiante') {
-      query += ' WHERE ca.student_id = ?';
+      query += ' AND ca.student_id = ? AND c.published_version_id IS NOT NULL';
       params.push(req.user.id);
     }
     // Formadores can see all courses to be able to assign them to students
@@ -53,7 +73,7 @@ router.get('/', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, tenantParam('course'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -69,15 +89,26 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    // Students get the version they are pinned to instead of the draft
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [id, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(id, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      if (!pinned.snapshot) {
+        return res.status(404).json({ message: 'This course has not been published yet' });
+      }
+
+      const course = {
+        ...courseRows[0],
+        ...pinned.snapshot.course,
+        version_number: pinned.versionNumber,
+        activities: pinned.snapshot.activities.map(activity => summarizeSnapshotActivity(activity, id))
+      };
+
+      return res.json({ course });
     }
 
     const [activityRows] = await pool.execute(
@@ -85,9 +116,9 @@ router.get('/:id', auth, async (req, res) => {
               COUNT(DISTINCT w.id) as workshop_count,
               COUNT(DISTINCT q.id) as quiz_count
        FROM activities a
-       LEFT JOIN workshops w ON a.id = w.activity_id
-       LEFT JOIN quizzes q ON a.id = q.activity_id
-       WHERE a.course_id = ?
+       LEFT JOIN workshops w ON a.id = w.activity_id AND w.archived_at IS NULL
+       LEFT JOIN quizzes q ON a.id = q.activity_id AND q.archived_at IS NULL
+       WHERE a.course_id = ? AND a.archived_at IS NULL
        GROUP BY a.id
        ORDER BY a.order_index ASC`,
       [id]
@@ -112,7 +143,7 @@ router.get('/:id', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin'), async (req, res) => {
+router.post('/', auth, can('course.create'), async (req, res) => {
   try {
     const { title, description } = req.body;
 
@@ -120,9 +151,10 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
       return res.status(400).json({ message: 'Title is required' });
     }
 
+    // Courses created outside a tenant go to the shared library
     const [result] = await pool.execute(
-      'INSERT INTO courses (title, description, created_by) VALUES (?, ?, ?)',
-      [title, description || '', req.user.id]
+      'INSERT INTO courses (title, description, tenant_id, created_by) VALUES (?, ?, ?, ?)',
+      [title, description || '', req.tenantId || null, req.user.id]
     );
 
     res.status(201).json({
@@ -131,6 +163,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
         id: result.insertId,
         title,
         description,
+        tenant_id: req.tenantId || null,
         created_by: req.user.id
       }
     });
@@ -140,6 +173,268 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/courses/{id}/clone:
+ *   post:
+ *     summary: Deep-copy a course
+ *     description: |
+ *       Copies the draft of the course with its activities, content blocks and,
+ *       unless excluded, quizzes and workshops with their questions, in one
+ *       transaction. The copy belongs to the current tenant (or the shared
+ *       library outside tenants) and starts unpublished. `title_replacements`
+ *       rewrites every course, activity, quiz and workshop title
+ *       (e.g. {"Campaña A": "Campaña B"}). With `media: duplicate` uploaded
+ *       files are copied instead of shared. The response maps old ids to new ones.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               title_replacements:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               include_quizzes:
+ *                 type: boolean
+ *                 default: true
+ *               include_workshops:
+ *                 type: boolean
+ *                 default: true
+ *               media:
+ *                 type: string
+ *                 enum: [share, duplicate]
+ *                 default: share
+ */
+router.post('/:id/clone', auth, can('course.create'), tenantParam('course'), async (req, res) => {
+  try {
+    const {
+      title,
+      title_replacements: titleReplacements = {},
+      include_quizzes: includeQuizzes = true,
+      include_workshops: includeWorkshops = true,
+      media = 'share'
+    } = req.body ?? {};
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ message: 'Title must be a non-empty string' });
+    }
+
+    if (titleReplacements === null || typeof titleReplacements !== 'object' || Array.isArray(titleReplacements)
+      || Object.entries(titleReplacements).some(([from, to]) => !from || typeof to !== 'string')) {
+      return res.status(400).json({ message: 'title_replacements must map non-empty texts to their replacement' });
+    }
+
+    if (typeof includeQuizzes !== 'boolean' || typeof includeWorkshops !== 'boolean') {
+      return res.status(400).json({ message: 'include_quizzes and include_workshops must be booleans' });
+    }
+
+    if (!['share', 'duplicate'].includes(media)) {
+      return res.status(400).json({ message: 'media must be share or duplicate' });
+    }
+
+    const clone = await cloneCourse(req.params.id, {
+      title: title ? title.trim() : null,
+      titleReplacements,
+      includeQuizzes,
+      includeWorkshops,
+      media,
+      tenantId: req.tenantId || null,
+      actorId: req.user.id
+    });
+
+    if (!clone) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    res.status(201).json({
+      message: 'Course cloned successfully',
+      course: { id: clone.courseId, title: clone.title, tenant_id: req.tenantId || null },
+      id_map: clone.idMap,
+      media: clone.media
+    });
+  } catch (error) {
+    console.error('Clone course error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/{id}/package:
+ *   get:
+ *     summary: Export a course as a portable package
+ *     description: |
+ *       The ZIP holds manifest.json (course, activities, content blocks,
+ *       quizzes and workshops with their questions, versioned by
+ *       format_version) and media/ with the uploaded files the content uses.
+ *       With format=json only the manifest is returned. Exports the draft.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [zip, json]
+ *           default: zip
+ */
+router.get('/:id/package', auth, can('course.edit'), tenantParam('course'), async (req, res) => {
+  try {
+    const format = req.query.format || 'zip';
+
+    if (!['zip', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'format must be zip or json' });
+    }
+
+    const manifest = await buildCourseManifest(req.params.id);
+
+    if (!manifest) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'course_package_exported',
+      details: { course_id: manifest.course.id, package_uid: manifest.package_uid, format },
+      ipAddress: req.ip
+    });
+
+    const fileName = `course-${manifest.course.id}-package`;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'zip') {
+      const buffer = await buildCoursePackageZip(manifest);
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(buffer);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json(manifest);
+  } catch (error) {
+    console.error('Export course package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/courses/import:
+ *   post:
+ *     summary: Import a course package
+ *     description: |
+ *       Validates the manifest and, in commit mode, creates the course in the
+ *       current tenant (or the shared library outside tenants) with new ids and
+ *       copies of the media. A course conflicts when it came from the same
+ *       package or has the same title; on_conflict then skips it, overwrites
+ *       its draft (publish afterwards to reach students) or creates a
+ *       duplicate. dry-run reports what would happen without writing.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               package:
+ *                 type: string
+ *                 format: binary
+ *                 description: .zip exported by GET /api/courses/{id}/package, or its manifest .json
+ *               mode:
+ *                 type: string
+ *                 enum: [dry-run, commit]
+ *                 default: dry-run
+ *               on_conflict:
+ *                 type: string
+ *                 enum: [skip, overwrite, duplicate]
+ *                 default: skip
+ */
+router.post('/import', auth, can('course.create'), (req, res) => {
+  uploadCoursePackage(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No package uploaded' });
+      }
+
+      const mode = req.body?.mode || 'dry-run';
+      const onConflict = req.body?.on_conflict || 'skip';
+
+      if (!['dry-run', 'commit'].includes(mode)) {
+        return res.status(400).json({ message: 'mode must be dry-run or commit' });
+      }
+
+      if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+        return res.status(400).json({ message: 'on_conflict must be skip, overwrite or duplicate' });
+      }
+
+      let coursePackage;
+
+      try {
+        coursePackage = await readCoursePackage(req.file.buffer, req.file.originalname);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const { manifest, files } = coursePackage;
+      const errors = validateManifest(manifest);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid course package', errors });
+      }
+
+      const tenantId = req.tenantId || null;
+
+      if (mode === 'dry-run') {
+        const plan = await planCourseImport(manifest, files, { onConflict, tenantId });
+        return res.json({ mode, ...plan });
+      }
+
+      const result = await importCoursePackage(manifest, files, { onConflict, tenantId, actorId: req.user.id });
+
+      await logAudit({
+        actorId: req.user.id,
+        action: 'course_package_imported',
+        details: {
+          course_id: result.courseId,
+          package_uid: manifest.package_uid || null,
+          source_course_id: manifest.course.id ?? null,
+          action: result.action
+        },
+        ipAddress: req.ip
+      });
+
+      res.status(['create', 'duplicate'].includes(result.action) ? 201 : 200).json({
+        mode,
+        message: result.action === 'skip' ? 'Course already exists; nothing imported' : 'Course package imported successfully',
+        action: result.action,
+        course: { id: result.courseId, title: result.title, tenant_id: tenantId },
+        id_map: result.idMap,
+        media: result.media
+      });
+    } catch (error) {
+      console.error('Import course package error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
 /**
  * @swagger
  * /api/courses/{id}:
@@ -149,7 +444,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin'), async (req, res) => {
+router.put('/:id', auth, can('course.edit'), tenantParam('course', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description } = req.body;
@@ -183,7 +478,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, can('course.delete'), tenantParam('course', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, hasPermission } = require('../middleware/auth');
+const { buildTenantFilter, tenantParam } = require('../utils/tenants');
 
 const router = express.Router();
 
@@ -9,12 +10,15 @@ const router = express.Router();
  * /api/forum/posts:
  *   get:
  *     summary: Get forum posts visible to the user
+ *     description: Inside a tenant only the posts published in that tenant are listed.
  *     tags: [Forum]
  *     security:
  *       - bearerAuth: []
  */
 router.get('/posts', auth, async (req, res) => {
   try {
+    // Cada campaña (tenant) tiene su propio foro
+    const tenant = buildTenantFilter(req, 'p.tenant_id');
     let query = '';
     let params = [];
 
@@ -26,9 +30,11 @@ router.get('/posts', auth, async (req, res) => {
         FROM forum_posts p
         JOIN users u ON p.author_id = u.id
         LEFT JOIN forum_comments c ON p.id = c.post_id
+        WHERE 1 = 1${tenant.clause}
         GROUP BY p.id
         ORDER BY p.created_at DESC
       `;
+      params = [...tenant.params];
     } else if (req.user.role === 'formador') {
       // Formador puede ver todos los posts (los suyos y de otros formadores)
       query = `
@@ -37,9 +43,11 @@ router.get('/posts', auth, async (req, res) => {
         FROM forum_posts p
         JOIN users u ON p.author_id = u.id
         LEFT JOIN forum_comments c ON p.id = c.post_id
+        WHERE 1 = 1${tenant.clause}
         GROUP BY p.id
         ORDER BY p.created_at DESC
       `;
+      params = [...tenant.params];
     } else if (req.user.role === 'estudiante') {
       // Estudiante puede ver posts de:
       // 1. Formadores directamente asignados (student_formador)
@@ -69,11 +77,11 @@ router.get('/posts', auth, async (req, res) => {
             JOIN course_assignments ca ON fc.course_id = ca.course_id
             WHERE ca.student_id = ?
           )
-        )
+        )${tenant.clause}
         GROUP BY p.id
         ORDER BY p.created_at DESC
       `;
-      params = [req.user.id, req.user.id];
+      params = [req.user.id, req.user.id, ...tenant.params];
     }
 
     const [rows] = await pool.execute(query, params);
@@ -93,7 +101,7 @@ router.get('/posts', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/posts', auth, authorize('admin', 'formador'), async (req, res) => {
+router.post('/posts', auth, can('forum.post'), async (req, res) => {
   try {
     const { title, content, image_url } = req.body;
 
@@ -102,12 +110,14 @@ router.post('/posts', auth, authorize('admin', 'formador'), async (req, res) =>
     }
 
     const [result] = await pool.execute(
-      'INSERT INTO forum_posts (title, content, image_url, author_id) VALUES (?, ?, ?, ?)',
-      [title, content, image_url || null, req.user.id]
+      'INSERT INTO forum_posts (title, content, image_url, author_id, tenant_id) VALUES (?, ?, ?, ?, ?)',
+      [title, content, image_url || null, req.user.id, req.tenantId || null]
     );
 
     // Crear notificaciones para estudiantes que pueden ver el post
     if (req.user.role === 'formador') {
+      const studentTenant = buildTenantFilter(req, 'u.tenant_id');
+
       const [students] = await pool.execute(
         `SELECT DISTINCT u.id as student_id, u.name as student_name
          FROM users u
@@ -126,8 +136,8 @@ router.post('/posts', auth, authorize('admin', 'formador'), async (req, res) =>
              JOIN formador_courses fc ON ca.course_id = fc.course_id
              WHERE fc.formador_id = ?
            )
-         )`,
-        [req.user.id, req.user.id]
+         )${studentTenant.clause}`,
+        [req.user.id, req.user.id, ...studentTenant.params]
       );
 
       for (const student of students) {
@@ -166,7 +176,7 @@ router.post('/posts', auth, authorize('admin', 'formador'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.get('/posts/:id', auth, async (req, res) => {
+router.get('/posts/:id', auth, tenantParam('forum_post'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -266,7 +276,7 @@ router.get('/posts/:id', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/posts/:id/comments', auth, async (req, res) => {
+router.post('/posts/:id/comments', auth, tenantParam('forum_post'), async (req, res) => {
   try {
     const { id } = req.params;
     const { content, parent_comment_id } = req.body;
@@ -384,12 +394,12 @@ router.post('/posts/:id/comments', auth, async (req, res) => {
  * @swagger
  * /api/forum/posts/{id}:
  *   delete:
- *     summary: Delete a forum post (author or admin only)
+ *     summary: Delete a forum post (author or moderators only)
  *     tags: [Forum]
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/posts/:id', auth, async (req, res) => {
+router.delete('/posts/:id', auth, tenantParam('forum_post'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -403,8 +413,8 @@ router.delete('/posts/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post no encontrado' });
     }
 
-    // Solo el autor o admin pueden eliminar
-    if (req.user.role !== 'admin' && req.user.id !== postRows[0].author_id) {
+    // Solo el autor o quien tenga forum.moderate pueden eliminar
+    if (!hasPermission(req, 'forum.moderate') && req.user.id !== postRows[0].author_id) {
       return res.status(403).json({ message: 'No tienes permiso para eliminar este post' });
     }
 
@@ -1,9 +1,41 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, studentParam } = require('../middleware/auth');
+const { buildScopeFilter } = require('../utils/permissions');
+const { buildCohortFilter } = require('../utils/cohorts');
+const { buildTenantFilter, buildTenantUserFilter, tenantParam } = require('../utils/tenants');
+const { buildCourseSnapshot, getCourseVersion, getStudentCourseVersion, findSnapshotItem } = require('../utils/course-versions');
+const { emitAssessmentSubmitted } = require('../utils/xapi');
+const { queueLtiScores } = require('../utils/lti');
+const { publishAssessmentSubmitted } = require('../utils/webhooks');
+const { getActivityLock } = require('../utils/sequencing');
+const { WORKSHOP_PASSING_SCORE } = require('../utils/grading');
 
 const router = express.Router();
 
+// SCORM attempts that reported a score, in the shape of the quiz and
+// workshop grades (quiz_id is the SCO)
+const SCORM_GRADES_SELECT = `
+  SELECT sa.id, sa.student_id, sa.sco_id as quiz_id, sa.score_raw as score, COALESCE(sa.score_max, 100) as max_score,
+         sa.percentage, sa.attempt_number, COALESCE(sa.completed_at, sa.updated_at) as completed_at,
+         s.title as quiz_title, a.title as activity_title, c.title as course_title,
+         COALESCE(s.passing_score, 70) as passing_score, u.name as student_name, u.email as student_email,
+         'scorm' as grade_type
+  FROM scorm_attempts sa
+  JOIN scorm_scos s ON sa.sco_id = s.id
+  JOIN scorm_packages p ON sa.package_id = p.id
+  JOIN activities a ON p.activity_id = a.id
+  JOIN courses c ON a.course_id = c.id
+  JOIN users u ON sa.student_id = u.id
+  WHERE sa.percentage IS NOT NULL`;
+
+// Students without a version of the course (not enrolled, or never
+// published) are held to the sequencing rules of the draft
+const draftActivityLock = async (courseId, activityId, studentId) => {
+  const snapshot = await buildCourseSnapshot(pool, courseId);
+  return snapshot && getActivityLock(snapshot, activityId, studentId);
+};
+
 /**
  * @swagger
  * /api/grades/my-grades:
@@ -13,7 +45,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/my-grades', auth, authorize('estudiante'), async (req, res) => {
+router.get('/my-grades', auth, can('learning.participate'), async (req, res) => {
   try {
     const [rows] = await pool.execute(
       `SELECT g.*, q.title as quiz_title, a.title as activity_title, c.title as course_title,
@@ -43,7 +75,7 @@ router.get('/my-grades', auth, authorize('estudiante'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/quiz', auth, async (req, res) => {
+router.post('/quiz', auth, tenantParam('quiz', 'quiz_id', { source: 'body' }), tenantParam('user', 'student_id', { source: 'body' }), async (req, res) => {
   try {
     const { student_id, quiz_id, score, max_score, percentage, answers } = req.body;
 
@@ -52,15 +84,56 @@ router.post('/quiz', auth, async (req, res) => {
       return res.status(403).json({ message: 'You can only submit your own grades' });
     }
 
-    // Get quiz questions to calculate correct score
-    const [questionRows] = await pool.execute(
-      `SELECT id, question, correct_answer, points
-       FROM quiz_questions 
-       WHERE quiz_id = ? 
-       ORDER BY order_index`,
+    const [quizRows] = await pool.execute(
+      'SELECT a.course_id, q.activity_id FROM quizzes q JOIN activities a ON q.activity_id = a.id WHERE q.id = ?',
       [quiz_id]
     );
 
+    if (quizRows.length === 0) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Enrolled students are graded against the questions of their version;
+    // anyone else against the draft
+    const pinned = await getStudentCourseVersion(quizRows[0].course_id, student_id);
+    let questionRows;
+    let versionId = null;
+    let passingScore = null;
+
+    if (pinned && pinned.snapshot) {
+      const found = findSnapshotItem(pinned.snapshot, 'quizzes', quiz_id);
+
+      if (!found) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      // Staff may still record grades of activities the student has locked
+      const lock = req.user.role === 'estudiante' && await getActivityLock(pinned.snapshot, found.activity.id, student_id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      questionRows = found.item.questions;
+      versionId = pinned.versionId;
+      passingScore = found.item.passing_score;
+    } else {
+      const lock = req.user.role === 'estudiante' && await draftActivityLock(quizRows[0].course_id, quizRows[0].activity_id, student_id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      // Get quiz questions to calculate correct score
+      [questionRows] = await pool.execute(
+        `SELECT id, question, correct_answer, points
+         FROM quiz_questions 
+         WHERE quiz_id = ? 
+         ORDER BY order_index`,
+        [quiz_id]
+      );
+    }
+
     if (questionRows.length === 0) {
       return res.status(404).json({ message: 'Quiz questions not found' });
     }
@@ -95,11 +168,25 @@ router.post('/quiz', auth, async (req, res) => {
     const attemptNumber = (existingGrades[0].max_attempt || 0) + 1;
 
     const [result] = await pool.execute(
-      `INSERT INTO grades (student_id, quiz_id, score, max_score, percentage, student_answers, attempt_number) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [student_id, quiz_id, correctAnswers, totalPoints, calculatedPercentage, JSON.stringify(answers), attemptNumber]
+      `INSERT INTO grades (student_id, quiz_id, version_id, score, max_score, percentage, student_answers, attempt_number) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [student_id, quiz_id, versionId, correctAnswers, totalPoints, calculatedPercentage, JSON.stringify(answers), attemptNumber]
     );
 
+    emitAssessmentSubmitted(student_id, 'quiz', quiz_id, {
+      score: correctAnswers,
+      maxScore: totalPoints,
+      percentage: calculatedPercentage,
+      passingScore
+    });
+    queueLtiScores(student_id, 'quiz', quiz_id, { score: correctAnswers, maxScore: totalPoints });
+    publishAssessmentSubmitted(student_id, 'quiz', quiz_id, {
+      score: correctAnswers,
+      maxScore: totalPoints,
+      percentage: calculatedPercentage,
+      passingScore
+    });
+
     res.status(201).json({ 
       message: 'Grade submitted successfully',
       gradeId: result.insertId,
@@ -124,7 +211,7 @@ router.post('/quiz', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/workshop', auth, async (req, res) => {
+router.post('/workshop', auth, tenantParam('workshop', 'workshop_id', { source: 'body' }), tenantParam('user', 'student_id', { source: 'body' }), async (req, res) => {
   try {
     const { student_id, workshop_id, score, max_score, percentage, answers } = req.body;
 
@@ -133,6 +220,34 @@ router.post('/workshop', auth, async (req, res) => {
       return res.status(403).json({ message: 'You can only submit your own grades' });
     }
 
+    const [workshopRows] = await pool.execute(
+      'SELECT a.course_id, w.activity_id FROM workshops w JOIN activities a ON w.activity_id = a.id WHERE w.id = ?',
+      [workshop_id]
+    );
+
+    if (workshopRows.length === 0) {
+      return res.status(404).json({ message: 'Workshop not found' });
+    }
+
+    // Recorded against the version the student is pinned to, if any
+    const pinned = await getStudentCourseVersion(workshopRows[0].course_id, student_id);
+
+    // Staff may still record grades of activities the student has locked
+    if (req.user.role === 'estudiante') {
+      let lock;
+
+      if (pinned && pinned.snapshot) {
+        const versionWorkshop = findSnapshotItem(pinned.snapshot, 'workshops', workshop_id);
+        lock = versionWorkshop && await getActivityLock(pinned.snapshot, versionWorkshop.activity.id, student_id);
+      } else {
+        lock = await draftActivityLock(workshopRows[0].course_id, workshopRows[0].activity_id, student_id);
+      }
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+    }
+
     // Get current attempt number
     const [existingGrades] = await pool.execute(
       'SELECT MAX(attempt_number) as max_attempt FROM workshop_grades WHERE student_id = ? AND workshop_id = ?',
@@ -142,11 +257,15 @@ router.post('/workshop', auth, async (req, res) => {
     const attemptNumber = (existingGrades[0].max_attempt || 0) + 1;
 
     const [result] = await pool.execute(
-      `INSERT INTO workshop_grades (student_id, workshop_id, score, max_score, percentage, student_answers, attempt_number) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [student_id, workshop_id, score, max_score, percentage, JSON.stringify(answers), attemptNumber]
+      `INSERT INTO workshop_grades (student_id, workshop_id, version_id, score, max_score, percentage, student_answers, attempt_number) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [student_id, workshop_id, pinned ? pinned.versionId : null, score, max_score, percentage, JSON.stringify(answers), attemptNumber]
     );
 
+    emitAssessmentSubmitted(student_id, 'workshop', workshop_id, { score, maxScore: max_score, percentage });
+    queueLtiScores(student_id, 'workshop', workshop_id, { score, maxScore: max_score });
+    publishAssessmentSubmitted(student_id, 'workshop', workshop_id, { score, maxScore: max_score, percentage });
+
     res.status(201).json({ 
       message: 'Workshop grade submitted successfully',
       gradeId: result.insertId,
@@ -167,17 +286,12 @@ router.post('/workshop', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/student/:studentId', auth, authorize('admin', 'formador', 'estudiante'), async (req, res) => {
+router.get('/student/:studentId', auth, can('grades.view', studentParam()), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
-    // Students can only view their own grades
-    if (req.user.role === 'estudiante' && req.user.id != studentId) {
-      return res.status(403).json({ message: 'You can only view your own grades' });
-    }
-
     // Verify that the requested student exists and is actually a student
-    if (req.user.role === 'formador' || req.user.role === 'admin') {
+    if (req.user.id != studentId) {
       const [studentExists] = await pool.execute(
         'SELECT id FROM users WHERE id = ? AND role = "estudiante"',
         [studentId]
@@ -208,7 +322,7 @@ router.get('/student/:studentId', auth, authorize('admin', 'formador', 'estudian
       `SELECT wg.id, wg.student_id, wg.workshop_id as quiz_id, wg.score, wg.max_score, 
               wg.percentage, wg.attempt_number, wg.completed_at,
               w.title as quiz_title, a.title as activity_title, c.title as course_title,
-              70 as passing_score, u.name as student_name, u.email as student_email,
+              ? as passing_score, u.name as student_name, u.email as student_email,
               'workshop' as grade_type
        FROM workshop_grades wg
        JOIN workshops w ON wg.workshop_id = w.id
@@ -217,11 +331,19 @@ router.get('/student/:studentId', auth, authorize('admin', 'formador', 'estudian
        JOIN users u ON wg.student_id = u.id
        WHERE wg.student_id = ?
        ORDER BY wg.completed_at DESC`,
+      [WORKSHOP_PASSING_SCORE, studentId]
+    );
+
+    // Get SCORM scores
+    const [scormGrades] = await pool.execute(
+      `${SCORM_GRADES_SELECT}
+       AND sa.student_id = ?
+       ORDER BY sa.updated_at DESC`,
       [studentId]
     );
 
-    // Combine both types of grades
-    const allGrades = [...quizGrades, ...workshopGrades].sort((a, b) => 
+    // Combine all types of grades
+    const allGrades = [...quizGrades, ...workshopGrades, ...scormGrades].sort((a, b) => 
       new Date(b.completed_at) - new Date(a.completed_at)
     );
 
@@ -240,9 +362,20 @@ router.get('/student/:studentId', auth, authorize('admin', 'formador', 'estudian
  *     tags: [Grades]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/all', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/all', auth, can('grades.view'), async (req, res) => {
   try {
+    const quizScope = buildScopeFilter(req, 'grades.view', 'g.student_id');
+    const workshopScope = buildScopeFilter(req, 'grades.view', 'wg.student_id');
+    const quizCohort = buildCohortFilter(req, 'g.student_id');
+    const workshopCohort = buildCohortFilter(req, 'wg.student_id');
+
     // Get quiz grades
     const [quizGrades] = await pool.execute(
       `SELECT g.*, q.title as quiz_title, a.title as activity_title, c.title as course_title,
@@ -253,7 +386,9 @@ router.get('/all', auth, authorize('admin', 'formador'), async (req, res) => {
        JOIN activities a ON q.activity_id = a.id
        JOIN courses c ON a.course_id = c.id
        JOIN users u ON g.student_id = u.id
-       ORDER BY g.completed_at DESC`
+       WHERE 1 = 1${quizScope.clause}${quizCohort.clause}
+       ORDER BY g.completed_at DESC`,
+      [...quizScope.params, ...quizCohort.params]
     );
 
     // Get workshop grades
@@ -261,18 +396,29 @@ router.get('/all', auth, authorize('admin', 'formador'), async (req, res) => {
       `SELECT wg.id, wg.student_id, wg.workshop_id as quiz_id, wg.score, wg.max_score, 
               wg.percentage, wg.attempt_number, wg.completed_at,
               w.title as quiz_title, a.title as activity_title, c.title as course_title,
-              70 as passing_score, u.name as student_name, u.email as student_email,
+              ? as passing_score, u.name as student_name, u.email as student_email,
               'workshop' as grade_type
        FROM workshop_grades wg
        JOIN workshops w ON wg.workshop_id = w.id
        JOIN activities a ON w.activity_id = a.id
        JOIN courses c ON a.course_id = c.id
        JOIN users u ON wg.student_id = u.id
-       ORDER BY wg.completed_at DESC`
+       WHERE 1 = 1${workshopScope.clause}${workshopCohort.clause}
+       ORDER BY wg.completed_at DESC`,
+      [WORKSHOP_PASSING_SCORE, ...workshopScope.params, ...workshopCohort.params]
     );
 
-    // Combine both types of grades
-    const allGrades = [...quizGrades, ...workshopGrades].sort((a, b) => 
+    // Get SCORM scores
+    const scormScope = buildScopeFilter(req, 'grades.view', 'sa.student_id');
+    const scormCohort = buildCohortFilter(req, 'sa.student_id');
+    const [scormGrades] = await pool.execute(
+      `${SCORM_GRADES_SELECT}${scormScope.clause}${scormCohort.clause}
+       ORDER BY sa.updated_at DESC`,
+      [...scormScope.params, ...scormCohort.params]
+    );
+
+    // Combine all types of grades
+    const allGrades = [...quizGrades, ...workshopGrades, ...scormGrades].sort((a, b) => 
       new Date(b.completed_at) - new Date(a.completed_at)
     );
 
@@ -291,8 +437,14 @@ router.get('/all', auth, authorize('admin', 'formador'), async (req, res) => {
  *     tags: [Grades]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/course/:courseId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/course/:courseId', auth, can('grades.view'), tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -309,7 +461,13 @@ router.get('/course/:courseId', auth, authorize('admin', 'formador'), async (req
 
     let params = [courseId];
 
-    // No additional filtering needed for formadors - they can see all students
+    const scope = buildScopeFilter(req, 'grades.view', 'g.student_id');
+    query += scope.clause;
+    params.push(...scope.params);
+
+    const cohort = buildCohortFilter(req, 'g.student_id');
+    query += cohort.clause;
+    params.push(...cohort.params);
 
     query += ' ORDER BY u.name ASC, g.completed_at DESC';
 
@@ -330,8 +488,14 @@ router.get('/course/:courseId', auth, authorize('admin', 'formador'), async (req
  *     tags: [Grades]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/quiz/:quizId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/quiz/:quizId', auth, can('grades.view'), tenantParam('quiz', 'quizId'), async (req, res) => {
   try {
     const { quizId } = req.params;
 
@@ -346,7 +510,13 @@ router.get('/quiz/:quizId', auth, authorize('admin', 'formador'), async (req, re
 
     let params = [quizId];
 
-    // No additional filtering needed for formadors - they can see all students
+    const scope = buildScopeFilter(req, 'grades.view', 'g.student_id');
+    query += scope.clause;
+    params.push(...scope.params);
+
+    const cohort = buildCohortFilter(req, 'g.student_id');
+    query += cohort.clause;
+    params.push(...cohort.params);
 
     query += ' ORDER BY g.percentage DESC, g.completed_at DESC';
 
@@ -368,16 +538,12 @@ router.get('/quiz/:quizId', auth, authorize('admin', 'formador'), async (req, re
  *     security:
  *       - bearerAuth: []
  */
-router.get('/summary/:studentId', auth, authorize('admin', 'formador', 'estudiante'), async (req, res) => {
+router.get('/summary/:studentId', auth, can('grades.view', studentParam()), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
-    if (req.user.role === 'estudiante' && req.user.id != studentId) {
-      return res.status(403).json({ message: 'You can only view your own grade summary' });
-    }
-
     // Verify that the requested student exists and is actually a student
-    if (req.user.role === 'formador' || req.user.role === 'admin') {
+    if (req.user.id != studentId) {
       const [studentExists] = await pool.execute(
         'SELECT id FROM users WHERE id = ? AND role = "estudiante"',
         [studentId]
@@ -437,7 +603,7 @@ router.get('/summary/:studentId', auth, authorize('admin', 'formador', 'estudian
  *     security:
  *       - bearerAuth: []
  */
-router.get('/my-courses-progress', auth, authorize('estudiante'), async (req, res) => {
+router.get('/my-courses-progress', auth, can('learning.participate'), async (req, res) => {
   try {
     const [coursesData] = await pool.execute(
       `SELECT DISTINCT c.id, c.title, c.description,
@@ -450,7 +616,7 @@ router.get('/my-courses-progress', auth, authorize('estudiante'), async (req, re
               AVG(g.percentage) as avg_quiz_score,
               AVG(wg.percentage) as avg_workshop_score,
               COUNT(DISTINCT CASE WHEN g.percentage >= (SELECT passing_score FROM quizzes WHERE id = g.quiz_id) THEN g.id END) as passed_quizzes,
-              COUNT(DISTINCT CASE WHEN wg.percentage >= 70 THEN wg.id END) as passed_workshops
+              COUNT(DISTINCT CASE WHEN wg.percentage >= ? THEN wg.id END) as passed_workshops
        FROM courses c
        INNER JOIN course_assignments ca ON c.id = ca.course_id
        LEFT JOIN activities a ON c.id = a.course_id
@@ -462,7 +628,7 @@ router.get('/my-courses-progress', auth, authorize('estudiante'), async (req, re
        WHERE ca.student_id = ?
        GROUP BY c.id, c.title, c.description
        ORDER BY c.title`,
-      [req.user.id, req.user.id, req.user.id, req.user.id]
+      [WORKSHOP_PASSING_SCORE, req.user.id, req.user.id, req.user.id, req.user.id]
     );
 
     // Calculate overall progress for each course
@@ -517,7 +683,7 @@ router.get('/my-courses-progress', auth, authorize('estudiante'), async (req, re
  *     security:
  *       - bearerAuth: []
  */
-router.get('/course/:courseId/details', auth, authorize('estudiante'), async (req, res) => {
+router.get('/course/:courseId/details', auth, can('learning.participate'), tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { courseId } = req.params;
     console.log(`Getting course details for course ${courseId}, student ${req.user.id}`);
@@ -629,7 +795,7 @@ router.get('/course/:courseId/details', auth, authorize('estudiante'), async (re
  *     security:
  *       - bearerAuth: []
  */
-router.get('/my-formadores', auth, authorize('estudiante'), async (req, res) => {
+router.get('/my-formadores', auth, can('learning.participate'), async (req, res) => {
   try {
     const [rows] = await pool.execute(
       `SELECT u.id, u.name, u.email, sf.assigned_at
@@ -656,17 +822,12 @@ router.get('/my-formadores', auth, authorize('estudiante'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.get('/student/:studentId/course/:courseId/progress', auth, authorize('admin', 'formador', 'estudiante'), async (req, res) => {
+router.get('/student/:studentId/course/:courseId/progress', auth, can('grades.view', studentParam()), tenantParam('user', 'studentId'), tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { studentId, courseId } = req.params;
 
-    // Students can only view their own progress
-    if (req.user.role === 'estudiante' && req.user.id != studentId) {
-      return res.status(403).json({ message: 'You can only view your own progress' });
-    }
-
     // Verify that the requested student exists and is actually a student
-    if (req.user.role === 'formador' || req.user.role === 'admin') {
+    if (req.user.id != studentId) {
       const [studentExists] = await pool.execute(
         'SELECT id FROM users WHERE id = ? AND role = "estudiante"',
         [studentId]
@@ -712,9 +873,23 @@ router.get('/student/:studentId/course/:courseId/progress', auth, authorize('adm
  *     tags: [Grades]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/overall-stats', auth, authorize('admin'), async (req, res) => {
+router.get('/overall-stats', auth, can('grades.stats'), async (req, res) => {
   try {
+    const studentCohort = buildCohortFilter(req, 'u.id');
+    const enrollmentCohort = buildCohortFilter(req, 'ca.student_id');
+    const gradeCohort = buildCohortFilter(req, 'g.student_id');
+    const studentTenant = buildTenantFilter(req, 'u.tenant_id');
+    const enrollmentTenant = buildTenantUserFilter(req, 'ca.student_id');
+    const gradeTenant = buildTenantUserFilter(req, 'g.student_id');
+    const courseTenant = buildTenantFilter(req, 'c.tenant_id', { shared: true });
+
     const [generalStats] = await pool.execute(`
       SELECT 
         COUNT(DISTINCT u.id) as total_students,
@@ -727,9 +902,9 @@ router.get('/overall-stats', auth, authorize('admin'), async (req, res) => {
       LEFT JOIN courses c ON ca.course_id = c.id
       LEFT JOIN activities a ON c.id = a.course_id
       LEFT JOIN quizzes q ON a.id = q.activity_id
-      LEFT JOIN grades g ON q.id = g.quiz_id
-      WHERE u.role = 'estudiante'
-    `);
+      LEFT JOIN grades g ON q.id = g.quiz_id${gradeCohort.clause}${gradeTenant.clause}
+      WHERE u.role = 'estudiante'${studentCohort.clause}${studentTenant.clause}
+    `, [...gradeCohort.params, ...gradeTenant.params, ...studentCohort.params, ...studentTenant.params]);
 
     const [courseStats] = await pool.execute(`
       SELECT c.title as course_title,
@@ -737,13 +912,20 @@ router.get('/overall-stats', auth, authorize('admin'), async (req, res) => {
              COUNT(DISTINCT g.id) as quiz_attempts,
              AVG(g.percentage) as average_score
       FROM courses c
-      LEFT JOIN course_assignments ca ON c.id = ca.course_id
+      LEFT JOIN course_assignments ca ON c.id = ca.course_id${enrollmentCohort.clause}${enrollmentTenant.clause}
       LEFT JOIN activities a ON c.id = a.course_id
       LEFT JOIN quizzes q ON a.id = q.activity_id
-      LEFT JOIN grades g ON q.id = g.quiz_id
+      LEFT JOIN grades g ON q.id = g.quiz_id${gradeCohort.clause}${gradeTenant.clause}
+      WHERE 1 = 1${courseTenant.clause}
       GROUP BY c.id, c.title
       ORDER BY enrolled_students DESC
-    `);
+    `, [
+      ...enrollmentCohort.params,
+      ...enrollmentTenant.params,
+      ...gradeCohort.params,
+      ...gradeTenant.params,
+      ...courseTenant.params
+    ]);
 
     res.json({ 
       general: generalStats[0],
@@ -770,11 +952,13 @@ router.get('/overall-stats', auth, authorize('admin'), async (req, res) => {
  *         schema:
  *           type: integer
  */
-router.get('/audit/:gradeId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/audit/:gradeId', auth, can('grades.audit'), async (req, res) => {
   try {
     const { gradeId } = req.params;
     console.log('Audit request for gradeId:', gradeId);
 
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
     // Get grade with student answers
     const [gradeRows] = await pool.execute(
       `SELECT g.*, u.name as student_name, u.email as student_email, 
@@ -782,8 +966,8 @@ router.get('/audit/:gradeId', auth, authorize('admin', 'formador'), async (req,
        FROM grades g
        JOIN users u ON g.student_id = u.id
        JOIN quizzes q ON g.quiz_id = q.id
-       WHERE g.id = ?`,
-      [gradeId]
+       WHERE g.id = ?${tenant.clause}`,
+      [gradeId, ...tenant.params]
     );
 
     if (gradeRows.length === 0) {
@@ -794,14 +978,23 @@ router.get('/audit/:gradeId', auth, authorize('admin', 'formador'), async (req,
     const grade = gradeRows[0];
     console.log('Grade found:', grade);
 
-    // Get quiz questions with correct answers
-    const [questionsRows] = await pool.execute(
-      `SELECT id, question, options, correct_answer, points
-       FROM quiz_questions
-       WHERE quiz_id = ?
-       ORDER BY order_index`,
-      [grade.quiz_id]
-    );
+    // Get quiz questions with correct answers: those of the version the grade
+    // was obtained on, or the current ones for grades from before versioning
+    let questionsRows;
+    const version = grade.version_id ? await getCourseVersion(grade.version_id) : null;
+    const found = version && findSnapshotItem(version.snapshot, 'quizzes', grade.quiz_id);
+
+    if (found) {
+      questionsRows = found.item.questions;
+    } else {
+      [questionsRows] = await pool.execute(
+        `SELECT id, question, options, correct_answer, points
+         FROM quiz_questions
+         WHERE quiz_id = ?
+         ORDER BY order_index`,
+        [grade.quiz_id]
+      );
+    }
 
     // Parse student answers
     let studentAnswers = {};
@@ -0,0 +1,454 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { auth, can, hasPermission } = require('../middleware/auth');
+const { completeLogin } = require('../utils/login-protection');
+const { hashToken } = require('../utils/tokens');
+const {
+  createInvitation,
+  renewInvitationToken,
+  sendInvitationEmail,
+  parseCourseIds
+} = require('../utils/invitations');
+const { emitCourseEnrollments } = require('../utils/xapi');
+const { publishEnrollments, publishUsersCreated } = require('../utils/webhooks');
+const { buildTenantFilter, findOutsideTenant, tenantParam } = require('../utils/tenants');
+
+const router = express.Router();
+
+const INVITATION_STATUS_SQL = `
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END
+`;
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: Get invitations (admin sees all, formador sees their own)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ */
+router.get('/', auth, can('invitations.manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = `
+      SELECT i.id, i.email, i.name, i.role, i.course_ids, i.formador_id, i.invited_by,
+             i.expires_at, i.accepted_at, i.revoked_at, i.last_sent_at, i.send_count, i.created_at,
+             inviter.name as invited_by_name, f.name as formador_name,
+             ${INVITATION_STATUS_SQL} as status
+      FROM invitations i
+      JOIN users inviter ON i.invited_by = inviter.id
+      LEFT JOIN users f ON i.formador_id = f.id
+      WHERE 1 = 1
+    `;
+
+    const tenant = buildTenantFilter(req, 'i.tenant_id');
+    query += tenant.clause;
+    let params = [...tenant.params];
+
+    if (!hasPermission(req, 'invitations.manage')) {
+      query += ' AND i.invited_by = ?';
+      params.push(req.user.id);
+    }
+
+    if (status) {
+      query += ` AND ${INVITATION_STATUS_SQL} = ?`;
+      params.push(status);
+    }
+
+    query += ' ORDER BY i.created_at DESC';
+
+    const [rows] = await pool.execute(query, params);
+
+    const invitations = rows.map(invitation => ({
+      ...invitation,
+      course_ids: parseCourseIds(invitation.course_ids)
+    }));
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a new user
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, formador, estudiante]
+ *               course_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               formador_id:
+ *                 type: integer
+ */
+router.post('/', auth, can('invitations.manage'), async (req, res) => {
+  try {
+    const { email, name, role, course_ids, formador_id } = req.body;
+    const courseIds = Array.isArray(course_ids) ? course_ids : [];
+
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Email and role are required' });
+    }
+
+    if (!['admin', 'formador', 'estudiante'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (!hasPermission(req, 'invitations.manage') && role !== 'estudiante') {
+      return res.status(403).json({ message: 'You can only invite students' });
+    }
+
+    // Formadores always become the formador of the students they invite
+    const formadorId = req.user.role === 'formador' ? req.user.id : (formador_id || null);
+
+    if (formadorId && role !== 'estudiante') {
+      return res.status(400).json({ message: 'Only students can be linked to a formador' });
+    }
+
+    const [existingUser] = await pool.execute(
+      'SELECT id FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (existingUser.length > 0) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+
+    const [pendingRows] = await pool.execute(
+      `SELECT id FROM invitations i
+       WHERE i.email = ? AND ${INVITATION_STATUS_SQL} = 'pending'`,
+      [email]
+    );
+
+    if (pendingRows.length > 0) {
+      return res.status(400).json({ message: 'There is already a pending invitation for this email' });
+    }
+
+    if (formadorId && req.user.role === 'admin') {
+      const tenant = buildTenantFilter(req, 'tenant_id');
+      const [formadorRows] = await pool.execute(
+        `SELECT id FROM users WHERE id = ? AND role = "formador" AND status = "active"${tenant.clause}`,
+        [formadorId, ...tenant.params]
+      );
+
+      if (formadorRows.length === 0) {
+        return res.status(404).json({ message: 'Formador not found' });
+      }
+    }
+
+    if (courseIds.length > 0) {
+      const [courseRows] = await pool.query(
+        'SELECT id FROM courses WHERE id IN (?)',
+        [courseIds]
+      );
+
+      if (courseRows.length !== new Set(courseIds.map(Number)).size ||
+          (await findOutsideTenant(req, 'course', courseIds)).length > 0) {
+        return res.status(404).json({ message: 'One or more courses were not found' });
+      }
+    }
+
+    const { id, token } = await createInvitation({
+      email,
+      name,
+      role,
+      courseIds,
+      formadorId,
+      invitedBy: req.user.id,
+      tenantId: req.tenantId
+    });
+
+    await sendInvitationEmail({ email, name, role }, token, req.user.name);
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: {
+        id,
+        email,
+        name,
+        role,
+        course_ids: courseIds,
+        formador_id: formadorId
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation with a new link
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/resend', auth, can('invitations.manage'), tenantParam('invitation'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.execute(
+      `SELECT i.*, ${INVITATION_STATUS_SQL} as status FROM invitations i WHERE i.id = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = rows[0];
+
+    if (!hasPermission(req, 'invitations.manage') && invitation.invited_by !== req.user.id) {
+      return res.status(403).json({ message: 'You can only resend your own invitations' });
+    }
+
+    if (invitation.status === 'accepted' || invitation.status === 'revoked') {
+      return res.status(400).json({ message: `Cannot resend an ${invitation.status} invitation` });
+    }
+
+    const token = await renewInvitationToken(invitation.id);
+
+    await sendInvitationEmail(invitation, token, req.user.name);
+
+    res.json({ message: 'Invitation resent successfully' });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('invitations.manage'), tenantParam('invitation'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let query = 'UPDATE invitations SET revoked_at = NOW() WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL';
+    let params = [id];
+
+    if (!hasPermission(req, 'invitations.manage')) {
+      query += ' AND invited_by = ?';
+      params.push(req.user.id);
+    }
+
+    const [result] = await pool.execute(query, params);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Pending invitation not found or not authorized' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/accept/{token}:
+ *   get:
+ *     summary: Check an invitation link before accepting it
+ *     tags: [Invitations]
+ */
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const [rows] = await pool.execute(
+      `SELECT email, name, role, expires_at FROM invitations
+       WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({ invitation: rows[0] });
+  } catch (error) {
+    console.error('Check invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and set a password
+ *     description: |
+ *       Creates the account and logs it in like /api/auth/login: tokens, or a
+ *       two-factor setup challenge (requiresTwoFactorSetup) for roles listed
+ *       in TWO_FACTOR_REQUIRED_ROLES.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ */
+router.post('/accept', async (req, res) => {
+  const { token, name, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and password are required' });
+  }
+
+  if (password.length < 8) {
+    return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      `SELECT * FROM invitations
+       WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const invitation = rows[0];
+    const userName = name || invitation.name;
+
+    if (!userName) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const [existingUser] = await connection.execute(
+      'SELECT id FROM users WHERE email = ?',
+      [invitation.email]
+    );
+
+    if (existingUser.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    const [result] = await connection.execute(
+      'INSERT INTO users (name, email, password, role, tenant_id) VALUES (?, ?, ?, ?, ?)',
+      [userName, invitation.email, hashedPassword, invitation.role, invitation.tenant_id]
+    );
+
+    const userId = result.insertId;
+    const enrolled = [];
+
+    for (const courseId of parseCourseIds(invitation.course_ids)) {
+      if (invitation.role === 'estudiante') {
+        const [assignment] = await connection.execute(
+          'INSERT IGNORE INTO course_assignments (course_id, student_id, assigned_by) VALUES (?, ?, ?)',
+          [courseId, userId, invitation.invited_by]
+        );
+
+        if (assignment.affectedRows > 0) {
+          enrolled.push({ studentId: userId, courseId });
+        }
+      } else if (invitation.role === 'formador') {
+        await connection.execute(
+          'INSERT IGNORE INTO formador_courses (formador_id, course_id, assigned_by) VALUES (?, ?, ?)',
+          [userId, courseId, invitation.invited_by]
+        );
+      }
+    }
+
+    if (invitation.formador_id && invitation.role === 'estudiante') {
+      await connection.execute(
+        'INSERT IGNORE INTO student_formador (student_id, formador_id) VALUES (?, ?)',
+        [userId, invitation.formador_id]
+      );
+    }
+
+    await connection.execute(
+      'UPDATE invitations SET accepted_at = NOW(), accepted_user_id = ? WHERE id = ?',
+      [userId, invitation.id]
+    );
+
+    await connection.commit();
+
+    publishUsersCreated([userId]);
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    // Logged in like /api/auth/login, so roles that must use 2FA get the
+    // setup challenge instead of tokens
+    res.status(201);
+    await completeLogin({ id: userId, name: userName, email: invitation.email, role: invitation.role }, req, res);
+  } catch (error) {
+    await connection.rollback();
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
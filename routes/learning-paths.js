@@ -0,0 +1,617 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { buildTenantFilter, tenantParam } = require('../utils/tenants');
+const {
+  getPathCourses,
+  normalizePathCourses,
+  savePathCourses,
+  getPathProgress,
+  syncPathEnrollments,
+  assignPath
+} = require('../utils/learning-paths');
+const { emitCourseEnrollments } = require('../utils/xapi');
+const { publishEnrollments } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const parseIdList = (value) => {
+  if (!Array.isArray(value) || value.some(id => !Number.isInteger(Number(id)))) {
+    return null;
+  }
+
+  return [...new Set(value.map(Number))];
+};
+
+const getPathById = async (id) => {
+  const [rows] = await pool.execute(
+    `SELECT lp.*, u.name as created_by_name
+     FROM learning_paths lp
+     LEFT JOIN users u ON lp.created_by = u.id
+     WHERE lp.id = ?`,
+    [id]
+  );
+
+  return rows[0] || null;
+};
+
+// Ids that are not existing courses (of the tenant or the shared library)
+const findMissingCourses = async (req, courseIds) => {
+  if (courseIds.length === 0) {
+    return [];
+  }
+
+  const tenant = buildTenantFilter(req, 'tenant_id', { shared: true });
+  const [rows] = await pool.query(`SELECT id FROM courses WHERE id IN (?)${tenant.clause}`, [courseIds, ...tenant.params]);
+  const found = new Set(rows.map(row => row.id));
+
+  return courseIds.filter(id => !found.has(id));
+};
+
+// Ids that are not active student accounts (of the tenant)
+const findInvalidStudents = async (req, studentIds) => {
+  if (studentIds.length === 0) {
+    return [];
+  }
+
+  const tenant = buildTenantFilter(req, 'tenant_id');
+  const [rows] = await pool.query(
+    `SELECT id FROM users WHERE id IN (?) AND role = 'estudiante' AND status = 'active'${tenant.clause}`,
+    [studentIds, ...tenant.params]
+  );
+  const found = new Set(rows.map(row => row.id));
+
+  return studentIds.filter(id => !found.has(id));
+};
+
+// Ids that are not cohorts (of the tenant)
+const findMissingCohorts = async (req, cohortIds) => {
+  if (cohortIds.length === 0) {
+    return [];
+  }
+
+  const tenant = buildTenantFilter(req, 'tenant_id');
+  const [rows] = await pool.query(`SELECT id FROM cohorts WHERE id IN (?)${tenant.clause}`, [cohortIds, ...tenant.params]);
+  const found = new Set(rows.map(row => row.id));
+
+  return cohortIds.filter(id => !found.has(id));
+};
+
+const getPathAssignments = async (pathId) => {
+  const [rows] = await pool.execute(
+    'SELECT student_id, assigned_by FROM learning_path_assignments WHERE path_id = ?',
+    [pathId]
+  );
+
+  return rows;
+};
+
+/**
+ * @swagger
+ * /api/learning-paths:
+ *   get:
+ *     summary: Get learning paths
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('learning_paths.manage'), async (req, res) => {
+  try {
+    const tenant = buildTenantFilter(req, 'lp.tenant_id');
+
+    const [rows] = await pool.execute(
+      `SELECT lp.*,
+              (SELECT COUNT(*) FROM learning_path_courses lpc WHERE lpc.path_id = lp.id) as course_count,
+              (SELECT COUNT(*) FROM learning_path_cohorts lpco WHERE lpco.path_id = lp.id) as cohort_count,
+              (SELECT COUNT(*) FROM learning_path_assignments lpa WHERE lpa.path_id = lp.id) as student_count,
+              (SELECT COUNT(*) FROM learning_path_assignments lpa WHERE lpa.path_id = lp.id AND lpa.completed_at IS NOT NULL) as completed_count
+       FROM learning_paths lp
+       WHERE 1 = 1${tenant.clause}
+       ORDER BY lp.name ASC`,
+      tenant.params
+    );
+
+    res.json({ paths: rows });
+  } catch (error) {
+    console.error('Get learning paths error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/mine:
+ *   get:
+ *     summary: Get the learning paths of the current student with their progress
+ *     description: |
+ *       Each course comes with its status: completed, in_progress,
+ *       not_started, locked (a course it requires is not completed yet) or
+ *       not_enrolled.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/mine', auth, can('learning.participate'), async (req, res) => {
+  try {
+    const [paths] = await pool.execute(
+      `SELECT lp.id, lp.name, lp.description, lpa.assigned_at, lpa.completed_at
+       FROM learning_path_assignments lpa
+       JOIN learning_paths lp ON lpa.path_id = lp.id
+       WHERE lpa.student_id = ?
+       ORDER BY lpa.assigned_at ASC`,
+      [req.user.id]
+    );
+
+    const result = [];
+
+    for (const path of paths) {
+      const progress = await getPathProgress(await getPathCourses(path.id), [req.user.id]);
+      result.push({ ...path, ...progress.get(req.user.id) });
+    }
+
+    res.json({ paths: result });
+  } catch (error) {
+    console.error('Get my learning paths error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}:
+ *   get:
+ *     summary: Get a learning path with its courses, their prerequisites and its cohorts
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  try {
+    const path = await getPathById(req.params.id);
+
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const [cohorts] = await pool.execute(
+      `SELECT co.id, co.name, co.campaign, lpco.added_at
+       FROM learning_path_cohorts lpco
+       JOIN cohorts co ON lpco.cohort_id = co.id
+       WHERE lpco.path_id = ?
+       ORDER BY co.name ASC`,
+      [path.id]
+    );
+
+    const courses = await getPathCourses(path.id);
+
+    res.json({
+      path: {
+        ...path,
+        courses: courses.map(({ published_version_id: publishedVersionId, ...course }) => ({ ...course, is_published: Boolean(publishedVersionId) })),
+        cohorts
+      }
+    });
+  } catch (error) {
+    console.error('Get learning path error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}/progress:
+ *   get:
+ *     summary: Get the progress of every student assigned to a learning path
+ *     description: Per student, the status and progress of each course of the path; the summary counts students per course status.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ */
+router.get('/:id/progress', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  try {
+    const path = await getPathById(req.params.id);
+
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    let query = `
+      SELECT u.id as student_id, u.name as student_name, u.email as student_email, u.status,
+             lpa.cohort_id, lpa.assigned_at, lpa.completed_at
+      FROM learning_path_assignments lpa
+      JOIN users u ON lpa.student_id = u.id
+      WHERE lpa.path_id = ?
+    `;
+    const params = [path.id];
+
+    if (req.query.cohort_id) {
+      query += ' AND lpa.student_id IN (SELECT cm.student_id FROM cohort_members cm WHERE cm.cohort_id = ?)';
+      params.push(req.query.cohort_id);
+    }
+
+    query += ' ORDER BY u.name ASC';
+
+    const [students] = await pool.execute(query, params);
+    const courses = await getPathCourses(path.id);
+    const progress = await getPathProgress(courses, students.map(student => student.student_id));
+
+    const report = students.map(student => ({ ...student, ...progress.get(student.student_id) }));
+
+    res.json({
+      path_id: path.id,
+      summary: {
+        students: report.length,
+        completed: report.filter(student => student.completed_at).length,
+        avg_progress_percentage: report.length > 0
+          ? Math.round(report.reduce((total, student) => total + student.progress_percentage, 0) / report.length)
+          : 0,
+        courses: courses.map((course, index) => {
+          const statuses = {};
+
+          for (const student of report) {
+            const { status } = student.courses[index];
+            statuses[status] = (statuses[status] || 0) + 1;
+          }
+
+          return { course_id: course.course_id, title: course.title, statuses };
+        })
+      },
+      progress: report
+    });
+  } catch (error) {
+    console.error('Get learning path progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths:
+ *   post:
+ *     summary: Create a learning path
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               courses:
+ *                 type: array
+ *                 description: |
+ *                   Courses in path order. A course may only require courses
+ *                   placed before it; without required_course_ids it requires
+ *                   the previous one ([] makes it available from the start).
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     course_id:
+ *                       type: integer
+ *                     required_course_ids:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ */
+router.post('/', auth, can('learning_paths.manage'), async (req, res) => {
+  const body = req.body || {};
+
+  if (!body.name) {
+    return res.status(400).json({ message: 'Name is required' });
+  }
+
+  const { courses, error: coursesError } = normalizePathCourses(body.courses || []);
+
+  if (coursesError) {
+    return res.status(400).json({ message: coursesError });
+  }
+
+  let connection;
+
+  try {
+    const missingCourses = await findMissingCourses(req, courses.map(course => course.course_id));
+
+    if (missingCourses.length > 0) {
+      return res.status(404).json({ message: `Courses not found: ${missingCourses.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO learning_paths (name, description, tenant_id, created_by) VALUES (?, ?, ?, ?)',
+      [body.name, body.description || null, req.tenantId || null, req.user.id]
+    );
+
+    await savePathCourses(connection, result.insertId, courses);
+
+    await connection.commit();
+
+    res.status(201).json({
+      message: 'Learning path created successfully',
+      path: await getPathById(result.insertId)
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Create learning path error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}:
+ *   put:
+ *     summary: Update a learning path
+ *     description: |
+ *       courses, when sent, replaces the courses of the path (same shape as on
+ *       create). Assigned students are then enrolled in the courses they have
+ *       unlocked; enrollments in removed courses are kept.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  const body = req.body || {};
+  const { courses, error: coursesError } = body.courses !== undefined ? normalizePathCourses(body.courses) : {};
+
+  if (coursesError) {
+    return res.status(400).json({ message: coursesError });
+  }
+
+  let connection;
+
+  try {
+    const path = await getPathById(req.params.id);
+
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    if (courses) {
+      const missingCourses = await findMissingCourses(req, courses.map(course => course.course_id));
+
+      if (missingCourses.length > 0) {
+        return res.status(404).json({ message: `Courses not found: ${missingCourses.join(', ')}` });
+      }
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'UPDATE learning_paths SET name = ?, description = ? WHERE id = ?',
+      [
+        body.name || path.name,
+        body.description !== undefined ? body.description || null : path.description,
+        path.id
+      ]
+    );
+
+    if (courses) {
+      await savePathCourses(connection, path.id, courses);
+    }
+
+    await connection.commit();
+
+    const enrolled = courses ? await syncPathEnrollments(path.id, await getPathAssignments(path.id)) : [];
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    res.json({ message: 'Learning path updated successfully', path: await getPathById(path.id), enrolled: enrolled.length });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Update learning path error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}/assignments:
+ *   post:
+ *     summary: Assign a learning path to students and cohorts
+ *     description: |
+ *       Students are enrolled in the courses they have unlocked (at first the
+ *       ones that require nothing) and in the next ones as they complete
+ *       them. A cohort gets the path for its current members and for every
+ *       student who joins it later.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               student_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               cohort_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ */
+router.post('/:id/assignments', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  const studentIds = parseIdList(req.body?.student_ids || []);
+  const cohortIds = parseIdList(req.body?.cohort_ids || []);
+
+  if (!studentIds || !cohortIds) {
+    return res.status(400).json({ message: 'student_ids and cohort_ids must be arrays of ids' });
+  }
+
+  if (studentIds.length === 0 && cohortIds.length === 0) {
+    return res.status(400).json({ message: 'student_ids or cohort_ids is required' });
+  }
+
+  try {
+    const path = await getPathById(req.params.id);
+
+    if (!path) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    const invalidStudents = await findInvalidStudents(req, studentIds);
+
+    if (invalidStudents.length > 0) {
+      return res.status(400).json({ message: `Not active students: ${invalidStudents.join(', ')}` });
+    }
+
+    const missingCohorts = await findMissingCohorts(req, cohortIds);
+
+    if (missingCohorts.length > 0) {
+      return res.status(404).json({ message: `Cohorts not found: ${missingCohorts.join(', ')}` });
+    }
+
+    const assigned = [];
+    const enrolled = [];
+
+    if (studentIds.length > 0) {
+      const result = await assignPath(path.id, studentIds, { assignedBy: req.user.id });
+      assigned.push(...result.assigned);
+      enrolled.push(...result.enrolled);
+    }
+
+    for (const cohortId of cohortIds) {
+      await pool.execute(
+        'INSERT IGNORE INTO learning_path_cohorts (path_id, cohort_id, added_by) VALUES (?, ?, ?)',
+        [path.id, cohortId, req.user.id]
+      );
+
+      const [members] = await pool.execute(
+        `SELECT cm.student_id FROM cohort_members cm
+         JOIN users u ON cm.student_id = u.id
+         WHERE cm.cohort_id = ? AND u.status = 'active'`,
+        [cohortId]
+      );
+
+      const result = await assignPath(path.id, members.map(member => member.student_id), { cohortId, assignedBy: req.user.id });
+      assigned.push(...result.assigned);
+      enrolled.push(...result.enrolled);
+    }
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    res.status(201).json({
+      message: `Learning path assigned to ${assigned.length} students`,
+      assigned,
+      enrolled: enrolled.length
+    });
+  } catch (error) {
+    console.error('Assign learning path error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}/assignments/{studentId}:
+ *   delete:
+ *     summary: Remove a student from a learning path
+ *     description: Course enrollments, grades and progress are kept.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/assignments/:studentId', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM learning_path_assignments WHERE path_id = ? AND student_id = ?',
+      [req.params.id, req.params.studentId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Learning path assignment not found' });
+    }
+
+    res.json({ message: 'Student removed from the learning path successfully' });
+  } catch (error) {
+    console.error('Remove learning path assignment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}/cohorts/{cohortId}:
+ *   delete:
+ *     summary: Stop assigning a learning path to the new members of a cohort
+ *     description: Current members keep the path.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/cohorts/:cohortId', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM learning_path_cohorts WHERE path_id = ? AND cohort_id = ?',
+      [req.params.id, req.params.cohortId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Learning path cohort not found' });
+    }
+
+    res.json({ message: 'Cohort removed from the learning path successfully' });
+  } catch (error) {
+    console.error('Remove learning path cohort error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-paths/{id}:
+ *   delete:
+ *     summary: Delete a learning path
+ *     description: Only the path is removed; enrollments, grades and progress are kept.
+ *     tags: [Learning Paths]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('learning_paths.manage'), tenantParam('learning_path'), async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM learning_paths WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Learning path not found' });
+    }
+
+    res.json({ message: 'Learning path deleted successfully' });
+  } catch (error) {
+    console.error('Delete learning path error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
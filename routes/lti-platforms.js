@@ -0,0 +1,391 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { buildTenantFilter, tenantParam } = require('../utils/tenants');
+const { getToolConfiguration, parseJsonList, deliverPendingScores } = require('../utils/lti');
+const { checkPublicUrl } = require('../utils/outbound');
+
+const router = express.Router();
+
+const URL_FIELDS = ['issuer', 'auth_login_url', 'auth_token_url', 'jwks_url'];
+// Fetched by the server (keys and AGS tokens), so they must be public hosts
+const FETCHED_URL_FIELDS = ['auth_token_url', 'jwks_url'];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validates the editable fields shared by create and update
+const validatePlatformInput = async (body) => {
+  if (!body.name) {
+    return 'Name is required';
+  }
+
+  if (!body.client_id) {
+    return 'client_id is required';
+  }
+
+  const invalidUrl = URL_FIELDS.find(field => !isHttpUrl(body[field]));
+
+  if (invalidUrl) {
+    return `${invalidUrl} must be an http(s) URL`;
+  }
+
+  for (const field of FETCHED_URL_FIELDS) {
+    const urlError = await checkPublicUrl(body[field]);
+
+    if (urlError) {
+      return `${field} ${urlError}`;
+    }
+  }
+
+  if (body.auth_token_audience !== undefined && body.auth_token_audience !== null && typeof body.auth_token_audience !== 'string') {
+    return 'auth_token_audience must be a string';
+  }
+
+  if (body.deployment_ids !== undefined && body.deployment_ids !== null) {
+    if (!Array.isArray(body.deployment_ids) || !body.deployment_ids.every(id => typeof id === 'string' && id)) {
+      return 'deployment_ids must be a list of deployment ids';
+    }
+  }
+
+  return null;
+};
+
+const platformValues = (body) => [
+  body.name,
+  body.issuer.replace(/\/+$/, ''),
+  body.client_id,
+  body.deployment_ids && body.deployment_ids.length > 0 ? JSON.stringify(body.deployment_ids) : null,
+  body.auth_login_url,
+  body.auth_token_url,
+  body.auth_token_audience || null,
+  body.jwks_url,
+  body.jit_provisioning !== false,
+  body.link_by_email === true
+];
+
+const formatPlatform = (row) => ({
+  ...row,
+  deployment_ids: parseJsonList(row.deployment_ids),
+  jit_provisioning: Boolean(row.jit_provisioning),
+  link_by_email: Boolean(row.link_by_email),
+  status: row.disabled_at ? 'disabled' : 'active'
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms/tool-configuration:
+ *   get:
+ *     summary: URLs to register this tool at a platform (login, redirect, JWKS)
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/tool-configuration', auth, can('lti.manage'), (req, res) => {
+  res.json({ tool: getToolConfiguration() });
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms:
+ *   get:
+ *     summary: Get the registered LTI platforms
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('lti.manage'), async (req, res) => {
+  try {
+    const tenant = buildTenantFilter(req, 'p.tenant_id');
+
+    const [rows] = await pool.execute(
+      `SELECT p.*, u.name as created_by_name,
+              (SELECT COUNT(*) FROM lti_resource_links l WHERE l.platform_id = p.id) as resource_link_count,
+              (SELECT COUNT(*) FROM lti_score_outbox s
+                 JOIN lti_resource_links l ON s.resource_link_id = l.id
+               WHERE l.platform_id = p.id AND s.status = 'failed') as failed_score_count
+       FROM lti_platforms p
+       LEFT JOIN users u ON p.created_by = u.id
+       WHERE 1 = 1${tenant.clause}
+       ORDER BY p.created_at DESC`,
+      tenant.params
+    );
+
+    res.json({ platforms: rows.map(formatPlatform) });
+  } catch (error) {
+    console.error('Get LTI platforms error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms/{id}:
+ *   get:
+ *     summary: Get an LTI platform with its resource links and recent score passback
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', auth, can('lti.manage'), tenantParam('lti_platform'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.execute('SELECT * FROM lti_platforms WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'LTI platform not found' });
+    }
+
+    const [links] = await pool.execute(
+      `SELECT l.id, l.deployment_id, l.link_id, l.title, l.context_id, l.context_title,
+              l.course_id, c.title as course_title, l.activity_id, a.title as activity_title,
+              l.ags_lineitems_url IS NOT NULL OR l.ags_lineitem_url IS NOT NULL as grades_enabled,
+              COUNT(m.id) as member_count, MAX(m.last_launch_at) as last_launch_at
+       FROM lti_resource_links l
+       LEFT JOIN courses c ON l.course_id = c.id
+       LEFT JOIN activities a ON l.activity_id = a.id
+       LEFT JOIN lti_link_members m ON m.resource_link_id = l.id
+       WHERE l.platform_id = ?
+       GROUP BY l.id
+       ORDER BY last_launch_at DESC`,
+      [id]
+    );
+
+    const [scores] = await pool.execute(
+      `SELECT s.id, s.resource_link_id, s.user_id, u.name as student_name, s.item_type, s.item_id,
+              s.score, s.max_score, s.status, s.attempts, s.last_error, s.created_at, s.sent_at
+       FROM lti_score_outbox s
+       JOIN lti_resource_links l ON s.resource_link_id = l.id
+       JOIN users u ON s.user_id = u.id
+       WHERE l.platform_id = ?
+       ORDER BY s.id DESC
+       LIMIT 50`,
+      [id]
+    );
+
+    res.json({
+      platform: formatPlatform(rows[0]),
+      resource_links: links.map(link => ({ ...link, grades_enabled: Boolean(link.grades_enabled) })),
+      recent_scores: scores
+    });
+  } catch (error) {
+    console.error('Get LTI platform error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms:
+ *   post:
+ *     summary: Register an LTI 1.3 platform
+ *     description: |
+ *       The values come from the tool registration at the platform. New
+ *       users of the platform belong to the tenant of the admin registering
+ *       it. link_by_email links launches to existing accounts with the same
+ *       email (only when the platform is trusted to verify emails).
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - issuer
+ *               - client_id
+ *               - auth_login_url
+ *               - auth_token_url
+ *               - jwks_url
+ *             properties:
+ *               name:
+ *                 type: string
+ *               issuer:
+ *                 type: string
+ *                 example: https://canvas.instructure.com
+ *               client_id:
+ *                 type: string
+ *               deployment_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Accepted deployments (empty accepts any)
+ *               auth_login_url:
+ *                 type: string
+ *               auth_token_url:
+ *                 type: string
+ *               auth_token_audience:
+ *                 type: string
+ *                 description: aud of the client assertion when it is not the token URL
+ *               jwks_url:
+ *                 type: string
+ *               jit_provisioning:
+ *                 type: boolean
+ *                 default: true
+ *               link_by_email:
+ *                 type: boolean
+ *                 default: false
+ */
+router.post('/', auth, can('lti.manage'), async (req, res) => {
+  try {
+    const validationError = await validatePlatformInput(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const [result] = await pool.execute(
+      `INSERT INTO lti_platforms
+         (name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url, auth_token_audience,
+          jwks_url, jit_provisioning, link_by_email, tenant_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...platformValues(req.body), req.tenantId || null, req.user.id]
+    );
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'lti_platform_created',
+      details: { platform_id: result.insertId, name: req.body.name, issuer: req.body.issuer, client_id: req.body.client_id },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'LTI platform registered successfully',
+      platform: { id: result.insertId },
+      tool: getToolConfiguration()
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'This issuer and client_id are already registered' });
+    }
+    console.error('Create LTI platform error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms/{id}:
+ *   put:
+ *     summary: Update an LTI platform (enabled re-enables a disabled one)
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', auth, can('lti.manage'), tenantParam('lti_platform'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const validationError = await validatePlatformInput(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE lti_platforms
+       SET name = ?, issuer = ?, client_id = ?, deployment_ids = ?, auth_login_url = ?, auth_token_url = ?,
+           auth_token_audience = ?, jwks_url = ?, jit_provisioning = ?, link_by_email = ?,
+           disabled_at = IF(?, NULL, disabled_at)
+       WHERE id = ?`,
+      [...platformValues(req.body), req.body.enabled === true, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'LTI platform not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'lti_platform_updated',
+      details: { platform_id: Number(id), name: req.body.name, issuer: req.body.issuer, client_id: req.body.client_id },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'LTI platform updated successfully' });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'This issuer and client_id are already registered' });
+    }
+    console.error('Update LTI platform error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms/{id}:
+ *   delete:
+ *     summary: Disable an LTI platform (launches and score passback stop; links are kept)
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('lti.manage'), tenantParam('lti_platform'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.execute(
+      'UPDATE lti_platforms SET disabled_at = NOW() WHERE id = ? AND disabled_at IS NULL',
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'LTI platform not found or already disabled' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'lti_platform_disabled',
+      details: { platform_id: Number(id) },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'LTI platform disabled successfully' });
+  } catch (error) {
+    console.error('Disable LTI platform error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/platforms/{id}/scores/retry:
+ *   post:
+ *     summary: Queue again the scores that could not be sent to the platform
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/scores/retry', auth, can('lti.manage'), tenantParam('lti_platform'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.execute(
+      `UPDATE lti_score_outbox s
+       JOIN lti_resource_links l ON s.resource_link_id = l.id
+       SET s.status = 'pending', s.attempts = 0, s.next_attempt_at = NOW()
+       WHERE l.platform_id = ? AND s.status = 'failed'`,
+      [id]
+    );
+
+    const delivery = await deliverPendingScores();
+
+    res.json({ message: `${result.affectedRows} scores queued again`, queued: result.affectedRows, ...delivery });
+  } catch (error) {
+    console.error('Retry LTI scores error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,544 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth } = require('../middleware/auth');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { findUserByIdentity, resolveExternalUser } = require('../utils/identities');
+const { getLoginBlockMessage } = require('../utils/user-status');
+const {
+  recordLoginAttempt,
+  getLockState,
+  completeLogin,
+  sendLockedResponse
+} = require('../utils/login-protection');
+const { buildTenantFilter } = require('../utils/tenants');
+const { emitCourseEnrollments } = require('../utils/xapi');
+const { publishEnrollments } = require('../utils/webhooks');
+const {
+  CLAIMS,
+  MESSAGE_TYPES,
+  getToolJwks,
+  findPlatform,
+  buildAuthenticationUrl,
+  verifyLaunchToken,
+  mapLtiRole,
+  launchEmail,
+  launchName,
+  recordResourceLink,
+  buildDeepLinkingResponse
+} = require('../utils/lti');
+
+const router = express.Router();
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+const LAUNCH_CODE_TTL_SECONDS = 120;
+// Time an instructor has to pick content after a deep linking request
+const DEEP_LINKING_TTL_MINUTES = 60;
+
+const frontendUrl = (path, params) => {
+  const url = new URL(path, process.env.FRONTEND_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const parseDeepLinking = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * @swagger
+ * /api/lti/jwks:
+ *   get:
+ *     summary: Public keys of the tool (register this URL at the platform)
+ *     tags: [LTI]
+ */
+router.get('/jwks', async (req, res) => {
+  try {
+    res.json(await getToolJwks());
+  } catch (error) {
+    console.error('LTI JWKS error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Third-party initiated login: the platform sends iss / login_hint /
+// target_link_uri (and optionally client_id, lti_message_hint,
+// lti_deployment_id) by GET or POST and we answer with the OIDC
+// authentication request to the platform
+const handleLogin = async (req, res) => {
+  try {
+    const params = req.method === 'POST' ? (req.body || {}) : req.query;
+    const { iss, login_hint, lti_message_hint, client_id } = params;
+
+    if (!iss || !login_hint) {
+      return res.status(400).json({ message: 'iss and login_hint are required' });
+    }
+
+    const platform = await findPlatform({ issuer: iss, clientId: client_id });
+
+    if (!platform) {
+      return res.status(400).json({ message: 'Unknown or ambiguous LTI platform' });
+    }
+
+    const state = generateToken();
+    const nonce = generateToken(16);
+
+    await pool.execute(
+      `INSERT INTO lti_logins (state_hash, nonce, platform_id, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [hashToken(state), nonce, platform.id, LOGIN_STATE_TTL_MINUTES]
+    );
+
+    res.redirect(buildAuthenticationUrl(platform, {
+      state,
+      nonce,
+      loginHint: login_hint,
+      messageHint: lti_message_hint
+    }));
+  } catch (error) {
+    console.error('LTI login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/lti/login:
+ *   get:
+ *     summary: OIDC login initiation URL of the tool (also accepts POST)
+ *     tags: [LTI]
+ *     parameters:
+ *       - in: query
+ *         name: iss
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: login_hint
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_link_uri
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lti_message_hint
+ *         schema:
+ *           type: string
+ */
+router.get('/login', handleLogin);
+router.post('/login', handleLogin);
+
+/**
+ * @swagger
+ * /api/lti/launch:
+ *   post:
+ *     summary: Redirect URI / target link URI receiving the signed launch (form_post)
+ *     description: |
+ *       Validates the id_token against the JWKS of the platform, provisions or
+ *       links the user (new accounts get formador for instructor roles,
+ *       estudiante otherwise), enrolls students in the linked course and
+ *       redirects to FRONTEND_URL/lti/launch (or /lti/deep-linking) with a
+ *       one-time code for /api/lti/exchange, or with lti_error.
+ *     tags: [LTI]
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               state:
+ *                 type: string
+ */
+router.post('/launch', async (req, res) => {
+  const fail = (message) => res.redirect(frontendUrl('/lti/launch', { lti_error: message }));
+
+  try {
+    const { id_token, state, error, error_description } = req.body || {};
+
+    if (error) {
+      return fail(error_description || error);
+    }
+
+    if (!id_token || !state) {
+      return fail('Invalid LTI launch');
+    }
+
+    const [loginRows] = await pool.execute(
+      `SELECT l.id, l.nonce, l.platform_id
+       FROM lti_logins l
+       WHERE l.state_hash = ? AND l.completed_at IS NULL AND l.expires_at > NOW()`,
+      [hashToken(state)]
+    );
+
+    if (loginRows.length === 0) {
+      return fail('The LTI launch expired, please open it again from your platform');
+    }
+
+    const login = loginRows[0];
+
+    // Consume the state first so the launch cannot be replayed
+    const [consumed] = await pool.execute(
+      'UPDATE lti_logins SET completed_at = NOW() WHERE id = ? AND completed_at IS NULL',
+      [login.id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return fail('The LTI launch expired, please open it again from your platform');
+    }
+
+    const [platforms] = await pool.execute(
+      'SELECT * FROM lti_platforms WHERE id = ? AND disabled_at IS NULL',
+      [login.platform_id]
+    );
+
+    if (platforms.length === 0) {
+      return fail('This platform is no longer registered');
+    }
+
+    const platform = platforms[0];
+    let claims;
+
+    try {
+      claims = await verifyLaunchToken(platform, id_token, login.nonce);
+    } catch (verifyError) {
+      console.warn(`LTI launch from platform ${platform.id} rejected: ${verifyError.message}`);
+      return fail('The LTI launch could not be verified');
+    }
+
+    const provider = `lti:${platform.id}`;
+    const messageType = claims[CLAIMS.messageType];
+
+    // Anonymous launches only get a placeholder email when a new account has
+    // to be created; a linked account keeps the email it has
+    const email = (claims.email || !(await findUserByIdentity(provider, claims.sub)))
+      ? launchEmail(platform, claims)
+      : null;
+
+    const result = await resolveExternalUser({
+      provider,
+      subject: claims.sub,
+      email,
+      name: launchName(claims),
+      // The platform role only applies to new accounts: an admin opening a
+      // link as a learner stays admin
+      role: null,
+      defaultRole: mapLtiRole(claims[CLAIMS.roles]),
+      jitProvisioning: Boolean(platform.jit_provisioning),
+      linkByEmail: Boolean(platform.link_by_email) && Boolean(claims.email),
+      tenantId: platform.tenant_id
+    });
+
+    if (result.error) {
+      await recordLoginAttempt({
+        email: email || claims.sub,
+        req,
+        success: false,
+        failureReason: 'lti_rejected'
+      });
+      return fail(result.error);
+    }
+
+    const { user } = result;
+
+    if (messageType === MESSAGE_TYPES.deepLinking && user.role === 'estudiante') {
+      return fail('Only instructors can add content from this platform');
+    }
+
+    let target = { resourceLinkId: null, courseId: null, activityId: null };
+
+    if (messageType === MESSAGE_TYPES.resourceLink) {
+      target = await recordResourceLink(platform, claims, user.id);
+
+      if (target.courseId && user.role === 'estudiante') {
+        const [assignment] = await pool.execute(
+          'INSERT IGNORE INTO course_assignments (course_id, student_id, assigned_by) VALUES (?, ?, ?)',
+          [target.courseId, user.id, platform.created_by || user.id]
+        );
+
+        if (assignment.affectedRows > 0) {
+          emitCourseEnrollments([{ studentId: user.id, courseId: target.courseId }]);
+          publishEnrollments([{ studentId: user.id, courseId: target.courseId }]);
+        }
+      }
+    }
+
+    const launchCode = generateToken();
+    const deepLinking = claims[CLAIMS.deepLinkingSettings] || null;
+
+    await pool.execute(
+      `INSERT INTO lti_launches
+         (platform_id, user_id, message_type, deployment_id, resource_link_id, course_id, activity_id,
+          deep_linking, launch_code_hash, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [
+        platform.id,
+        user.id,
+        messageType,
+        claims[CLAIMS.deploymentId],
+        target.resourceLinkId,
+        target.courseId,
+        target.activityId,
+        deepLinking ? JSON.stringify(deepLinking) : null,
+        hashToken(launchCode),
+        LAUNCH_CODE_TTL_SECONDS
+      ]
+    );
+
+    res.redirect(frontendUrl(
+      messageType === MESSAGE_TYPES.deepLinking ? '/lti/deep-linking' : '/lti/launch',
+      { code: launchCode }
+    ));
+  } catch (error) {
+    console.error('LTI launch error:', error);
+    fail('The LTI launch failed');
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/exchange:
+ *   post:
+ *     summary: Exchange the one-time code of a launch for tokens and the launch target
+ *     description: |
+ *       Same outcome as /api/auth/login: tokens, or a two-factor challenge
+ *       (requiresTwoFactor / requiresTwoFactorSetup) for /api/auth/2fa. The
+ *       launch target is returned either way.
+ *     tags: [LTI]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ */
+router.post('/exchange', async (req, res) => {
+  try {
+    const code = req.body?.code;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT l.id, l.message_type, l.course_id, l.activity_id,
+              u.id as user_id, u.name, u.email, u.role, u.status
+       FROM lti_launches l
+       JOIN users u ON l.user_id = u.id
+       WHERE l.launch_code_hash = ? AND l.exchanged_at IS NULL AND l.expires_at > NOW()`,
+      [hashToken(code)]
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired code' });
+    }
+
+    const launch = rows[0];
+
+    const [consumed] = await pool.execute(
+      'UPDATE lti_launches SET exchanged_at = NOW() WHERE id = ? AND exchanged_at IS NULL',
+      [launch.id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return res.status(400).json({ message: 'Invalid or expired code' });
+    }
+
+    const user = { id: launch.user_id, name: launch.name, email: launch.email, role: launch.role };
+    const lockState = await getLockState(user.id);
+
+    if (lockState.locked) {
+      await recordLoginAttempt({ userId: user.id, email: user.email, req, success: false, failureReason: 'locked' });
+      return sendLockedResponse(res, lockState.retryAfter);
+    }
+
+    const blockedMessage = getLoginBlockMessage(launch.status);
+
+    if (blockedMessage) {
+      await recordLoginAttempt({ userId: user.id, email: user.email, req, success: false, failureReason: launch.status });
+      return res.status(403).json({ message: blockedMessage });
+    }
+
+    await completeLogin(user, req, res, {
+      launch: {
+        id: launch.id,
+        message_type: launch.message_type,
+        course_id: launch.course_id,
+        activity_id: launch.activity_id
+      }
+    });
+  } catch (error) {
+    console.error('LTI exchange error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deep linking request of the current user that still waits for a response
+const getPendingDeepLinking = async (launchId, userId) => {
+  const [rows] = await pool.execute(
+    `SELECT l.*, p.issuer, p.client_id, p.tenant_id
+     FROM lti_launches l
+     JOIN lti_platforms p ON l.platform_id = p.id AND p.disabled_at IS NULL
+     WHERE l.id = ? AND l.user_id = ? AND l.message_type = ? AND l.responded_at IS NULL
+       AND l.created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [launchId, userId, MESSAGE_TYPES.deepLinking, DEEP_LINKING_TTL_MINUTES]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], deep_linking: parseDeepLinking(rows[0].deep_linking) };
+};
+
+/**
+ * @swagger
+ * /api/lti/deep-linking/{launchId}:
+ *   get:
+ *     summary: Published courses and their activities an instructor can link from the platform
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/deep-linking/:launchId', auth, async (req, res) => {
+  try {
+    const launch = await getPendingDeepLinking(req.params.launchId, req.user.id);
+
+    if (!launch) {
+      return res.status(404).json({ message: 'Deep linking request not found or expired' });
+    }
+
+    const tenant = buildTenantFilter(req, 'c.tenant_id', { shared: true });
+
+    const [courses] = await pool.execute(
+      `SELECT c.id, c.title, c.description
+       FROM courses c
+       WHERE c.published_version_id IS NOT NULL${tenant.clause}
+       ORDER BY c.title`,
+      tenant.params
+    );
+
+    const [activities] = courses.length > 0
+      ? await pool.query(
+        `SELECT id, course_id, title FROM activities
+         WHERE course_id IN (?) AND archived_at IS NULL
+         ORDER BY order_index ASC, id ASC`,
+        [courses.map(course => course.id)]
+      )
+      : [[]];
+
+    res.json({
+      accept_multiple: launch.deep_linking.accept_multiple !== false,
+      courses: courses.map(course => ({
+        ...course,
+        activities: activities.filter(activity => activity.course_id === course.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get LTI deep linking options error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lti/deep-linking/{launchId}:
+ *   post:
+ *     summary: Answer a deep linking request with the picked course or activity
+ *     description: |
+ *       Returns the signed LtiDeepLinkingResponse and the URL of the platform
+ *       the frontend has to POST it to (as the JWT form field).
+ *     tags: [LTI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     course_id:
+ *                       type: integer
+ *                     activity_id:
+ *                       type: integer
+ */
+router.post('/deep-linking/:launchId', auth, async (req, res) => {
+  try {
+    const launch = await getPendingDeepLinking(req.params.launchId, req.user.id);
+
+    if (!launch) {
+      return res.status(404).json({ message: 'Deep linking request not found or expired' });
+    }
+
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ message: 'items must be an array' });
+    }
+
+    if (items.length > 1 && launch.deep_linking.accept_multiple === false) {
+      return res.status(400).json({ message: 'The platform accepts a single item' });
+    }
+
+    const acceptTypes = launch.deep_linking.accept_types || [];
+
+    if (items.length > 0 && !acceptTypes.includes('ltiResourceLink')) {
+      return res.status(400).json({ message: 'The platform does not accept LTI resource links here' });
+    }
+
+    const tenant = buildTenantFilter(req, 'c.tenant_id', { shared: true });
+    const contentItems = [];
+
+    for (const item of items) {
+      const [rows] = await pool.execute(
+        `SELECT c.id as course_id, c.title as course_title, c.description, a.id as activity_id, a.title as activity_title
+         FROM courses c
+         LEFT JOIN activities a ON a.course_id = c.id AND a.id = ? AND a.archived_at IS NULL
+         WHERE c.id = ? AND c.published_version_id IS NOT NULL${tenant.clause}`,
+        [item.activity_id || null, item.course_id, ...tenant.params]
+      );
+
+      if (rows.length === 0 || (item.activity_id && !rows[0].activity_id)) {
+        return res.status(400).json({ message: `Course ${item.course_id}${item.activity_id ? ` / activity ${item.activity_id}` : ''} not found` });
+      }
+
+      const row = rows[0];
+
+      contentItems.push({
+        course_id: row.course_id,
+        activity_id: row.activity_id,
+        title: row.activity_id ? `${row.course_title} - ${row.activity_title}` : row.course_title,
+        description: row.activity_id ? null : row.description
+      });
+    }
+
+    const platform = { issuer: launch.issuer, client_id: launch.client_id };
+    const response = await buildDeepLinkingResponse(platform, launch, contentItems);
+
+    await pool.execute('UPDATE lti_launches SET responded_at = NOW() WHERE id = ?', [launch.id]);
+
+    res.json(response);
+  } catch (error) {
+    console.error('LTI deep linking response error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const path = require('path');
+const { pool } = require('../config/database');
+const { auth } = require('../middleware/auth');
+const { verifyMediaToken } = require('../utils/media');
+
+// Mounted on /uploads, so the URLs stored in courses, profiles and forum posts
+// keep working once the client adds its media token (GET /api/upload/media-token).
+const router = express.Router();
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const MEDIA_TYPES = { images: 'image', videos: 'video' };
+
+// Uploads are served from the frontend's origin, so nothing uploaded may run
+// as a page of it: only these render inline, everything else (HTML, SVG,
+// documents...) is downloaded, and none of it may load or run anything.
+// SCORM packages are the exception: they are pages that talk to the LMS API.
+const INLINE_EXTENSIONS = [
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.bmp', '.ico',
+  '.mp4', '.webm', '.ogv', '.ogg', '.mov', '.m4v', '.mp3', '.wav', '.m4a'
+];
+const UPLOAD_CSP = "default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'; sandbox";
+
+const sendUpload = (res, root, filePath, { scorm = false } = {}) => {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cross-Origin-Embedder-Policy', 'unsafe-none');
+  res.set('Cache-Control', 'private, max-age=3600');
+
+  if (!scorm) {
+    res.set('Content-Security-Policy', UPLOAD_CSP);
+
+    if (!INLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      res.attachment(path.basename(filePath));
+    }
+  }
+
+  // root keeps the path inside the folder (".." is refused)
+  res.sendFile(filePath, { root, dotfiles: 'deny' }, (error) => {
+    if (error && !res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(error.status === 403 ? 403 : 404).json({ message: 'File not found' });
+    }
+  });
+};
+
+// ?media_token= for browsers, the usual Authorization header for everything else
+const mediaAuth = async (req, res, next) => {
+  if (!req.query.media_token) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const access = await verifyMediaToken(req.query.media_token, 'media');
+
+    if (!access) {
+      return res.status(401).json({ message: 'Invalid or expired media token' });
+    }
+
+    req.user = { id: access.userId };
+    req.tenantId = access.tenantId;
+    next();
+  } catch (error) {
+    console.error('Media auth error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /uploads/scorm/{launchToken}/{path}:
+ *   get:
+ *     summary: Serve a file of a SCORM package
+ *     description: The launch URLs of /api/scorm carry the launch token, which only opens the package it was issued for.
+ *     tags: [Upload]
+ */
+router.get('/scorm/:launchToken/*filePath', async (req, res) => {
+  try {
+    const access = await verifyMediaToken(req.params.launchToken, 'scorm');
+
+    if (!access) {
+      return res.status(401).json({ message: 'Invalid or expired launch token' });
+    }
+
+    sendUpload(res, path.join(UPLOADS_DIR, 'scorm', access.folder), req.params.filePath.join('/'), { scorm: true });
+  } catch (error) {
+    console.error('Serve SCORM file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /uploads/{directory}/{filename}:
+ *   get:
+ *     summary: Serve an uploaded image or video
+ *     description: |
+ *       Needs a media token (media_token query parameter) or the
+ *       Authorization header. Files uploaded in another tenant are not found;
+ *       files without tenant (uploaded by platform users, or before
+ *       media_files existed) belong to the shared library like courses
+ *       without tenant.
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: directory
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [images, videos]
+ *       - in: query
+ *         name: media_token
+ *         schema:
+ *           type: string
+ */
+router.get('/:directory/:filename', mediaAuth, async (req, res) => {
+  try {
+    const type = MEDIA_TYPES[req.params.directory];
+
+    if (!type) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    if (req.tenantId) {
+      const [mediaRows] = await pool.execute(
+        'SELECT tenant_id FROM media_files WHERE type = ? AND filename = ?',
+        [type, req.params.filename]
+      );
+
+      if (mediaRows.length > 0 && mediaRows[0].tenant_id && mediaRows[0].tenant_id !== req.tenantId) {
+        return res.status(404).json({ message: 'File not found' });
+      }
+    }
+
+    sendUpload(res, path.join(UPLOADS_DIR, req.params.directory), req.params.filename);
+  } catch (error) {
+    console.error('Serve upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { resolveExternalUser } = require('../utils/identities');
+const { getLoginBlockMessage } = require('../utils/user-status');
+const {
+  recordLoginAttempt,
+  getLockState,
+  completeLogin,
+  sendLockedResponse
+} = require('../utils/login-protection');
+const {
+  getConfig,
+  isOidcEnabled,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRole
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+const LOGIN_CODE_TTL_SECONDS = 120;
+
+const frontendUrl = (path, params) => {
+  const url = new URL(path, process.env.FRONTEND_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Only same-site relative paths, so the flow cannot be used as an open redirect
+const safeReturnTo = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value.substring(0, 500) : null
+);
+
+const requireOidc = (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Single sign-on is not enabled' });
+  }
+
+  next();
+};
+
+/**
+ * @swagger
+ * /api/auth/oidc/config:
+ *   get:
+ *     summary: Login options for the frontend (SSO button, password form)
+ *     tags: [SSO]
+ */
+router.get('/config', (req, res) => {
+  res.json({
+    oidcEnabled: isOidcEnabled(),
+    localPasswordLogin: process.env.LOCAL_PASSWORD_LOGIN || 'enabled'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on (redirects to the identity provider)
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: query
+ *         name: returnTo
+ *         schema:
+ *           type: string
+ *         description: Frontend path to open after login
+ */
+router.get('/login', requireOidc, async (req, res) => {
+  try {
+    const state = generateToken();
+    const nonce = generateToken(16);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await pool.execute(
+      `INSERT INTO oidc_logins (state_hash, nonce, code_verifier, return_to, expires_at)
+       VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [hashToken(state), nonce, codeVerifier, safeReturnTo(req.query.returnTo), LOGIN_STATE_TTL_MINUTES]
+    );
+
+    const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(502).json({ message: 'Identity provider unavailable' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Redirect URI registered at the identity provider
+ *     description: Redirects to FRONTEND_URL/sso/callback with a one-time code for /api/auth/oidc/exchange, or with sso_error.
+ *     tags: [SSO]
+ */
+router.get('/callback', requireOidc, async (req, res) => {
+  const fail = (message) => res.redirect(frontendUrl('/login', { sso_error: message }));
+
+  try {
+    const { code, state, error, error_description } = req.query;
+
+    if (error) {
+      return fail(error_description || error);
+    }
+
+    if (!code || !state) {
+      return fail('Invalid single sign-on response');
+    }
+
+    const [loginRows] = await pool.execute(
+      `SELECT * FROM oidc_logins
+       WHERE state_hash = ? AND completed_at IS NULL AND expires_at > NOW()`,
+      [hashToken(state)]
+    );
+
+    if (loginRows.length === 0) {
+      return fail('Single sign-on session expired, please try again');
+    }
+
+    const login = loginRows[0];
+
+    // Consume the state first so the callback cannot be replayed
+    const [consumed] = await pool.execute(
+      'UPDATE oidc_logins SET completed_at = NOW() WHERE id = ? AND completed_at IS NULL',
+      [login.id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return fail('Single sign-on session expired, please try again');
+    }
+
+    const tokens = await exchangeCode(code, login.code_verifier);
+    const claims = await verifyIdToken(tokens.id_token, login.nonce);
+    const config = getConfig();
+
+    const result = await resolveExternalUser({
+      provider: 'oidc',
+      subject: claims.sub,
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true,
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+      role: mapRole(claims),
+      defaultRole: config.defaultRole,
+      jitProvisioning: config.jitProvisioning,
+      linkByEmail: config.linkByEmail
+    });
+
+    if (result.error) {
+      await recordLoginAttempt({
+        email: claims.email || claims.sub,
+        req,
+        success: false,
+        failureReason: 'sso_rejected'
+      });
+      return fail(result.error);
+    }
+
+    const loginCode = generateToken();
+
+    await pool.execute(
+      `UPDATE oidc_logins SET user_id = ?, login_code_hash = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [result.user.id, hashToken(loginCode), LOGIN_CODE_TTL_SECONDS, login.id]
+    );
+
+    res.redirect(frontendUrl('/sso/callback', { code: loginCode }));
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    fail('Single sign-on failed');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/exchange:
+ *   post:
+ *     summary: Exchange the one-time code from the SSO callback for tokens
+ *     description: |
+ *       Same outcome as /api/auth/login: tokens, or a two-factor challenge
+ *       (requiresTwoFactor / requiresTwoFactorSetup) for /api/auth/2fa.
+ *     tags: [SSO]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ */
+router.post('/exchange', requireOidc, async (req, res) => {
+  try {
+    const code = req.body?.code;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT l.id, l.return_to, u.id as user_id, u.name, u.email, u.role, u.status
+       FROM oidc_logins l
+       JOIN users u ON l.user_id = u.id
+       WHERE l.login_code_hash = ? AND l.exchanged_at IS NULL AND l.expires_at > NOW()`,
+      [hashToken(code)]
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired code' });
+    }
+
+    const login = rows[0];
+
+    const [consumed] = await pool.execute(
+      'UPDATE oidc_logins SET exchanged_at = NOW() WHERE id = ? AND exchanged_at IS NULL',
+      [login.id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return res.status(400).json({ message: 'Invalid or expired code' });
+    }
+
+    const user = { id: login.user_id, name: login.name, email: login.email, role: login.role };
+    const lockState = await getLockState(user.id);
+
+    if (lockState.locked) {
+      await recordLoginAttempt({ userId: user.id, email: user.email, req, success: false, failureReason: 'locked' });
+      return sendLockedResponse(res, lockState.retryAfter);
+    }
+
+    const blockedMessage = getLoginBlockMessage(login.status);
+
+    if (blockedMessage) {
+      await recordLoginAttempt({ userId: user.id, email: user.email, req, success: false, failureReason: login.status });
+      return res.status(403).json({ message: blockedMessage });
+    }
+
+    await completeLogin(user, req, res, { returnTo: login.return_to });
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,17 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { tenantParam } = require('../utils/tenants');
+const {
+  hasPublishedVersions,
+  getStudentCourseVersion,
+  findSnapshotActivity,
+  findSnapshotItem
+} = require('../utils/course-versions');
+const { emitAssessmentSubmitted } = require('../utils/xapi');
+const { queueLtiScores } = require('../utils/lti');
+const { publishAssessmentSubmitted } = require('../utils/webhooks');
+const { getActivityLock } = require('../utils/sequencing');
 
 const router = express.Router();
 
@@ -13,7 +24,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/activity/:activityId', auth, async (req, res) => {
+router.get('/activity/:activityId', auth, tenantParam('activity', 'activityId'), async (req, res) => {
   try {
     const { activityId } = req.params;
 
@@ -26,15 +37,51 @@ router.get('/activity/:activityId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Activity not found' });
     }
 
+    // Students get the quizzes of the version they are pinned to
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [activityRows[0].course_id, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(activityRows[0].course_id, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      const versionActivity = pinned.snapshot && findSnapshotActivity(pinned.snapshot, activityId);
+
+      if (!versionActivity) {
+        return res.status(404).json({ message: 'Activity not found' });
+      }
+
+      const lock = await getActivityLock(pinned.snapshot, activityId, req.user.id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      const quizIds = versionActivity.quizzes.map(quiz => quiz.id);
+      let gradeRows = [];
+
+      if (quizIds.length > 0) {
+        [gradeRows] = await pool.query(
+          `SELECT quiz_id, MAX(percentage) as best_score, COUNT(id) as attempts
+           FROM grades
+           WHERE student_id = ? AND quiz_id IN (?)
+           GROUP BY quiz_id`,
+          [req.user.id, quizIds]
+        );
+      }
+
+      const quizzes = versionActivity.quizzes.map(({ questions, ...quiz }) => {
+        const grade = gradeRows.find(row => row.quiz_id === quiz.id);
+
+        return {
+          ...quiz,
+          activity_id: versionActivity.id,
+          best_score: grade ? grade.best_score : null,
+          attempts: grade ? grade.attempts : 0
+        };
+      });
+
+      return res.json({ quizzes });
     }
 
     const [rows] = await pool.execute(
@@ -43,7 +90,7 @@ router.get('/activity/:activityId', auth, async (req, res) => {
               COUNT(g.id) as attempts
        FROM quizzes q
        LEFT JOIN grades g ON q.id = g.quiz_id AND g.student_id = ?
-       WHERE q.activity_id = ?
+       WHERE q.activity_id = ? AND q.archived_at IS NULL
        GROUP BY q.id
        ORDER BY q.id ASC`,
       [req.user.id, activityId]
@@ -76,7 +123,7 @@ router.get('/activity/:activityId', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, tenantParam('quiz'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -97,15 +144,41 @@ router.get('/:id', auth, async (req, res) => {
 
     const quiz = quizRows[0];
 
+    // Students get the quiz as it is in the version they are pinned to
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [quiz.course_id, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(quiz.course_id, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      const found = pinned.snapshot && findSnapshotItem(pinned.snapshot, 'quizzes', id);
+
+      if (!found) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      const lock = await getActivityLock(pinned.snapshot, found.activity.id, req.user.id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      const { questions, ...versionQuiz } = found.item;
+
+      return res.json({
+        quiz: {
+          ...quiz,
+          ...versionQuiz,
+          activity_id: found.activity.id,
+          version_number: pinned.versionNumber,
+          questions: questions.map(({ correct_answer, ...question }) => ({ ...question, quiz_id: quiz.id }))
+        }
+      });
+    }
+
+    if (quiz.archived_at) {
+      return res.status(404).json({ message: 'Quiz not found' });
     }
 
     const [questionRows] = await pool.execute(
@@ -113,12 +186,6 @@ router.get('/:id', auth, async (req, res) => {
       [id]
     );
 
-    if (req.user.role === 'estudiante') {
-      questionRows.forEach(question => {
-        delete question.correct_answer;
-      });
-    }
-
     quiz.questions = questionRows;
 
     res.json({ quiz });
@@ -137,7 +204,7 @@ router.get('/:id', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin'), async (req, res) => {
+router.post('/', auth, can('course.edit'), tenantParam('activity', 'activity_id', { write: true, source: 'body' }), async (req, res) => {
   try {
     const { title, description, activity_id, passing_score, questions } = req.body;
 
@@ -188,7 +255,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/:id/submit', auth, authorize('estudiante'), async (req, res) => {
+router.post('/:id/submit', auth, can('learning.participate'), tenantParam('quiz'), async (req, res) => {
   try {
     const { id } = req.params;
     const { answers } = req.body;
@@ -211,19 +278,26 @@ router.post('/:id/submit', auth, authorize('estudiante'), async (req, res) => {
 
     const quiz = quizRows[0];
 
-    const [assignmentRows] = await pool.execute(
-      'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-      [quiz.course_id, req.user.id]
-    );
+    const pinned = await getStudentCourseVersion(quiz.course_id, req.user.id);
 
-    if (assignmentRows.length === 0) {
+    if (!pinned) {
       return res.status(403).json({ message: 'You are not assigned to this course' });
     }
 
-    const [questionRows] = await pool.execute(
-      'SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY order_index ASC',
-      [id]
-    );
+    // Graded against the questions of the student's version, not the draft
+    const found = pinned.snapshot && findSnapshotItem(pinned.snapshot, 'quizzes', id);
+
+    if (!found) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const lock = await getActivityLock(pinned.snapshot, found.activity.id, req.user.id);
+
+    if (lock) {
+      return res.status(403).json(lock);
+    }
+
+    const questionRows = found.item.questions;
 
     let totalScore = 0;
     let maxScore = 0;
@@ -250,16 +324,30 @@ router.post('/:id/submit', auth, authorize('estudiante'), async (req, res) => {
     const attemptNumber = 1; // Always first attempt since we block multiple attempts
 
     await pool.execute(
-      'INSERT INTO grades (student_id, quiz_id, score, max_score, percentage, attempt_number) VALUES (?, ?, ?, ?, ?, ?)',
-      [req.user.id, id, totalScore, maxScore, percentage, attemptNumber]
+      'INSERT INTO grades (student_id, quiz_id, version_id, score, max_score, percentage, attempt_number) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.user.id, id, pinned.versionId, totalScore, maxScore, percentage, attemptNumber]
     );
 
+    emitAssessmentSubmitted(req.user.id, 'quiz', id, {
+      score: totalScore,
+      maxScore,
+      percentage,
+      passingScore: found.item.passing_score
+    });
+    queueLtiScores(req.user.id, 'quiz', id, { score: totalScore, maxScore });
+    publishAssessmentSubmitted(req.user.id, 'quiz', id, {
+      score: totalScore,
+      maxScore,
+      percentage,
+      passingScore: found.item.passing_score
+    });
+
     res.json({
       message: 'Quiz submitted successfully',
       score: totalScore,
       maxScore,
       percentage: Math.round(percentage * 100) / 100,
-      passed: percentage >= quiz.passing_score,
+      passed: percentage >= found.item.passing_score,
       attemptNumber
     });
   } catch (error) {
@@ -277,7 +365,7 @@ router.post('/:id/submit', auth, authorize('estudiante'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin'), async (req, res) => {
+router.put('/:id', auth, can('course.edit'), tenantParam('quiz', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, passing_score, questions } = req.body;
@@ -288,7 +376,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
 
     // Update quiz basic info
     const [result] = await pool.execute(
-      'UPDATE quizzes SET title = ?, description = ?, passing_score = ?, total_questions = ? WHERE id = ?',
+      'UPDATE quizzes SET title = ?, description = ?, passing_score = ?, total_questions = ? WHERE id = ? AND archived_at IS NULL',
       [title, description || '', passing_score || 70, questions ? questions.length : 0, id]
     );
 
@@ -327,16 +415,28 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, can('course.edit'), tenantParam('quiz', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const [result] = await pool.execute('DELETE FROM quizzes WHERE id = ?', [id]);
+    const [quizRows] = await pool.execute(
+      `SELECT a.course_id FROM quizzes q
+       JOIN activities a ON q.activity_id = a.id
+       WHERE q.id = ? AND q.archived_at IS NULL`,
+      [id]
+    );
 
-    if (result.affectedRows === 0) {
+    if (quizRows.length === 0) {
       return res.status(404).json({ message: 'Quiz not found' });
     }
 
+    // Published versions (and the grades of their students) still use it
+    if (await hasPublishedVersions(quizRows[0].course_id)) {
+      await pool.execute('UPDATE quizzes SET archived_at = NOW() WHERE id = ?', [id]);
+    } else {
+      await pool.execute('DELETE FROM quizzes WHERE id = ?', [id]);
+    }
+
     res.json({ message: 'Quiz deleted successfully' });
   } catch (error) {
     console.error('Delete quiz error:', error);
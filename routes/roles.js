@@ -0,0 +1,314 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { invalidateRolePermissions } = require('../utils/permissions');
+const { platformOnly } = require('../utils/tenants');
+const { PERMISSIONS, BASE_ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+const getRoleById = async (id) => {
+  const [rows] = await pool.execute(
+    'SELECT id, name, description, base_role, is_system, created_at, updated_at FROM roles WHERE id = ?',
+    [id]
+  );
+
+  return rows[0] || null;
+};
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array';
+  }
+
+  const unknown = permissions.filter(name => !PERMISSIONS[name]);
+
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+const setRolePermissions = async (connection, roleId, permissions) => {
+  await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+  if (permissions.length > 0) {
+    await connection.query(
+      `INSERT INTO role_permissions (role_id, permission_id)
+       SELECT ?, id FROM permissions WHERE name IN (?)`,
+      [roleId, permissions]
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles with their permissions and number of users
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('roles.manage'), async (req, res) => {
+  try {
+    const [roles] = await pool.execute(
+      `SELECT r.id, r.name, r.description, r.base_role, r.is_system, r.created_at,
+              (SELECT COUNT(*) FROM users u WHERE u.role_id = r.id) as user_count
+       FROM roles r
+       ORDER BY r.is_system DESC, r.name ASC`
+    );
+
+    const [permissionRows] = await pool.execute(
+      `SELECT rp.role_id, p.name FROM role_permissions rp
+       JOIN permissions p ON rp.permission_id = p.id
+       ORDER BY p.name`
+    );
+
+    const rolesWithPermissions = roles.map(role => ({
+      ...role,
+      permissions: permissionRows
+        .filter(row => row.role_id === role.id)
+        .map(row => row.name)
+    }));
+
+    res.json({ roles: rolesWithPermissions });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the permission catalog
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/permissions', auth, can('roles.manage'), async (req, res) => {
+  try {
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+    res.json({ permissions });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a custom role (e.g. coordinador, QA auditor)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - base_role
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               base_role:
+ *                 type: string
+ *                 enum: [admin, formador, estudiante]
+ *                 description: Account type used for relations (courses, formador links...)
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+router.post('/', auth, can('roles.manage'), platformOnly, async (req, res) => {
+  const { name, description, base_role, permissions } = req.body;
+
+  if (!name || !base_role) {
+    return res.status(400).json({ message: 'Name and base_role are required' });
+  }
+
+  if (!BASE_ROLES.includes(base_role)) {
+    return res.status(400).json({ message: 'Invalid base_role' });
+  }
+
+  const permissionError = validatePermissions(permissions);
+
+  if (permissionError) {
+    return res.status(400).json({ message: permissionError });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO roles (name, description, base_role, is_system) VALUES (?, ?, ?, FALSE)',
+      [name, description || null, base_role]
+    );
+
+    await setRolePermissions(connection, result.insertId, permissions);
+
+    await connection.commit();
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'role_created',
+      details: { role_id: result.insertId, name, base_role, permissions },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: { id: result.insertId, name, description: description || null, base_role, permissions }
+    });
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update a custom role and its permissions
+ *     description: Built-in roles are defined in config/permissions.js and cannot be edited.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', auth, can('roles.manage'), platformOnly, async (req, res) => {
+  const { id } = req.params;
+  const { name, description, permissions } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ message: 'Name is required' });
+  }
+
+  const permissionError = validatePermissions(permissions);
+
+  if (permissionError) {
+    return res.status(400).json({ message: permissionError });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    const role = await getRoleById(id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({ message: 'Built-in roles cannot be modified' });
+    }
+
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'UPDATE roles SET name = ?, description = ? WHERE id = ?',
+      [name, description || null, id]
+    );
+
+    await setRolePermissions(connection, id, permissions);
+
+    await connection.commit();
+
+    invalidateRolePermissions(id);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'role_updated',
+      details: { role_id: Number(id), name, permissions },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Role updated successfully' });
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role that is not assigned to any user
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('roles.manage'), platformOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await getRoleById(id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const [userRows] = await pool.execute(
+      'SELECT COUNT(*) as count FROM users WHERE role_id = ?',
+      [id]
+    );
+
+    if (userRows[0].count > 0) {
+      return res.status(400).json({ message: 'Role is assigned to users. Reassign them first.' });
+    }
+
+    await pool.execute('DELETE FROM roles WHERE id = ?', [id]);
+
+    invalidateRolePermissions(id);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'role_deleted',
+      details: { role_id: role.id, name: role.name },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, studentParam } = require('../middleware/auth');
+const { buildScopeFilter } = require('../utils/permissions');
+const { buildCohortFilter } = require('../utils/cohorts');
+const { buildTenantFilter, buildTenantUserFilter, tenantParam } = require('../utils/tenants');
+const { emitSurveySubmitted } = require('../utils/xapi');
+const { publishSurveySubmitted } = require('../utils/webhooks');
 
 const router = express.Router();
 
@@ -13,7 +18,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('estudiante'), async (req, res) => {
+router.post('/', auth, can('surveys.submit'), tenantParam('course', 'course_id', { source: 'body' }), async (req, res) => {
   try {
     const { 
       course_id, 
@@ -77,6 +82,17 @@ router.post('/', auth, authorize('estudiante'), async (req, res) => {
         ]
       );
 
+      const ratings = {
+        overall_rating,
+        content_quality,
+        instructor_rating,
+        difficulty_level,
+        would_recommend: would_recommend !== false
+      };
+
+      emitSurveySubmitted(req.user.id, course_id, ratings);
+      publishSurveySubmitted(req.user.id, course_id, ratings);
+
       res.json({ message: 'Satisfaction survey submitted successfully' });
     } catch (error) {
       console.error('Survey submission error:', error);
@@ -106,7 +122,7 @@ router.post('/', auth, authorize('estudiante'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('estudiante'), async (req, res) => {
+router.put('/:id', auth, can('surveys.submit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -158,15 +174,10 @@ router.put('/:id', auth, authorize('estudiante'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/course/:courseId/student/:studentId', auth, async (req, res) => {
+router.get('/course/:courseId/student/:studentId', auth, can('surveys.view', studentParam()), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { courseId, studentId } = req.params;
 
-    // Students can only access their own surveys
-    if (req.user.role === 'estudiante' && req.user.id != studentId) {
-      return res.status(403).json({ message: 'You can only access your own surveys' });
-    }
-
     const [rows] = await pool.execute(
       'SELECT * FROM satisfaction_surveys WHERE course_id = ? AND student_id = ?',
       [courseId, studentId]
@@ -179,7 +190,7 @@ router.get('/course/:courseId/student/:studentId', auth, async (req, res) => {
   }
 });
 
-router.get('/my-surveys', auth, authorize('estudiante'), async (req, res) => {
+router.get('/my-surveys', auth, can('surveys.submit'), async (req, res) => {
   try {
     const [rows] = await pool.execute(
       `SELECT ss.*, c.title as course_title
@@ -206,7 +217,7 @@ router.get('/my-surveys', auth, authorize('estudiante'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/student/:studentId/surveys', auth, authorize('admin'), async (req, res) => {
+router.get('/student/:studentId/surveys', auth, can('surveys.view.all'), tenantParam('user', 'studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
@@ -253,8 +264,14 @@ router.get('/student/:studentId/surveys', auth, authorize('admin'), async (req,
  *     tags: [Satisfaction]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/course/:courseId', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/course/:courseId', auth, can('surveys.view'), tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -269,10 +286,13 @@ router.get('/course/:courseId', auth, authorize('admin', 'formador'), async (req
 
     let params = [courseId];
 
-    if (req.user.role === 'formador') {
-      query += ' AND ss.student_id IN (SELECT student_id FROM student_formador WHERE formador_id = ?)';
-      params.push(req.user.id);
-    }
+    const scope = buildScopeFilter(req, 'surveys.view', 'ss.student_id');
+    query += scope.clause;
+    params.push(...scope.params);
+
+    const cohort = buildCohortFilter(req, 'ss.student_id');
+    query += cohort.clause;
+    params.push(...cohort.params);
 
     query += ' ORDER BY ss.submitted_at DESC';
 
@@ -293,8 +313,14 @@ router.get('/course/:courseId', auth, authorize('admin', 'formador'), async (req
  *     tags: [Satisfaction]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/course/:courseId/summary', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/course/:courseId/summary', auth, can('surveys.view'), tenantParam('course', 'courseId'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -313,10 +339,13 @@ router.get('/course/:courseId/summary', auth, authorize('admin', 'formador'), as
 
     let params = [courseId];
 
-    if (req.user.role === 'formador') {
-      query += ' AND ss.student_id IN (SELECT student_id FROM student_formador WHERE formador_id = ?)';
-      params.push(req.user.id);
-    }
+    const scope = buildScopeFilter(req, 'surveys.view', 'ss.student_id');
+    query += scope.clause;
+    params.push(...scope.params);
+
+    const cohort = buildCohortFilter(req, 'ss.student_id');
+    query += cohort.clause;
+    params.push(...cohort.params);
 
     const [summaryRows] = await pool.execute(query, params);
 
@@ -328,9 +357,7 @@ router.get('/course/:courseId/summary', auth, authorize('admin', 'formador'), as
       WHERE ss.course_id = ?
     `;
 
-    if (req.user.role === 'formador') {
-      ratingDistributionQuery += ' AND ss.student_id IN (SELECT student_id FROM student_formador WHERE formador_id = ?)';
-    }
+    ratingDistributionQuery += scope.clause + cohort.clause;
 
     ratingDistributionQuery += ' GROUP BY overall_rating ORDER BY overall_rating';
 
@@ -362,9 +389,19 @@ router.get('/course/:courseId/summary', auth, authorize('admin', 'formador'), as
  *     tags: [Satisfaction]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/overall-summary', auth, authorize('admin'), async (req, res) => {
+router.get('/overall-summary', auth, can('surveys.view.all'), async (req, res) => {
   try {
+    const cohort = buildCohortFilter(req, 'ss.student_id');
+    const tenant = buildTenantUserFilter(req, 'ss.student_id');
+    const courseTenant = buildTenantFilter(req, 'c.tenant_id', { shared: true });
+
     const [overallSummary] = await pool.execute(`
       SELECT 
         COUNT(*) as total_responses,
@@ -374,8 +411,9 @@ router.get('/overall-summary', auth, authorize('admin'), async (req, res) => {
         AVG(difficulty_level) as avg_difficulty_level,
         SUM(CASE WHEN would_recommend = 1 THEN 1 ELSE 0 END) as would_recommend_count,
         SUM(CASE WHEN overall_rating >= 4 THEN 1 ELSE 0 END) as satisfied_count
-      FROM satisfaction_surveys
-    `);
+      FROM satisfaction_surveys ss
+      WHERE 1 = 1${cohort.clause}${tenant.clause}
+    `, [...cohort.params, ...tenant.params]);
 
     const [courseSummary] = await pool.execute(`
       SELECT 
@@ -384,11 +422,12 @@ router.get('/overall-summary', auth, authorize('admin'), async (req, res) => {
         AVG(ss.overall_rating) as avg_rating,
         SUM(CASE WHEN ss.overall_rating >= 4 THEN 1 ELSE 0 END) as satisfied_count
       FROM courses c
-      LEFT JOIN satisfaction_surveys ss ON c.id = ss.course_id
+      LEFT JOIN satisfaction_surveys ss ON c.id = ss.course_id${cohort.clause}${tenant.clause}
+      WHERE 1 = 1${courseTenant.clause}
       GROUP BY c.id, c.title
       HAVING response_count > 0
       ORDER BY avg_rating DESC
-    `);
+    `, [...cohort.params, ...tenant.params, ...courseTenant.params]);
 
     const summary = overallSummary[0];
     summary.course_summaries = courseSummary;
@@ -417,7 +456,7 @@ router.get('/overall-summary', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/course/:courseId/check', auth, authorize('estudiante'), async (req, res) => {
+router.get('/course/:courseId/check', auth, can('surveys.submit'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -445,7 +484,7 @@ router.get('/course/:courseId/check', auth, authorize('estudiante'), async (req,
  *     security:
  *       - bearerAuth: []
  */
-router.post('/general', auth, authorize('estudiante'), async (req, res) => {
+router.post('/general', auth, can('surveys.submit'), async (req, res) => {
   try {
     const { 
       overall_experience, 
@@ -503,6 +542,18 @@ router.post('/general', auth, authorize('estudiante'), async (req, res) => {
         ]
       );
 
+      const ratings = {
+        overall_experience,
+        content_quality,
+        platform_usability,
+        formador_support,
+        time_management,
+        would_recommend: would_recommend !== false
+      };
+
+      emitSurveySubmitted(req.user.id, null, ratings);
+      publishSurveySubmitted(req.user.id, null, ratings);
+
       res.json({ message: 'General satisfaction survey submitted successfully' });
     } catch (error) {
       console.error('General survey submission error:', error);
@@ -523,7 +574,7 @@ router.post('/general', auth, authorize('estudiante'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/general/check', auth, authorize('estudiante'), async (req, res) => {
+router.get('/general/check', auth, can('surveys.submit'), async (req, res) => {
   try {
     const [rows] = await pool.execute(
       'SELECT id, submitted_at FROM general_satisfaction_surveys WHERE student_id = ?',
@@ -549,7 +600,7 @@ router.get('/general/check', auth, authorize('estudiante'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.get('/general/my-survey', auth, authorize('estudiante'), async (req, res) => {
+router.get('/general/my-survey', auth, can('surveys.submit'), async (req, res) => {
   try {
     const [rows] = await pool.execute(
       'SELECT * FROM general_satisfaction_surveys WHERE student_id = ?',
@@ -571,9 +622,19 @@ router.get('/general/my-survey', auth, authorize('estudiante'), async (req, res)
  *     tags: [Satisfaction]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cohort_id
+ *         schema:
+ *           type: integer
+ *         description: Only students of this cohort
  */
-router.get('/all-surveys', auth, authorize('admin'), async (req, res) => {
+router.get('/all-surveys', auth, can('surveys.view.all'), async (req, res) => {
   try {
+    const courseCohort = buildCohortFilter(req, 'ss.student_id');
+    const generalCohort = buildCohortFilter(req, 'gss.student_id');
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
     // Get course-specific satisfaction surveys
     const [courseSurveys] = await pool.execute(`
       SELECT 
@@ -594,8 +655,9 @@ router.get('/all-surveys', auth, authorize('admin'), async (req, res) => {
       FROM satisfaction_surveys ss
       JOIN users u ON ss.student_id = u.id
       JOIN courses c ON ss.course_id = c.id
+      WHERE 1 = 1${courseCohort.clause}${tenant.clause}
       ORDER BY ss.submitted_at DESC
-    `);
+    `, [...courseCohort.params, ...tenant.params]);
 
     // Get general satisfaction surveys  
     const [generalSurveys] = await pool.execute(`
@@ -616,8 +678,9 @@ router.get('/all-surveys', auth, authorize('admin'), async (req, res) => {
         'general' as survey_type
       FROM general_satisfaction_surveys gss
       JOIN users u ON gss.student_id = u.id
+      WHERE 1 = 1${generalCohort.clause}${tenant.clause}
       ORDER BY gss.submitted_at DESC
-    `);
+    `, [...generalCohort.params, ...tenant.params]);
 
     // Combine both types of surveys and sort by date
     const allSurveys = [...courseSurveys, ...generalSurveys].sort((a, b) => 
@@ -0,0 +1,513 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { uploadScormPackage } = require('../middleware/upload');
+const { buildScopeFilter } = require('../utils/permissions');
+const { logAudit } = require('../utils/audit');
+const { tenantParam } = require('../utils/tenants');
+const { getStudentCourseVersion, findSnapshotActivity } = require('../utils/course-versions');
+const {
+  readScormPackage,
+  installScormPackage,
+  launchUrl,
+  buildLaunchCmi,
+  findStudentSco,
+  openAttempt,
+  findStudentAttempt,
+  commitAttempt
+} = require('../utils/scorm');
+const { getActivityLock } = require('../utils/sequencing');
+const { signScormLaunchToken } = require('../utils/media');
+
+const router = express.Router();
+
+// multer has to run before tenantParam reads activity_id from the form
+const parsePackageUpload = (req, res, next) => {
+  uploadScormPackage(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+const getPackage = async (id) => {
+  const [rows] = await pool.execute(
+    `SELECT p.*, a.course_id, a.title as activity_title, u.name as uploaded_by_name
+     FROM scorm_packages p
+     JOIN activities a ON p.activity_id = a.id
+     LEFT JOIN users u ON p.uploaded_by = u.id
+     WHERE p.id = ? AND p.archived_at IS NULL`,
+    [id]
+  );
+
+  return rows[0] || null;
+};
+
+const getPackageScos = async (packageIds) => {
+  if (packageIds.length === 0) {
+    return [];
+  }
+
+  const [rows] = await pool.query(
+    'SELECT * FROM scorm_scos WHERE package_id IN (?) ORDER BY order_index ASC, id ASC',
+    [packageIds]
+  );
+
+  return rows;
+};
+
+// Latest attempt of the student at each SCO
+const getStudentAttempts = async (scoIds, studentId) => {
+  if (scoIds.length === 0) {
+    return new Map();
+  }
+
+  const [rows] = await pool.query(
+    `SELECT sa.id, sa.sco_id, sa.attempt_number, sa.completion_status, sa.success_status,
+            sa.percentage, sa.total_seconds, sa.completed_at, sa.ended_at, sa.updated_at
+     FROM scorm_attempts sa
+     WHERE sa.sco_id IN (?) AND sa.student_id = ?
+       AND sa.attempt_number = (
+         SELECT MAX(latest.attempt_number) FROM scorm_attempts latest
+         WHERE latest.sco_id = sa.sco_id AND latest.student_id = sa.student_id
+       )`,
+    [scoIds, studentId]
+  );
+
+  return new Map(rows.map(row => [row.sco_id, row]));
+};
+
+const formatSco = (sco, launchToken, attempts = null) => ({
+  ...sco,
+  launch_url: launchUrl(launchToken, sco.launch_path),
+  ...(attempts ? { my_attempt: attempts.get(sco.id) || null } : {})
+});
+
+// Students reach the packages of the activities of their pinned version
+const studentCanOpen = async (courseId, activityId, studentId) => {
+  const pinned = await getStudentCourseVersion(courseId, studentId);
+  return Boolean(pinned && pinned.snapshot && findSnapshotActivity(pinned.snapshot, activityId));
+};
+
+// Body of the 403 for an activity the sequencing rules of the student's
+// version still lock, null when it is open. Only after studentCanOpen.
+const studentActivityLock = async (courseId, activityId, studentId) => {
+  const pinned = await getStudentCourseVersion(courseId, studentId);
+  return getActivityLock(pinned.snapshot, activityId, studentId);
+};
+
+/**
+ * @swagger
+ * /api/scorm/packages:
+ *   post:
+ *     summary: Upload a SCORM 1.2 or 2004 package to an activity
+ *     description: |
+ *       Unpacks the ZIP under uploads/scorm/, reads imsmanifest.xml and stores
+ *       every launchable item of the default organization. The mastery score
+ *       (1.2) or the minimum normalized measure of the primary objective (2004)
+ *       of an item becomes its passing score.
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - package
+ *               - activity_id
+ *             properties:
+ *               package:
+ *                 type: string
+ *                 format: binary
+ *               activity_id:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the title of the organization
+ */
+router.post('/packages', auth, can('course.edit'), parsePackageUpload, tenantParam('activity', 'activity_id', { write: true, source: 'body' }), async (req, res) => {
+  try {
+    const { activity_id: activityId, title } = req.body ?? {};
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No package uploaded' });
+    }
+
+    if (!activityId) {
+      return res.status(400).json({ message: 'activity_id is required' });
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 255)) {
+      return res.status(400).json({ message: 'Title must be a non-empty text of up to 255 characters' });
+    }
+
+    const [activityRows] = await pool.execute(
+      'SELECT id FROM activities WHERE id = ? AND archived_at IS NULL',
+      [activityId]
+    );
+
+    if (activityRows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    let scormPackage;
+
+    try {
+      scormPackage = await readScormPackage(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const packageId = await installScormPackage(scormPackage, {
+      activityId,
+      title: title ? title.trim() : null,
+      actorId: req.user.id
+    });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'scorm_package_uploaded',
+      details: {
+        package_id: packageId,
+        activity_id: Number(activityId),
+        scorm_version: scormPackage.manifest.version,
+        items: scormPackage.manifest.scos.length
+      },
+      ipAddress: req.ip
+    });
+
+    const created = await getPackage(packageId);
+    const scos = await getPackageScos([packageId]);
+
+    res.status(201).json({
+      message: 'SCORM package uploaded successfully',
+      package: { ...created, scos: scos.map(sco => formatSco(sco, signScormLaunchToken(req, created.folder))) }
+    });
+  } catch (error) {
+    console.error('Upload SCORM package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/activities/{activityId}/packages:
+ *   get:
+ *     summary: Get the SCORM packages of an activity
+ *     description: Students also get their latest attempt at each SCO.
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/activities/:activityId/packages', auth, tenantParam('activity', 'activityId'), async (req, res) => {
+  try {
+    const { activityId } = req.params;
+
+    const [activityRows] = await pool.execute('SELECT id, course_id FROM activities WHERE id = ?', [activityId]);
+
+    if (activityRows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    const isStudent = req.user.role === 'estudiante';
+
+    if (isStudent && !(await studentCanOpen(activityRows[0].course_id, activityId, req.user.id))) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    const lock = isStudent && await studentActivityLock(activityRows[0].course_id, activityId, req.user.id);
+
+    if (lock) {
+      return res.status(403).json(lock);
+    }
+
+    const [packages] = await pool.execute(
+      `SELECT p.*, u.name as uploaded_by_name
+       FROM scorm_packages p
+       LEFT JOIN users u ON p.uploaded_by = u.id
+       WHERE p.activity_id = ? AND p.archived_at IS NULL
+       ORDER BY p.created_at ASC`,
+      [activityId]
+    );
+
+    const scos = await getPackageScos(packages.map(scormPackage => scormPackage.id));
+    const attempts = isStudent ? await getStudentAttempts(scos.map(sco => sco.id), req.user.id) : null;
+
+    res.json({
+      packages: packages.map(scormPackage => {
+        const launchToken = signScormLaunchToken(req, scormPackage.folder);
+
+        return {
+          ...scormPackage,
+          scos: scos
+            .filter(sco => sco.package_id === scormPackage.id)
+            .map(sco => formatSco(sco, launchToken, attempts))
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get SCORM packages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/packages/{id}:
+ *   get:
+ *     summary: Get a SCORM package with its SCOs and their launch URLs
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/packages/:id', auth, tenantParam('scorm_package'), async (req, res) => {
+  try {
+    const scormPackage = await getPackage(req.params.id);
+    const isStudent = req.user.role === 'estudiante';
+
+    if (!scormPackage || (isStudent && !(await studentCanOpen(scormPackage.course_id, scormPackage.activity_id, req.user.id)))) {
+      return res.status(404).json({ message: 'SCORM package not found' });
+    }
+
+    const lock = isStudent && await studentActivityLock(scormPackage.course_id, scormPackage.activity_id, req.user.id);
+
+    if (lock) {
+      return res.status(403).json(lock);
+    }
+
+    const scos = await getPackageScos([scormPackage.id]);
+    const attempts = isStudent ? await getStudentAttempts(scos.map(sco => sco.id), req.user.id) : null;
+
+    res.json({
+      package: { ...scormPackage, scos: scos.map(sco => formatSco(sco, signScormLaunchToken(req, scormPackage.folder), attempts)) }
+    });
+  } catch (error) {
+    console.error('Get SCORM package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/packages/{id}:
+ *   delete:
+ *     summary: Remove a SCORM package from its activity
+ *     description: The package is archived, so the attempts and scores of its students are kept.
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/packages/:id', auth, can('course.edit'), tenantParam('scorm_package', 'id', { write: true }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE scorm_packages SET archived_at = NOW() WHERE id = ? AND archived_at IS NULL',
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'SCORM package not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'scorm_package_removed',
+      details: { package_id: Number(req.params.id) },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'SCORM package removed successfully' });
+  } catch (error) {
+    console.error('Delete SCORM package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/packages/{id}/attempts:
+ *   get:
+ *     summary: Get the attempts of the students at a SCORM package
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/packages/:id/attempts', auth, can('grades.view'), tenantParam('scorm_package'), async (req, res) => {
+  try {
+    const scope = buildScopeFilter(req, 'grades.view', 'sa.student_id');
+
+    const [rows] = await pool.execute(
+      `SELECT sa.id, sa.sco_id, s.title as sco_title, sa.student_id, u.name as student_name, u.email as student_email,
+              sa.attempt_number, sa.completion_status, sa.success_status, sa.score_raw, sa.score_min, sa.score_max,
+              sa.score_scaled, sa.percentage, sa.total_seconds, sa.sessions, sa.started_at, sa.updated_at,
+              sa.completed_at, sa.ended_at
+       FROM scorm_attempts sa
+       JOIN scorm_scos s ON sa.sco_id = s.id
+       JOIN users u ON sa.student_id = u.id
+       WHERE sa.package_id = ?${scope.clause}
+       ORDER BY u.name ASC, s.order_index ASC, sa.attempt_number DESC`,
+      [req.params.id, ...scope.params]
+    );
+
+    res.json({ attempts: rows });
+  } catch (error) {
+    console.error('Get SCORM attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/scos/{scoId}/initialize:
+ *   post:
+ *     summary: Start or resume an attempt at a SCO (LMSInitialize / Initialize)
+ *     description: |
+ *       Returns the attempt and the data model values the API adapter serves to
+ *       the SCO through GetValue, including cmi.core.entry / cmi.entry
+ *       (ab-initio for a new attempt, resume after a suspend).
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/scos/:scoId/initialize', auth, can('learning.participate'), tenantParam('scorm_sco', 'scoId'), async (req, res) => {
+  try {
+    const sco = await findStudentSco(req.params.scoId, req.user.id);
+
+    if (!sco) {
+      return res.status(404).json({ message: 'SCO not found' });
+    }
+
+    if (sco.scorm_type !== 'sco') {
+      return res.status(400).json({ message: 'This item is an asset and does not track attempts' });
+    }
+
+    const lock = await studentActivityLock(sco.course_id, sco.activity_id, req.user.id);
+
+    if (lock) {
+      return res.status(403).json(lock);
+    }
+
+    const { attempt, entry } = await openAttempt(sco, req.user.id);
+
+    res.json({
+      attempt_id: attempt.id,
+      attempt_number: attempt.attempt_number,
+      scorm_version: sco.scorm_version,
+      launch_url: launchUrl(signScormLaunchToken(req, sco.folder), sco.launch_path),
+      cmi: buildLaunchCmi(attempt, sco, req.user, entry)
+    });
+  } catch (error) {
+    console.error('Initialize SCORM attempt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/attempts/{id}:
+ *   put:
+ *     summary: Store the values a SCO set (LMSCommit / Commit)
+ *     description: |
+ *       Valid values are stored even when others are rejected; each rejected
+ *       element comes back in errors with the SCORM error code of the version
+ *       (401 undefined element, 403/404 read only, 405/406 wrong data type).
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               values:
+ *                 type: object
+ *                 description: Data model elements set since the last commit, e.g. {"cmi.core.lesson_status": "completed"}
+ */
+router.put('/attempts/:id', auth, can('learning.participate'), async (req, res) => {
+  try {
+    const attempt = await findStudentAttempt(req.params.id, req.user.id);
+
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    if (attempt.ended_at) {
+      return res.status(409).json({ message: 'This attempt has already finished' });
+    }
+
+    const values = req.body?.values;
+
+    if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+      return res.status(400).json({ message: 'values must be an object of data model elements' });
+    }
+
+    const result = await commitAttempt(attempt, values);
+
+    if (!result.attempt) {
+      return res.status(400).json({ message: 'The values could not be stored', errors: result.errors });
+    }
+
+    res.json({ attempt: result.attempt, errors: result.errors, activity_completed: result.activityCompleted });
+  } catch (error) {
+    console.error('Commit SCORM attempt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scorm/attempts/{id}/finish:
+ *   post:
+ *     summary: End the session of a SCO (LMSFinish / Terminate)
+ *     description: |
+ *       Stores the last values, adds session_time to total_time and, unless
+ *       the SCO exits with suspend, closes the attempt once it is completed,
+ *       passed or failed; the next launch then starts a new attempt.
+ *     tags: [SCORM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               values:
+ *                 type: object
+ */
+router.post('/attempts/:id/finish', auth, can('learning.participate'), async (req, res) => {
+  try {
+    const attempt = await findStudentAttempt(req.params.id, req.user.id);
+
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    if (attempt.ended_at) {
+      return res.status(409).json({ message: 'This attempt has already finished' });
+    }
+
+    const values = req.body?.values;
+
+    if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+      return res.status(400).json({ message: 'values must be an object of data model elements' });
+    }
+
+    const result = await commitAttempt(attempt, values, { finish: true });
+
+    if (!result.attempt) {
+      return res.status(400).json({ message: 'The values could not be stored', errors: result.errors });
+    }
+
+    res.json({ attempt: result.attempt, errors: result.errors, activity_completed: result.activityCompleted });
+  } catch (error) {
+    console.error('Finish SCORM attempt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { sendInvitationEmail } = require('../utils/invitations');
+const {
+  TENANT_SLUG_PATTERN,
+  platformOnly,
+  parseTenantSettings,
+  provisionTenant
+} = require('../utils/tenants');
+
+const router = express.Router();
+
+const getTenantById = async (id) => {
+  const [rows] = await pool.execute(
+    `SELECT t.*,
+            (SELECT COUNT(*) FROM users u WHERE u.tenant_id = t.id) as user_count,
+            (SELECT COUNT(*) FROM courses c WHERE c.tenant_id = t.id) as course_count,
+            (SELECT COUNT(*) FROM cohorts co WHERE co.tenant_id = t.id) as cohort_count
+     FROM tenants t
+     WHERE t.id = ?`,
+    [id]
+  );
+
+  return rows[0] ? { ...rows[0], settings: parseTenantSettings(rows[0].settings) } : null;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @swagger
+ * /api/tenants:
+ *   get:
+ *     summary: Get every tenant (campaign / client)
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived]
+ */
+router.get('/', auth, can('tenants.manage'), platformOnly, async (req, res) => {
+  try {
+    let query = `
+      SELECT t.id, t.slug, t.name, t.description, t.status, t.created_at, t.updated_at,
+             (SELECT COUNT(*) FROM users u WHERE u.tenant_id = t.id) as user_count,
+             (SELECT COUNT(*) FROM courses c WHERE c.tenant_id = t.id) as course_count
+      FROM tenants t
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (req.query.status) {
+      query += ' AND t.status = ?';
+      params.push(req.query.status);
+    }
+
+    query += ' ORDER BY t.name';
+
+    const [rows] = await pool.execute(query, params);
+
+    res.json({ tenants: rows });
+  } catch (error) {
+    console.error('Get tenants error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}:
+ *   get:
+ *     summary: Get a tenant with its settings and counters
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', auth, can('tenants.manage'), platformOnly, async (req, res) => {
+  try {
+    const tenant = await getTenantById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    res.json({ tenant });
+  } catch (error) {
+    console.error('Get tenant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants:
+ *   post:
+ *     summary: Provision a tenant
+ *     description: Creates the tenant with default settings, a general cohort and a welcome forum post. With admin_email the first tenant administrator is invited.
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slug
+ *               - name
+ *             properties:
+ *               slug:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               settings:
+ *                 type: object
+ *               admin_email:
+ *                 type: string
+ *               admin_name:
+ *                 type: string
+ */
+router.post('/', auth, can('tenants.manage'), platformOnly, async (req, res) => {
+  try {
+    const { slug, name, description, settings, admin_email, admin_name } = req.body ?? {};
+
+    if (!slug || !name) {
+      return res.status(400).json({ message: 'Slug and name are required' });
+    }
+
+    if (!TENANT_SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({ message: 'Slug may only contain lowercase letters, numbers and dashes' });
+    }
+
+    if (settings !== undefined && !isPlainObject(settings)) {
+      return res.status(400).json({ message: 'settings must be an object' });
+    }
+
+    const [existing] = await pool.execute('SELECT id FROM tenants WHERE slug = ?', [slug]);
+
+    if (existing.length > 0) {
+      return res.status(400).json({ message: 'Slug already in use' });
+    }
+
+    if (admin_email) {
+      const [users] = await pool.execute('SELECT id FROM users WHERE email = ?', [admin_email]);
+
+      if (users.length > 0) {
+        return res.status(400).json({ message: 'Admin email already registered' });
+      }
+    }
+
+    const { tenantId, cohortId, invitation } = await provisionTenant({
+      slug,
+      name,
+      description,
+      settings,
+      admin: admin_email ? { email: admin_email, name: admin_name } : null,
+      actorId: req.user.id
+    });
+
+    if (invitation) {
+      await sendInvitationEmail({ email: invitation.email, name: invitation.name, role: 'admin' }, invitation.token, req.user.name);
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'tenant_provisioned',
+      details: { tenant_id: tenantId, slug, admin_invited: Boolean(invitation) },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'Tenant provisioned successfully',
+      tenant: await getTenantById(tenantId),
+      default_cohort_id: cohortId,
+      admin_invitation_id: invitation ? invitation.id : null
+    });
+  } catch (error) {
+    console.error('Provision tenant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}:
+ *   put:
+ *     summary: Update a tenant; settings are merged into the current ones
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, archived]
+ *               settings:
+ *                 type: object
+ */
+router.put('/:id', auth, can('tenants.manage'), platformOnly, async (req, res) => {
+  try {
+    const { name, description, status, settings } = req.body ?? {};
+
+    if (status !== undefined && !['active', 'archived'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    if (settings !== undefined && !isPlainObject(settings)) {
+      return res.status(400).json({ message: 'settings must be an object' });
+    }
+
+    const tenant = await getTenantById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    await pool.execute(
+      'UPDATE tenants SET name = ?, description = ?, status = ?, settings = ? WHERE id = ?',
+      [
+        name || tenant.name,
+        description !== undefined ? description : tenant.description,
+        status || tenant.status,
+        JSON.stringify({ ...tenant.settings, ...settings }),
+        tenant.id
+      ]
+    );
+
+    if (status && status !== tenant.status) {
+      await logAudit({
+        actorId: req.user.id,
+        action: status === 'archived' ? 'tenant_archived' : 'tenant_restored',
+        details: { tenant_id: tenant.id, slug: tenant.slug },
+        ipAddress: req.ip
+      });
+    }
+
+    res.json({ message: 'Tenant updated successfully', tenant: await getTenantById(tenant.id) });
+  } catch (error) {
+    console.error('Update tenant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/users:
+ *   post:
+ *     summary: Move existing users into a tenant
+ *     description: Brings accounts created before tenants existed into one. Their sessions stay valid and pick up the tenant on the next request.
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_ids
+ *             properties:
+ *               user_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ */
+router.post('/:id/users', auth, can('tenants.manage'), platformOnly, async (req, res) => {
+  try {
+    const userIds = req.body?.user_ids;
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ message: 'user_ids must be a non-empty list of user ids' });
+    }
+
+    const tenant = await getTenantById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    const ids = [...new Set(userIds.map(Number))];
+
+    if (ids.includes(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot move your own account into a tenant' });
+    }
+
+    const [result] = await pool.query('UPDATE users SET tenant_id = ? WHERE id IN (?)', [tenant.id, ids]);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'tenant_users_assigned',
+      details: { tenant_id: tenant.id, user_ids: ids },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Users moved to tenant', updated: result.affectedRows });
+  } catch (error) {
+    console.error('Assign tenant users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{id}/courses:
+ *   post:
+ *     summary: Move courses into a tenant or back to the shared library
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - course_ids
+ *             properties:
+ *               course_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               shared:
+ *                 type: boolean
+ *                 description: true moves the courses to the shared library instead
+ */
+router.post('/:id/courses', auth, can('tenants.manage'), platformOnly, async (req, res) => {
+  try {
+    const courseIds = req.body?.course_ids;
+
+    if (!Array.isArray(courseIds) || courseIds.length === 0 || courseIds.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ message: 'course_ids must be a non-empty list of course ids' });
+    }
+
+    const tenant = await getTenantById(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    const ids = [...new Set(courseIds.map(Number))];
+    const tenantId = req.body.shared ? null : tenant.id;
+
+    const [result] = await pool.query('UPDATE courses SET tenant_id = ? WHERE id IN (?)', [tenantId, ids]);
+
+    res.json({ message: 'Courses updated', updated: result.affectedRows });
+  } catch (error) {
+    console.error('Assign tenant courses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
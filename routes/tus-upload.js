@@ -2,7 +2,7 @@ const express = require('express');
 const path = require('path');
 const { Server } = require('@tus/server');
 const { FileStore } = require('@tus/file-store');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -57,7 +57,7 @@ const tusServer = new Server({
 
 // Apply authentication middleware and pass to Tus
 // Handle all Tus protocol routes (with and without ID)
-router.use('/files', auth, authorize('admin'), async (req, res, next) => {
+router.use('/files', auth, can('media.upload.video'), async (req, res, next) => {
   console.log('Tus request:', req.method, req.url);
   console.log('Base URL:', req.baseUrl);
 
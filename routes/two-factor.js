@@ -0,0 +1,375 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { pool } = require('../config/database');
+const { auth } = require('../middleware/auth');
+const { twoFactorLimiter } = require('../middleware/rate-limit');
+const { createSession } = require('../utils/sessions');
+const { logAudit } = require('../utils/audit');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  getLockState,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  sendLockedResponse
+} = require('../utils/login-protection');
+const {
+  isTwoFactorRequired,
+  encryptSecret,
+  verifyChallenge,
+  getTwoFactor,
+  verifyUserCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  resetTwoFactor
+} = require('../utils/two-factor');
+
+const router = express.Router();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Asiste University';
+
+// Challenges issued before a suspension stop working with it
+const getUserById = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT id, name, email, role FROM users WHERE id = ? AND status = "active"',
+    [userId]
+  );
+
+  return rows[0] || null;
+};
+
+// Enrollment works with a regular session or, when 2FA is mandatory for the role
+// and the user has not enrolled yet, with the setup challenge issued by /login.
+const authOrSetupChallenge = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallenge(req.body.challengeToken, '2fa_setup');
+    const user = userId ? await getUserById(userId) : null;
+
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    req.user = user;
+    req.viaChallenge = true;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Invalid or expired challenge' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/status:
+ *   get:
+ *     summary: Get two-factor authentication status for the current user
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/status', auth, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactor(req.user.id);
+
+    const [codeRows] = await pool.execute(
+      'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      enabled: Boolean(twoFactor && twoFactor.enabled_at),
+      required: isTwoFactorRequired(req.user.role),
+      recovery_codes_remaining: codeRows[0].count
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment and get the otpauth URI / QR code
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Setup challenge from /api/auth/login when 2FA is mandatory
+ */
+router.post('/setup', authOrSetupChallenge, async (req, res) => {
+  try {
+    const existing = await getTwoFactor(req.user.id);
+
+    if (existing && existing.enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await pool.execute(
+      `INSERT INTO user_two_factor (user_id, secret_encrypted) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted), enabled_at = NULL, last_used_step = NULL`,
+      [req.user.id, encryptSecret(secret)]
+    );
+
+    const otpauthUrl = buildOtpauthUri(secret, req.user.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ */
+router.post('/enable', authOrSetupChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const twoFactor = await getTwoFactor(req.user.id);
+
+    if (!twoFactor) {
+      return res.status(400).json({ message: 'Start the two-factor setup first' });
+    }
+
+    if (twoFactor.enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!(await verifyUserCode(req.user.id, code))) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    await pool.execute('UPDATE user_two_factor SET enabled_at = NOW() WHERE user_id = ?', [req.user.id]);
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'two_factor_enabled',
+      targetUserId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    };
+
+    // Enrollment forced during login: finish the login now
+    if (req.viaChallenge) {
+      await registerSuccessfulLogin(req.user, req);
+      const { token, refreshToken } = await createSession(req.user.id, req);
+      Object.assign(response, { token, refreshToken, user: req.user });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Second login step - exchange the challenge and a TOTP or recovery code for tokens
+ *     tags: [Two-Factor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ */
+router.post('/verify', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    const userId = verifyChallenge(challengeToken, '2fa');
+    const user = userId ? await getUserById(userId) : null;
+
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    const twoFactor = await getTwoFactor(user.id);
+
+    if (!twoFactor || !twoFactor.enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const lockState = await getLockState(user.id);
+
+    if (lockState.locked) {
+      return sendLockedResponse(res, lockState.retryAfter);
+    }
+
+    const isValid = code
+      ? await verifyUserCode(user.id, code)
+      : await consumeRecoveryCode(user.id, recoveryCode);
+
+    if (!isValid) {
+      await registerFailedLogin(user, req, code ? 'invalid_totp' : 'invalid_recovery_code');
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+
+    if (recoveryCode) {
+      await logAudit({
+        actorId: user.id,
+        action: 'two_factor_recovery_code_used',
+        targetUserId: user.id,
+        ipAddress: req.ip
+      });
+    }
+
+    await registerSuccessfulLogin(user, req);
+
+    const { token, refreshToken } = await createSession(user.id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes (invalidates the previous ones)
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const twoFactor = await getTwoFactor(req.user.id);
+
+    if (!twoFactor || !twoFactor.enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!code || !(await verifyUserCode(req.user.id, code))) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'two_factor_recovery_codes_regenerated',
+      targetUserId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication (not allowed when mandatory for the role)
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/disable', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const twoFactor = await getTwoFactor(req.user.id);
+
+    if (!twoFactor || !twoFactor.enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!code || !(await verifyUserCode(req.user.id, code))) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    await resetTwoFactor(req.user.id);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'two_factor_disabled',
+      targetUserId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
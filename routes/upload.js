@@ -1,11 +1,39 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { pool } = require('../config/database');
 const { uploadVideo, uploadImage } = require('../middleware/upload');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { MEDIA_TOKEN_EXPIRES_IN, signMediaToken } = require('../utils/media');
 
 const router = express.Router();
 
+// Every upload is recorded in media_files with the tenant it was made in, so
+// tenant admins only list and delete their own files. Files uploaded before
+// media_files existed have no row and are only visible to platform users.
+const registerMediaFile = (req, type) => pool.execute(
+  'INSERT INTO media_files (type, filename, original_name, size, tenant_id, uploaded_by) VALUES (?, ?, ?, ?, ?, ?)',
+  [type, req.file.filename, req.file.originalname, req.file.size, req.tenantId || null, req.user.id]
+);
+
+/**
+ * @swagger
+ * /api/upload/media-token:
+ *   get:
+ *     summary: Get a media token to load uploaded images and videos
+ *     description: |
+ *       Browsers cannot send the Authorization header from <img> or <video>:
+ *       append ?media_token=<token> to /uploads URLs instead. The token only
+ *       opens files of the current tenant (and the shared library) and stops
+ *       working when the session ends.
+ *     tags: [Upload]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/media-token', auth, (req, res) => {
+  res.json({ token: signMediaToken(req), expiresIn: MEDIA_TOKEN_EXPIRES_IN });
+});
+
 /**
  * @swagger
  * /api/upload/video:
@@ -23,8 +51,8 @@ const router = express.Router();
  *         required: true
  *         description: Video file to upload
  */
-router.post('/video', auth, authorize('admin'), (req, res) => {
-  uploadVideo(req, res, (err) => {
+router.post('/video', auth, can('media.upload.video'), (req, res) => {
+  uploadVideo(req, res, async (err) => {
     if (err) {
       console.error('Video upload error:', err);
       return res.status(400).json({ message: err.message });
@@ -34,6 +62,13 @@ router.post('/video', auth, authorize('admin'), (req, res) => {
       return res.status(400).json({ message: 'No video file uploaded' });
     }
 
+    try {
+      await registerMediaFile(req, 'video');
+    } catch (error) {
+      console.error('Register video error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
     const fileUrl = `/uploads/videos/${req.file.filename}`;
     
     res.json({
@@ -63,8 +98,8 @@ router.post('/video', auth, authorize('admin'), (req, res) => {
  *         required: true
  *         description: Image file to upload
  */
-router.post('/image', auth, authorize('admin', 'formador'), (req, res) => {
-  uploadImage(req, res, (err) => {
+router.post('/image', auth, can('media.upload.image'), (req, res) => {
+  uploadImage(req, res, async (err) => {
     if (err) {
       console.error('Image upload error:', err);
       return res.status(400).json({ message: err.message });
@@ -74,6 +109,13 @@ router.post('/image', auth, authorize('admin', 'formador'), (req, res) => {
       return res.status(400).json({ message: 'No image file uploaded' });
     }
 
+    try {
+      await registerMediaFile(req, 'image');
+    } catch (error) {
+      console.error('Register image error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
     const fileUrl = `/uploads/images/${req.file.filename}`;
     
     res.json({
@@ -107,7 +149,7 @@ router.post('/image', auth, authorize('admin', 'formador'), (req, res) => {
  *         enum: [video, image]
  *         description: Type of file to delete
  */
-router.delete('/files/:filename', auth, authorize('admin'), (req, res) => {
+router.delete('/files/:filename', auth, can('media.manage'), async (req, res) => {
   try {
     const { filename } = req.params;
     const { type } = req.query;
@@ -118,11 +160,23 @@ router.delete('/files/:filename', auth, authorize('admin'), (req, res) => {
 
     const filePath = path.join(__dirname, '../uploads', `${type}s`, filename);
 
+    if (req.tenantId) {
+      const [mediaRows] = await pool.execute(
+        'SELECT id FROM media_files WHERE type = ? AND filename = ? AND tenant_id = ?',
+        [type, filename, req.tenantId]
+      );
+
+      if (mediaRows.length === 0) {
+        return res.status(404).json({ message: 'File not found' });
+      }
+    }
+
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ message: 'File not found' });
     }
 
     fs.unlinkSync(filePath);
+    await pool.execute('DELETE FROM media_files WHERE type = ? AND filename = ?', [type, filename]);
 
     res.json({ message: 'File deleted successfully' });
   } catch (error) {
@@ -136,6 +190,7 @@ router.delete('/files/:filename', auth, authorize('admin'), (req, res) => {
  * /api/upload/files:
  *   get:
  *     summary: List uploaded files
+ *     description: Inside a tenant only the files uploaded in that tenant are listed.
  *     tags: [Upload]
  *     security:
  *       - bearerAuth: []
@@ -146,10 +201,10 @@ router.delete('/files/:filename', auth, authorize('admin'), (req, res) => {
  *         enum: [video, image]
  *         description: Filter by file type
  */
-router.get('/files', auth, authorize('admin'), (req, res) => {
+router.get('/files', auth, can('media.manage'), async (req, res) => {
   try {
     const { type } = req.query;
-    const files = [];
+    let files = [];
 
     const uploadDir = path.join(__dirname, '../uploads');
 
@@ -189,6 +244,16 @@ router.get('/files', auth, authorize('admin'), (req, res) => {
       }
     }
 
+    const [mediaRows] = req.tenantId
+      ? await pool.execute('SELECT type, filename, tenant_id FROM media_files WHERE tenant_id = ?', [req.tenantId])
+      : await pool.execute('SELECT type, filename, tenant_id FROM media_files');
+    const tenantByFile = new Map(mediaRows.map(row => [`${row.type}/${row.filename}`, row.tenant_id]));
+
+    if (req.tenantId) {
+      files = files.filter(file => tenantByFile.has(`${file.type}/${file.filename}`));
+    }
+
+    files = files.map(file => ({ ...file, tenant_id: tenantByFile.get(`${file.type}/${file.filename}`) ?? null }));
     files.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
 
     res.json({ files });
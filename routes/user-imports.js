@@ -0,0 +1,290 @@
+const express = require('express');
+const fs = require('fs');
+const { pool } = require('../config/database');
+const { auth, can, hasPermission } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { logAudit } = require('../utils/audit');
+const { sendInvitationEmail } = require('../utils/invitations');
+const {
+  parseImportFile,
+  validateImport,
+  commitImport,
+  saveResultFile,
+  getResultFilePath,
+  purgeExpiredResultFiles
+} = require('../utils/user-import');
+const { buildTenantUserFilter } = require('../utils/tenants');
+
+const router = express.Router();
+
+// Row fields returned to the client (internal resolution flags stay private)
+const formatReportRow = ({ formador_in_file, token, password, ...row }) => row;
+
+// Formadores only see the imports they ran
+const findImport = async (req, id) => {
+  let query = `
+    SELECT ui.*, u.name as created_by_name,
+           (ui.result_file IS NOT NULL AND ui.result_expires_at > NOW()) as result_available
+    FROM user_imports ui
+    LEFT JOIN users u ON ui.created_by = u.id
+    WHERE ui.id = ?
+  `;
+  const tenant = buildTenantUserFilter(req, 'ui.created_by');
+  query += tenant.clause;
+  const params = [id, ...tenant.params];
+
+  if (!hasPermission(req, 'users.create')) {
+    query += ' AND ui.created_by = ?';
+    params.push(req.user.id);
+  }
+
+  const [rows] = await pool.execute(query, params);
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /api/users/imports:
+ *   post:
+ *     summary: Bulk import users from a CSV or XLSX file
+ *     description: |
+ *       Columns (header row, English or Spanish): name, email, role, formador_email,
+ *       courses (course titles separated by "|" or ";"). `mode=dry-run` (default)
+ *       only validates and returns the per-row report. `mode=commit` creates every
+ *       row in a single transaction, or nothing if any row has errors, and
+ *       produces a result file with the generated passwords.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mode:
+ *                 type: string
+ *                 enum: [dry-run, commit]
+ *               method:
+ *                 type: string
+ *                 enum: [password, invitation]
+ *                 description: Generated passwords (default) or email invitations
+ */
+router.post('/', auth, can('users.create'), (req, res) => {
+  uploadSpreadsheet(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      const mode = req.body?.mode || 'dry-run';
+      const method = req.body?.method || 'password';
+
+      if (!['dry-run', 'commit'].includes(mode)) {
+        return res.status(400).json({ message: 'mode must be dry-run or commit' });
+      }
+
+      if (!['password', 'invitation'].includes(method)) {
+        return res.status(400).json({ message: 'method must be password or invitation' });
+      }
+
+      let parsed;
+
+      try {
+        parsed = await parseImportFile(req.file.buffer, req.file.originalname);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const report = await validateImport(parsed.records, {
+        actor: req.user,
+        canCreateAnyRole: hasPermission(req, 'users.create'),
+        canAssignCourses: hasPermission(req, 'enrollments.manage'),
+        method,
+        tenantId: req.tenantId
+      });
+
+      const rows = report.rows.map(formatReportRow);
+
+      if (mode === 'dry-run') {
+        return res.json({ mode, method, summary: report.summary, rows });
+      }
+
+      if (report.summary.with_errors > 0) {
+        return res.status(400).json({
+          message: 'The file has errors; nothing was imported',
+          mode,
+          method,
+          summary: report.summary,
+          rows
+        });
+      }
+
+      const { importId, results } = await commitImport(report, {
+        actor: req.user,
+        method,
+        fileName: req.file.originalname.substring(0, 255),
+        tenantId: req.tenantId
+      });
+
+      // Mail goes out only after the transaction committed
+      if (method === 'invitation') {
+        for (const result of results) {
+          try {
+            await sendInvitationEmail(result, result.token, req.user.name);
+          } catch (error) {
+            console.error(`Import invitation email error (${result.email}):`, error);
+            result.status = 'invited_email_failed';
+          }
+        }
+      }
+
+      await saveResultFile(importId, results, parsed);
+
+      await logAudit({
+        actorId: req.user.id,
+        action: 'users_imported',
+        details: { import_id: importId, file_name: req.file.originalname, method, created: results.length },
+        ipAddress: req.ip
+      });
+
+      purgeExpiredResultFiles().catch(error => console.error('Purge import results error:', error));
+
+      res.status(201).json({
+        message: `${results.length} users imported successfully`,
+        import: {
+          id: importId,
+          method,
+          created: results.length,
+          result_url: `/api/users/imports/${importId}/result`
+        },
+        summary: report.summary,
+        rows: results.map(formatReportRow)
+      });
+    } catch (error) {
+      console.error('Import users error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/users/imports:
+ *   get:
+ *     summary: Get past bulk imports
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('users.create'), async (req, res) => {
+  try {
+    let query = `
+      SELECT ui.id, ui.file_name, ui.method, ui.total_rows, ui.created_count, ui.created_at,
+             ui.created_by, u.name as created_by_name, ui.result_expires_at,
+             (ui.result_file IS NOT NULL AND ui.result_expires_at > NOW()) as result_available
+      FROM user_imports ui
+      LEFT JOIN users u ON ui.created_by = u.id
+      WHERE 1 = 1
+    `;
+    const tenant = buildTenantUserFilter(req, 'ui.created_by');
+    query += tenant.clause;
+    const params = [...tenant.params];
+
+    if (!hasPermission(req, 'users.create')) {
+      query += ' AND ui.created_by = ?';
+      params.push(req.user.id);
+    }
+
+    query += ' ORDER BY ui.created_at DESC LIMIT 100';
+
+    const [rows] = await pool.execute(query, params);
+
+    res.json({ imports: rows });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/imports/{id}:
+ *   get:
+ *     summary: Get the per-row report of a bulk import
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', auth, can('users.create'), async (req, res) => {
+  try {
+    const userImport = await findImport(req, req.params.id);
+
+    if (!userImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const { result_file, report, ...details } = userImport;
+
+    res.json({
+      import: {
+        ...details,
+        rows: typeof report === 'string' ? JSON.parse(report) : (report || [])
+      }
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/imports/{id}/result:
+ *   get:
+ *     summary: Download the credentials / result file of a bulk import
+ *     description: Available for IMPORT_RESULT_TTL_HOURS after the import.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/result', auth, can('users.create'), async (req, res) => {
+  try {
+    const userImport = await findImport(req, req.params.id);
+
+    if (!userImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const filePath = userImport.result_file ? getResultFilePath(userImport.result_file) : null;
+
+    if (!userImport.result_available || !fs.existsSync(filePath)) {
+      return res.status(410).json({ message: 'The result file is no longer available' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'user_import_result_downloaded',
+      details: { import_id: userImport.id },
+      ipAddress: req.ip
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.download(filePath, `import-${userImport.id}-result${filePath.endsWith('.xlsx') ? '.xlsx' : '.csv'}`);
+  } catch (error) {
+    console.error('Download import result error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
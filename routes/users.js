@@ -1,24 +1,102 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can, hasPermission, studentParam } = require('../middleware/auth');
+const { revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { resetTwoFactor } = require('../utils/two-factor');
+const { logAudit } = require('../utils/audit');
+const { clearLockout } = require('../utils/login-protection');
+const { buildScopeFilter, getUserGrants } = require('../utils/permissions');
+const { GRANTABLE_SCOPES } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+const { USER_STATUSES, parseStatusFilter, changeUserStatus } = require('../utils/user-status');
+const { collectPersonalData, buildPersonalDataZip, anonymizeUser } = require('../utils/personal-data');
+const { buildTenantFilter, buildTenantUserFilter, findOutsideTenant, tenantParam } = require('../utils/tenants');
+const { publishUsersCreated } = require('../utils/webhooks');
 
 const router = express.Router();
 
+const INVALID_STATUS_FILTER = `status must be "all" or a list of: ${USER_STATUSES.join(', ')}`;
+
+// True when the change would leave the platform without an active admin
+const removesLastActiveAdmin = async (userIds) => {
+  const [rows] = await pool.query(
+    `SELECT
+       SUM(id IN (?)) as affected,
+       SUM(id NOT IN (?)) as remaining
+     FROM users
+     WHERE role = 'admin' AND status = 'active'`,
+    [userIds, userIds]
+  );
+
+  return Number(rows[0].affected) > 0 && Number(rows[0].remaining) === 0;
+};
+
 /**
  * @swagger
  * /api/users:
  *   get:
  *     summary: Get all users (admin only)
+ *     description: Archived accounts are left out unless requested with the status filter.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses (active, suspended, deactivated, archived) or "all"
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, formador, estudiante]
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search by name or email
  */
-router.get('/', auth, authorize('admin'), async (req, res) => {
+router.get('/', auth, can('users.view'), async (req, res) => {
   try {
-    const [rows] = await pool.execute(
-      'SELECT id, name, email, role, profile_image, bio, created_at FROM users ORDER BY created_at DESC'
-    );
+    const statuses = parseStatusFilter(req.query.status, ['active', 'suspended', 'deactivated']);
+
+    if (statuses === false) {
+      return res.status(400).json({ message: INVALID_STATUS_FILTER });
+    }
+
+    let query = `
+      SELECT u.id, u.name, u.email, u.role, u.role_id, r.name as role_name, u.tenant_id,
+             u.profile_image, u.bio, u.status, u.status_reason, u.status_changed_at, u.created_at
+      FROM users u
+      LEFT JOIN roles r ON u.role_id = r.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
+    query += tenant.clause;
+    params.push(...tenant.params);
+
+    if (statuses) {
+      query += ' AND u.status IN (?)';
+      params.push(statuses);
+    }
+
+    if (req.query.role) {
+      query += ' AND u.role = ?';
+      params.push(req.query.role);
+    }
+
+    if (req.query.q) {
+      query += ' AND (u.name LIKE ? OR u.email LIKE ?)';
+      params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+    }
+
+    query += ' ORDER BY u.created_at DESC';
+
+    const [rows] = await pool.query(query, params);
 
     res.json({ users: rows });
   } catch (error) {
@@ -27,30 +105,137 @@ router.get('/', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/lockouts:
+ *   get:
+ *     summary: Get accounts with failed login attempts or an active lockout (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/lockouts', auth, can('users.security'), async (req, res) => {
+  try {
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
+    const [rows] = await pool.execute(
+      `SELECT al.user_id, u.name, u.email, u.role, al.failed_attempts, al.last_failed_at,
+              al.locked_until, al.locked_until > NOW() as is_locked
+       FROM account_lockouts al
+       JOIN users u ON al.user_id = u.id
+       WHERE 1 = 1${tenant.clause}
+       ORDER BY is_locked DESC, al.last_failed_at DESC`,
+      tenant.params
+    );
+
+    res.json({ lockouts: rows });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/impersonation-logs:
+ *   get:
+ *     summary: Get requests made through impersonation sessions (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: impersonator_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 200
+ */
+router.get('/impersonation-logs', auth, can('users.security'), async (req, res) => {
+  try {
+    const { impersonator_id, user_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+
+    let query = `
+      SELECT il.*, imp.name as impersonator_name, u.name as user_name
+      FROM impersonation_logs il
+      LEFT JOIN users imp ON il.impersonator_id = imp.id
+      LEFT JOIN users u ON il.user_id = u.id
+      WHERE 1 = 1
+    `;
+
+    const tenant = buildTenantUserFilter(req, 'il.user_id');
+    query += tenant.clause;
+    let params = [...tenant.params];
+
+    if (impersonator_id) {
+      query += ' AND il.impersonator_id = ?';
+      params.push(impersonator_id);
+    }
+
+    if (user_id) {
+      query += ' AND il.user_id = ?';
+      params.push(user_id);
+    }
+
+    query += ' ORDER BY il.created_at DESC, il.id DESC LIMIT ?';
+    params.push(limit);
+
+    const [rows] = await pool.query(query, params);
+
+    res.json({ logs: rows });
+  } catch (error) {
+    console.error('Get impersonation logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/users/students:
  *   get:
- *     summary: Get all students (admin and formador)
+ *     summary: Get students (formadores only see their own unless granted wider scope)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses or "all" (default active)
  */
-router.get('/students', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/students', auth, can('students.view'), async (req, res) => {
   try {
+    const scope = buildScopeFilter(req, 'students.view', 'u.id');
+    const statuses = parseStatusFilter(req.query.status, ['active']);
+
+    if (statuses === false) {
+      return res.status(400).json({ message: INVALID_STATUS_FILTER });
+    }
+
+    const statusClause = statuses ? ' AND u.status IN (?)' : '';
+
     const query = `
-      SELECT u.id, u.name, u.email, u.profile_image, u.bio, u.created_at,
+      SELECT u.id, u.name, u.email, u.profile_image, u.bio, u.status, u.created_at,
              GROUP_CONCAT(DISTINCT c.title) as assigned_courses,
              COUNT(DISTINCT ca.course_id) as course_count
       FROM users u
       LEFT JOIN course_assignments ca ON u.id = ca.student_id
       LEFT JOIN courses c ON ca.course_id = c.id
-      WHERE u.role = 'estudiante'
-      GROUP BY u.id, u.name, u.email, u.profile_image, u.bio, u.created_at
+      WHERE u.role = 'estudiante'${scope.clause}${statusClause}
+      GROUP BY u.id, u.name, u.email, u.profile_image, u.bio, u.status, u.created_at
       ORDER BY u.created_at DESC
     `;
 
-    const [rows] = await pool.execute(query);
+    const [rows] = await pool.query(query, statuses ? [...scope.params, statuses] : scope.params);
 
     res.json({ students: rows });
   } catch (error) {
@@ -68,13 +253,13 @@ router.get('/students', auth, authorize('admin', 'formador'), async (req, res) =
  *     security:
  *       - bearerAuth: []
  */
-router.get('/students/:id/details', auth, authorize('admin', 'formador'), async (req, res) => {
+router.get('/students/:id/details', auth, can('students.view', studentParam('id')), tenantParam('user'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get student basic info
     const [studentRows] = await pool.execute(
-      'SELECT id, name, email, profile_image, bio, created_at FROM users WHERE id = ? AND role = "estudiante"',
+      'SELECT id, name, email, profile_image, bio, status, status_reason, created_at FROM users WHERE id = ? AND role = "estudiante"',
       [id]
     );
 
@@ -116,17 +301,32 @@ router.get('/students/:id/details', auth, authorize('admin', 'formador'), async
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses or "all" (default active)
  */
-router.get('/formadores', auth, authorize('admin'), async (req, res) => {
+router.get('/formadores', auth, can('formadores.manage'), async (req, res) => {
   try {
-    const [rows] = await pool.execute(
-      `SELECT u.id, u.name, u.email, u.created_at,
+    const statuses = parseStatusFilter(req.query.status, ['active']);
+
+    if (statuses === false) {
+      return res.status(400).json({ message: INVALID_STATUS_FILTER });
+    }
+
+    const tenant = buildTenantFilter(req, 'u.tenant_id');
+
+    const [rows] = await pool.query(
+      `SELECT u.id, u.name, u.email, u.status, u.created_at,
               COUNT(DISTINCT sf.student_id) as student_count
        FROM users u
        LEFT JOIN student_formador sf ON u.id = sf.formador_id
-       WHERE u.role = 'formador'
+       WHERE u.role = 'formador'${tenant.clause}${statuses ? ' AND u.status IN (?)' : ''}
        GROUP BY u.id
-       ORDER BY u.created_at DESC`
+       ORDER BY u.created_at DESC`,
+      statuses ? [...tenant.params, statuses] : tenant.params
     );
 
     res.json({ formadores: rows });
@@ -145,7 +345,7 @@ router.get('/formadores', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
+router.post('/', auth, can('users.create'), async (req, res) => {
   try {
     const { name, email, password, role, profile_image, bio } = req.body;
 
@@ -153,8 +353,8 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
-    if (req.user.role === 'formador' && role !== 'estudiante') {
-      return res.status(403).json({ message: 'Formadores can only create students' });
+    if (!hasPermission(req, 'users.create') && role !== 'estudiante') {
+      return res.status(403).json({ message: 'You can only create students' });
     }
 
     if (!['admin', 'formador', 'estudiante'].includes(role)) {
@@ -173,9 +373,10 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
+    // Accounts created inside a tenant belong to it
     const [result] = await pool.execute(
-      'INSERT INTO users (name, email, password, role, profile_image, bio) VALUES (?, ?, ?, ?, ?, ?)',
-      [name, email, hashedPassword, role, profile_image || null, bio || null]
+      'INSERT INTO users (name, email, password, role, profile_image, bio, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [name, email, hashedPassword, role, profile_image || null, bio || null, req.tenantId || null]
     );
 
     if (req.user.role === 'formador' && role === 'estudiante') {
@@ -185,6 +386,8 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
       );
     }
 
+    publishUsersCreated([result.insertId]);
+
     res.status(201).json({
       message: 'User created successfully',
       user: {
@@ -209,7 +412,7 @@ router.post('/', auth, authorize('admin', 'formador'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin', 'formador'), async (req, res) => {
+router.put('/:id', auth, can('users.edit', studentParam('id')), tenantParam('user'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, email, role, profile_image, bio, password } = req.body;
@@ -222,25 +425,25 @@ router.put('/:id', auth, authorize('admin', 'formador'), async (req, res) => {
       return res.status(400).json({ message: 'Invalid role' });
     }
 
-    // Verificar permisos del formador
-    if (req.user.role === 'formador') {
-      // Verificar que el usuario a editar sea un estudiante
-      const [userToEdit] = await pool.execute(
-        'SELECT role FROM users WHERE id = ?',
-        [id]
-      );
-      
-      if (userToEdit.length === 0) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-      
+    const [userToEdit] = await pool.execute(
+      'SELECT role FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (userToEdit.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Con users.edit.own_students solo se pueden editar sus propios estudiantes
+    // (comprobado por can()), y sin cambiarles el rol
+    if (!hasPermission(req, 'users.edit')) {
       if (userToEdit[0].role !== 'estudiante') {
-        return res.status(403).json({ message: 'Formadores can only edit students' });
+        return res.status(403).json({ message: 'You can only edit students' });
       }
       
-      // Los formadores no pueden cambiar roles
+      // Tampoco pueden cambiar roles
       if (role !== 'estudiante') {
-        return res.status(403).json({ message: 'Formadores cannot change user roles' });
+        return res.status(403).json({ message: 'You cannot change user roles' });
       }
     }
 
@@ -259,17 +462,24 @@ router.put('/:id', auth, authorize('admin', 'formador'), async (req, res) => {
       const hashedPassword = await bcrypt.hash(password, saltRounds);
       
       await pool.execute(
-        'UPDATE users SET name = ?, email = ?, role = ?, profile_image = ?, bio = ?, password = ? WHERE id = ?',
-        [name, email, role, profile_image || null, bio || null, hashedPassword, id]
+        'UPDATE users SET name = ?, email = ?, role_id = IF(role = ?, role_id, NULL), role = ?, profile_image = ?, bio = ?, password = ? WHERE id = ?',
+        [name, email, role, role, profile_image || null, bio || null, hashedPassword, id]
       );
     } else {
       // Si no se proporciona contraseña, no actualizarla
       await pool.execute(
-        'UPDATE users SET name = ?, email = ?, role = ?, profile_image = ?, bio = ? WHERE id = ?',
-        [name, email, role, profile_image || null, bio || null, id]
+        'UPDATE users SET name = ?, email = ?, role_id = IF(role = ?, role_id, NULL), role = ?, profile_image = ?, bio = ? WHERE id = ?',
+        [name, email, role, role, profile_image || null, bio || null, id]
       );
     }
 
+    // A new password or role must not leave old refresh tokens working
+    if (password && password.trim() !== '') {
+      await revokeUserSessions(id, 'password_changed');
+    } else if (role !== userToEdit[0].role) {
+      await revokeUserSessions(id, 'role_changed');
+    }
+
     res.json({ message: 'User updated successfully' });
   } catch (error) {
     console.error('Update user error:', error);
@@ -286,7 +496,7 @@ router.put('/:id', auth, authorize('admin', 'formador'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/my-formadores', auth, authorize('estudiante'), async (req, res) => {
+router.get('/my-formadores', auth, can('learning.participate'), async (req, res) => {
   try {
     // Obtener el administrador (Director de Formadores)
     const [adminRows] = await pool.execute(
@@ -296,8 +506,10 @@ router.get('/my-formadores', auth, authorize('estudiante'), async (req, res) =>
               NULL as shared_courses,
               0 as course_count
        FROM users
-       WHERE role = 'admin'
-       LIMIT 1`
+       WHERE role = 'admin' AND status = 'active' AND (tenant_id = ? OR tenant_id IS NULL)
+       ORDER BY tenant_id IS NULL, id
+       LIMIT 1`,
+      [req.tenantId || 0]
     );
 
     // Obtener formadores directamente asignados al estudiante desde la tabla student_formador
@@ -312,7 +524,7 @@ router.get('/my-formadores', auth, authorize('estudiante'), async (req, res) =>
        LEFT JOIN formador_courses fc ON u.id = fc.formador_id
        LEFT JOIN course_assignments ca ON fc.course_id = ca.course_id AND ca.student_id = ?
        LEFT JOIN courses c ON fc.course_id = c.id
-       WHERE sf.student_id = ? AND u.role = 'formador'
+       WHERE sf.student_id = ? AND u.role = 'formador' AND u.status = 'active'
        GROUP BY u.id, u.name, u.email, u.profile_image, u.bio, u.created_at, sf.assigned_at
        ORDER BY sf.assigned_at DESC`,
       [req.user.id, req.user.id]
@@ -337,7 +549,7 @@ router.get('/my-formadores', auth, authorize('estudiante'), async (req, res) =>
  *     security:
  *       - bearerAuth: []
  */
-router.post('/formador/:formadorId/assign-course', auth, authorize('admin'), async (req, res) => {
+router.post('/formador/:formadorId/assign-course', auth, can('formadores.manage'), tenantParam('user', 'formadorId'), async (req, res) => {
   try {
     const { formadorId } = req.params;
     const { course_id } = req.body;
@@ -348,7 +560,7 @@ router.post('/formador/:formadorId/assign-course', auth, authorize('admin'), asy
 
     // Verify formador exists and has correct role
     const [formadorRows] = await pool.execute(
-      'SELECT id FROM users WHERE id = ? AND role = "formador"',
+      'SELECT id, status FROM users WHERE id = ? AND role = "formador"',
       [formadorId]
     );
 
@@ -356,13 +568,17 @@ router.post('/formador/:formadorId/assign-course', auth, authorize('admin'), asy
       return res.status(404).json({ message: 'Formador not found' });
     }
 
+    if (formadorRows[0].status !== 'active') {
+      return res.status(400).json({ message: `Formador account is ${formadorRows[0].status}` });
+    }
+
     // Verify course exists
     const [courseRows] = await pool.execute(
       'SELECT id FROM courses WHERE id = ?',
       [course_id]
     );
 
-    if (courseRows.length === 0) {
+    if (courseRows.length === 0 || (await findOutsideTenant(req, 'course', [course_id])).length > 0) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
@@ -394,7 +610,7 @@ router.post('/formador/:formadorId/assign-course', auth, authorize('admin'), asy
  *     security:
  *       - bearerAuth: []
  */
-router.get('/formador/:formadorId/courses', auth, authorize('admin'), async (req, res) => {
+router.get('/formador/:formadorId/courses', auth, can('formadores.manage'), tenantParam('user', 'formadorId'), async (req, res) => {
   try {
     const { formadorId } = req.params;
 
@@ -424,7 +640,7 @@ router.get('/formador/:formadorId/courses', auth, authorize('admin'), async (req
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/formador/:formadorId/unassign-course/:courseId', auth, authorize('admin'), async (req, res) => {
+router.delete('/formador/:formadorId/unassign-course/:courseId', auth, can('formadores.manage'), tenantParam('user', 'formadorId'), async (req, res) => {
   try {
     const { formadorId, courseId } = req.params;
 
@@ -446,28 +662,824 @@ router.delete('/formador/:formadorId/unassign-course/:courseId', auth, authorize
 
 /**
  * @swagger
- * /api/users/{id}:
+ * /api/users/formador/{formadorId}/scope:
+ *   get:
+ *     summary: Get the wider scopes granted to a formador (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/formador/:formadorId/scope', auth, can('formadores.manage'), tenantParam('user', 'formadorId'), async (req, res) => {
+  try {
+    const { formadorId } = req.params;
+
+    const [formadorRows] = await pool.execute(
+      'SELECT id FROM users WHERE id = ? AND role = "formador"',
+      [formadorId]
+    );
+
+    if (formadorRows.length === 0) {
+      return res.status(404).json({ message: 'Formador not found' });
+    }
+
+    const grants = await getUserGrants(formadorId);
+
+    res.json({
+      grants: grants.filter(name => GRANTABLE_SCOPES.includes(name)),
+      grantable: GRANTABLE_SCOPES
+    });
+  } catch (error) {
+    console.error('Get formador scope error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/formador/{formadorId}/scope:
+ *   put:
+ *     summary: Replace the wider scopes granted to a formador (admin only)
+ *     description: By default formadores only see their own students. Granting e.g. grades.view.all lets this formador see every student's grades.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [students.view.all, enrollments.view.all, grades.view.all, surveys.view.all]
+ */
+router.put('/formador/:formadorId/scope', auth, can('formadores.manage'), tenantParam('user', 'formadorId'), async (req, res) => {
+  const { formadorId } = req.params;
+  const { permissions } = req.body;
+
+  if (!Array.isArray(permissions) || permissions.some(name => !GRANTABLE_SCOPES.includes(name))) {
+    return res.status(400).json({ message: `permissions must be a list of: ${GRANTABLE_SCOPES.join(', ')}` });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    const [formadorRows] = await connection.execute(
+      'SELECT id FROM users WHERE id = ? AND role = "formador"',
+      [formadorId]
+    );
+
+    if (formadorRows.length === 0) {
+      return res.status(404).json({ message: 'Formador not found' });
+    }
+
+    await connection.beginTransaction();
+
+    await connection.query(
+      `DELETE upg FROM user_permission_grants upg
+       JOIN permissions p ON upg.permission_id = p.id
+       WHERE upg.user_id = ? AND p.name IN (?)`,
+      [formadorId, GRANTABLE_SCOPES]
+    );
+
+    if (permissions.length > 0) {
+      await connection.query(
+        `INSERT INTO user_permission_grants (user_id, permission_id, granted_by)
+         SELECT ?, id, ? FROM permissions WHERE name IN (?)`,
+        [formadorId, req.user.id, permissions]
+      );
+    }
+
+    await connection.commit();
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'formador_scope_updated',
+      targetUserId: formadorId,
+      details: { permissions },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Formador scope updated successfully', grants: permissions });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Update formador scope error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: Get active sessions of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/sessions', auth, can('users.security'), tenantParam('user'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.execute(
+      `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at, impersonator_id, read_only
+       FROM user_sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [id]
+    );
+
+    res.json({ sessions: rows });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
  *   delete:
- *     summary: Delete user
+ *     summary: Revoke a session of a user (admin only)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id/sessions/:sessionId', auth, can('users.security'), tenantParam('user'), async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const [sessionRows] = await pool.execute(
+      'SELECT id FROM user_sessions WHERE id = ? AND user_id = ?',
+      [sessionId, id]
+    );
+
+    if (sessionRows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(sessionId, 'admin_revoked');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/sessions', auth, can('users.security'), tenantParam('user'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [id]);
+    const revoked = await revokeUserSessions(id, 'admin_revoked');
 
-    if (result.affectedRows === 0) {
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/login-attempts:
+ *   get:
+ *     summary: Get login attempt history of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ */
+router.get('/:id/login-attempts', auth, can('users.security'), tenantParam('user'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const [rows] = await pool.query(
+      `SELECT id, email, ip_address, user_agent, success, failure_reason, created_at
+       FROM login_attempts
+       WHERE user_id = ?
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [id, limit]
+    );
+
+    res.json({ attempts: rows });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/lockout:
+ *   delete:
+ *     summary: Clear failed attempts and lockout of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/lockout', auth, can('users.security'), tenantParam('user'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const wasCleared = await clearLockout(id);
+
+    if (!wasCleared) {
+      return res.status(404).json({ message: 'User has no failed attempts or lockout' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'lockout_cleared',
+      targetUserId: id,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/two-factor:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (admin only)
+ *     description: The user will have to enroll again on next login. The reset is recorded in audit_logs.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ */
+router.delete('/:id/two-factor', auth, can('users.security'), tenantParam('user'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body?.reason || null;
+
+    const wasReset = await resetTwoFactor(id);
+
+    if (!wasReset) {
+      return res.status(404).json({ message: 'User has no two-factor authentication configured' });
+    }
+
+    await revokeUserSessions(id, 'two_factor_reset');
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'two_factor_reset',
+      targetUserId: id,
+      details: { reason },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Assign a role (built-in or custom) to a user
+ *     description: users.role is set to the base role of the assigned role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role_id
+ *             properties:
+ *               role_id:
+ *                 type: integer
+ */
+router.put('/:id/role', auth, can('roles.manage'), tenantParam('user'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role_id } = req.body;
+
+    if (!role_id) {
+      return res.status(400).json({ message: 'role_id is required' });
+    }
+
+    if (Number(id) === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const [roleRows] = await pool.execute(
+      'SELECT id, name, base_role FROM roles WHERE id = ?',
+      [role_id]
+    );
+
+    if (roleRows.length === 0) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const role = roleRows[0];
+
+    const [userRows] = await pool.execute(
+      'SELECT id, role, role_id FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (userRows.length === 0) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json({ message: 'User deleted successfully' });
+    await pool.execute(
+      'UPDATE users SET role_id = ?, role = ? WHERE id = ?',
+      [role.id, role.base_role, id]
+    );
+
+    // Sessions keep the permissions of the old role until they are refreshed
+    if (userRows[0].role_id !== role.id || userRows[0].role !== role.base_role) {
+      await revokeUserSessions(id, 'role_changed');
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'role_assigned',
+      targetUserId: id,
+      details: { previous_role_id: userRows[0].role_id, role_id: role.id, role_name: role.name },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Role assigned successfully', role });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/bulk-status:
+ *   post:
+ *     summary: Change the status of several users at once
+ *     description: Accounts that are not active cannot sign in and are hidden from assignment lists; their history is kept.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_ids
+ *               - status
+ *             properties:
+ *               user_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, deactivated, archived]
+ *               reason:
+ *                 type: string
+ */
+router.post('/bulk-status', auth, can('users.delete'), async (req, res) => {
+  try {
+    const { user_ids, status, reason } = req.body || {};
+
+    if (!Array.isArray(user_ids) || user_ids.length === 0) {
+      return res.status(400).json({ message: 'user_ids must be a non-empty array' });
+    }
+
+    if (!USER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${USER_STATUSES.join(', ')}` });
+    }
+
+    const userIds = [...new Set(user_ids.map(Number))];
+
+    if (userIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ message: 'user_ids must be integers' });
+    }
+
+    if (userIds.includes(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot change your own status' });
+    }
+
+    const outsideTenant = await findOutsideTenant(req, 'user', userIds);
+
+    if (outsideTenant.length > 0) {
+      return res.status(404).json({ message: 'Users not found', user_ids: outsideTenant });
+    }
+
+    if (status !== 'active' && await removesLastActiveAdmin(userIds)) {
+      return res.status(400).json({ message: 'At least one admin account must stay active' });
+    }
+
+    const updated = [];
+    const notFound = [];
+
+    for (const userId of userIds) {
+      const previousStatus = await changeUserStatus({
+        userId,
+        status,
+        reason,
+        actorId: req.user.id,
+        ipAddress: req.ip,
+        details: { bulk: true }
+      });
+
+      if (previousStatus === null) {
+        notFound.push(userId);
+      } else if (previousStatus !== status) {
+        updated.push(userId);
+      }
+    }
+
+    res.json({
+      message: `${updated.length} users updated`,
+      updated,
+      unchanged: userIds.filter(id => !updated.includes(id) && !notFound.includes(id)),
+      not_found: notFound
+    });
+  } catch (error) {
+    console.error('Bulk user status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/status:
+ *   put:
+ *     summary: Suspend, deactivate, archive or reactivate a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, deactivated, archived]
+ *               reason:
+ *                 type: string
+ */
+router.put('/:id/status', auth, can('users.delete'), tenantParam('user'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { status, reason } = req.body || {};
+
+    if (!USER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${USER_STATUSES.join(', ')}` });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own status' });
+    }
+
+    if (status !== 'active' && await removesLastActiveAdmin([id])) {
+      return res.status(400).json({ message: 'At least one admin account must stay active' });
+    }
+
+    const previousStatus = await changeUserStatus({
+      userId: id,
+      status,
+      reason,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    if (previousStatus === null) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User status updated successfully', previous_status: previousStatus, status });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Deactivate user
+ *     description: |
+ *       Kept for existing clients; same as PUT /api/users/{id}/status with
+ *       status=deactivated. Grades, progress and surveys are preserved. Use
+ *       POST /api/users/{id}/purge to erase the account.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('users.delete'), tenantParam('user'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    if (await removesLastActiveAdmin([id])) {
+      return res.status(400).json({ message: 'At least one admin account must stay active' });
+    }
+
+    const previousStatus = await changeUserStatus({
+      userId: id,
+      status: 'deactivated',
+      reason: req.body?.reason,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    if (previousStatus === null) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User deactivated successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/purge:
+ *   post:
+ *     summary: Permanently erase a deactivated or archived user (right to erasure)
+ *     description: |
+ *       Deletes the account and every personal record linked to it (grades,
+ *       progress, surveys, sessions...). Courses, course assignments and
+ *       invitations the user created are handed over to the admin running the
+ *       purge. The audit entry keeps only a hash of the email.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirm_email
+ *             properties:
+ *               confirm_email:
+ *                 type: string
+ *                 description: Email of the account, typed again as confirmation
+ *               reason:
+ *                 type: string
+ */
+router.post('/:id/purge', auth, can('users.purge'), tenantParam('user'), async (req, res) => {
+  const id = Number(req.params.id);
+  const { confirm_email, reason } = req.body || {};
+  let connection;
+
+  try {
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot purge your own account' });
+    }
+
+    const [userRows] = await pool.execute(
+      'SELECT id, email, role, status FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (userRows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = userRows[0];
+
+    if (!['deactivated', 'archived'].includes(user.status)) {
+      return res.status(400).json({ message: 'Only deactivated or archived users can be purged' });
+    }
+
+    if (!confirm_email || String(confirm_email).trim().toLowerCase() !== user.email.toLowerCase()) {
+      return res.status(400).json({ message: 'confirm_email does not match the account email' });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Content other people depend on survives the account
+    await connection.execute('UPDATE courses SET created_by = ? WHERE created_by = ?', [req.user.id, id]);
+    await connection.execute('UPDATE course_assignments SET assigned_by = ? WHERE assigned_by = ?', [req.user.id, id]);
+    await connection.execute('UPDATE formador_courses SET assigned_by = ? WHERE assigned_by = ?', [req.user.id, id]);
+    await connection.execute('UPDATE invitations SET invited_by = ? WHERE invited_by = ?', [req.user.id, id]);
+    await connection.execute('DELETE FROM users WHERE id = ?', [id]);
+
+    await connection.commit();
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'user_purged',
+      details: {
+        user_id: id,
+        role: user.role,
+        email_sha256: hashToken(user.email.toLowerCase()),
+        reason: reason || null
+      },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'User purged successfully' });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Purge user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/personal-data:
+ *   get:
+ *     summary: Export everything stored about a user (data subject access request)
+ *     description: |
+ *       Profile, enrollments, quiz and workshop grades with their answers,
+ *       activity progress, surveys, forum posts and comments, notifications,
+ *       sessions and login history. `format=zip` returns one JSON file per
+ *       category plus the images the user uploaded.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ */
+router.get('/:id/personal-data', auth, can('users.personal_data'), tenantParam('user'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json or zip' });
+    }
+
+    const data = await collectPersonalData(req.params.id);
+
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'personal_data_exported',
+      targetUserId: data.profile.id,
+      details: { format },
+      ipAddress: req.ip
+    });
+
+    const fileName = `personal-data-user-${data.profile.id}`;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'zip') {
+      const buffer = await buildPersonalDataZip(data);
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(buffer);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export personal data error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/anonymize:
+ *   post:
+ *     summary: Anonymize a user (right to erasure without losing statistics)
+ *     description: |
+ *       Replaces name, email and profile with a pseudonym, clears credentials,
+ *       linked identities, login history and free-text survey answers, and
+ *       archives the account. Grades, progress, enrollments and survey ratings
+ *       are kept, so the analytics dashboard totals and averages do not change.
+ *       Cannot be undone.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirm_email
+ *             properties:
+ *               confirm_email:
+ *                 type: string
+ *                 description: Email of the account, typed again as confirmation
+ *               reason:
+ *                 type: string
+ *               redact_forum_content:
+ *                 type: boolean
+ *                 description: Also replace the text of the user's forum posts and comments
+ */
+router.post('/:id/anonymize', auth, can('users.personal_data'), tenantParam('user'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { confirm_email, reason, redact_forum_content } = req.body || {};
+
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot anonymize your own account' });
+    }
+
+    const [userRows] = await pool.execute(
+      'SELECT id, email, anonymized_at FROM users WHERE id = ?',
+      [id]
+    );
+
+    if (userRows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (userRows[0].anonymized_at) {
+      return res.status(400).json({ message: 'User is already anonymized' });
+    }
+
+    if (!confirm_email || String(confirm_email).trim().toLowerCase() !== userRows[0].email.toLowerCase()) {
+      return res.status(400).json({ message: 'confirm_email does not match the account email' });
+    }
+
+    if (await removesLastActiveAdmin([id])) {
+      return res.status(400).json({ message: 'At least one admin account must stay active' });
+    }
+
+    const pseudonym = await anonymizeUser(id, { redactForumContent: Boolean(redact_forum_content) });
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'user_anonymized',
+      targetUserId: id,
+      details: { reason: reason || null, redact_forum_content: Boolean(redact_forum_content) },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'User anonymized successfully', name: pseudonym });
+  } catch (error) {
+    console.error('Anonymize user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,598 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { encryptSecret } = require('../utils/two-factor');
+const { buildTenantFilter, tenantParam } = require('../utils/tenants');
+const { checkPublicUrl } = require('../utils/outbound');
+const {
+  WEBHOOK_EVENTS,
+  isWebhookEvent,
+  generateWebhookSecret,
+  parseJson,
+  deliverNow,
+  deliverPendingWebhooks,
+  replayDelivery,
+  sendTestEvent
+} = require('../utils/webhooks');
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+
+const validateWebhookInput = async ({ name, url, events }) => {
+  if (!name) {
+    return 'Name is required';
+  }
+
+  const urlError = url ? await checkPublicUrl(url) : 'must be an http(s) URL';
+
+  if (urlError) {
+    return `url ${urlError}`;
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'At least one event is required';
+  }
+
+  const unknown = events.filter(event => !isWebhookEvent(event));
+
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+const formatSubscription = (row) => {
+  const { secret_encrypted, ...subscription } = row;
+
+  return {
+    ...subscription,
+    events: parseJson(row.events),
+    status: row.disabled_at ? 'disabled' : 'active'
+  };
+};
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: Events a webhook can subscribe to
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/events', auth, can('webhooks.manage'), (req, res) => {
+  res.json({
+    events: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get the webhook subscriptions with their delivery counters
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, can('webhooks.manage'), async (req, res) => {
+  try {
+    const tenant = buildTenantFilter(req, 's.tenant_id');
+
+    const [rows] = await pool.execute(
+      `SELECT s.*, u.name as created_by_name,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'pending') as pending_count,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'failed') as failed_count,
+              (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.subscription_id = s.id) as last_delivered_at
+       FROM webhook_subscriptions s
+       LEFT JOIN users u ON s.created_by = u.id
+       WHERE 1 = 1${tenant.clause}
+       ORDER BY s.created_at DESC`,
+      tenant.params
+    );
+
+    res.json({ webhooks: rows.map(formatSubscription) });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook subscription
+ *     description: |
+ *       Events are sent as a JSON POST to the url with the headers
+ *       X-Webhook-Event, X-Webhook-Id (event id, the same in replays),
+ *       X-Webhook-Delivery, X-Webhook-Timestamp and X-Webhook-Signature:
+ *       "sha256=" + HMAC-SHA256 of "<timestamp>.<raw body>" with the
+ *       secret. The secret is only returned now and when it is rotated.
+ *       Any 2xx response acknowledges the delivery; otherwise it is retried
+ *       with exponential backoff.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *               - events
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 example: https://wfm.example.com/hooks/asiste
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [course.completed, enrollment.created]
+ */
+router.post('/', auth, can('webhooks.manage'), async (req, res) => {
+  try {
+    const { name, url, events } = req.body;
+
+    const validationError = await validateWebhookInput(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const secret = generateWebhookSecret();
+    const uniqueEvents = [...new Set(events)];
+
+    const [result] = await pool.execute(
+      `INSERT INTO webhook_subscriptions (name, url, events, secret_encrypted, tenant_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, url, JSON.stringify(uniqueEvents), encryptSecret(secret), req.tenantId || null, req.user.id]
+    );
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'webhook_created',
+      details: { webhook_id: result.insertId, name, url, events: uniqueEvents },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'Webhook created. Store the secret now, it will not be shown again.',
+      webhook: { id: result.insertId, name, url, events: uniqueEvents, secret }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery with its payload and every attempt
+ *     description: The response bodies of the endpoint are only shown to platform admins (outside a tenant).
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/deliveries/:deliveryId', auth, can('webhooks.manage'), tenantParam('webhook_delivery', 'deliveryId'), async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const [rows] = await pool.execute(
+      `SELECT d.*, e.event_id, e.event_type, e.payload
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON d.event_seq = e.id
+       WHERE d.id = ?`,
+      [deliveryId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const [attempts] = await pool.execute(
+      `SELECT attempt_number, status_code, response_body, error, duration_ms, created_at
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = ?
+       ORDER BY id`,
+      [deliveryId]
+    );
+
+    // Inside a tenant the endpoint's answers stay hidden: the URL is chosen by
+    // the tenant admin, so they would otherwise read whatever it returns
+    res.json({
+      delivery: { ...rows[0], payload: parseJson(rows[0].payload) },
+      attempts: req.tenantId ? attempts.map(({ response_body, ...attempt }) => attempt) : attempts
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send the event of a delivery again (as a new delivery)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/deliveries/:deliveryId/replay', auth, can('webhooks.manage'), tenantParam('webhook_delivery', 'deliveryId'), async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const [rows] = await pool.execute(
+      `SELECT d.id, d.event_seq, d.subscription_id, s.disabled_at
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.id = ?`,
+      [deliveryId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    if (rows[0].disabled_at) {
+      return res.status(400).json({ message: 'The webhook is disabled' });
+    }
+
+    const replayId = await replayDelivery(rows[0]);
+    const result = await deliverNow(replayId);
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'webhook_delivery_replayed',
+      details: { webhook_id: rows[0].subscription_id, delivery_id: Number(deliveryId), replay_id: replayId },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: result.ok ? 'Event delivered again' : 'Replay queued, the endpoint did not accept it yet',
+      delivery: { id: replayId, replay_of: Number(deliveryId), status: result.ok ? 'sent' : 'pending', status_code: result.statusCode, error: result.error }
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({ webhook: formatSubscription(rows[0]) });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update the name, url or events of a webhook, or enable / disable it
+ *     description: While disabled no deliveries are queued or sent; pending ones are sent once it is enabled again.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, url, events, enabled } = req.body;
+
+    const validationError = await validateWebhookInput(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be a boolean' });
+    }
+
+    const uniqueEvents = [...new Set(events)];
+
+    const [result] = await pool.execute(
+      `UPDATE webhook_subscriptions
+       SET name = ?, url = ?, events = ?,
+           disabled_at = CASE WHEN ? IS NULL THEN disabled_at WHEN ? THEN NULL ELSE COALESCE(disabled_at, NOW()) END
+       WHERE id = ?`,
+      [name, url, JSON.stringify(uniqueEvents), enabled ?? null, enabled ?? null, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'webhook_updated',
+      details: { webhook_id: Number(id), name, url, events: uniqueEvents, enabled },
+      ipAddress: req.ip
+    });
+
+    if (enabled === true) {
+      deliverPendingWebhooks().catch(error => console.error('Webhook delivery error:', error));
+    }
+
+    res.json({ message: 'Webhook updated successfully' });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.execute('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'webhook_deleted',
+      details: { webhook_id: Number(id) },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret of a webhook (returned only in this response)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/rotate-secret', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const secret = generateWebhookSecret();
+
+    const [result] = await pool.execute(
+      'UPDATE webhook_subscriptions SET secret_encrypted = ? WHERE id = ?',
+      [encryptSecret(secret), id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'webhook_secret_rotated',
+      details: { webhook_id: Number(id) },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Secret rotated. Store it now, it will not be shown again.', secret });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a webhook.test event to the webhook and return the result
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/test', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT id, name, tenant_id FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const result = await sendTestEvent(rows[0]);
+
+    res.json({
+      delivered: result.ok,
+      delivery_id: result.deliveryId,
+      status_code: result.statusCode,
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before_id
+ *         description: Next page, the id of the last delivery of the previous one
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ */
+router.get('/:id/deliveries', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, event, before_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    let query = `
+      SELECT d.id, d.replay_of, d.status, d.attempts, d.next_attempt_at, d.last_status_code, d.last_error,
+             d.created_at, d.delivered_at, e.event_id, e.event_type
+      FROM webhook_deliveries d
+      JOIN webhook_events e ON d.event_seq = e.id
+      WHERE d.subscription_id = ?
+    `;
+    const params = [id];
+
+    if (status) {
+      query += ' AND d.status = ?';
+      params.push(status);
+    }
+
+    if (event) {
+      query += ' AND e.event_type = ?';
+      params.push(event);
+    }
+
+    if (before_id) {
+      query += ' AND d.id < ?';
+      params.push(before_id);
+    }
+
+    query += ' ORDER BY d.id DESC LIMIT ?';
+    params.push(limit);
+
+    const [rows] = await pool.query(query, params);
+
+    res.json({ deliveries: rows });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/replay:
+ *   post:
+ *     summary: Replay every failed delivery of a webhook (optionally only since a date)
+ *     description: Useful once the receiving system is back after an outage. The replays are sent by the delivery queue.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               since:
+ *                 type: string
+ *                 format: date-time
+ */
+router.post('/:id/deliveries/replay', auth, can('webhooks.manage'), tenantParam('webhook'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const since = req.body?.since ? new Date(req.body.since) : null;
+
+    if (since && Number.isNaN(since.getTime())) {
+      return res.status(400).json({ message: 'since must be a date' });
+    }
+
+    const [subscriptions] = await pool.execute('SELECT disabled_at FROM webhook_subscriptions WHERE id = ?', [id]);
+
+    if (subscriptions.length === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    if (subscriptions[0].disabled_at) {
+      return res.status(400).json({ message: 'The webhook is disabled' });
+    }
+
+    // Failed deliveries that were not replayed successfully since
+    const [result] = await pool.execute(
+      `INSERT INTO webhook_deliveries (event_seq, subscription_id, replay_of)
+       SELECT d.event_seq, d.subscription_id, d.id
+       FROM webhook_deliveries d
+       WHERE d.subscription_id = ? AND d.status = 'failed'${since ? ' AND d.created_at >= ?' : ''}
+         AND NOT EXISTS (
+           SELECT 1 FROM webhook_deliveries r
+           WHERE r.event_seq = d.event_seq AND r.subscription_id = d.subscription_id AND r.id > d.id
+             AND r.status IN ('pending', 'sent')
+         )`,
+      since ? [id, since] : [id]
+    );
+
+    await logAudit({
+      actorId: req.user.id,
+      action: 'webhook_deliveries_replayed',
+      details: { webhook_id: Number(id), count: result.affectedRows, since: req.body?.since || null },
+      ipAddress: req.ip
+    });
+
+    deliverPendingWebhooks().catch(error => console.error('Webhook delivery error:', error));
+
+    res.json({ message: `${result.affectedRows} deliveries queued again`, queued: result.affectedRows });
+  } catch (error) {
+    console.error('Replay webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,45 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { tenantParam } = require('../utils/tenants');
+const { getStudentCourseVersion, findSnapshotItem } = require('../utils/course-versions');
+const { emitAssessmentSubmitted } = require('../utils/xapi');
+const { queueLtiScores } = require('../utils/lti');
+const { publishAssessmentSubmitted } = require('../utils/webhooks');
+const { getActivityLock } = require('../utils/sequencing');
+
+// Workshop of the version a student is pinned to. Returns { status, error }
+// (the response body) when the student cannot take it.
+const findStudentWorkshop = async (workshopId, studentId) => {
+  const [workshopRows] = await pool.execute(
+    'SELECT a.course_id FROM workshops w JOIN activities a ON w.activity_id = a.id WHERE w.id = ?',
+    [workshopId]
+  );
+
+  if (workshopRows.length === 0) {
+    return { status: 404, error: { message: 'Workshop not found' } };
+  }
+
+  const pinned = await getStudentCourseVersion(workshopRows[0].course_id, studentId);
+
+  if (!pinned) {
+    return { status: 403, error: { message: 'You are not assigned to this course' } };
+  }
+
+  const found = pinned.snapshot && findSnapshotItem(pinned.snapshot, 'workshops', workshopId);
+
+  if (!found) {
+    return { status: 404, error: { message: 'Workshop not found' } };
+  }
+
+  const lock = await getActivityLock(pinned.snapshot, found.activity.id, studentId);
+
+  if (lock) {
+    return { status: 403, error: lock };
+  }
+
+  return { versionId: pinned.versionId, workshop: found.item };
+};
 
 const router = express.Router();
 
@@ -13,10 +52,20 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/workshop/:workshopId', auth, async (req, res) => {
+router.get('/workshop/:workshopId', auth, tenantParam('workshop', 'workshopId'), async (req, res) => {
   try {
     const { workshopId } = req.params;
 
+    if (req.user.role === 'estudiante') {
+      const version = await findStudentWorkshop(workshopId, req.user.id);
+
+      if (version.status) {
+        return res.status(version.status).json(version.error);
+      }
+
+      return res.json({ questions: version.workshop.questions.map(question => ({ ...question, workshop_id: Number(workshopId) })) });
+    }
+
     const [rows] = await pool.execute(
       'SELECT * FROM workshop_questions WHERE workshop_id = ? ORDER BY order_index ASC',
       [workshopId]
@@ -38,7 +87,7 @@ router.get('/workshop/:workshopId', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin'), async (req, res) => {
+router.post('/', auth, can('course.edit'), tenantParam('workshop', 'workshop_id', { write: true, source: 'body' }), async (req, res) => {
   try {
     const { 
       workshop_id, 
@@ -130,7 +179,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin'), async (req, res) => {
+router.put('/:id', auth, can('course.edit'), tenantParam('workshop_question', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -199,7 +248,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, can('course.edit'), tenantParam('workshop_question', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -225,7 +274,7 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/:workshopId/submit', auth, authorize('estudiante'), async (req, res) => {
+router.post('/:workshopId/submit', auth, can('learning.participate'), tenantParam('workshop', 'workshopId'), async (req, res) => {
   try {
     const { workshopId } = req.params;
     const { answers } = req.body; // Array of {questionId, selectedAnswer}
@@ -234,11 +283,14 @@ router.post('/:workshopId/submit', auth, authorize('estudiante'), async (req, re
       return res.status(400).json({ message: 'Answers array is required' });
     }
 
-    // Get all questions for this workshop
-    const [questions] = await pool.execute(
-      'SELECT * FROM workshop_questions WHERE workshop_id = ?',
-      [workshopId]
-    );
+    // Graded against the questions of the student's version, not the draft
+    const version = await findStudentWorkshop(workshopId, req.user.id);
+
+    if (version.status) {
+      return res.status(version.status).json(version.error);
+    }
+
+    const { questions } = version.workshop;
 
     if (questions.length === 0) {
       return res.status(404).json({ message: 'No questions found for this workshop' });
@@ -287,10 +339,14 @@ router.post('/:workshopId/submit', auth, authorize('estudiante'), async (req, re
 
     // Save grade
     await pool.execute(
-      'INSERT INTO workshop_grades (student_id, workshop_id, score, max_score, percentage, attempt_number) VALUES (?, ?, ?, ?, ?, ?)',
-      [req.user.id, workshopId, score, maxScore, percentage, attemptNumber]
+      'INSERT INTO workshop_grades (student_id, workshop_id, version_id, score, max_score, percentage, attempt_number) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.user.id, workshopId, version.versionId, score, maxScore, percentage, attemptNumber]
     );
 
+    emitAssessmentSubmitted(req.user.id, 'workshop', workshopId, { score, maxScore, percentage });
+    queueLtiScores(req.user.id, 'workshop', workshopId, { score, maxScore });
+    publishAssessmentSubmitted(req.user.id, 'workshop', workshopId, { score, maxScore, percentage });
+
     res.json({
       message: 'Workshop completed successfully',
       score,
@@ -1,6 +1,14 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, can } = require('../middleware/auth');
+const { tenantParam } = require('../utils/tenants');
+const {
+  hasPublishedVersions,
+  getStudentCourseVersion,
+  findSnapshotActivity,
+  findSnapshotItem
+} = require('../utils/course-versions');
+const { getActivityLock } = require('../utils/sequencing');
 
 const router = express.Router();
 
@@ -13,7 +21,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/activity/:activityId', auth, async (req, res) => {
+router.get('/activity/:activityId', auth, tenantParam('activity', 'activityId'), async (req, res) => {
   try {
     const { activityId } = req.params;
 
@@ -26,15 +34,49 @@ router.get('/activity/:activityId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Activity not found' });
     }
 
+    // Students get the workshops of the version they are pinned to
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [activityRows[0].course_id, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(activityRows[0].course_id, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      const versionActivity = pinned.snapshot && findSnapshotActivity(pinned.snapshot, activityId);
+
+      if (!versionActivity) {
+        return res.status(404).json({ message: 'Activity not found' });
+      }
+
+      const lock = await getActivityLock(pinned.snapshot, activityId, req.user.id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      const workshopIds = versionActivity.workshops.map(workshop => workshop.id);
+      let gradeRows = [];
+
+      if (workshopIds.length > 0) {
+        [gradeRows] = await pool.query(
+          'SELECT workshop_id, percentage FROM workshop_grades WHERE student_id = ? AND workshop_id IN (?)',
+          [req.user.id, workshopIds]
+        );
+      }
+
+      const workshops = versionActivity.workshops.map(({ questions, ...workshop }) => {
+        const grade = gradeRows.find(row => row.workshop_id === workshop.id);
+
+        return {
+          ...workshop,
+          activity_id: versionActivity.id,
+          question_count: questions.length,
+          is_completed: grade ? 1 : 0,
+          completed_score: grade ? grade.percentage : null
+        };
+      });
+
+      return res.json({ workshops });
     }
 
     const [rows] = await pool.execute(
@@ -44,7 +86,7 @@ router.get('/activity/:activityId', auth, async (req, res) => {
        FROM workshops w 
        LEFT JOIN workshop_questions wq ON w.id = wq.workshop_id 
        LEFT JOIN workshop_grades wg ON w.id = wg.workshop_id AND wg.student_id = ?
-       WHERE w.activity_id = ? 
+       WHERE w.activity_id = ? AND w.archived_at IS NULL
        GROUP BY w.id, wg.id, wg.percentage
        ORDER BY w.order_index ASC`,
       [req.user.role === 'estudiante' ? req.user.id : null, activityId]
@@ -66,7 +108,7 @@ router.get('/activity/:activityId', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, tenantParam('workshop'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -87,15 +129,39 @@ router.get('/:id', auth, async (req, res) => {
 
     const workshop = workshopRows[0];
 
+    // Students get the workshop as it is in the version they are pinned to
     if (req.user.role === 'estudiante') {
-      const [assignmentRows] = await pool.execute(
-        'SELECT id FROM course_assignments WHERE course_id = ? AND student_id = ?',
-        [workshop.course_id, req.user.id]
-      );
+      const pinned = await getStudentCourseVersion(workshop.course_id, req.user.id);
 
-      if (assignmentRows.length === 0) {
+      if (!pinned) {
         return res.status(403).json({ message: 'You are not assigned to this course' });
       }
+
+      const found = pinned.snapshot && findSnapshotItem(pinned.snapshot, 'workshops', id);
+
+      if (!found) {
+        return res.status(404).json({ message: 'Workshop not found' });
+      }
+
+      const lock = await getActivityLock(pinned.snapshot, found.activity.id, req.user.id);
+
+      if (lock) {
+        return res.status(403).json(lock);
+      }
+
+      return res.json({
+        workshop: {
+          ...workshop,
+          ...found.item,
+          activity_id: found.activity.id,
+          version_number: pinned.versionNumber,
+          questions: found.item.questions.map(question => ({ ...question, workshop_id: workshop.id }))
+        }
+      });
+    }
+
+    if (workshop.archived_at) {
+      return res.status(404).json({ message: 'Workshop not found' });
     }
 
     // Get workshop questions with images
@@ -122,7 +188,7 @@ router.get('/:id', auth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', auth, authorize('admin'), async (req, res) => {
+router.post('/', auth, can('course.edit'), tenantParam('activity', 'activity_id', { write: true, source: 'body' }), async (req, res) => {
   try {
     const { title, description, activity_id, order_index } = req.body;
 
@@ -160,7 +226,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', auth, authorize('admin'), async (req, res) => {
+router.put('/:id', auth, can('course.edit'), tenantParam('workshop', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, order_index } = req.body;
@@ -170,7 +236,7 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
     }
 
     const [result] = await pool.execute(
-      'UPDATE workshops SET title = ?, description = ?, order_index = ? WHERE id = ?',
+      'UPDATE workshops SET title = ?, description = ?, order_index = ? WHERE id = ? AND archived_at IS NULL',
       [title, description || '', order_index || 0, id]
     );
 
@@ -194,16 +260,28 @@ router.put('/:id', auth, authorize('admin'), async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, can('course.edit'), tenantParam('workshop', 'id', { write: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const [result] = await pool.execute('DELETE FROM workshops WHERE id = ?', [id]);
+    const [workshopRows] = await pool.execute(
+      `SELECT a.course_id FROM workshops w
+       JOIN activities a ON w.activity_id = a.id
+       WHERE w.id = ? AND w.archived_at IS NULL`,
+      [id]
+    );
 
-    if (result.affectedRows === 0) {
+    if (workshopRows.length === 0) {
       return res.status(404).json({ message: 'Workshop not found' });
     }
 
+    // Published versions (and the grades of their students) still use it
+    if (await hasPublishedVersions(workshopRows[0].course_id)) {
+      await pool.execute('UPDATE workshops SET archived_at = NOW() WHERE id = ?', [id]);
+    } else {
+      await pool.execute('DELETE FROM workshops WHERE id = ?', [id]);
+    }
+
     res.json({ message: 'Workshop deleted successfully' });
   } catch (error) {
     console.error('Delete workshop error:', error);
@@ -0,0 +1,441 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, can } = require('../middleware/auth');
+const { getPermissionScopes, buildScopeFilter } = require('../utils/permissions');
+const { buildTenantFilter } = require('../utils/tenants');
+const { isApiKey } = require('../utils/api-keys');
+const {
+  XAPI_VERSION,
+  XAPI_HOMEPAGE,
+  VERBS,
+  UUID_PATTERN,
+  agentIfi,
+  platformAgent,
+  validateStatement,
+  parseStatement,
+  storeStatements
+} = require('../utils/xapi');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+router.use((req, res, next) => {
+  res.set('X-Experience-API-Version', XAPI_VERSION);
+  next();
+});
+
+// LRS clients (xAPI wrappers of authoring tools, TinCanJS...) only speak HTTP
+// Basic: an API key sent as the password (the username is ignored) is handed
+// to auth as if it came in X-API-Key
+const basicApiKey = (req, res, next) => {
+  const header = req.header('Authorization') || '';
+
+  if (header.startsWith('Basic ') && !req.header('X-API-Key')) {
+    const credentials = Buffer.from(header.substring(6), 'base64').toString('utf8');
+    const password = credentials.substring(credentials.indexOf(':') + 1);
+
+    if (isApiKey(password)) {
+      req.headers['x-api-key'] = password;
+    }
+  }
+
+  next();
+};
+
+const requireVersion = (req, res, next) => {
+  if (!/^1\.0(\.\d+)?$/.test(req.header('X-Experience-API-Version') || '')) {
+    return res.status(400).json({ message: 'X-Experience-API-Version header (1.0.x) is required' });
+  }
+  next();
+};
+
+// With xapi.statements.own every statement has to be about the user, by our
+// account or by the email of the user
+const isOwnActor = (req, actor) => {
+  const ifi = agentIfi(actor);
+
+  return ifi === agentIfi(platformAgent(req.user.id)) ||
+    (req.user.email && ifi === `mbox:mailto:${req.user.email.toLowerCase()}`);
+};
+
+// Checks the batch and the scope of the user. Returns an error response
+// ({ status, body }) or null.
+const checkStatements = async (req, statements) => {
+  const errors = statements.flatMap((statement, index) => validateStatement(statement, statements.length > 1 ? `statements[${index}]` : 'statement'));
+
+  if (errors.length > 0) {
+    return { status: 400, body: { message: 'Invalid statement', errors } };
+  }
+
+  if (getPermissionScopes(req, 'xapi.statements') === null) {
+    return null;
+  }
+
+  if (!statements.every(statement => isOwnActor(req, statement.actor))) {
+    return { status: 403, body: { message: 'You can only send statements about yourself' } };
+  }
+
+  const voided = statements
+    .filter(statement => statement.verb.id === VERBS.voided.id)
+    .map(statement => statement.object.id.toLowerCase());
+
+  if (voided.length > 0) {
+    const [rows] = await pool.query(
+      'SELECT statement_id FROM xapi_statements WHERE statement_id IN (?) AND (actor_user_id IS NULL OR actor_user_id <> ?)',
+      [voided, req.user.id]
+    );
+
+    if (rows.length > 0) {
+      return { status: 403, body: { message: 'You can only void your own statements' } };
+    }
+  }
+
+  return null;
+};
+
+const authorityOf = (req) => ({
+  objectType: 'Agent',
+  name: req.user.name,
+  account: { homePage: XAPI_HOMEPAGE, name: String(req.user.id) }
+});
+
+/**
+ * @swagger
+ * /xapi/about:
+ *   get:
+ *     summary: xAPI versions supported by the LRS endpoint
+ *     tags: [xAPI]
+ *     responses:
+ *       200:
+ *         description: Supported versions
+ */
+router.get('/about', (req, res) => {
+  res.json({ version: [XAPI_VERSION] });
+});
+
+/**
+ * @swagger
+ * /xapi/statements:
+ *   put:
+ *     summary: Store one statement with the id given in statementId
+ *     description: |
+ *       Minimal LRS Statement API for external content (xAPI packages, cmi5
+ *       players...). Authenticate with a Bearer token, or with HTTP Basic
+ *       using an API key with the xapi.statements.all scope as the password.
+ *       Learners can only send statements about themselves.
+ *     tags: [xAPI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: statementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: X-Experience-API-Version
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.3
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       204:
+ *         description: Statement stored (or already stored with the same content)
+ *       400:
+ *         description: Invalid statement
+ *       403:
+ *         description: The statement is about another learner
+ *       409:
+ *         description: Another statement with this id is already stored
+ */
+router.put('/statements', basicApiKey, auth, can('xapi.statements'), requireVersion, async (req, res) => {
+  try {
+    const { statementId } = req.query;
+
+    if (!UUID_PATTERN.test(statementId || '')) {
+      return res.status(400).json({ message: 'statementId must be a UUID' });
+    }
+
+    const statement = req.body;
+
+    if (statement && statement.id != null && String(statement.id).toLowerCase() !== statementId.toLowerCase()) {
+      return res.status(400).json({ message: 'The statement id does not match statementId' });
+    }
+
+    const problem = await checkStatements(req, [statement]);
+
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    const result = await storeStatements([{ ...statement, id: statementId }], {
+      source: 'external',
+      authority: authorityOf(req),
+      tenantId: req.tenantId
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({ message: `Statement ${result.conflict} already exists with different content` });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Put xAPI statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /xapi/statements:
+ *   post:
+ *     summary: Store one statement or a batch
+ *     description: Statements without id get one. The whole batch is rejected if any statement is invalid or conflicts.
+ *     tags: [xAPI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Experience-API-Version
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.3
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: object
+ *               - type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Ids of the statements, in the order they were sent
+ *       400:
+ *         description: Invalid statement
+ *       403:
+ *         description: A statement is about another learner
+ *       409:
+ *         description: A statement id is already stored with different content
+ */
+router.post('/statements', basicApiKey, auth, can('xapi.statements'), requireVersion, async (req, res) => {
+  try {
+    const statements = Array.isArray(req.body) ? req.body : [req.body];
+
+    if (statements.length === 0) {
+      return res.status(400).json({ message: 'No statements sent' });
+    }
+
+    const problem = await checkStatements(req, statements);
+
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    const result = await storeStatements(statements, {
+      source: 'external',
+      authority: authorityOf(req),
+      tenantId: req.tenantId
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({ message: `Statement ${result.conflict} already exists with different content` });
+    }
+
+    res.json(result.ids);
+  } catch (error) {
+    console.error('Post xAPI statements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /xapi/statements:
+ *   get:
+ *     summary: Get a statement or query the stored statements
+ *     description: |
+ *       With statementId (or voidedStatementId) returns that statement.
+ *       Otherwise returns a StatementResult, newest first unless ascending,
+ *       where "more" is the URL of the next page (empty on the last one).
+ *       Learners only get their own statements.
+ *     tags: [xAPI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: statementId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: voidedStatementId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: agent
+ *         description: JSON agent, matched by its mbox, mbox_sha1sum, openid or account
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: verb
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: activity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: registration
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: ascending
+ *         schema:
+ *           type: boolean
+ *       - in: header
+ *         name: X-Experience-API-Version
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.3
+ *     responses:
+ *       200:
+ *         description: Statement or StatementResult
+ *       404:
+ *         description: Statement not found
+ */
+router.get('/statements', basicApiKey, auth, can('xapi.statements'), requireVersion, async (req, res) => {
+  try {
+    const { statementId, voidedStatementId, agent, verb, activity, registration, since, until, ascending, cursor } = req.query;
+    const visibility = getPermissionScopes(req, 'xapi.statements') === null
+      ? buildTenantFilter(req, 's.tenant_id')
+      : buildScopeFilter(req, 'xapi.statements', 's.actor_user_id');
+
+    res.set('X-Experience-API-Consistent-Through', new Date().toISOString());
+
+    if (statementId || voidedStatementId) {
+      const [rows] = await pool.execute(
+        `SELECT s.statement FROM xapi_statements s WHERE s.statement_id = ? AND s.voided = ?${visibility.clause}`,
+        [String(statementId || voidedStatementId).toLowerCase(), Boolean(voidedStatementId), ...visibility.params]
+      );
+
+      if (rows.length === 0) {
+        return res.status(404).json({ message: 'Statement not found' });
+      }
+
+      return res.json(parseStatement(rows[0].statement));
+    }
+
+    let whereClause = `WHERE s.voided = FALSE${visibility.clause}`;
+    const params = [...visibility.params];
+
+    if (agent) {
+      let ifi = null;
+
+      try {
+        ifi = agentIfi(JSON.parse(agent));
+      } catch (parseError) {
+        ifi = null;
+      }
+
+      if (!ifi) {
+        return res.status(400).json({ message: 'agent must be a JSON agent with mbox, mbox_sha1sum, openid or account' });
+      }
+
+      whereClause += ' AND s.actor_ifi = ?';
+      params.push(ifi);
+    }
+
+    if (verb) {
+      whereClause += ' AND s.verb_id = ?';
+      params.push(verb);
+    }
+
+    if (activity) {
+      whereClause += ' AND s.object_id = ?';
+      params.push(activity);
+    }
+
+    if (registration) {
+      whereClause += ' AND s.registration = ?';
+      params.push(String(registration).toLowerCase());
+    }
+
+    for (const [value, operator, name] of [[since, '>', 'since'], [until, '<=', 'until']]) {
+      if (value) {
+        const date = new Date(value);
+
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({ message: `${name} must be an ISO 8601 date` });
+        }
+
+        whereClause += ` AND s.stored_at ${operator} ?`;
+        params.push(date);
+      }
+    }
+
+    const isAscending = ascending === 'true';
+
+    if (cursor) {
+      whereClause += isAscending ? ' AND s.id > ?' : ' AND s.id < ?';
+      params.push(parseInt(cursor, 10) || 0);
+    }
+
+    // limit=0 means as many as the server allows
+    const requested = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(requested) ? DEFAULT_LIMIT : (requested <= 0 || requested > MAX_LIMIT ? MAX_LIMIT : requested);
+
+    const [rows] = await pool.query(
+      `SELECT s.id, s.statement FROM xapi_statements s
+       ${whereClause}
+       ORDER BY s.id ${isAscending ? 'ASC' : 'DESC'}
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    let more = '';
+
+    if (rows.length > limit) {
+      const query = new URLSearchParams({ ...req.query, cursor: String(page[page.length - 1].id) });
+      more = `${req.baseUrl}/statements?${query.toString()}`;
+    }
+
+    res.json({
+      statements: page.map(row => parseStatement(row.statement)),
+      more
+    });
+  } catch (error) {
+    console.error('Get xAPI statements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,14 @@ const swaggerUi = require('swagger-ui-express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
+const { startDirectorySyncJob } = require('./utils/directory-sync');
+const { startXapiDeliveryJob } = require('./utils/xapi');
+const { startLtiScoreJob } = require('./utils/lti');
+const { startWebhookDeliveryJob } = require('./utils/webhooks');
+const { assertMailConfiguration } = require('./utils/mailer');
+
+// Refuse to start with a mail setup that would drop reset links or print them
+assertMailConfiguration();
 
 const app = express();
 const server = createServer(app);
@@ -71,6 +79,7 @@ const corsOptions = {
     'Content-Type',
     'Authorization',
     'Accept',
+    'X-Tenant-Id',
   ],
   exposedHeaders: [
     'Content-Length',
@@ -104,17 +113,8 @@ global.io = io;
 // Apply CORS first
 app.use(cors(corsOptions));
 
-// Serve static files with explicit CORS headers - MUST be before other middlewares
-app.use('/uploads', express.static('uploads', {
-  setHeaders: (res, path, stat) => {
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Cross-Origin-Embedder-Policy', 'unsafe-none');
-    // Remove any security headers that might block CORS
-    res.removeHeader('X-Content-Type-Options');
-  }
-}));
+// Uploaded files need a media token or a session - MUST be before other middlewares
+app.use('/uploads', require('./routes/media'));
 
 // Configure Helmet with conditional application (skip for /uploads)
 app.use((req, res, next) => {
@@ -152,20 +152,36 @@ app.get('/', (req, res) => {
   });
 });
 
+app.use('/api/auth/2fa', require('./routes/two-factor'));
+app.use('/api/auth/oidc', require('./routes/oidc'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/users/imports', require('./routes/user-imports'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/tenants', require('./routes/tenants'));
+app.use('/api/api-keys', require('./routes/api-keys'));
+app.use('/api/lti/platforms', require('./routes/lti-platforms'));
+app.use('/api/lti', require('./routes/lti'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/courses/:courseId/versions', require('./routes/course-versions'));
+app.use('/api/courses/:courseId/sequencing', require('./routes/course-sequencing'));
 app.use('/api/courses', require('./routes/courses'));
 app.use('/api/activities', require('./routes/activities'));
 app.use('/api/workshops', require('./routes/workshops'));
 app.use('/api/quizzes', require('./routes/quizzes'));
 app.use('/api/assignments', require('./routes/assignments'));
+app.use('/api/cohorts', require('./routes/cohorts'));
+app.use('/api/learning-paths', require('./routes/learning-paths'));
 app.use('/api/grades', require('./routes/grades'));
 app.use('/api/satisfaction', require('./routes/satisfaction'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/content-blocks', require('./routes/content-blocks'));
+app.use('/api/scorm', require('./routes/scorm'));
 app.use('/api/workshop-questions', require('./routes/workshop-questions'));
 app.use('/api/forum', require('./routes/forum'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/xapi', require('./routes/xapi'));
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -191,6 +207,11 @@ server.keepAliveTimeout = 610000;
 server.headersTimeout = 620000;
 
 server.listen(PORT, () => {
+  startDirectorySyncJob();
+  startXapiDeliveryJob();
+  startLtiScoreJob();
+  startWebhookDeliveryJob();
+
   console.log(`Server running on port ${PORT}`);
   console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
   console.log(`Socket.IO server running on port ${PORT}`);
@@ -0,0 +1,23 @@
+require('dotenv').config();
+const { isLdapEnabled } = require('./utils/ldap');
+const { syncDirectoryAccounts } = require('./utils/directory-sync');
+
+// Runs the LDAP deactivation sync once, e.g. from cron instead of the
+// in-process job (set LDAP_SYNC_INTERVAL_MINUTES=0 on the API server then)
+async function sync() {
+  try {
+    if (!isLdapEnabled()) {
+      console.log('LDAP is not enabled (LDAP_ENABLED, LDAP_URL, LDAP_BASE_DN)');
+      process.exit(1);
+    }
+
+    const result = await syncDirectoryAccounts();
+    console.log(`LDAP sync completed: ${result.deactivated} deactivated, ${result.reactivated} reactivated`);
+    process.exit(0);
+  } catch (error) {
+    console.error('LDAP sync failed:', error);
+    process.exit(1);
+  }
+}
+
+sync();
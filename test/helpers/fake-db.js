@@ -0,0 +1,85 @@
+const jwt = require('jsonwebtoken');
+const { pool } = require('../../config/database');
+const { SYSTEM_ROLES } = require('../../config/permissions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Stands in for MySQL: every statement run through the pool (or a connection
+// taken from it) is recorded, and answered with the rows of the most recently
+// registered handler whose pattern appears in the SQL (no rows otherwise).
+const calls = [];
+let handlers = [];
+
+const run = async (sql, params = []) => {
+  calls.push({ sql, params });
+
+  const handler = handlers.findLast(({ pattern }) => sql.includes(pattern));
+  const rows = handler ? handler.respond(params, sql) : [];
+
+  return [rows, []];
+};
+
+pool.execute = run;
+pool.query = run;
+pool.getConnection = async () => ({
+  execute: run,
+  query: run,
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {}
+});
+
+const reset = () => {
+  calls.length = 0;
+  handlers = [];
+};
+
+// rows can be an array or a function of the statement params
+const on = (pattern, rows) => {
+  handlers.push({ pattern, respond: typeof rows === 'function' ? rows : () => rows });
+};
+
+const findCalls = (pattern) => calls.filter(call => call.sql.includes(pattern));
+
+const ROLE_IDS = { admin: 1, formador: 2, estudiante: 3 };
+
+// Session of a user with a system role and optional per-user grants
+// (user_permission_grants). Returns the headers to send with the request.
+const signIn = (user, { grants = [] } = {}) => {
+  const sessionId = 1000 + user.id;
+  const roleId = ROLE_IDS[user.role];
+
+  on('FROM user_sessions s', ([id, userId]) => (id === sessionId && userId === user.id
+    ? [{
+        id: user.id,
+        name: user.name || user.role,
+        email: `${user.role}${user.id}@example.com`,
+        role: user.role,
+        role_id: roleId,
+        role_name: user.role,
+        tenant_id: user.tenant_id || null,
+        impersonator_id: null,
+        read_only: 0,
+        impersonator_name: null
+      }]
+    : []));
+  on('FROM role_permissions rp', ([id]) => (id === roleId
+    ? SYSTEM_ROLES[user.role].permissions.map(name => ({ name }))
+    : []));
+  on('SELECT p.name FROM user_permission_grants', ([userId]) => (userId === user.id
+    ? grants.map(name => ({ name }))
+    : []));
+
+  const token = jwt.sign({ userId: user.id, sessionId }, process.env.JWT_SECRET);
+
+  return { Authorization: `Bearer ${token}` };
+};
+
+module.exports = {
+  calls,
+  reset,
+  on,
+  findCalls,
+  signIn
+};
@@ -0,0 +1,140 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const db = require('./helpers/fake-db');
+const authRoutes = require('../routes/auth');
+
+const student = { id: 8, name: 'Student', email: 'student8@example.com', role: 'estudiante', status: 'active' };
+
+let server;
+let baseUrl;
+let passwordHash;
+
+before(async () => {
+  passwordHash = await bcrypt.hash('right-password', 4);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  db.reset();
+
+  db.on('FROM users WHERE email = ?', ([email]) => (email === student.email
+    ? [{ ...student, password: passwordHash }]
+    : []));
+  db.on('INSERT INTO user_sessions', { insertId: 60 });
+});
+
+// failed_attempts is what the counter reaches with this failure
+const failedAttempts = (count) => {
+  db.on('SELECT failed_attempts FROM account_lockouts', [{ failed_attempts: count }]);
+};
+
+const login = async (password, email = student.email) => {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const lockUpdate = () => db.findCalls('SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)')[0];
+
+describe('failed logins', () => {
+  test('the first failures only count', async () => {
+    failedAttempts(2);
+
+    const response = await login('wrong-password');
+
+    assert.equal(response.status, 401);
+    assert.equal(lockUpdate(), undefined);
+
+    const [counter] = db.findCalls('INSERT INTO account_lockouts');
+    assert.deepEqual(counter.params, [student.id, 15]);
+  });
+
+  test('the third failure imposes a one second delay', async () => {
+    failedAttempts(3);
+
+    await login('wrong-password');
+
+    assert.deepEqual(lockUpdate().params, [1, student.id]);
+  });
+
+  test('the delay doubles with each further failure', async () => {
+    failedAttempts(5);
+
+    await login('wrong-password');
+
+    assert.deepEqual(lockUpdate().params, [4, student.id]);
+  });
+
+  test('the delay is capped at one minute', async () => {
+    failedAttempts(9);
+
+    await login('wrong-password');
+
+    assert.deepEqual(lockUpdate().params, [60, student.id]);
+    assert.equal(db.findCalls('INSERT INTO audit_logs').length, 0);
+  });
+
+  test('the tenth failure locks the account for fifteen minutes and is audited', async () => {
+    failedAttempts(10);
+
+    await login('wrong-password');
+
+    assert.deepEqual(lockUpdate().params, [15 * 60, student.id]);
+
+    const [audit] = db.findCalls('INSERT INTO audit_logs');
+    assert.equal(audit.params[1], 'account_locked');
+    assert.equal(audit.params[2], student.id);
+  });
+
+  test('an unknown email is recorded without touching any lockout', async () => {
+    const response = await login('wrong-password', 'nobody@example.com');
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('account_lockouts').length, 0);
+
+    const [attempt] = db.findCalls('INSERT INTO login_attempts');
+    assert.equal(attempt.params[5], 'unknown_email');
+  });
+});
+
+describe('locked accounts', () => {
+  test('are refused with Retry-After even with the right password', async () => {
+    db.on('locked_until > NOW()', ([id]) => (id === student.id ? [{ retry_after: 42 }] : []));
+
+    const response = await login('right-password');
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '42');
+    assert.equal(response.body.retryAfter, 42);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 0);
+    assert.equal(db.findCalls('SELECT failed_attempts FROM account_lockouts').length, 0);
+
+    const [attempt] = db.findCalls('INSERT INTO login_attempts');
+    assert.equal(attempt.params[5], 'locked');
+  });
+
+  test('a successful login clears the counter', async () => {
+    const response = await login('right-password');
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.refreshToken, /^60\./);
+
+    const [clear] = db.findCalls('DELETE FROM account_lockouts');
+    assert.deepEqual(clear.params, [student.id]);
+  });
+});
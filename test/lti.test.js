@@ -0,0 +1,236 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+// The platform JWKS is served from loopback, which outbound requests refuse
+// otherwise. Read when utils/outbound.js loads.
+process.env.ALLOW_PRIVATE_OUTBOUND_URLS = 'true';
+
+const { CLAIMS, MESSAGE_TYPES, verifyLaunchToken } = require('../utils/lti');
+
+const ISSUER = 'https://lms.example.com';
+const CLIENT_ID = 'tool-client';
+const NONCE = 'launch-nonce';
+
+const generateKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+  };
+};
+
+const platformKey = generateKey('platform-1');
+const rotatedKey = generateKey('platform-2');
+const strangerKey = generateKey('platform-1');
+
+let server;
+let jwksUrl;
+let publishedKeys = [platformKey.jwk];
+let jwksRequests = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    jwksRequests++;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: publishedKeys }));
+  });
+
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  jwksUrl = `http://127.0.0.1:${server.address().port}/jwks`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Each platform has its own JWKS cache entry
+let nextPlatformId = 1;
+
+const buildPlatform = () => ({
+  id: nextPlatformId++,
+  issuer: ISSUER,
+  client_id: CLIENT_ID,
+  jwks_url: jwksUrl,
+  deployment_ids: JSON.stringify(['deployment-1'])
+});
+
+const launchClaims = (overrides = {}) => ({
+  iss: ISSUER,
+  aud: CLIENT_ID,
+  sub: 'lms-user-1',
+  nonce: NONCE,
+  [CLAIMS.messageType]: MESSAGE_TYPES.resourceLink,
+  [CLAIMS.version]: '1.3.0',
+  [CLAIMS.deploymentId]: 'deployment-1',
+  [CLAIMS.resourceLink]: { id: 'link-1' },
+  ...overrides
+});
+
+const signLaunch = (claims, key = platformKey) => jwt.sign(claims, key.privateKey, {
+  algorithm: 'RS256',
+  keyid: key.kid,
+  expiresIn: '5m'
+});
+
+describe('LTI id_token validation', () => {
+  test('a valid resource link launch returns its claims', async () => {
+    const claims = await verifyLaunchToken(buildPlatform(), signLaunch(launchClaims()), NONCE);
+
+    assert.equal(claims.sub, 'lms-user-1');
+    assert.equal(claims[CLAIMS.resourceLink].id, 'link-1');
+  });
+
+  test('the platform keys are fetched once and cached', async () => {
+    const platform = buildPlatform();
+    const before = jwksRequests;
+
+    await verifyLaunchToken(platform, signLaunch(launchClaims()), NONCE);
+    await verifyLaunchToken(platform, signLaunch(launchClaims()), NONCE);
+
+    assert.equal(jwksRequests - before, 1);
+  });
+
+  test('an unknown kid fetches the keys again so platforms can rotate them', async () => {
+    const platform = buildPlatform();
+    await verifyLaunchToken(platform, signLaunch(launchClaims()), NONCE);
+
+    publishedKeys = [platformKey.jwk, rotatedKey.jwk];
+    const before = jwksRequests;
+
+    try {
+      const claims = await verifyLaunchToken(platform, signLaunch(launchClaims(), rotatedKey), NONCE);
+
+      assert.equal(claims.sub, 'lms-user-1');
+      assert.equal(jwksRequests - before, 1);
+    } finally {
+      publishedKeys = [platformKey.jwk];
+    }
+  });
+
+  test('a kid the platform does not publish is refused', async () => {
+    await assert.rejects(
+      verifyLaunchToken(buildPlatform(), signLaunch(launchClaims(), rotatedKey), NONCE),
+      /No matching signing key/
+    );
+  });
+
+  test('a token signed with another key is refused', async () => {
+    await assert.rejects(
+      verifyLaunchToken(buildPlatform(), signLaunch(launchClaims(), strangerKey), NONCE),
+      /invalid signature/
+    );
+  });
+
+  test('a token signed with a shared secret is refused', async () => {
+    const token = jwt.sign(launchClaims(), 'shared-secret', { algorithm: 'HS256', keyid: platformKey.kid });
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /invalid algorithm/);
+  });
+
+  test('an unsigned token is refused', async () => {
+    const token = jwt.sign(launchClaims(), null, { algorithm: 'none' });
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE));
+  });
+
+  test('a malformed token is refused', async () => {
+    await assert.rejects(verifyLaunchToken(buildPlatform(), 'not-a-jwt', NONCE), /Malformed id_token/);
+  });
+
+  test('an expired token is refused', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign(launchClaims({ iat: now - 600, exp: now - 120 }), platformKey.privateKey, {
+      algorithm: 'RS256',
+      keyid: platformKey.kid
+    });
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /jwt expired/);
+  });
+
+  test('a token of another issuer is refused', async () => {
+    const token = signLaunch(launchClaims({ iss: 'https://other-lms.example.com' }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /jwt issuer invalid/);
+  });
+
+  test('a token for another client is refused', async () => {
+    const token = signLaunch(launchClaims({ aud: 'another-tool' }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /jwt audience invalid/);
+  });
+
+  test('a token for several audiences must name this client as azp', async () => {
+    const audience = [CLIENT_ID, 'another-tool'];
+
+    await assert.rejects(
+      verifyLaunchToken(buildPlatform(), signLaunch(launchClaims({ aud: audience })), NONCE),
+      /azp does not match/
+    );
+
+    const claims = await verifyLaunchToken(
+      buildPlatform(),
+      signLaunch(launchClaims({ aud: audience, azp: CLIENT_ID })),
+      NONCE
+    );
+    assert.equal(claims.azp, CLIENT_ID);
+  });
+
+  test('a token issued for another login is refused', async () => {
+    await assert.rejects(
+      verifyLaunchToken(buildPlatform(), signLaunch(launchClaims()), 'another-nonce'),
+      /nonce mismatch/
+    );
+  });
+
+  test('an unregistered deployment is refused', async () => {
+    const token = signLaunch(launchClaims({ [CLAIMS.deploymentId]: 'deployment-2' }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /not registered/);
+  });
+
+  test('another LTI version is refused', async () => {
+    const token = signLaunch(launchClaims({ [CLAIMS.version]: '1.1' }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /Unsupported LTI version/);
+  });
+
+  test('a resource link launch without link id is refused', async () => {
+    const token = signLaunch(launchClaims({ [CLAIMS.resourceLink]: {} }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /no resource link id/);
+  });
+
+  test('a deep linking request needs a return URL', async () => {
+    const deepLinking = { [CLAIMS.messageType]: MESSAGE_TYPES.deepLinking, [CLAIMS.resourceLink]: undefined };
+
+    await assert.rejects(
+      verifyLaunchToken(buildPlatform(), signLaunch(launchClaims({
+        ...deepLinking,
+        [CLAIMS.deepLinkingSettings]: {}
+      })), NONCE),
+      /no return URL/
+    );
+
+    const claims = await verifyLaunchToken(buildPlatform(), signLaunch(launchClaims({
+      ...deepLinking,
+      [CLAIMS.deepLinkingSettings]: { deep_link_return_url: `${ISSUER}/deep-link/return` }
+    })), NONCE);
+    assert.equal(claims[CLAIMS.messageType], MESSAGE_TYPES.deepLinking);
+  });
+
+  test('other message types are refused', async () => {
+    const token = signLaunch(launchClaims({ [CLAIMS.messageType]: 'LtiSubmissionReviewRequest' }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /Unsupported LTI message type/);
+  });
+
+  test('a launch without user is refused', async () => {
+    const token = signLaunch(launchClaims({ sub: undefined }));
+
+    await assert.rejects(verifyLaunchToken(buildPlatform(), token, NONCE), /no user/);
+  });
+});
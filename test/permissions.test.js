@@ -0,0 +1,166 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/fake-db');
+const {
+  OWN_STUDENTS_SQL,
+  invalidateRolePermissions,
+  getUserGrants,
+  getUserPermissions,
+  isOwnStudent,
+  getPermissionScopes,
+  canAccessResource,
+  buildScopeFilter
+} = require('../utils/permissions');
+
+const formador = { id: 2, role: 'formador' };
+const student = { id: 3, role: 'estudiante' };
+
+const request = (user, permissions, tenantId = null) => ({ user, permissions, tenantId });
+
+beforeEach(() => {
+  db.reset();
+  invalidateRolePermissions();
+});
+
+describe('getPermissionScopes', () => {
+  test('is unrestricted with the exact permission or its .all variant', () => {
+    assert.equal(getPermissionScopes(request(formador, ['course.edit']), 'course.edit'), null);
+    assert.equal(getPermissionScopes(request(formador, ['grades.view.all']), 'grades.view'), null);
+  });
+
+  test('lists the scopes held otherwise', () => {
+    const req = request(formador, ['grades.view.own_students', 'grades.view.own', 'grades.audit']);
+
+    assert.deepEqual(getPermissionScopes(req, 'grades.view'), ['own_students', 'own']);
+    assert.deepEqual(getPermissionScopes(req, 'surveys.view'), []);
+  });
+});
+
+describe('buildScopeFilter', () => {
+  test('adds nothing when unrestricted outside a tenant', () => {
+    const filter = buildScopeFilter(request(formador, ['grades.view.all']), 'grades.view', 'g.student_id');
+
+    assert.deepEqual(filter, { clause: '', params: [] });
+  });
+
+  test('keeps an unrestricted user to the students of their tenant', () => {
+    const filter = buildScopeFilter(request(formador, ['grades.view.all'], 7), 'grades.view', 'g.student_id');
+
+    assert.deepEqual(filter, {
+      clause: ' AND g.student_id IN (SELECT tu.id FROM users tu WHERE tu.tenant_id = ?)',
+      params: [7]
+    });
+  });
+
+  test('restricts own_students to the students linked to the formador', () => {
+    const filter = buildScopeFilter(request(formador, ['grades.view.own_students']), 'grades.view', 'g.student_id');
+
+    assert.equal(filter.clause, ` AND (g.student_id IN (${OWN_STUDENTS_SQL}))`);
+    assert.deepEqual(filter.params, [2, 2]);
+  });
+
+  test('restricts own to the user themself', () => {
+    const filter = buildScopeFilter(request(student, ['grades.view.own']), 'grades.view', 'g.student_id');
+
+    assert.deepEqual(filter, { clause: ' AND (g.student_id = ?)', params: [3] });
+  });
+
+  test('combines several scopes with OR and the tenant with AND', () => {
+    const filter = buildScopeFilter(
+      request(formador, ['grades.view.own', 'grades.view.own_students'], 7),
+      'grades.view',
+      'g.student_id'
+    );
+
+    assert.equal(
+      filter.clause,
+      ` AND (g.student_id = ? OR g.student_id IN (${OWN_STUDENTS_SQL}))` +
+      ' AND g.student_id IN (SELECT tu.id FROM users tu WHERE tu.tenant_id = ?)'
+    );
+    assert.deepEqual(filter.params, [2, 2, 2, 7]);
+  });
+
+  test('matches nothing without any scope of the permission', () => {
+    const filter = buildScopeFilter(request(formador, ['grades.audit']), 'grades.view', 'g.student_id');
+
+    assert.deepEqual(filter, { clause: ' AND (1 = 0)', params: [] });
+  });
+});
+
+describe('isOwnStudent', () => {
+  test('looks the student up among the students of the formador', async () => {
+    db.on(OWN_STUDENTS_SQL, () => [{ 1: 1 }]);
+
+    assert.equal(await isOwnStudent(2, 9), true);
+
+    const [call] = db.calls;
+    assert.ok(call.sql.includes('own.student_id = ?'));
+    assert.deepEqual(call.params, [2, 2, 9]);
+  });
+
+  test('is false when the student is not linked', async () => {
+    assert.equal(await isOwnStudent(2, 9), false);
+  });
+});
+
+describe('canAccessResource', () => {
+  test('lets unrestricted users through without looking anything up', async () => {
+    const req = request(formador, ['grades.view.all']);
+
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: 9, studentId: 9 }), true);
+    assert.equal(db.calls.length, 0);
+  });
+
+  test('own only matches the user themself', async () => {
+    const req = request(student, ['grades.view.own']);
+
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: '3', studentId: '3' }), true);
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: '4', studentId: '4' }), false);
+  });
+
+  test('own_students only matches linked students', async () => {
+    const req = request(formador, ['grades.view.own_students']);
+    db.on(OWN_STUDENTS_SQL, ([, , studentId]) => (studentId === '9' ? [{ 1: 1 }] : []));
+
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: '9', studentId: '9' }), true);
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: '8', studentId: '8' }), false);
+  });
+
+  test('own_students does not match resources without a student', async () => {
+    const req = request(formador, ['grades.view.own_students']);
+
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: 2 }), false);
+    assert.equal(db.calls.length, 0);
+  });
+
+  test('denies without any scope of the permission', async () => {
+    const req = request(formador, ['grades.audit']);
+
+    assert.equal(await canAccessResource(req, 'grades.view', { userId: 2, studentId: 2 }), false);
+  });
+});
+
+describe('user_permission_grants', () => {
+  test('getUserGrants reads the grants of the user', async () => {
+    db.on('FROM user_permission_grants', () => [{ name: 'grades.view.all' }]);
+
+    assert.deepEqual(await getUserGrants(2), ['grades.view.all']);
+    assert.deepEqual(db.calls[0].params, [2]);
+  });
+
+  test('getUserPermissions adds the grants to the role permissions', async () => {
+    db.on('FROM role_permissions rp', () => [{ name: 'grades.view.own_students' }, { name: 'grades.audit' }]);
+    db.on('FROM user_permission_grants', () => [{ name: 'grades.view.all' }, { name: 'grades.audit' }]);
+
+    const permissions = await getUserPermissions({ id: 2, role_id: 2 });
+
+    assert.deepEqual(permissions.sort(), ['grades.audit', 'grades.view.all', 'grades.view.own_students']);
+    assert.equal(getPermissionScopes({ permissions }, 'grades.view'), null);
+  });
+
+  test('getUserPermissions is the role permissions without grants', async () => {
+    db.on('FROM role_permissions rp', () => [{ name: 'grades.view.own_students' }]);
+
+    assert.deepEqual(await getUserPermissions({ id: 2, role_id: 2 }), ['grades.view.own_students']);
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('./helpers/fake-db');
+const { hashToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Active session 12 of user 5 whose current refresh token secret is storedSecret
+const storedSecret = 'current-secret';
+
+beforeEach(() => {
+  db.reset();
+
+  db.on('SELECT id, user_id, refresh_token_hash', ([id]) => (id === 12
+    ? [{ id: 12, user_id: 5, refresh_token_hash: hashToken(storedSecret) }]
+    : []));
+  db.on('SET refresh_token_hash = ?', { affectedRows: 1 });
+  db.on('SET revoked_at = NOW()', { affectedRows: 1 });
+});
+
+const refresh = async (refreshToken) => {
+  const response = await fetch(`${baseUrl}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+describe('refresh token rotation', () => {
+  test('the current token is exchanged for a new pair of the same session', async () => {
+    const response = await refresh(`12.${storedSecret}`);
+
+    assert.equal(response.status, 200);
+
+    const [sessionId, newSecret] = response.body.refreshToken.split('.');
+    assert.equal(sessionId, '12');
+    assert.notEqual(newSecret, storedSecret);
+
+    const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
+    assert.equal(decoded.userId, 5);
+    assert.equal(decoded.sessionId, 12);
+
+    // The new secret replaces the old one only if nobody rotated it meanwhile
+    const [update] = db.findCalls('SET refresh_token_hash = ?');
+    assert.equal(update.params[0], hashToken(newSecret));
+    assert.deepEqual(update.params.slice(3), [12, hashToken(storedSecret)]);
+    assert.equal(db.findCalls('SET revoked_at = NOW()').length, 0);
+  });
+
+  test('reusing a rotated token revokes the whole session', async () => {
+    const response = await refresh('12.an-old-secret');
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('SET refresh_token_hash = ?').length, 0);
+
+    const [revoke] = db.findCalls('SET revoked_at = NOW()');
+    assert.deepEqual(revoke.params, ['refresh_token_reuse', 12]);
+  });
+
+  test('losing the race against a concurrent rotation gives no tokens', async () => {
+    db.on('SET refresh_token_hash = ?', { affectedRows: 0 });
+
+    const response = await refresh(`12.${storedSecret}`);
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.token, undefined);
+    assert.equal(db.findCalls('SET revoked_at = NOW()').length, 0);
+  });
+
+  test('a revoked, expired or unknown session is refused', async () => {
+    const response = await refresh(`13.${storedSecret}`);
+
+    assert.equal(response.status, 401);
+
+    const [lookup] = db.findCalls('SELECT id, user_id, refresh_token_hash');
+    assert.ok(lookup.sql.includes('revoked_at IS NULL AND expires_at > NOW()'));
+    assert.ok(lookup.sql.includes('impersonator_id IS NULL'));
+    assert.equal(db.findCalls('SET refresh_token_hash = ?').length, 0);
+  });
+
+  test('a malformed token is refused without a lookup', async () => {
+    for (const refreshToken of ['no-session-part', '0.secret', '12.']) {
+      const response = await refresh(refreshToken);
+
+      assert.equal(response.status, 401);
+    }
+
+    assert.equal(db.findCalls('FROM user_sessions').length, 0);
+  });
+});
@@ -0,0 +1,211 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('./helpers/fake-db');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { encryptSecret, signChallenge } = require('../utils/two-factor');
+const twoFactorRoutes = require('../routes/two-factor');
+
+const admin = { id: 5, name: 'Admin', email: 'admin5@example.com', role: 'admin' };
+
+let server;
+let baseUrl;
+let secret;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth/2fa', twoFactorRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+// An enrolled admin; lastUsedStep is the step of the last accepted code
+const enroll = ({ lastUsedStep = null, enabled = true } = {}) => {
+  db.on('FROM users WHERE id = ? AND status = "active"', ([id]) => (id === admin.id ? [admin] : []));
+  db.on('FROM user_two_factor WHERE user_id = ?', ([id]) => (id === admin.id
+    ? [{
+        user_id: admin.id,
+        secret_encrypted: encryptSecret(secret),
+        enabled_at: enabled ? new Date() : null,
+        last_used_step: lastUsedStep
+      }]
+    : []));
+};
+
+beforeEach(() => {
+  db.reset();
+  secret = generateSecret();
+
+  db.on('UPDATE user_two_factor SET last_used_step', { affectedRows: 1 });
+  db.on('SELECT failed_attempts FROM account_lockouts', [{ failed_attempts: 1 }]);
+  db.on('INSERT INTO user_sessions', { insertId: 40 });
+});
+
+const verify = async (body) => {
+  const response = await fetch(`${baseUrl}/api/auth/2fa/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+const failedLogins = () => db.findCalls('INSERT INTO login_attempts')
+  .filter(call => call.params[4] === false);
+
+describe('TOTP verification', () => {
+  test('a current code completes the login and records its step', async () => {
+    enroll();
+    const step = currentStep();
+
+    const response = await verify({ challengeToken: signChallenge(admin.id, '2fa'), code: generateCode(secret, step) });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.match(response.body.refreshToken, /^40\./);
+
+    const [update] = db.findCalls('UPDATE user_two_factor SET last_used_step');
+    assert.deepEqual(update.params, [step, admin.id, step]);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 1);
+  });
+
+  test('a code of the previous step is accepted for clock drift', async () => {
+    enroll();
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa'),
+      code: generateCode(secret, currentStep() - 1)
+    });
+
+    assert.equal(response.status, 200);
+  });
+
+  test('a code outside the drift window is refused and counted as a failure', async () => {
+    enroll();
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa'),
+      code: generateCode(secret, currentStep() - 3)
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('UPDATE user_two_factor SET last_used_step').length, 0);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 0);
+    assert.equal(failedLogins()[0].params[5], 'invalid_totp');
+  });
+
+  test('a code of a step already used cannot be replayed', async () => {
+    const step = currentStep();
+    enroll({ lastUsedStep: step });
+
+    const response = await verify({ challengeToken: signChallenge(admin.id, '2fa'), code: generateCode(secret, step) });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('UPDATE user_two_factor SET last_used_step').length, 0);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 0);
+  });
+
+  test('the same code used by a concurrent request is refused', async () => {
+    enroll();
+    db.on('UPDATE user_two_factor SET last_used_step', { affectedRows: 0 });
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa'),
+      code: generateCode(secret, currentStep())
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 0);
+  });
+
+  test('a locked account is refused before the code is checked', async () => {
+    enroll();
+    db.on('locked_until > NOW()', [{ retry_after: 30 }]);
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa'),
+      code: generateCode(secret, currentStep())
+    });
+
+    assert.equal(response.status, 429);
+    assert.equal(db.findCalls('UPDATE user_two_factor SET last_used_step').length, 0);
+  });
+
+  test('a pending enrollment cannot be used to log in', async () => {
+    enroll({ enabled: false });
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa'),
+      code: generateCode(secret, currentStep())
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 0);
+  });
+});
+
+describe('login challenges', () => {
+  test('expire after five minutes', () => {
+    const decoded = jwt.decode(signChallenge(admin.id, '2fa'));
+
+    assert.equal(decoded.exp - decoded.iat, 5 * 60);
+  });
+
+  test('an expired challenge is refused', async () => {
+    enroll();
+    const now = Math.floor(Date.now() / 1000);
+    const expired = jwt.sign(
+      { userId: admin.id, purpose: '2fa', iat: now - 6 * 60, exp: now - 60 },
+      process.env.JWT_SECRET
+    );
+
+    const response = await verify({ challengeToken: expired, code: generateCode(secret, currentStep()) });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('FROM user_two_factor').length, 0);
+  });
+
+  test('a setup challenge cannot stand in for the code step', async () => {
+    enroll();
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa_setup'),
+      code: generateCode(secret, currentStep())
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('FROM user_two_factor').length, 0);
+  });
+
+  test('a challenge signed with another secret is refused', async () => {
+    enroll();
+    const forged = jwt.sign({ userId: admin.id, purpose: '2fa' }, 'another-secret', { expiresIn: '5m' });
+
+    const response = await verify({ challengeToken: forged, code: generateCode(secret, currentStep()) });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('FROM user_two_factor').length, 0);
+  });
+
+  test('a challenge of a suspended user is refused', async () => {
+    enroll();
+    db.on('FROM users WHERE id = ? AND status = "active"', []);
+
+    const response = await verify({
+      challengeToken: signChallenge(admin.id, '2fa'),
+      code: generateCode(secret, currentStep())
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(db.findCalls('INSERT INTO user_sessions').length, 0);
+  });
+});
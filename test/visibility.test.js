@@ -0,0 +1,233 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('./helpers/fake-db');
+const { OWN_STUDENTS_SQL, invalidateRolePermissions } = require('../utils/permissions');
+const gradeRoutes = require('../routes/grades');
+const userRoutes = require('../routes/users');
+const satisfactionRoutes = require('../routes/satisfaction');
+
+const admin = { id: 1, role: 'admin' };
+const formador = { id: 2, role: 'formador' };
+const student = { id: 3, role: 'estudiante' };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/grades', gradeRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/satisfaction', satisfactionRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  db.reset();
+  invalidateRolePermissions();
+});
+
+const call = async (method, path, headers, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+// Main list query of each endpoint, identified by the table it reads
+const LIST_ENDPOINTS = [
+  { path: '/api/grades/all', permission: 'grades.view', queries: ['FROM grades g', 'FROM workshop_grades wg', 'FROM scorm_attempts sa'] },
+  { path: '/api/grades/quiz/5', permission: 'grades.view', queries: ['FROM grades g'] },
+  { path: '/api/grades/course/4', permission: 'grades.view', queries: ['FROM grades g'] },
+  { path: '/api/users/students', permission: 'students.view', queries: ["WHERE u.role = 'estudiante'"] },
+  { path: '/api/satisfaction/course/4', permission: 'surveys.view', queries: ['FROM satisfaction_surveys ss'] }
+];
+
+describe('formador visibility on list endpoints', () => {
+  for (const endpoint of LIST_ENDPOINTS) {
+    describe(endpoint.path, () => {
+      test('a formador only sees their own students', async () => {
+        const response = await call('GET', endpoint.path, db.signIn(formador));
+
+        assert.equal(response.status, 200);
+
+        for (const pattern of endpoint.queries) {
+          const [query] = db.findCalls(pattern);
+
+          assert.ok(query, `no query ${pattern}`);
+          assert.ok(query.sql.includes(`IN (${OWN_STUDENTS_SQL})`), `${pattern} is not limited to own students`);
+          assert.equal(query.params.filter(param => param === formador.id).length, 2);
+        }
+      });
+
+      test('an admin sees every student', async () => {
+        const response = await call('GET', endpoint.path, db.signIn(admin));
+
+        assert.equal(response.status, 200);
+
+        for (const pattern of endpoint.queries) {
+          const [query] = db.findCalls(pattern);
+
+          assert.ok(query, `no query ${pattern}`);
+          assert.ok(!query.sql.includes(OWN_STUDENTS_SQL));
+          assert.ok(!query.sql.includes('1 = 0'));
+        }
+      });
+
+      test(`a formador granted ${endpoint.permission}.all sees every student`, async () => {
+        const headers = db.signIn(formador, { grants: [`${endpoint.permission}.all`] });
+        const response = await call('GET', endpoint.path, headers);
+
+        assert.equal(response.status, 200);
+
+        for (const pattern of endpoint.queries) {
+          const [query] = db.findCalls(pattern);
+
+          assert.ok(!query.sql.includes(OWN_STUDENTS_SQL));
+          assert.ok(!query.params.includes(formador.id));
+        }
+      });
+    });
+  }
+
+  test('a student only sees their own grades', async () => {
+    const response = await call('GET', '/api/grades/quiz/5', db.signIn(student));
+
+    assert.equal(response.status, 200);
+
+    const [query] = db.findCalls('FROM grades g');
+    assert.ok(query.sql.includes('AND (g.student_id = ?)'));
+    assert.deepEqual(query.params, ['5', student.id]);
+  });
+
+  test('a student cannot list students', async () => {
+    const response = await call('GET', '/api/users/students', db.signIn(student));
+
+    assert.equal(response.status, 403);
+    assert.equal(db.findCalls("WHERE u.role = 'estudiante'").length, 0);
+  });
+
+  test('the cohort filter narrows the visible students further', async () => {
+    const response = await call('GET', '/api/grades/course/4?cohort_id=6', db.signIn(formador));
+
+    assert.equal(response.status, 200);
+
+    const [query] = db.findCalls('FROM grades g');
+    assert.ok(query.sql.includes('FROM cohort_members cm WHERE cm.cohort_id = ?'));
+    assert.deepEqual(query.params, ['4', formador.id, formador.id, '6']);
+  });
+});
+
+describe('formador access to a single student', () => {
+  const linkStudent = (studentId) => {
+    db.on(OWN_STUDENTS_SQL, ([, , id]) => (String(id) === String(studentId) ? [{ 1: 1 }] : []));
+  };
+
+  test('details of a linked student are returned', async () => {
+    const headers = db.signIn(formador);
+    linkStudent(9);
+    db.on('FROM users WHERE id = ? AND role = "estudiante"', () => [{ id: 9, name: 'Ana' }]);
+
+    const response = await call('GET', '/api/users/students/9/details', headers);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.student.id, 9);
+  });
+
+  test('details of another student are refused', async () => {
+    const headers = db.signIn(formador);
+    linkStudent(9);
+
+    const response = await call('GET', '/api/users/students/8/details', headers);
+
+    assert.equal(response.status, 403);
+    assert.equal(db.findCalls('FROM users WHERE id = ? AND role = "estudiante"').length, 0);
+  });
+
+  test('another student cannot be edited', async () => {
+    const headers = db.signIn(formador);
+    linkStudent(9);
+
+    const response = await call('PUT', '/api/users/8', headers, {
+      name: 'Otro', email: 'otro@example.com', role: 'estudiante'
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(db.findCalls('UPDATE users').length, 0);
+  });
+
+  test('a linked student can be edited but not promoted', async () => {
+    const headers = db.signIn(formador);
+    linkStudent(9);
+    db.on('SELECT role FROM users WHERE id = ?', () => [{ role: 'estudiante' }]);
+
+    const promoted = await call('PUT', '/api/users/9', headers, {
+      name: 'Ana', email: 'ana@example.com', role: 'formador'
+    });
+    assert.equal(promoted.status, 403);
+
+    const edited = await call('PUT', '/api/users/9', headers, {
+      name: 'Ana', email: 'ana@example.com', role: 'estudiante'
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(db.findCalls('UPDATE users').length, 1);
+  });
+});
+
+describe('formador scope grants', () => {
+  test('lists the grantable scopes held by the formador', async () => {
+    const headers = db.signIn(admin);
+    db.on('SELECT id FROM users WHERE id = ? AND role = "formador"', () => [{ id: 2 }]);
+    db.on('SELECT p.name FROM user_permission_grants', ([userId]) => (
+      userId === '2' ? [{ name: 'grades.view.all' }, { name: 'analytics.view' }] : []
+    ));
+
+    const response = await call('GET', '/api/users/formador/2/scope', headers);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.grants, ['grades.view.all']);
+  });
+
+  test('replaces the grantable scopes of the formador', async () => {
+    const headers = db.signIn(admin);
+    db.on('SELECT id FROM users WHERE id = ? AND role = "formador"', () => [{ id: 2 }]);
+
+    const response = await call('PUT', '/api/users/formador/2/scope', headers, {
+      permissions: ['grades.view.all', 'surveys.view.all']
+    });
+
+    assert.equal(response.status, 200);
+
+    const [removal] = db.findCalls('DELETE upg FROM user_permission_grants');
+    assert.equal(removal.params[0], '2');
+
+    const [insert] = db.findCalls('INSERT INTO user_permission_grants');
+    assert.deepEqual(insert.params, ['2', admin.id, ['grades.view.all', 'surveys.view.all']]);
+  });
+
+  test('refuses scopes that cannot be granted', async () => {
+    const response = await call('PUT', '/api/users/formador/2/scope', db.signIn(admin), {
+      permissions: ['users.purge']
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(db.findCalls('user_permission_grants (').length, 0);
+  });
+
+  test('formadores cannot widen their own scope', async () => {
+    const response = await call('PUT', '/api/users/formador/2/scope', db.signIn(formador), {
+      permissions: ['grades.view.all']
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,133 @@
+const net = require('net');
+const { pool } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+
+const API_KEY_PREFIX = 'ak_';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 60;
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+// Returns the plaintext key (shown once) and what is stored to identify it
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${generateToken(24)}`;
+
+  return {
+    key,
+    keyPrefix: key.substring(0, 11),
+    keyHash: hashToken(key)
+  };
+};
+
+const parseJsonList = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const findApiKey = async (key) => {
+  const [rows] = await pool.execute(
+    `SELECT k.id, k.name, k.scopes, k.ip_allowlist, k.rate_limit_per_minute, k.created_by, u.tenant_id,
+            r.id as creator_role_id
+     FROM api_keys k
+     JOIN users u ON k.created_by = u.id
+     LEFT JOIN roles r ON r.id = u.role_id
+       OR (u.role_id IS NULL AND r.name = u.role AND r.is_system = TRUE)
+     WHERE k.key_hash = ? AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND u.status = 'active'`,
+    [hashToken(key)]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    ...rows[0],
+    scopes: parseJsonList(rows[0].scopes),
+    ip_allowlist: parseJsonList(rows[0].ip_allowlist)
+  };
+};
+
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((total, part) => (total * 256) + Number(part), 0);
+
+// Allowlist entries are single addresses or IPv4 CIDR ranges ("10.0.0.0/24").
+// An empty allowlist accepts any address.
+const isIpAllowed = (ip, allowlist) => {
+  if (!allowlist || allowlist.length === 0) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+
+  return allowlist.some(entry => {
+    const [range, bits] = String(entry).split('/');
+
+    if (bits === undefined) {
+      return normalizeIp(range) === address;
+    }
+
+    if (!net.isIPv4(range) || !net.isIPv4(address)) {
+      return false;
+    }
+
+    const maskBits = parseInt(bits, 10);
+    const blockSize = 2 ** (32 - maskBits);
+
+    return Math.floor(ipv4ToNumber(range) / blockSize) === Math.floor(ipv4ToNumber(address) / blockSize);
+  });
+};
+
+const isValidAllowlistEntry = (entry) => {
+  const [range, bits] = String(entry).split('/');
+
+  if (bits === undefined) {
+    return net.isIP(range) !== 0;
+  }
+
+  const maskBits = Number(bits);
+  return net.isIPv4(range) && Number.isInteger(maskBits) && maskBits >= 0 && maskBits <= 32;
+};
+
+// Fixed one-minute windows kept in memory, per key
+const rateLimitWindows = new Map();
+
+const consumeRateLimit = (apiKey) => {
+  const limit = apiKey.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+  const now = Date.now();
+  let window = rateLimitWindows.get(apiKey.id);
+
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + 60 * 1000 };
+    rateLimitWindows.set(apiKey.id, window);
+  }
+
+  window.count += 1;
+
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(limit - window.count, 0),
+    retryAfter: Math.ceil((window.resetAt - now) / 1000)
+  };
+};
+
+const touchApiKey = (apiKeyId, ip) => pool.execute(
+  `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+   WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE))`,
+  [normalizeIp(ip) || null, apiKeyId]
+);
+
+module.exports = {
+  isApiKey,
+  generateApiKey,
+  parseJsonList,
+  findApiKey,
+  isIpAllowed,
+  isValidAllowlistEntry,
+  consumeRateLimit,
+  touchApiKey
+};
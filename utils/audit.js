@@ -0,0 +1,12 @@
+const { pool } = require('../config/database');
+
+// Records a security-relevant action. actorId is whoever performed it (null for
+// system jobs); targetUserId is the account affected, if any.
+const logAudit = async ({ actorId = null, action, targetUserId = null, details = null, ipAddress = null }) => {
+  await pool.execute(
+    'INSERT INTO audit_logs (actor_id, action, target_user_id, details, ip_address) VALUES (?, ?, ?, ?, ?)',
+    [actorId, action, targetUserId, details ? JSON.stringify(details) : null, ipAddress]
+  );
+};
+
+module.exports = { logAudit };
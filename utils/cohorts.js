@@ -0,0 +1,175 @@
+const { pool } = require('../config/database');
+
+// Cohorts group the students of one induction wave ("Cohorte Octubre – Campaña X")
+// with a lead formador and a bundle of courses. Membership drives enrollment:
+// joining a cohort enrolls the student in every course of the bundle and links
+// them to the lead formador. Leaving a cohort or dropping a course from the
+// bundle never removes enrollments, so grades and progress stay reachable.
+
+// ?cohort_id= filter for list endpoints, in the same shape as buildScopeFilter()
+const buildCohortFilter = (req, studentColumn) => {
+  const cohortId = req.query.cohort_id;
+
+  if (!cohortId) {
+    return { clause: '', params: [] };
+  }
+
+  return {
+    clause: ` AND ${studentColumn} IN (SELECT cm.student_id FROM cohort_members cm WHERE cm.cohort_id = ?)`,
+    params: [cohortId]
+  };
+};
+
+// Enrolls the given students in the given courses and links them to the lead
+// formador, who also gets the courses assigned. Every insert is idempotent.
+// Returns the { studentId, courseId } course assignments it created.
+const syncCohortEnrollments = async (connection, { studentIds, courseIds, leadFormadorId, assignedBy }) => {
+  const enrolled = [];
+
+  if (studentIds.length > 0 && courseIds.length > 0) {
+    const [existing] = await connection.query(
+      'SELECT course_id, student_id FROM course_assignments WHERE course_id IN (?) AND student_id IN (?)',
+      [courseIds, studentIds]
+    );
+    const assigned = new Set(existing.map(row => `${row.course_id}:${row.student_id}`));
+
+    for (const courseId of courseIds) {
+      for (const studentId of studentIds) {
+        if (!assigned.has(`${courseId}:${studentId}`)) {
+          enrolled.push({ studentId, courseId });
+        }
+      }
+    }
+
+    const pairs = courseIds.flatMap(courseId => studentIds.map(studentId => [courseId, studentId, assignedBy]));
+
+    await connection.query(
+      'INSERT IGNORE INTO course_assignments (course_id, student_id, assigned_by) VALUES ?',
+      [pairs]
+    );
+  }
+
+  if (!leadFormadorId) {
+    return enrolled;
+  }
+
+  if (studentIds.length > 0) {
+    await connection.query(
+      'INSERT IGNORE INTO student_formador (student_id, formador_id) VALUES ?',
+      [studentIds.map(studentId => [studentId, leadFormadorId])]
+    );
+  }
+
+  if (courseIds.length > 0) {
+    await connection.query(
+      'INSERT IGNORE INTO formador_courses (formador_id, course_id, assigned_by) VALUES ?',
+      [courseIds.map(courseId => [leadFormadorId, courseId, assignedBy])]
+    );
+  }
+
+  return enrolled;
+};
+
+const getCohortCourseIds = async (connection, cohortId) => {
+  const [rows] = await connection.execute('SELECT course_id FROM cohort_courses WHERE cohort_id = ?', [cohortId]);
+  return rows.map(row => row.course_id);
+};
+
+const getCohortMemberIds = async (connection, cohortId) => {
+  const [rows] = await connection.execute('SELECT student_id FROM cohort_members WHERE cohort_id = ?', [cohortId]);
+  return rows.map(row => row.student_id);
+};
+
+// Indicators used by the cohort detail and the comparison report. Grades,
+// progress and surveys only count the courses of the cohort's bundle.
+const getCohortStats = async (cohortId) => {
+  const [memberRows] = await pool.execute(
+    `SELECT COUNT(*) as members,
+            SUM(u.status = 'active') as active_members
+     FROM cohort_members cm
+     JOIN users u ON cm.student_id = u.id
+     WHERE cm.cohort_id = ?`,
+    [cohortId]
+  );
+
+  const [progressRows] = await pool.execute(
+    `SELECT
+       (SELECT COUNT(*) FROM activities a
+        JOIN cohort_courses cc ON a.course_id = cc.course_id
+        WHERE cc.cohort_id = ?) as total_activities,
+       (SELECT COUNT(*) FROM activity_progress ap
+        JOIN activities a ON ap.activity_id = a.id
+        JOIN cohort_courses cc ON a.course_id = cc.course_id AND cc.cohort_id = ?
+        JOIN cohort_members cm ON ap.student_id = cm.student_id AND cm.cohort_id = ?
+        WHERE ap.completed = 1) as completed_activities`,
+    [cohortId, cohortId, cohortId]
+  );
+
+  const [quizRows] = await pool.execute(
+    `SELECT COUNT(*) as attempts,
+            AVG(g.percentage) as avg_percentage,
+            SUM(g.percentage >= q.passing_score) as passed
+     FROM grades g
+     JOIN quizzes q ON g.quiz_id = q.id
+     JOIN activities a ON q.activity_id = a.id
+     JOIN cohort_courses cc ON a.course_id = cc.course_id AND cc.cohort_id = ?
+     JOIN cohort_members cm ON g.student_id = cm.student_id AND cm.cohort_id = ?`,
+    [cohortId, cohortId]
+  );
+
+  const [workshopRows] = await pool.execute(
+    `SELECT COUNT(*) as attempts,
+            AVG(wg.percentage) as avg_percentage
+     FROM workshop_grades wg
+     JOIN workshops w ON wg.workshop_id = w.id
+     JOIN activities a ON w.activity_id = a.id
+     JOIN cohort_courses cc ON a.course_id = cc.course_id AND cc.cohort_id = ?
+     JOIN cohort_members cm ON wg.student_id = cm.student_id AND cm.cohort_id = ?`,
+    [cohortId, cohortId]
+  );
+
+  const [surveyRows] = await pool.execute(
+    `SELECT COUNT(*) as responses,
+            AVG(ss.overall_rating) as avg_overall_rating,
+            SUM(ss.would_recommend = 1) as would_recommend_count
+     FROM satisfaction_surveys ss
+     JOIN cohort_courses cc ON ss.course_id = cc.course_id AND cc.cohort_id = ?
+     JOIN cohort_members cm ON ss.student_id = cm.student_id AND cm.cohort_id = ?`,
+    [cohortId, cohortId]
+  );
+
+  const members = Number(memberRows[0].members);
+  const totalActivities = Number(progressRows[0].total_activities);
+  const completedActivities = Number(progressRows[0].completed_activities);
+  const quizAttempts = Number(quizRows[0].attempts);
+  const surveyResponses = Number(surveyRows[0].responses);
+  const round = (value) => (value === null ? null : Math.round(Number(value) * 100) / 100);
+
+  return {
+    members,
+    active_members: Number(memberRows[0].active_members || 0),
+    total_activities: totalActivities,
+    completed_activities: completedActivities,
+    progress_percentage: members > 0 && totalActivities > 0
+      ? round((completedActivities / (members * totalActivities)) * 100)
+      : 0,
+    quiz_attempts: quizAttempts,
+    avg_quiz_percentage: round(quizRows[0].avg_percentage),
+    quiz_pass_rate: quizAttempts > 0 ? round((Number(quizRows[0].passed) / quizAttempts) * 100) : null,
+    workshop_attempts: Number(workshopRows[0].attempts),
+    avg_workshop_percentage: round(workshopRows[0].avg_percentage),
+    survey_responses: surveyResponses,
+    avg_overall_rating: round(surveyRows[0].avg_overall_rating),
+    recommendation_percentage: surveyResponses > 0
+      ? Math.round((Number(surveyRows[0].would_recommend_count) / surveyResponses) * 100)
+      : null
+  };
+};
+
+module.exports = {
+  buildCohortFilter,
+  syncCohortEnrollments,
+  getCohortCourseIds,
+  getCohortMemberIds,
+  getCohortStats
+};
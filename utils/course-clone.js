@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+const { buildCourseSnapshot } = require('./course-versions');
+
+// Deep copy of a course draft: activities, content blocks, quizzes and
+// workshops with their questions, and the prerequisites between them. Uploaded media is either shared (the copy
+// points at the same files) or duplicated, so each course owns its files and
+// deleting one never breaks the other.
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const UPLOAD_URL_PATTERN = /\/uploads\/(videos|images)\/([^/?#]+)$/;
+const WORKSHOP_IMAGE_FIELDS = ['option_a_image', 'option_b_image', 'option_c_image', 'option_d_image'];
+
+const applyReplacements = (title, replacements) => Object.entries(replacements)
+  .reduce((result, [from, to]) => result.split(from).join(to), title || '');
+
+// Same naming scheme as middleware/upload.js
+const uniqueUploadName = (filename) => {
+  const extension = path.extname(filename);
+  const baseName = path.basename(filename, extension);
+
+  return `${baseName}-${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+};
+
+const copyUploadedFile = (type, filename) => {
+  const source = path.join(UPLOADS_DIR, type, filename);
+
+  if (!fs.existsSync(source)) {
+    return null;
+  }
+
+  const copy = uniqueUploadName(filename);
+
+  fs.copyFileSync(source, path.join(UPLOADS_DIR, type, copy));
+
+  return copy;
+};
+
+// Every upload URL of the tree, in the order it appears
+const collectMediaUrls = (snapshot) => {
+  const urls = [];
+
+  for (const activity of snapshot.activities) {
+    urls.push(...activity.content_blocks.map(block => block.content_url));
+
+    for (const workshop of activity.workshops) {
+      for (const question of workshop.questions) {
+        urls.push(...WORKSHOP_IMAGE_FIELDS.map(field => question[field]));
+      }
+    }
+  }
+
+  return urls.filter(url => url && UPLOAD_URL_PATTERN.test(url));
+};
+
+// Copies every uploaded file the tree uses once. Returns the URL map and the
+// copies made (to register them, or remove them if the clone fails).
+const duplicateMedia = (snapshot) => {
+  const urlMap = new Map();
+  const copies = [];
+  const missing = [];
+
+  for (const url of collectMediaUrls(snapshot)) {
+    if (urlMap.has(url) || missing.includes(url)) {
+      continue;
+    }
+
+    const [, type, filename] = url.match(UPLOAD_URL_PATTERN);
+    const copy = copyUploadedFile(type, filename);
+
+    if (!copy) {
+      missing.push(url);
+      continue;
+    }
+
+    const stats = fs.statSync(path.join(UPLOADS_DIR, type, copy));
+
+    urlMap.set(url, url.replace(UPLOAD_URL_PATTERN, `/uploads/${type}/${copy}`));
+    copies.push({ type: type === 'videos' ? 'video' : 'image', folder: type, filename: copy, originalName: filename, size: stats.size });
+  }
+
+  return { urlMap, copies, missing };
+};
+
+const createIdMap = () => ({
+  course: {},
+  activities: {},
+  content_blocks: {},
+  quizzes: {},
+  quiz_questions: {},
+  workshops: {},
+  workshop_questions: {}
+});
+
+// media_files rows, so the copies are listed and scoped like any upload
+const registerMediaCopies = async (connection, copies, { tenantId, actorId }) => {
+  if (copies.length === 0) {
+    return;
+  }
+
+  await connection.query(
+    'INSERT INTO media_files (type, filename, original_name, size, tenant_id, uploaded_by) VALUES ?',
+    [copies.map(copy => [copy.type, copy.filename, copy.originalName, copy.size, tenantId, actorId])]
+  );
+};
+
+const removeCopies = (copies) => {
+  for (const copy of copies) {
+    fs.promises.unlink(path.join(UPLOADS_DIR, copy.folder, copy.filename)).catch(() => {});
+  }
+};
+
+// Inserts the activities of a snapshot (with content blocks, quizzes,
+// workshops and prerequisites) under courseId, recording old id -> new id in
+// idMap. Prerequisites on activities or quizzes that were not inserted are
+// dropped.
+const insertActivities = async (connection, courseId, activities, {
+  mapTitle = (value) => value,
+  mediaUrl = (value) => value,
+  idMap
+}) => {
+  for (const activity of activities) {
+    const [activityResult] = await connection.execute(
+      'INSERT INTO activities (title, description, course_id, order_index) VALUES (?, ?, ?, ?)',
+      [mapTitle(activity.title), activity.description || '', courseId, activity.order_index || 0]
+    );
+
+    const newActivityId = activityResult.insertId;
+    idMap.activities[activity.id] = newActivityId;
+
+    for (const block of activity.content_blocks) {
+      const [blockResult] = await connection.execute(
+        'INSERT INTO activity_content_blocks (activity_id, block_type, content_text, content_url, order_index) VALUES (?, ?, ?, ?, ?)',
+        [newActivityId, block.block_type, block.content_text, mediaUrl(block.content_url), block.order_index || 0]
+      );
+
+      idMap.content_blocks[block.id] = blockResult.insertId;
+    }
+
+    for (const quiz of activity.quizzes) {
+      const [quizResult] = await connection.execute(
+        'INSERT INTO quizzes (title, description, activity_id, passing_score, total_questions) VALUES (?, ?, ?, ?, ?)',
+        [mapTitle(quiz.title), quiz.description || '', newActivityId, quiz.passing_score, quiz.questions.length]
+      );
+
+      idMap.quizzes[quiz.id] = quizResult.insertId;
+
+      for (const question of quiz.questions) {
+        const [questionResult] = await connection.execute(
+          'INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, points, order_index) VALUES (?, ?, ?, ?, ?, ?)',
+          [
+            quizResult.insertId,
+            question.question,
+            typeof question.options === 'string' ? question.options : JSON.stringify(question.options),
+            question.correct_answer,
+            question.points || 1,
+            question.order_index || 0
+          ]
+        );
+
+        idMap.quiz_questions[question.id] = questionResult.insertId;
+      }
+    }
+
+    for (const workshop of activity.workshops) {
+      const [workshopResult] = await connection.execute(
+        'INSERT INTO workshops (title, description, activity_id, order_index) VALUES (?, ?, ?, ?)',
+        [mapTitle(workshop.title), workshop.description || '', newActivityId, workshop.order_index || 0]
+      );
+
+      idMap.workshops[workshop.id] = workshopResult.insertId;
+
+      for (const question of workshop.questions) {
+        const [questionResult] = await connection.execute(
+          `INSERT INTO workshop_questions
+             (workshop_id, question, option_a_image, option_b_image, option_c_image, option_d_image,
+              option_a_text, option_b_text, option_c_text, option_d_text, correct_answer, points, order_index)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            workshopResult.insertId,
+            question.question,
+            ...WORKSHOP_IMAGE_FIELDS.map(field => mediaUrl(question[field])),
+            question.option_a_text,
+            question.option_b_text,
+            question.option_c_text,
+            question.option_d_text,
+            question.correct_answer,
+            question.points || 1,
+            question.order_index || 0
+          ]
+        );
+
+        idMap.workshop_questions[question.id] = questionResult.insertId;
+      }
+    }
+  }
+
+  // Once every activity and quiz has its new id
+  for (const activity of activities) {
+    for (const prerequisite of activity.prerequisites || []) {
+      const requiredActivityId = prerequisite.prerequisite_type === 'activity' ? idMap.activities[prerequisite.required_activity_id] : null;
+      const quizId = prerequisite.prerequisite_type === 'quiz' ? idMap.quizzes[prerequisite.quiz_id] : null;
+
+      if (!requiredActivityId && !quizId) {
+        continue;
+      }
+
+      await connection.execute(
+        'INSERT INTO activity_prerequisites (activity_id, prerequisite_type, required_activity_id, quiz_id, min_percentage) VALUES (?, ?, ?, ?, ?)',
+        [idMap.activities[activity.id], prerequisite.prerequisite_type, requiredActivityId, quizId, prerequisite.min_percentage ?? null]
+      );
+    }
+  }
+};
+
+// Clones a course into tenantId (null = shared library) in one transaction.
+// Returns null when the course does not exist, otherwise
+// { courseId, title, idMap, media: { mode, copied, missing } }.
+const cloneCourse = async (courseId, {
+  title,
+  titleReplacements = {},
+  includeQuizzes = true,
+  includeWorkshops = true,
+  media = 'share',
+  tenantId = null,
+  actorId
+}) => {
+  const draft = await buildCourseSnapshot(pool, courseId);
+
+  if (!draft) {
+    return null;
+  }
+
+  const snapshot = {
+    ...draft,
+    activities: draft.activities.map(activity => ({
+      ...activity,
+      quizzes: includeQuizzes ? activity.quizzes : [],
+      workshops: includeWorkshops ? activity.workshops : []
+    }))
+  };
+
+  const { urlMap, copies, missing } = media === 'duplicate'
+    ? duplicateMedia(snapshot)
+    : { urlMap: new Map(), copies: [], missing: [] };
+  const mediaUrl = (url) => (url && urlMap.has(url) ? urlMap.get(url) : url);
+
+  const idMap = createIdMap();
+
+  // Without an explicit title the copy is told apart by the replacements or,
+  // if they do not touch the course title, by a suffix
+  const replacedTitle = applyReplacements(snapshot.course.title, titleReplacements);
+  const newTitle = title || (replacedTitle !== snapshot.course.title ? replacedTitle : `${snapshot.course.title} (copia)`);
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [courseResult] = await connection.execute(
+      'INSERT INTO courses (title, description, sequence_mode, tenant_id, created_by) VALUES (?, ?, ?, ?, ?)',
+      [newTitle, snapshot.course.description || '', snapshot.course.sequence_mode || 'free', tenantId, actorId]
+    );
+
+    const newCourseId = courseResult.insertId;
+    idMap.course[courseId] = newCourseId;
+
+    await insertActivities(connection, newCourseId, snapshot.activities, {
+      mapTitle: (value) => applyReplacements(value, titleReplacements),
+      mediaUrl,
+      idMap
+    });
+
+    await registerMediaCopies(connection, copies, { tenantId, actorId });
+
+    await connection.commit();
+
+    return {
+      courseId: newCourseId,
+      title: newTitle,
+      idMap,
+      media: { mode: media, copied: copies.length, missing }
+    };
+  } catch (error) {
+    await connection.rollback();
+    removeCopies(copies);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  UPLOAD_URL_PATTERN,
+  uniqueUploadName,
+  collectMediaUrls,
+  createIdMap,
+  insertActivities,
+  registerMediaCopies,
+  removeCopies,
+  cloneCourse
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { pool } = require('../config/database');
+const { buildCourseSnapshot, hasPublishedVersions } = require('./course-versions');
+const {
+  UPLOADS_DIR,
+  UPLOAD_URL_PATTERN,
+  uniqueUploadName,
+  collectMediaUrls,
+  createIdMap,
+  insertActivities,
+  registerMediaCopies,
+  removeCopies
+} = require('./course-clone');
+const { SEQUENCE_MODES } = require('./sequencing');
+
+// Portable course package, used to move a course between installations
+// (e.g. staging -> production). A package is a ZIP with:
+//   manifest.json   course, activities, content blocks, quizzes and workshops
+//                   with their questions and the prerequisites between
+//                   activities, in the snapshot shape of
+//                   course-versions.js, plus the list of media files
+//   media/<images|videos>/<filename>   the uploads the content references
+// Ids in the manifest are those of the source installation; imports map them
+// to new ids. Courses carry a package_uid so re-importing a package finds the
+// course it created before.
+
+const PACKAGE_FORMAT = 'asiste-course-package';
+const PACKAGE_FORMAT_VERSION = 1;
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+const MEDIA_PATH_PATTERN = /^media\/(videos|images)\/([^/\\]+)$/;
+const WORKSHOP_ANSWERS = ['A', 'B', 'C', 'D'];
+
+const mediaPathFor = (url) => {
+  const [, type, filename] = url.match(UPLOAD_URL_PATTERN);
+  return `media/${type}/${filename}`;
+};
+
+// Courses get their package uid the first time they are exported
+const ensurePackageUid = async (courseId) => {
+  const [rows] = await pool.execute('SELECT package_uid FROM courses WHERE id = ?', [courseId]);
+
+  if (rows[0].package_uid) {
+    return rows[0].package_uid;
+  }
+
+  const uid = crypto.randomUUID();
+  await pool.execute('UPDATE courses SET package_uid = ? WHERE id = ? AND package_uid IS NULL', [uid, courseId]);
+
+  return uid;
+};
+
+// Manifest of the current draft of a course. Returns null when the course
+// does not exist.
+const buildCourseManifest = async (courseId) => {
+  const snapshot = await buildCourseSnapshot(pool, courseId);
+
+  if (!snapshot) {
+    return null;
+  }
+
+  const media = [...new Set(collectMediaUrls(snapshot))].map(url => ({ url, path: mediaPathFor(url) }));
+
+  return {
+    format: PACKAGE_FORMAT,
+    format_version: PACKAGE_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    package_uid: await ensurePackageUid(courseId),
+    course: snapshot.course,
+    activities: snapshot.activities,
+    media
+  };
+};
+
+// manifest.json plus every referenced upload still on disk. Files that are
+// gone are left out and listed in missing_media of the manifest.
+const buildCoursePackageZip = async (manifest) => {
+  const zip = new JSZip();
+  const missing = [];
+
+  for (const file of manifest.media) {
+    const [, type, filename] = file.url.match(UPLOAD_URL_PATTERN);
+    const filePath = path.join(UPLOADS_DIR, type, filename);
+
+    if (fs.existsSync(filePath)) {
+      zip.file(file.path, fs.readFileSync(filePath));
+    } else {
+      missing.push(file.url);
+    }
+  }
+
+  zip.file('manifest.json', JSON.stringify({ ...manifest, missing_media: missing }, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const isText = (value, { required = false, max = null } = {}) => {
+  if (value === null || value === undefined) {
+    return !required;
+  }
+
+  return typeof value === 'string' && (!required || value.trim() !== '') && (!max || value.length <= max);
+};
+
+const isInteger = (value, { min = null, max = null, required = false } = {}) => {
+  if (value === null || value === undefined) {
+    return !required;
+  }
+
+  return Number.isInteger(value) && (min === null || value >= min) && (max === null || value <= max);
+};
+
+// Returns the list of problems of a manifest, each with the path of the
+// offending field (e.g. "activities[0].quizzes[1].questions[2].correct_answer")
+const validateManifest = (manifest) => {
+  const errors = [];
+  const check = (condition, field, message) => {
+    if (!condition) {
+      errors.push(`${field} ${message}`);
+    }
+  };
+  const checkList = (value, field) => {
+    check(Array.isArray(value), field, 'must be a list');
+    return Array.isArray(value) ? value : [];
+  };
+  const seenIds = {};
+  const checkId = (entity, id, field) => {
+    seenIds[entity] = seenIds[entity] || new Set();
+    check(isInteger(id, { required: true }) && !seenIds[entity].has(id), `${field}.id`, 'must be an integer unique in the package');
+    seenIds[entity].add(id);
+  };
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return ['manifest must be a JSON object'];
+  }
+
+  if (manifest.format !== PACKAGE_FORMAT) {
+    return [`format must be ${PACKAGE_FORMAT}`];
+  }
+
+  if (!isInteger(manifest.format_version, { min: 1, required: true })) {
+    return ['format_version must be a positive integer'];
+  }
+
+  if (manifest.format_version > PACKAGE_FORMAT_VERSION) {
+    return [`format_version ${manifest.format_version} is newer than the supported ${PACKAGE_FORMAT_VERSION}`];
+  }
+
+  check(manifest.package_uid === undefined || isText(manifest.package_uid, { required: true, max: 36 }), 'package_uid', 'must be a text of up to 36 characters');
+
+  const course = manifest.course || {};
+  check(isText(course.title, { required: true, max: 255 }), 'course.title', 'is required (up to 255 characters)');
+  check(isText(course.description), 'course.description', 'must be a text');
+  check(course.sequence_mode === undefined || SEQUENCE_MODES.includes(course.sequence_mode), 'course.sequence_mode', 'must be free or sequential');
+
+  // Checked once every activity and quiz id of the package is known.
+  // Packages exported before sequencing have none.
+  const prerequisites = [];
+
+  checkList(manifest.activities, 'activities').forEach((activity, a) => {
+    const field = `activities[${a}]`;
+
+    checkId('activity', activity?.id, field);
+    check(isText(activity?.title, { required: true, max: 255 }), `${field}.title`, 'is required (up to 255 characters)');
+    check(isText(activity?.description), `${field}.description`, 'must be a text');
+    check(isInteger(activity?.order_index), `${field}.order_index`, 'must be an integer');
+
+    checkList(activity?.content_blocks, `${field}.content_blocks`).forEach((block, b) => {
+      const blockField = `${field}.content_blocks[${b}]`;
+
+      checkId('content_block', block?.id, blockField);
+      check(['text', 'image', 'video'].includes(block?.block_type), `${blockField}.block_type`, 'must be text, image or video');
+      check(isText(block?.content_text), `${blockField}.content_text`, 'must be a text');
+      check(isText(block?.content_url, { max: 500 }), `${blockField}.content_url`, 'must be a text of up to 500 characters');
+      check(isInteger(block?.order_index), `${blockField}.order_index`, 'must be an integer');
+    });
+
+    checkList(activity?.quizzes, `${field}.quizzes`).forEach((quiz, q) => {
+      const quizField = `${field}.quizzes[${q}]`;
+
+      checkId('quiz', quiz?.id, quizField);
+      check(isText(quiz?.title, { required: true, max: 255 }), `${quizField}.title`, 'is required (up to 255 characters)');
+      check(isText(quiz?.description), `${quizField}.description`, 'must be a text');
+      check(isInteger(quiz?.passing_score, { min: 0, max: 100 }), `${quizField}.passing_score`, 'must be an integer from 0 to 100');
+
+      checkList(quiz?.questions, `${quizField}.questions`).forEach((question, i) => {
+        const questionField = `${quizField}.questions[${i}]`;
+        const options = Array.isArray(question?.options) ? question.options : [];
+
+        checkId('quiz_question', question?.id, questionField);
+        check(isText(question?.question, { required: true }), `${questionField}.question`, 'is required');
+        check(options.length >= 2, `${questionField}.options`, 'must be a list of at least 2 options');
+        check(isInteger(question?.correct_answer, { min: 0, max: options.length - 1, required: true }), `${questionField}.correct_answer`, 'must be the index of one of the options');
+        check(isInteger(question?.points, { min: 0 }), `${questionField}.points`, 'must be a non-negative integer');
+      });
+    });
+
+    checkList(activity?.workshops, `${field}.workshops`).forEach((workshop, w) => {
+      const workshopField = `${field}.workshops[${w}]`;
+
+      checkId('workshop', workshop?.id, workshopField);
+      check(isText(workshop?.title, { required: true, max: 255 }), `${workshopField}.title`, 'is required (up to 255 characters)');
+      check(isText(workshop?.description), `${workshopField}.description`, 'must be a text');
+      check(isInteger(workshop?.order_index), `${workshopField}.order_index`, 'must be an integer');
+
+      checkList(workshop?.questions, `${workshopField}.questions`).forEach((question, i) => {
+        const questionField = `${workshopField}.questions[${i}]`;
+
+        checkId('workshop_question', question?.id, questionField);
+        check(isText(question?.question, { required: true }), `${questionField}.question`, 'is required');
+        check(WORKSHOP_ANSWERS.includes(question?.correct_answer), `${questionField}.correct_answer`, 'must be A, B, C or D');
+        check(isInteger(question?.points, { min: 0 }), `${questionField}.points`, 'must be a non-negative integer');
+
+        for (const option of ['a', 'b', 'c', 'd']) {
+          check(isText(question?.[`option_${option}_text`]), `${questionField}.option_${option}_text`, 'must be a text');
+          check(isText(question?.[`option_${option}_image`], { max: 500 }), `${questionField}.option_${option}_image`, 'must be a text of up to 500 characters');
+        }
+      });
+    });
+
+    checkList(activity?.prerequisites ?? [], `${field}.prerequisites`).forEach((prerequisite, p) => {
+      prerequisites.push({ activity, prerequisite, field: `${field}.prerequisites[${p}]` });
+    });
+  });
+
+  for (const { activity, prerequisite, field } of prerequisites) {
+    if (prerequisite?.prerequisite_type === 'activity') {
+      check(
+        prerequisite.required_activity_id !== activity?.id && seenIds.activity?.has(prerequisite.required_activity_id),
+        `${field}.required_activity_id`,
+        'must be another activity of the package'
+      );
+    } else if (prerequisite?.prerequisite_type === 'quiz') {
+      check(seenIds.quiz?.has(prerequisite.quiz_id), `${field}.quiz_id`, 'must be a quiz of the package');
+      check(isInteger(prerequisite.min_percentage, { min: 0, max: 100 }), `${field}.min_percentage`, 'must be an integer from 0 to 100');
+    } else {
+      check(false, `${field}.prerequisite_type`, 'must be activity or quiz');
+    }
+  }
+
+  checkList(manifest.media ?? [], 'media').forEach((file, m) => {
+    check(typeof file?.url === 'string' && UPLOAD_URL_PATTERN.test(file.url), `media[${m}].url`, 'must be an /uploads/images or /uploads/videos URL');
+    check(typeof file?.path === 'string' && MEDIA_PATH_PATTERN.test(file.path), `media[${m}].path`, 'must be media/images/<file> or media/videos/<file>');
+  });
+
+  return errors;
+};
+
+// Reads an uploaded package: a ZIP (manifest.json + media/) or a bare
+// manifest .json. Throws with a readable message when it cannot be read.
+const readCoursePackage = async (buffer, filename) => {
+  if (path.extname(filename).toLowerCase() === '.json') {
+    try {
+      return { manifest: JSON.parse(buffer.toString('utf8')), files: new Map() };
+    } catch {
+      throw new Error('The manifest is not valid JSON');
+    }
+  }
+
+  let zip;
+
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new Error('The package is not a valid ZIP file');
+  }
+
+  const manifestEntry = zip.file('manifest.json');
+
+  if (!manifestEntry) {
+    throw new Error('The package has no manifest.json');
+  }
+
+  let manifest;
+
+  try {
+    manifest = JSON.parse(await manifestEntry.async('string'));
+  } catch {
+    throw new Error('manifest.json is not valid JSON');
+  }
+
+  // Only media/<type>/<file> entries are read, never arbitrary paths
+  const files = new Map();
+
+  for (const entry of Object.values(zip.files)) {
+    if (!entry.dir && MEDIA_PATH_PATTERN.test(entry.name)) {
+      files.set(entry.name, entry);
+    }
+  }
+
+  return { manifest, files };
+};
+
+// Existing course of the tenant the package would collide with: the one
+// created from (or exported as) the same package, else one with the same title
+const findConflictingCourse = async (manifest, tenantId) => {
+  const [rows] = await pool.execute(
+    `SELECT id, title, package_uid FROM courses
+     WHERE tenant_id <=> ? AND (package_uid = ? OR title = ?)
+     ORDER BY package_uid <=> ? DESC, id ASC
+     LIMIT 1`,
+    [tenantId, manifest.package_uid || null, manifest.course.title, manifest.package_uid || null]
+  );
+
+  return rows[0] || null;
+};
+
+// What an import would do, without writing anything
+const planCourseImport = async (manifest, files, { onConflict, tenantId }) => {
+  const conflict = await findConflictingCourse(manifest, tenantId);
+  const referenced = new Set(collectMediaUrls({ activities: manifest.activities }));
+  const listed = new Map((manifest.media || []).map(file => [file.url, file.path]));
+  const missingMedia = [...referenced].filter(url => !listed.has(url) || !files.has(listed.get(url)));
+
+  return {
+    action: conflict ? onConflict : 'create',
+    conflict: conflict
+      ? {
+        course_id: conflict.id,
+        title: conflict.title,
+        matched_by: conflict.package_uid && conflict.package_uid === manifest.package_uid ? 'package_uid' : 'title'
+      }
+      : null,
+    counts: {
+      activities: manifest.activities.length,
+      content_blocks: manifest.activities.reduce((total, activity) => total + activity.content_blocks.length, 0),
+      quizzes: manifest.activities.reduce((total, activity) => total + activity.quizzes.length, 0),
+      workshops: manifest.activities.reduce((total, activity) => total + activity.workshops.length, 0),
+      media_files: referenced.size - missingMedia.length
+    },
+    missing_media: missingMedia
+  };
+};
+
+// Writes the package media into uploads/ under fresh names
+const extractMedia = async (manifest, files) => {
+  const urlMap = new Map();
+  const copies = [];
+  const referenced = new Set(collectMediaUrls({ activities: manifest.activities }));
+
+  try {
+    for (const file of manifest.media || []) {
+      const entry = files.get(file.path);
+
+      if (!referenced.has(file.url) || !entry || urlMap.has(file.url)) {
+        continue;
+      }
+
+      const [, type, filename] = file.path.match(MEDIA_PATH_PATTERN);
+      const copy = uniqueUploadName(filename);
+      const content = await entry.async('nodebuffer');
+
+      fs.mkdirSync(path.join(UPLOADS_DIR, type), { recursive: true });
+      fs.writeFileSync(path.join(UPLOADS_DIR, type, copy), content);
+
+      urlMap.set(file.url, `/uploads/${type}/${copy}`);
+      copies.push({ type: type === 'videos' ? 'video' : 'image', folder: type, filename: copy, originalName: filename, size: content.length });
+    }
+  } catch (error) {
+    removeCopies(copies);
+    throw error;
+  }
+
+  return { urlMap, copies };
+};
+
+// Replaces the draft content of a course. Courses with published versions
+// archive what they had (students pinned to those versions keep it); the rest
+// delete it.
+const clearCourseContent = async (connection, courseId) => {
+  if (await hasPublishedVersions(courseId)) {
+    await connection.execute(
+      `UPDATE quizzes q JOIN activities a ON q.activity_id = a.id
+       SET q.archived_at = NOW()
+       WHERE a.course_id = ? AND a.archived_at IS NULL AND q.archived_at IS NULL`,
+      [courseId]
+    );
+    await connection.execute(
+      `UPDATE workshops w JOIN activities a ON w.activity_id = a.id
+       SET w.archived_at = NOW()
+       WHERE a.course_id = ? AND a.archived_at IS NULL AND w.archived_at IS NULL`,
+      [courseId]
+    );
+    await connection.execute(
+      'UPDATE activities SET archived_at = NOW() WHERE course_id = ? AND archived_at IS NULL',
+      [courseId]
+    );
+  } else {
+    await connection.execute('DELETE FROM activities WHERE course_id = ?', [courseId]);
+  }
+};
+
+// Imports a validated package into tenantId (null = shared library).
+// onConflict decides what happens when the tenant already has the course:
+//   skip       leave it untouched
+//   overwrite  replace its draft (publish afterwards to reach students)
+//   duplicate  create another course next to it
+// Returns { action, courseId, title, idMap, media: { imported, missing } }.
+const importCoursePackage = async (manifest, files, { onConflict = 'skip', tenantId = null, actorId }) => {
+  const plan = await planCourseImport(manifest, files, { onConflict, tenantId });
+
+  if (plan.action === 'skip') {
+    return { action: 'skip', courseId: plan.conflict.course_id, title: plan.conflict.title, idMap: null, media: { imported: 0, missing: [] } };
+  }
+
+  const { urlMap, copies } = await extractMedia(manifest, files);
+  const mediaUrl = (url) => (url && urlMap.has(url) ? urlMap.get(url) : url);
+  const idMap = createIdMap();
+  const title = plan.action === 'duplicate' ? `${manifest.course.title} (importado)` : manifest.course.title;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let courseId;
+
+    if (plan.action === 'overwrite') {
+      courseId = plan.conflict.course_id;
+
+      await connection.execute(
+        'UPDATE courses SET title = ?, description = ?, sequence_mode = ?, package_uid = COALESCE(package_uid, ?) WHERE id = ?',
+        [title, manifest.course.description || '', manifest.course.sequence_mode || 'free', manifest.package_uid || null, courseId]
+      );
+      await clearCourseContent(connection, courseId);
+    } else {
+      // A duplicate is a course of its own and does not take the package uid
+      const [courseResult] = await connection.execute(
+        'INSERT INTO courses (title, description, sequence_mode, tenant_id, package_uid, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [title, manifest.course.description || '', manifest.course.sequence_mode || 'free', tenantId, plan.action === 'create' ? manifest.package_uid || null : null, actorId]
+      );
+
+      courseId = courseResult.insertId;
+    }
+
+    if (manifest.course.id !== undefined) {
+      idMap.course[manifest.course.id] = courseId;
+    }
+
+    await insertActivities(connection, courseId, manifest.activities, { mediaUrl, idMap });
+    await registerMediaCopies(connection, copies, { tenantId, actorId });
+
+    await connection.commit();
+
+    return {
+      action: plan.action,
+      courseId,
+      title,
+      idMap,
+      media: { imported: copies.length, missing: plan.missing_media }
+    };
+  } catch (error) {
+    await connection.rollback();
+    removeCopies(copies);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_FORMAT_VERSION,
+  CONFLICT_STRATEGIES,
+  buildCourseManifest,
+  buildCoursePackageZip,
+  validateManifest,
+  readCoursePackage,
+  planCourseImport,
+  importCoursePackage
+};
@@ -0,0 +1,514 @@
+const { pool } = require('../config/database');
+
+// Course versioning. The courses / activities / quizzes... tables are the
+// draft admins edit through the PUT routes; publishing stores an immutable
+// JSON snapshot of the whole course in course_versions. Students are served
+// (and graded against) the snapshot of the version they are pinned to:
+// course_assignments.version_id, set the first time they open the course and
+// changed only by an explicit migration.
+//
+// Activities, quizzes and workshops keep their ids across versions because
+// progress and grades point at them; once a course has been published they
+// are archived instead of deleted. Content blocks and questions are plain
+// content and are compared by position. Prerequisites (utils/sequencing.js)
+// are part of the activity and compared by position too.
+
+const SNAPSHOT_FIELDS = {
+  course: ['title', 'description', 'sequence_mode'],
+  activity: ['title', 'description', 'order_index'],
+  content_block: ['block_type', 'content_text', 'content_url', 'order_index'],
+  workshop: ['title', 'description', 'order_index'],
+  workshop_question: [
+    'question',
+    'option_a_image', 'option_b_image', 'option_c_image', 'option_d_image',
+    'option_a_text', 'option_b_text', 'option_c_text', 'option_d_text',
+    'correct_answer', 'points', 'order_index'
+  ],
+  quiz: ['title', 'description', 'passing_score', 'total_questions'],
+  quiz_question: ['question', 'options', 'correct_answer', 'points', 'order_index'],
+  prerequisite: ['prerequisite_type', 'required_activity_id', 'quiz_id', 'min_percentage']
+};
+
+// Children of an activity in the snapshot: [entity, key, options]
+const ACTIVITY_CHILDREN = [
+  ['content_block', 'content_blocks', { byPosition: true }],
+  ['workshop', 'workshops', { children: [['workshop_question', 'questions', { byPosition: true }]] }],
+  ['quiz', 'quizzes', { children: [['quiz_question', 'questions', { byPosition: true }]] }],
+  ['prerequisite', 'prerequisites', { byPosition: true }]
+];
+
+const pick = (entity, row) => {
+  const values = {};
+
+  for (const field of SNAPSHOT_FIELDS[entity]) {
+    values[field] = row[field] === undefined ? null : row[field];
+  }
+
+  return values;
+};
+
+const parseSnapshot = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (!groups.has(row[key])) {
+      groups.set(row[key], []);
+    }
+    groups.get(row[key]).push(row);
+  }
+
+  return groups;
+};
+
+// Current draft of a course in snapshot form. Returns null when the course
+// does not exist.
+const buildCourseSnapshot = async (connection, courseId) => {
+  const [courseRows] = await connection.execute('SELECT * FROM courses WHERE id = ?', [courseId]);
+
+  if (courseRows.length === 0) {
+    return null;
+  }
+
+  const [activities] = await connection.execute(
+    'SELECT * FROM activities WHERE course_id = ? AND archived_at IS NULL ORDER BY order_index ASC, id ASC',
+    [courseId]
+  );
+
+  const activityIds = activities.map(activity => activity.id);
+  let blocks = [];
+  let workshops = [];
+  let quizzes = [];
+  let workshopQuestions = [];
+  let quizQuestions = [];
+  let prerequisites = [];
+
+  if (activityIds.length > 0) {
+    [blocks] = await connection.query(
+      'SELECT * FROM activity_content_blocks WHERE activity_id IN (?) ORDER BY order_index ASC, id ASC',
+      [activityIds]
+    );
+    [workshops] = await connection.query(
+      'SELECT * FROM workshops WHERE activity_id IN (?) AND archived_at IS NULL ORDER BY order_index ASC, id ASC',
+      [activityIds]
+    );
+    [quizzes] = await connection.query(
+      'SELECT * FROM quizzes WHERE activity_id IN (?) AND archived_at IS NULL ORDER BY id ASC',
+      [activityIds]
+    );
+    [prerequisites] = await connection.query(
+      'SELECT * FROM activity_prerequisites WHERE activity_id IN (?) ORDER BY id ASC',
+      [activityIds]
+    );
+  }
+
+  if (workshops.length > 0) {
+    [workshopQuestions] = await connection.query(
+      'SELECT * FROM workshop_questions WHERE workshop_id IN (?) ORDER BY order_index ASC, id ASC',
+      [workshops.map(workshop => workshop.id)]
+    );
+  }
+
+  if (quizzes.length > 0) {
+    [quizQuestions] = await connection.query(
+      'SELECT * FROM quiz_questions WHERE quiz_id IN (?) ORDER BY order_index ASC, id ASC',
+      [quizzes.map(quiz => quiz.id)]
+    );
+  }
+
+  const blocksByActivity = groupBy(blocks, 'activity_id');
+  const workshopsByActivity = groupBy(workshops, 'activity_id');
+  const quizzesByActivity = groupBy(quizzes, 'activity_id');
+  const questionsByWorkshop = groupBy(workshopQuestions, 'workshop_id');
+  const questionsByQuiz = groupBy(quizQuestions, 'quiz_id');
+
+  // Prerequisites on archived activities or quizzes are left out
+  const quizIds = new Set(quizzes.map(quiz => quiz.id));
+  const prerequisitesByActivity = groupBy(prerequisites.filter(prerequisite => (
+    prerequisite.prerequisite_type === 'quiz' ? quizIds.has(prerequisite.quiz_id) : activityIds.includes(prerequisite.required_activity_id)
+  )), 'activity_id');
+
+  return {
+    course: { id: courseRows[0].id, ...pick('course', courseRows[0]) },
+    activities: activities.map(activity => ({
+      id: activity.id,
+      ...pick('activity', activity),
+      content_blocks: (blocksByActivity.get(activity.id) || []).map(block => ({ id: block.id, ...pick('content_block', block) })),
+      workshops: (workshopsByActivity.get(activity.id) || []).map(workshop => ({
+        id: workshop.id,
+        ...pick('workshop', workshop),
+        questions: (questionsByWorkshop.get(workshop.id) || []).map(question => ({ id: question.id, ...pick('workshop_question', question) }))
+      })),
+      quizzes: (quizzesByActivity.get(activity.id) || []).map(quiz => ({
+        id: quiz.id,
+        ...pick('quiz', quiz),
+        questions: (questionsByQuiz.get(quiz.id) || []).map(question => ({ id: question.id, ...pick('quiz_question', question) }))
+      })),
+      prerequisites: (prerequisitesByActivity.get(activity.id) || []).map(prerequisite => pick('prerequisite', prerequisite))
+    }))
+  };
+};
+
+const getCourseVersion = async (versionId) => {
+  const [rows] = await pool.execute('SELECT * FROM course_versions WHERE id = ?', [versionId]);
+
+  return rows[0] ? { ...rows[0], snapshot: parseSnapshot(rows[0].snapshot) } : null;
+};
+
+const findCourseVersion = async (courseId, versionNumber) => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM course_versions WHERE course_id = ? AND version_number = ?',
+    [courseId, versionNumber]
+  );
+
+  return rows[0] ? { ...rows[0], snapshot: parseSnapshot(rows[0].snapshot) } : null;
+};
+
+const hasPublishedVersions = async (courseId) => {
+  const [rows] = await pool.execute('SELECT 1 FROM course_versions WHERE course_id = ? LIMIT 1', [courseId]);
+  return rows.length > 0;
+};
+
+const compareFields = (entity, from, to) => {
+  const fields = {};
+
+  for (const field of SNAPSHOT_FIELDS[entity]) {
+    const before = from[field] === undefined ? null : from[field];
+    const after = to[field] === undefined ? null : to[field];
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      fields[field] = { from: before, to: after };
+    }
+  }
+
+  return fields;
+};
+
+const diffList = (changes, entity, fromList, toList, { byPosition = false, children = [], parent = null } = {}) => {
+  const keyOf = (item, index) => (byPosition ? index + 1 : item.id);
+  const reference = (key) => (byPosition ? { position: key } : { id: key });
+  const fromItems = new Map(fromList.map((item, index) => [keyOf(item, index), item]));
+  const toItems = new Map(toList.map((item, index) => [keyOf(item, index), item]));
+
+  for (const [key, item] of fromItems) {
+    if (!toItems.has(key)) {
+      changes.push({ entity, ...reference(key), parent, change: 'removed', before: pick(entity, item) });
+    }
+  }
+
+  for (const [key, item] of toItems) {
+    const before = fromItems.get(key);
+
+    if (!before) {
+      changes.push({ entity, ...reference(key), parent, change: 'added', after: pick(entity, item) });
+      continue;
+    }
+
+    const fields = compareFields(entity, before, item);
+
+    if (Object.keys(fields).length > 0) {
+      changes.push({ entity, ...reference(key), parent, change: 'modified', fields });
+    }
+
+    for (const [childEntity, childKey, options] of children) {
+      diffList(changes, childEntity, before[childKey] || [], item[childKey] || [], {
+        ...options,
+        parent: { entity, id: item.id }
+      });
+    }
+  }
+};
+
+// Changes needed to go from one snapshot to another, as a flat list of
+// { entity, id | position, parent, change: added|removed|modified, ... }
+const diffSnapshots = (from, to) => {
+  const changes = [];
+  const fields = compareFields('course', from.course, to.course);
+
+  if (Object.keys(fields).length > 0) {
+    changes.push({ entity: 'course', id: to.course.id, parent: null, change: 'modified', fields });
+  }
+
+  diffList(changes, 'activity', from.activities, to.activities, { children: ACTIVITY_CHILDREN });
+
+  return changes;
+};
+
+// Stores the current draft as the next version and makes it the published
+// one. Students already pinned keep their version. Returns the new version,
+// or null when the course does not exist.
+const publishCourseVersion = async (courseId, { notes, actorId }) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Serializes concurrent publishes of the same course
+    await connection.execute('SELECT id FROM courses WHERE id = ? FOR UPDATE', [courseId]);
+
+    const snapshot = await buildCourseSnapshot(connection, courseId);
+
+    if (!snapshot) {
+      await connection.rollback();
+      return null;
+    }
+
+    const [lastRows] = await connection.execute(
+      'SELECT MAX(version_number) as last_version FROM course_versions WHERE course_id = ?',
+      [courseId]
+    );
+
+    const versionNumber = (lastRows[0].last_version || 0) + 1;
+
+    const [result] = await connection.execute(
+      'INSERT INTO course_versions (course_id, version_number, snapshot, notes, published_by) VALUES (?, ?, ?, ?, ?)',
+      [courseId, versionNumber, JSON.stringify(snapshot), notes || null, actorId]
+    );
+
+    await connection.execute('UPDATE courses SET published_version_id = ? WHERE id = ?', [result.insertId, courseId]);
+
+    await connection.commit();
+
+    return { id: result.insertId, version_number: versionNumber };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Activities, workshops and quizzes are updated in place (or re-created with
+// their id) and archived when the snapshot no longer has them
+const restoreContainers = async (connection, table, entity, parentColumn, parentId, items) => {
+  const columns = SNAPSHOT_FIELDS[entity];
+  const ids = items.map(item => item.id);
+
+  for (const item of items) {
+    const values = columns.map(column => item[column]);
+    const [existing] = await connection.execute(`SELECT id FROM ${table} WHERE id = ?`, [item.id]);
+
+    if (existing.length > 0) {
+      await connection.execute(
+        `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}, archived_at = NULL WHERE id = ?`,
+        [...values, item.id]
+      );
+    } else {
+      await connection.execute(
+        `INSERT INTO ${table} (id, ${parentColumn}, ${columns.join(', ')}) VALUES (?, ?, ${columns.map(() => '?').join(', ')})`,
+        [item.id, parentId, ...values]
+      );
+    }
+  }
+
+  const archived = ids.length > 0 ? ' AND id NOT IN (?)' : '';
+
+  await connection.query(
+    `UPDATE ${table} SET archived_at = NOW() WHERE ${parentColumn} = ? AND archived_at IS NULL${archived}`,
+    ids.length > 0 ? [parentId, ids] : [parentId]
+  );
+};
+
+// Content blocks and questions are replaced as a whole
+const restoreItems = async (connection, table, entity, parentColumn, parentId, items) => {
+  const columns = SNAPSHOT_FIELDS[entity];
+
+  await connection.execute(`DELETE FROM ${table} WHERE ${parentColumn} = ?`, [parentId]);
+
+  if (items.length === 0) {
+    return;
+  }
+
+  await connection.query(
+    `INSERT INTO ${table} (${parentColumn}, ${columns.join(', ')}) VALUES ?`,
+    [items.map(item => [
+      parentId,
+      ...columns.map(column => (column === 'options' && typeof item[column] !== 'string' ? JSON.stringify(item[column]) : item[column]))
+    ])]
+  );
+};
+
+// Rolls a course back to one of its versions: the draft is reset to the
+// snapshot and that version becomes the published one again. Students pinned
+// to other versions stay where they are until migrated.
+const rollbackCourseVersion = async (courseId, version) => {
+  const { snapshot } = version;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(
+      'UPDATE courses SET title = ?, description = ?, sequence_mode = ?, published_version_id = ? WHERE id = ?',
+      [snapshot.course.title, snapshot.course.description, snapshot.course.sequence_mode || 'free', version.id, courseId]
+    );
+
+    await restoreContainers(connection, 'activities', 'activity', 'course_id', courseId, snapshot.activities);
+
+    for (const activity of snapshot.activities) {
+      await restoreItems(connection, 'activity_content_blocks', 'content_block', 'activity_id', activity.id, activity.content_blocks);
+      await restoreContainers(connection, 'workshops', 'workshop', 'activity_id', activity.id, activity.workshops);
+      await restoreContainers(connection, 'quizzes', 'quiz', 'activity_id', activity.id, activity.quizzes);
+
+      for (const workshop of activity.workshops) {
+        await restoreItems(connection, 'workshop_questions', 'workshop_question', 'workshop_id', workshop.id, workshop.questions);
+      }
+
+      for (const quiz of activity.quizzes) {
+        await restoreItems(connection, 'quiz_questions', 'quiz_question', 'quiz_id', quiz.id, quiz.questions);
+      }
+    }
+
+    // Once every activity and quiz they point at is back (versions published
+    // before sequencing have none)
+    for (const activity of snapshot.activities) {
+      await restoreItems(connection, 'activity_prerequisites', 'prerequisite', 'activity_id', activity.id, activity.prerequisites || []);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Pins students of a course to a version. Without studentIds every enrolled
+// student is moved. Returns the number of enrollments changed.
+const migrateStudents = async (courseId, versionId, studentIds = null) => {
+  let query = 'UPDATE course_assignments SET version_id = ? WHERE course_id = ? AND (version_id IS NULL OR version_id <> ?)';
+  const params = [versionId, courseId, versionId];
+
+  if (studentIds) {
+    query += ' AND student_id IN (?)';
+    params.push(studentIds);
+  }
+
+  const [result] = await pool.query(query, params);
+
+  return result.affectedRows;
+};
+
+// Version a student sees: the one they are pinned to or, the first time they
+// open the course, the published one (which pins them to it). Returns null
+// when the student is not enrolled, and a null snapshot while the course has
+// never been published.
+const getStudentCourseVersion = async (courseId, studentId) => {
+  const [rows] = await pool.execute(
+    `SELECT ca.id, ca.version_id, c.published_version_id
+     FROM course_assignments ca
+     JOIN courses c ON ca.course_id = c.id
+     WHERE ca.course_id = ? AND ca.student_id = ?`,
+    [courseId, studentId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  let versionId = rows[0].version_id;
+
+  if (!versionId && rows[0].published_version_id) {
+    versionId = rows[0].published_version_id;
+
+    await pool.execute(
+      'UPDATE course_assignments SET version_id = ? WHERE id = ? AND version_id IS NULL',
+      [versionId, rows[0].id]
+    );
+  }
+
+  if (!versionId) {
+    return { versionId: null, versionNumber: null, snapshot: null };
+  }
+
+  const version = await getCourseVersion(versionId);
+
+  return { versionId, versionNumber: version.version_number, snapshot: version.snapshot };
+};
+
+const findSnapshotActivity = (snapshot, activityId) => (
+  snapshot.activities.find(activity => activity.id === Number(activityId)) || null
+);
+
+// Activity of a snapshot in the shape of the activity lists (without content)
+const summarizeSnapshotActivity = (activity, courseId) => ({
+  id: activity.id,
+  title: activity.title,
+  description: activity.description,
+  course_id: Number(courseId),
+  order_index: activity.order_index,
+  workshop_count: activity.workshops.length,
+  quiz_count: activity.quizzes.length
+});
+
+// Finds a quiz or workshop (key 'quizzes' / 'workshops') of a snapshot
+// together with its activity
+const findSnapshotItem = (snapshot, key, id) => {
+  for (const activity of snapshot.activities) {
+    const item = activity[key].find(candidate => candidate.id === Number(id));
+
+    if (item) {
+      return { activity, item };
+    }
+  }
+
+  return null;
+};
+
+// One-off for installations upgraded from before versioning: while nothing
+// has ever been published, every existing course gets its current content
+// published as version 1, with its students and grades pinned to it
+const publishUnversionedCourses = async () => {
+  const [existing] = await pool.execute('SELECT 1 FROM course_versions LIMIT 1');
+
+  if (existing.length > 0) {
+    return 0;
+  }
+
+  const [courses] = await pool.execute('SELECT id, created_by FROM courses');
+
+  for (const course of courses) {
+    const version = await publishCourseVersion(course.id, { notes: 'Versión inicial', actorId: course.created_by });
+
+    await pool.execute(
+      'UPDATE course_assignments SET version_id = ? WHERE course_id = ? AND version_id IS NULL',
+      [version.id, course.id]
+    );
+    await pool.execute(
+      `UPDATE grades g
+       JOIN quizzes q ON g.quiz_id = q.id
+       JOIN activities a ON q.activity_id = a.id
+       SET g.version_id = ?
+       WHERE a.course_id = ? AND g.version_id IS NULL`,
+      [version.id, course.id]
+    );
+    await pool.execute(
+      `UPDATE workshop_grades wg
+       JOIN workshops w ON wg.workshop_id = w.id
+       JOIN activities a ON w.activity_id = a.id
+       SET wg.version_id = ?
+       WHERE a.course_id = ? AND wg.version_id IS NULL`,
+      [version.id, course.id]
+    );
+  }
+
+  return courses.length;
+};
+
+module.exports = {
+  buildCourseSnapshot,
+  getCourseVersion,
+  findCourseVersion,
+  hasPublishedVersions,
+  diffSnapshots,
+  publishCourseVersion,
+  rollbackCourseVersion,
+  migrateStudents,
+  getStudentCourseVersion,
+  findSnapshotActivity,
+  summarizeSnapshotActivity,
+  findSnapshotItem,
+  publishUnversionedCourses
+};
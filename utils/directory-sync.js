@@ -0,0 +1,160 @@
+const { pool } = require('../config/database');
+const { changeUserStatus } = require('./user-status');
+const { resolveExternalUser } = require('./identities');
+const { getConfig, isLdapEnabled, listDirectoryUsers, mapRole, mapCourses } = require('./ldap');
+const { emitCourseEnrollments } = require('./xapi');
+const { publishEnrollments } = require('./webhooks');
+
+const PROVIDER = 'ldap';
+const LDAP_SYNC_INTERVAL_MINUTES = parseInt(process.env.LDAP_SYNC_INTERVAL_MINUTES, 10);
+
+// Course access granted by LDAP_COURSE_MAPPING. Assignments are only added:
+// leaving a group does not unassign the course, so progress stays visible.
+// assigned_by is the user themself, as nobody assigned it by hand.
+const assignMappedCourses = async (user, groups) => {
+  const courseIds = mapCourses(groups);
+
+  if (courseIds.length === 0 || !['formador', 'estudiante'].includes(user.role)) {
+    return [];
+  }
+
+  const [courses] = await pool.query('SELECT id FROM courses WHERE id IN (?)', [courseIds]);
+  const enrolled = [];
+
+  for (const course of courses) {
+    if (user.role === 'estudiante') {
+      const [assignment] = await pool.execute(
+        'INSERT IGNORE INTO course_assignments (course_id, student_id, assigned_by) VALUES (?, ?, ?)',
+        [course.id, user.id, user.id]
+      );
+
+      if (assignment.affectedRows > 0) {
+        enrolled.push({ studentId: user.id, courseId: course.id });
+      }
+    } else {
+      await pool.execute(
+        'INSERT IGNORE INTO formador_courses (formador_id, course_id, assigned_by) VALUES (?, ?, ?)',
+        [user.id, course.id, user.id]
+      );
+    }
+  }
+
+  emitCourseEnrollments(enrolled);
+  publishEnrollments(enrolled);
+
+  return courses.map(course => course.id);
+};
+
+// Local account for a directory user who just authenticated: links or
+// provisions it, copies name / email / mapped role and applies course mapping.
+const syncDirectoryUser = async (directoryUser) => {
+  const config = getConfig();
+
+  const result = await resolveExternalUser({
+    provider: PROVIDER,
+    subject: directoryUser.subject,
+    email: directoryUser.email,
+    name: directoryUser.name,
+    role: mapRole(directoryUser.groups),
+    defaultRole: config.defaultRole,
+    jitProvisioning: config.jitProvisioning,
+    linkByEmail: config.linkByEmail
+  });
+
+  if (!result.error) {
+    await assignMappedCourses(result.user, directoryUser.groups);
+  }
+
+  return result;
+};
+
+// Deactivates local accounts whose directory entry is gone (or disabled in AD)
+// and reactivates the ones this job deactivated if they come back. Only
+// accounts linked through user_identities are touched.
+const syncDirectoryAccounts = async () => {
+  const directoryUsers = await listDirectoryUsers();
+
+  // An empty result is far more likely a wrong filter or base DN than a
+  // directory without users; never deactivate everyone because of it
+  if (directoryUsers.length === 0) {
+    console.warn('LDAP sync skipped: the directory search returned no users');
+    return { deactivated: 0, reactivated: 0, skipped: true };
+  }
+
+  const subjects = new Set(directoryUsers.map(directoryUser => directoryUser.subject));
+
+  const [identities] = await pool.execute(
+    `SELECT ui.id, ui.user_id, ui.subject, ui.removed_at, u.status
+     FROM user_identities ui
+     JOIN users u ON ui.user_id = u.id
+     WHERE ui.provider = ?`,
+    [PROVIDER]
+  );
+
+  let deactivated = 0;
+  let reactivated = 0;
+
+  for (const identity of identities) {
+    const inDirectory = subjects.has(identity.subject);
+
+    // removed_at marks accounts this job deactivated. Accounts an admin had
+    // already deactivated are left alone, so coming back does not revive them.
+    if (!inDirectory && !identity.removed_at && identity.status === 'active') {
+      await pool.execute('UPDATE user_identities SET removed_at = NOW() WHERE id = ?', [identity.id]);
+      await changeUserStatus({
+        userId: identity.user_id,
+        status: 'deactivated',
+        reason: 'removed_from_directory',
+        details: { provider: PROVIDER }
+      });
+      deactivated += 1;
+    } else if (inDirectory && identity.removed_at) {
+      await pool.execute('UPDATE user_identities SET removed_at = NULL WHERE id = ?', [identity.id]);
+
+      if (identity.status === 'deactivated') {
+        await changeUserStatus({
+          userId: identity.user_id,
+          status: 'active',
+          reason: 'back_in_directory',
+          details: { provider: PROVIDER }
+        });
+        reactivated += 1;
+      }
+    }
+  }
+
+  return { deactivated, reactivated, skipped: false };
+};
+
+// Runs syncDirectoryAccounts every LDAP_SYNC_INTERVAL_MINUTES (default 60, 0 disables)
+const startDirectorySyncJob = () => {
+  const intervalMinutes = Number.isNaN(LDAP_SYNC_INTERVAL_MINUTES) ? 60 : LDAP_SYNC_INTERVAL_MINUTES;
+
+  if (!isLdapEnabled() || intervalMinutes <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const result = await syncDirectoryAccounts();
+
+      if (result.deactivated > 0 || result.reactivated > 0) {
+        console.log(`LDAP sync: ${result.deactivated} deactivated, ${result.reactivated} reactivated`);
+      }
+    } catch (error) {
+      console.error('LDAP sync error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  assignMappedCourses,
+  syncDirectoryUser,
+  syncDirectoryAccounts,
+  startDirectorySyncJob
+};
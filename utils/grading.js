@@ -0,0 +1,6 @@
+// Workshops have no passing score of their own: all of them pass at
+// WORKSHOP_PASSING_SCORE percent. The grade lists, course progress, xAPI
+// statements and webhooks read it from here so they always agree.
+const WORKSHOP_PASSING_SCORE = parseInt(process.env.WORKSHOP_PASSING_SCORE, 10) || 70;
+
+module.exports = { WORKSHOP_PASSING_SCORE };
@@ -0,0 +1,177 @@
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { generateToken } = require('./tokens');
+const { changeUserStatus, getLoginBlockMessage } = require('./user-status');
+const { getTwoFactor } = require('./two-factor');
+const { publishUsersCreated } = require('./webhooks');
+const { resolveDefaultTenant } = require('./tenants');
+const { revokeUserSessions } = require('./sessions');
+
+// Accounts coming from an external identity provider (OIDC, LDAP...). They are
+// linked through user_identities (provider + subject) and never need a local
+// password; a random one is stored because users.password is mandatory.
+const findUserByIdentity = async (provider, subject) => {
+  const [rows] = await pool.execute(
+    `SELECT u.id, u.name, u.email, u.role, u.status, ui.removed_at
+     FROM user_identities ui
+     JOIN users u ON ui.user_id = u.id
+     WHERE ui.provider = ? AND ui.subject = ?`,
+    [provider, subject]
+  );
+
+  return rows[0] || null;
+};
+
+const linkIdentity = async (userId, provider, subject, email) => {
+  await pool.execute(
+    `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+     VALUES (?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), email = VALUES(email), last_login_at = NOW(), removed_at = NULL`,
+    [userId, provider, subject, email || null]
+  );
+};
+
+const provisionUser = async ({ name, email, role, tenantId = null }) => {
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(generateToken(32), saltRounds);
+
+  const [result] = await pool.execute(
+    'INSERT INTO users (name, email, password, role, tenant_id) VALUES (?, ?, ?, ?, ?)',
+    [name, email, hashedPassword, role, tenantId]
+  );
+
+  publishUsersCreated([result.insertId]);
+
+  return { id: result.insertId, name, email, role, status: 'active' };
+};
+
+// Keeps the provider's email unless another account already uses it
+const syncEmail = async (user, email) => {
+  if (!email || email === user.email) {
+    return user.email;
+  }
+
+  const [taken] = await pool.execute('SELECT id FROM users WHERE email = ? AND id <> ?', [email, user.id]);
+
+  if (taken.length > 0) {
+    console.warn(`Cannot sync email ${email} for user ${user.id}: already used by another account`);
+    return user.email;
+  }
+
+  return email;
+};
+
+// Finds (or links by email, or provisions) the local account for an external
+// identity and applies the role / profile data coming from the provider.
+// Linking by email only reaches student accounts without 2FA: taking over an
+// admin / formador account, or skipping its second factor, must not depend on
+// what an identity provider says about an email address.
+// A provider bound to a tenant (tenantId, e.g. an LTI platform) only links
+// accounts of that tenant and provisions new ones inside it; the others
+// provision into DEFAULT_TENANT_ID (see resolveDefaultTenant).
+// Returns { user, created } or { error } when the login must be refused.
+const resolveExternalUser = async ({
+  provider,
+  subject,
+  email,
+  emailVerified = true,
+  name,
+  role,
+  defaultRole,
+  jitProvisioning,
+  linkByEmail,
+  tenantId
+}) => {
+  let user = await findUserByIdentity(provider, subject);
+  let created = false;
+
+  if (!user && email && linkByEmail) {
+    if (!emailVerified) {
+      return { error: 'The identity provider has not verified this email address' };
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT id, name, email, role, status FROM users WHERE email = ?${tenantId !== undefined ? ' AND tenant_id <=> ?' : ''}`,
+      tenantId !== undefined ? [email, tenantId] : [email]
+    );
+
+    user = rows[0] || null;
+
+    if (user) {
+      const twoFactor = await getTwoFactor(user.id);
+
+      if (user.role !== 'estudiante' || (twoFactor && twoFactor.enabled_at)) {
+        return { error: 'An account with this email exists but cannot be linked automatically. Ask an administrator.' };
+      }
+    }
+  }
+
+  if (user && user.status !== 'active') {
+    // Deactivated because the provider dropped the account (see utils/directory-sync.js)
+    // and the provider vouches for it again: bring it back
+    if (!user.removed_at || user.status !== 'deactivated') {
+      return { error: getLoginBlockMessage(user.status) };
+    }
+
+    await changeUserStatus({ userId: user.id, status: 'active', details: { provider } });
+    user = { ...user, status: 'active' };
+  }
+
+  if (!user) {
+    if (!jitProvisioning) {
+      return { error: 'No account is linked to this identity' };
+    }
+
+    const newRole = role || defaultRole;
+
+    if (!email || !newRole) {
+      return { error: 'Your identity has no email or no role assigned for this platform' };
+    }
+
+    const [existingUser] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
+
+    if (existingUser.length > 0) {
+      return { error: 'An account with this email already exists and is not linked to this identity' };
+    }
+
+    // Providers not bound to a tenant (OIDC, LDAP) provision into the default one
+    const tenant = tenantId ? { tenantId } : await resolveDefaultTenant();
+
+    if (tenant.error) {
+      return { error: tenant.error };
+    }
+
+    user = await provisionUser({ name: name || email, email, role: newRole, tenantId: tenant.tenantId });
+    created = true;
+  } else {
+    // The provider is the source of truth for name, email and mapped role
+    const updatedName = name || user.name;
+    const updatedEmail = await syncEmail(user, email);
+    const updatedRole = role || user.role;
+
+    if (updatedName !== user.name || updatedEmail !== user.email || updatedRole !== user.role) {
+      await pool.execute(
+        'UPDATE users SET name = ?, email = ?, role_id = IF(role = ?, role_id, NULL), role = ? WHERE id = ?',
+        [updatedName, updatedEmail, updatedRole, updatedRole, user.id]
+      );
+
+      // Other sessions must not keep the permissions of the previous role
+      if (updatedRole !== user.role) {
+        await revokeUserSessions(user.id, 'role_changed');
+      }
+
+      user = { ...user, name: updatedName, email: updatedEmail, role: updatedRole };
+    }
+  }
+
+  await linkIdentity(user.id, provider, subject, email);
+
+  return { user, created };
+};
+
+module.exports = {
+  findUserByIdentity,
+  linkIdentity,
+  provisionUser,
+  resolveExternalUser
+};
@@ -0,0 +1,36 @@
+const { pool } = require('../config/database');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Write requests a read-only impersonated session may still make
+const READ_ONLY_ALLOWED_PATHS = ['/api/auth/impersonate/end', '/api/auth/logout'];
+
+const getRequestPath = (req) => req.originalUrl.split('?')[0];
+
+const isAllowedWhileReadOnly = (req) => READ_METHODS.includes(req.method) ||
+  READ_ONLY_ALLOWED_PATHS.includes(getRequestPath(req));
+
+// Every request made with an impersonation token is recorded with the real
+// admin id once the response is sent (blocked requests included)
+const trackImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    pool.execute(
+      `INSERT INTO impersonation_logs (session_id, impersonator_id, user_id, method, path, status_code, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.sessionId,
+        req.impersonator.id,
+        req.user.id,
+        req.method,
+        getRequestPath(req).substring(0, 500),
+        res.statusCode,
+        req.ip || null
+      ]
+    ).catch(error => console.error('Impersonation log error:', error));
+  });
+};
+
+module.exports = {
+  isAllowedWhileReadOnly,
+  trackImpersonatedRequest
+};
@@ -0,0 +1,78 @@
+const { pool } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const ROLE_LABELS = {
+  admin: 'administrador',
+  formador: 'formador',
+  estudiante: 'estudiante'
+};
+
+// course_ids is a JSON column: MySQL returns it parsed, MariaDB as a string
+const parseCourseIds = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// The account created on acceptance joins tenantId (null for platform users)
+const createInvitation = async ({ email, name, role, courseIds, formadorId, invitedBy, tenantId }, connection = pool) => {
+  const token = generateToken();
+
+  const [result] = await connection.execute(
+    `INSERT INTO invitations (email, name, role, course_ids, formador_id, tenant_id, invited_by, token_hash, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      email,
+      name || null,
+      role,
+      JSON.stringify(courseIds || []),
+      formadorId || null,
+      tenantId || null,
+      invitedBy,
+      hashToken(token),
+      INVITATION_TTL_DAYS
+    ]
+  );
+
+  return { id: result.insertId, token };
+};
+
+// Issues a fresh token for an existing invitation; the previous link stops working
+const renewInvitationToken = async (invitationId, connection = pool) => {
+  const token = generateToken();
+
+  await connection.execute(
+    `UPDATE invitations
+     SET token_hash = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY),
+         last_sent_at = NOW(), send_count = send_count + 1
+     WHERE id = ?`,
+    [hashToken(token), INVITATION_TTL_DAYS, invitationId]
+  );
+
+  return token;
+};
+
+const sendInvitationEmail = async ({ email, name, role }, token, inviterName) => {
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invitation?token=${token}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Invitación a Asiste University',
+    text: `Hola${name ? ` ${name}` : ''},\n\n` +
+      `${inviterName} te invitó a unirte a Asiste University como ${ROLE_LABELS[role] || role}.\n` +
+      `Crea tu contraseña y activa tu cuenta en el siguiente enlace:\n\n${acceptUrl}\n\n` +
+      `La invitación vence en ${INVITATION_TTL_DAYS} días.`
+  });
+};
+
+module.exports = {
+  createInvitation,
+  renewInvitationToken,
+  sendInvitationEmail,
+  parseCourseIds
+};
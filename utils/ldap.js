@@ -0,0 +1,236 @@
+const { Client, InvalidCredentialsError } = require('ldapts');
+const { mapRoleFromGroups } = require('./oidc');
+
+// LDAP / Active Directory bind authentication. A service account searches the
+// directory for the user (sAMAccountName or mail by default), then the user's
+// own DN is bound with the submitted password. Attribute names and filters are
+// configurable so OpenLDAP (uid, entryUUID) works as well as AD.
+const getConfig = () => ({
+  enabled: process.env.LDAP_ENABLED === 'true',
+  url: process.env.LDAP_URL,
+  bindDn: process.env.LDAP_BIND_DN,
+  bindPassword: process.env.LDAP_BIND_PASSWORD,
+  baseDn: process.env.LDAP_BASE_DN,
+  userFilter: process.env.LDAP_USER_FILTER || '(&(objectClass=user)(|(sAMAccountName={login})(mail={login})))',
+  // Excludes accounts disabled in AD, so they count as removed from the directory
+  syncFilter: process.env.LDAP_SYNC_FILTER
+    || '(&(objectClass=user)(mail=*)(!(userAccountControl:1.2.840.113556.1.4.803:=2)))',
+  idAttribute: process.env.LDAP_ID_ATTRIBUTE || 'objectGUID',
+  usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE || 'sAMAccountName',
+  emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+  nameAttribute: process.env.LDAP_NAME_ATTRIBUTE || 'displayName',
+  groupsAttribute: process.env.LDAP_GROUPS_ATTRIBUTE || 'memberOf',
+  defaultRole: process.env.LDAP_DEFAULT_ROLE || '',
+  jitProvisioning: process.env.LDAP_JIT_PROVISIONING !== 'false',
+  linkByEmail: process.env.LDAP_LINK_BY_EMAIL !== 'false',
+  timeout: parseInt(process.env.LDAP_TIMEOUT_MS, 10) || 5000,
+  rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+});
+
+const isLdapEnabled = () => {
+  const config = getConfig();
+  return config.enabled && Boolean(config.url && config.baseDn);
+};
+
+const createClient = () => {
+  const config = getConfig();
+
+  return new Client({
+    url: config.url,
+    timeout: config.timeout,
+    connectTimeout: config.timeout,
+    tlsOptions: config.url.startsWith('ldaps:') ? { rejectUnauthorized: config.rejectUnauthorized } : undefined
+  });
+};
+
+// Runs fn with a client bound as the service account
+const withServiceClient = async (fn) => {
+  const config = getConfig();
+  const client = createClient();
+
+  try {
+    if (config.bindDn) {
+      await client.bind(config.bindDn, config.bindPassword || '');
+    }
+
+    return await fn(client);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+};
+
+// RFC 4515 escaping for values placed inside a search filter
+const escapeFilterValue = (value) => String(value).replace(/[\\*()\0]/g, char =>
+  `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+const firstValue = (value) => {
+  const item = Array.isArray(value) ? value[0] : value;
+
+  if (item === undefined || item === null || item === '') {
+    return null;
+  }
+
+  return Buffer.isBuffer(item) ? item.toString('hex') : String(item);
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+const getAttributes = () => {
+  const config = getConfig();
+
+  return [
+    config.idAttribute,
+    config.usernameAttribute,
+    config.emailAttribute,
+    config.nameAttribute,
+    config.groupsAttribute
+  ];
+};
+
+const toDirectoryUser = (entry) => {
+  const config = getConfig();
+  const email = firstValue(entry[config.emailAttribute]);
+
+  return {
+    dn: entry.dn,
+    subject: firstValue(entry[config.idAttribute]) || entry.dn.toLowerCase(),
+    username: firstValue(entry[config.usernameAttribute]),
+    email: email ? email.toLowerCase() : null,
+    name: firstValue(entry[config.nameAttribute]),
+    groups: toList(entry[config.groupsAttribute])
+  };
+};
+
+const searchUsers = async (client, filter, options = {}) => {
+  const config = getConfig();
+
+  const { searchEntries } = await client.search(config.baseDn, {
+    scope: 'sub',
+    filter,
+    attributes: getAttributes(),
+    // objectGUID is binary; textual ids such as OpenLDAP's entryUUID stay strings
+    explicitBufferAttributes: config.idAttribute.toLowerCase() === 'objectguid' ? [config.idAttribute] : [],
+    ...options
+  });
+
+  return searchEntries.map(toDirectoryUser);
+};
+
+// Finds the directory account for a login name or email. Returns null when it
+// does not exist or the filter is ambiguous (more than one match).
+const findDirectoryUser = async (login) => {
+  const config = getConfig();
+  const filter = config.userFilter.split('{login}').join(escapeFilterValue(login));
+
+  const users = await withServiceClient(client => searchUsers(client, filter));
+
+  if (users.length > 1) {
+    console.warn(`LDAP login "${login}" matches more than one directory entry`);
+    return null;
+  }
+
+  return users[0] || null;
+};
+
+const verifyDirectoryPassword = async (dn, password) => {
+  // An empty password would be an anonymous bind, which most servers accept
+  if (!password) {
+    return false;
+  }
+
+  const client = createClient();
+
+  try {
+    await client.bind(dn, password);
+    return true;
+  } catch (error) {
+    if (error instanceof InvalidCredentialsError) {
+      return false;
+    }
+
+    throw error;
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+};
+
+// Every account matching LDAP_SYNC_FILTER, used by the deactivation job
+const listDirectoryUsers = async () => {
+  const config = getConfig();
+
+  return withServiceClient(client => searchUsers(client, config.syncFilter, {
+    paged: { pageSize: 500 }
+  }));
+};
+
+// Groups are matched by full DN or by CN, case-insensitively, so mappings can
+// say either "CN=LMS-Formadores,OU=Grupos,DC=asiste,DC=local" or "LMS-Formadores"
+const normalizeGroup = (group) => String(group).toLowerCase().replace(/\s*,\s*/g, ',').trim();
+
+const getGroupNames = (groups) => {
+  const names = new Set();
+
+  groups.forEach(group => {
+    const normalized = normalizeGroup(group);
+    names.add(normalized);
+
+    const cn = normalized.match(/^cn=([^,]+)/);
+
+    if (cn) {
+      names.add(cn[1]);
+    }
+  });
+
+  return [...names];
+};
+
+const parseJsonSetting = (name) => {
+  try {
+    return JSON.parse(process.env[name] || '{}');
+  } catch (error) {
+    console.error(`Invalid ${name}:`, error.message);
+    return {};
+  }
+};
+
+// LDAP_ROLE_MAPPING has the same shape as OIDC_ROLE_MAPPING:
+// {"admin": ["LMS-Admins"], "formador": ["LMS-Formadores"]}
+const mapRole = (groups) => {
+  const mapping = Object.fromEntries(
+    Object.entries(parseJsonSetting('LDAP_ROLE_MAPPING'))
+      .map(([role, roleGroups]) => [role, [].concat(roleGroups).map(normalizeGroup)])
+  );
+
+  return mapRoleFromGroups(getGroupNames(groups), mapping);
+};
+
+// LDAP_COURSE_MAPPING: {"Curso-PRL-2025": [3, 4]}. Returns the course ids
+// granted by the user's groups.
+const mapCourses = (groups) => {
+  const names = getGroupNames(groups);
+  const courseIds = new Set();
+
+  Object.entries(parseJsonSetting('LDAP_COURSE_MAPPING')).forEach(([group, courses]) => {
+    if (names.includes(normalizeGroup(group))) {
+      [].concat(courses).forEach(courseId => courseIds.add(Number(courseId)));
+    }
+  });
+
+  return [...courseIds].filter(Number.isInteger);
+};
+
+module.exports = {
+  getConfig,
+  isLdapEnabled,
+  findDirectoryUser,
+  verifyDirectoryPassword,
+  listDirectoryUsers,
+  mapRole,
+  mapCourses
+};
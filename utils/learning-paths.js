@@ -0,0 +1,328 @@
+const { pool } = require('../config/database');
+const { getCourseVersion } = require('./course-versions');
+const { emitCourseEnrollments } = require('./xapi');
+const { publishEnrollments } = require('./webhooks');
+
+// Learning paths chain courses into a journey ("Inducción": company culture
+// -> tools -> campaign product -> soft skills). Each course of a path may
+// require other courses of the path; a student assigned to the path is
+// enrolled in a course as soon as every course it requires is completed,
+// starting with the ones that require nothing. Assigning a path to a cohort
+// assigns it to its current and future members.
+//
+// A course is completed when every activity of the version the student is
+// pinned to (the published one until they open it) is completed, the same
+// rule as the course.completed webhook. Leaving a path never removes
+// enrollments.
+
+// Courses of a path in order: [{ course_id, title, position,
+// published_version_id, required_course_ids }]
+const getPathCourses = async (pathId) => {
+  const [courses] = await pool.execute(
+    `SELECT lpc.course_id, c.title, lpc.position, c.published_version_id
+     FROM learning_path_courses lpc
+     JOIN courses c ON lpc.course_id = c.id
+     WHERE lpc.path_id = ?
+     ORDER BY lpc.position ASC`,
+    [pathId]
+  );
+
+  const [prerequisites] = await pool.execute(
+    'SELECT course_id, required_course_id FROM learning_path_prerequisites WHERE path_id = ?',
+    [pathId]
+  );
+
+  return courses.map(course => ({
+    ...course,
+    required_course_ids: prerequisites
+      .filter(prerequisite => prerequisite.course_id === course.course_id)
+      .map(prerequisite => prerequisite.required_course_id)
+  }));
+};
+
+// Checks the course list of a create / update request: [{ course_id,
+// required_course_ids }] in path order. A course may only require courses
+// placed before it, which also rules out cycles; without required_course_ids
+// it requires the previous one. Returns { courses } normalized or { error }.
+const normalizePathCourses = (value) => {
+  if (!Array.isArray(value)) {
+    return { error: 'courses must be a list' };
+  }
+
+  const courses = [];
+
+  for (const [index, entry] of value.entries()) {
+    const courseId = Number(entry?.course_id);
+
+    if (!Number.isInteger(courseId)) {
+      return { error: `courses[${index}].course_id must be a course id` };
+    }
+
+    if (courses.some(course => course.course_id === courseId)) {
+      return { error: `courses[${index}].course_id is already in the path` };
+    }
+
+    let required = entry.required_course_ids;
+
+    if (required === undefined || required === null) {
+      required = index > 0 ? [courses[index - 1].course_id] : [];
+    }
+
+    if (!Array.isArray(required) || required.some(id => !courses.some(course => course.course_id === Number(id)))) {
+      return { error: `courses[${index}].required_course_ids must only contain courses placed before it in the path` };
+    }
+
+    courses.push({ course_id: courseId, required_course_ids: [...new Set(required.map(Number))] });
+  }
+
+  return { courses };
+};
+
+// Replaces the courses of a path (connection: the transaction of the route)
+const savePathCourses = async (connection, pathId, courses) => {
+  await connection.execute('DELETE FROM learning_path_courses WHERE path_id = ?', [pathId]);
+
+  if (courses.length === 0) {
+    return;
+  }
+
+  await connection.query(
+    'INSERT INTO learning_path_courses (path_id, course_id, position) VALUES ?',
+    [courses.map((course, index) => [pathId, course.course_id, index + 1])]
+  );
+
+  const prerequisites = courses.flatMap(course => course.required_course_ids.map(requiredId => [pathId, course.course_id, requiredId]));
+
+  if (prerequisites.length > 0) {
+    await connection.query(
+      'INSERT INTO learning_path_prerequisites (path_id, course_id, required_course_id) VALUES ?',
+      [prerequisites]
+    );
+  }
+};
+
+// Progress of students along the courses of a path (from getPathCourses).
+// Returns Map studentId -> { courses: [{ course_id, title, status,
+// total_activities, completed_activities, progress_percentage }],
+// completed_courses, total_courses, progress_percentage } where status is
+// completed, in_progress, not_started, locked (a required course is not
+// completed yet) or not_enrolled (unlocked but not enrolled).
+const getPathProgress = async (courses, studentIds) => {
+  const progress = new Map();
+
+  if (studentIds.length === 0) {
+    return progress;
+  }
+
+  let enrollments = [];
+
+  if (courses.length > 0) {
+    [enrollments] = await pool.query(
+      'SELECT student_id, course_id, version_id FROM course_assignments WHERE student_id IN (?) AND course_id IN (?)',
+      [studentIds, courses.map(course => course.course_id)]
+    );
+  }
+
+  // Activities of each version involved, loaded once
+  const versionActivities = new Map();
+  const versionIds = new Set([
+    ...enrollments.map(enrollment => enrollment.version_id),
+    ...courses.map(course => course.published_version_id)
+  ].filter(Boolean));
+
+  for (const versionId of versionIds) {
+    const version = await getCourseVersion(versionId);
+    versionActivities.set(versionId, version ? version.snapshot.activities.map(activity => activity.id) : []);
+  }
+
+  const activityIds = [...new Set([...versionActivities.values()].flat())];
+  let completedRows = [];
+
+  if (activityIds.length > 0) {
+    [completedRows] = await pool.query(
+      'SELECT student_id, activity_id FROM activity_progress WHERE completed = TRUE AND student_id IN (?) AND activity_id IN (?)',
+      [studentIds, activityIds]
+    );
+  }
+
+  for (const studentId of studentIds) {
+    const completedActivities = new Set(completedRows.filter(row => row.student_id === studentId).map(row => row.activity_id));
+    const pathCourses = courses.map(course => {
+      const enrollment = enrollments.find(row => row.student_id === studentId && row.course_id === course.course_id);
+      const versionId = (enrollment && enrollment.version_id) || course.published_version_id;
+      const ids = versionActivities.get(versionId) || [];
+      const completed = ids.filter(id => completedActivities.has(id)).length;
+
+      return {
+        course_id: course.course_id,
+        title: course.title,
+        required_course_ids: course.required_course_ids,
+        enrolled: Boolean(enrollment),
+        total_activities: ids.length,
+        completed_activities: completed,
+        progress_percentage: ids.length > 0 ? Math.round((completed / ids.length) * 100) : 0,
+        is_completed: Boolean(enrollment) && ids.length > 0 && completed === ids.length
+      };
+    });
+
+    const completedCourses = new Set(pathCourses.filter(course => course.is_completed).map(course => course.course_id));
+    const totalActivities = pathCourses.reduce((total, course) => total + course.total_activities, 0);
+    const doneActivities = pathCourses.reduce((total, course) => total + course.completed_activities, 0);
+
+    progress.set(studentId, {
+      courses: pathCourses.map(({ enrolled, is_completed: isCompleted, ...course }) => {
+        let status;
+
+        if (isCompleted) {
+          status = 'completed';
+        } else if (enrolled) {
+          status = course.completed_activities > 0 ? 'in_progress' : 'not_started';
+        } else {
+          status = course.required_course_ids.every(id => completedCourses.has(id)) ? 'not_enrolled' : 'locked';
+        }
+
+        return { ...course, status };
+      }),
+      completed_courses: completedCourses.size,
+      total_courses: courses.length,
+      progress_percentage: totalActivities > 0 ? Math.round((doneActivities / totalActivities) * 100) : 0
+    });
+  }
+
+  return progress;
+};
+
+// Enrolls the students of assignments ([{ student_id, assigned_by }]) in
+// every course of the path they have unlocked and marks the path completed
+// for those who completed every course. Returns the { studentId, courseId }
+// course assignments it created.
+const syncPathEnrollments = async (pathId, assignments) => {
+  const courses = await getPathCourses(pathId);
+  const studentIds = assignments.map(assignment => assignment.student_id);
+  const enrolled = [];
+
+  if (courses.length === 0 || studentIds.length === 0) {
+    return enrolled;
+  }
+
+  let progress = await getPathProgress(courses, studentIds);
+
+  // A newly enrolled course may already count as completed (progress kept
+  // from an earlier enrollment) and unlock the next one
+  for (let round = 0; round < courses.length; round += 1) {
+    const pairs = [];
+
+    for (const assignment of assignments) {
+      for (const course of progress.get(assignment.student_id).courses) {
+        if (course.status === 'not_enrolled') {
+          pairs.push([course.course_id, assignment.student_id, assignment.assigned_by || assignment.student_id]);
+        }
+      }
+    }
+
+    if (pairs.length === 0) {
+      break;
+    }
+
+    await pool.query('INSERT IGNORE INTO course_assignments (course_id, student_id, assigned_by) VALUES ?', [pairs]);
+    enrolled.push(...pairs.map(([courseId, studentId]) => ({ studentId, courseId })));
+
+    progress = await getPathProgress(courses, studentIds);
+  }
+
+  const completedIds = studentIds.filter(studentId => progress.get(studentId).completed_courses === courses.length);
+  const pendingIds = studentIds.filter(studentId => !completedIds.includes(studentId));
+
+  if (completedIds.length > 0) {
+    await pool.query(
+      'UPDATE learning_path_assignments SET completed_at = NOW() WHERE path_id = ? AND student_id IN (?) AND completed_at IS NULL',
+      [pathId, completedIds]
+    );
+  }
+
+  // Courses added to the path reopen it
+  if (pendingIds.length > 0) {
+    await pool.query(
+      'UPDATE learning_path_assignments SET completed_at = NULL WHERE path_id = ? AND student_id IN (?) AND completed_at IS NOT NULL',
+      [pathId, pendingIds]
+    );
+  }
+
+  return enrolled;
+};
+
+// Assigns a path to students (cohortId when it comes from a cohort) and
+// enrolls them in what they have unlocked. Returns { assigned, enrolled }.
+const assignPath = async (pathId, studentIds, { cohortId = null, assignedBy }) => {
+  if (studentIds.length === 0) {
+    return { assigned: [], enrolled: [] };
+  }
+
+  const [existing] = await pool.query(
+    'SELECT student_id FROM learning_path_assignments WHERE path_id = ? AND student_id IN (?)',
+    [pathId, studentIds]
+  );
+  const alreadyAssigned = new Set(existing.map(row => row.student_id));
+  const assigned = studentIds.filter(studentId => !alreadyAssigned.has(studentId));
+
+  if (assigned.length > 0) {
+    await pool.query(
+      'INSERT IGNORE INTO learning_path_assignments (path_id, student_id, cohort_id, assigned_by) VALUES ?',
+      [assigned.map(studentId => [pathId, studentId, cohortId, assignedBy])]
+    );
+  }
+
+  const enrolled = await syncPathEnrollments(pathId, studentIds.map(studentId => ({ student_id: studentId, assigned_by: assignedBy })));
+
+  return { assigned, enrolled };
+};
+
+// Assigns the paths of a cohort to students who just joined it. Returns the
+// course assignments created.
+const assignCohortPaths = async (cohortId, studentIds, assignedBy) => {
+  const [paths] = await pool.execute('SELECT path_id FROM learning_path_cohorts WHERE cohort_id = ?', [cohortId]);
+  const enrolled = [];
+
+  for (const path of paths) {
+    enrolled.push(...(await assignPath(path.path_id, studentIds, { cohortId, assignedBy })).enrolled);
+  }
+
+  return enrolled;
+};
+
+// Called without await once a student completes an activity: moves them
+// forward in the paths of its course. Never fails the request.
+const advanceLearningPaths = async (studentId, activityId) => {
+  try {
+    const [assignments] = await pool.execute(
+      `SELECT lpa.path_id, lpa.student_id, lpa.assigned_by
+       FROM learning_path_assignments lpa
+       JOIN learning_path_courses lpc ON lpa.path_id = lpc.path_id
+       JOIN activities a ON a.course_id = lpc.course_id
+       WHERE lpa.student_id = ? AND lpa.completed_at IS NULL AND a.id = ?`,
+      [studentId, activityId]
+    );
+
+    const enrolled = [];
+
+    for (const assignment of assignments) {
+      enrolled.push(...await syncPathEnrollments(assignment.path_id, [assignment]));
+    }
+
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+  } catch (error) {
+    console.error('Advance learning paths error:', error);
+  }
+};
+
+module.exports = {
+  getPathCourses,
+  normalizePathCourses,
+  savePathCourses,
+  getPathProgress,
+  syncPathEnrollments,
+  assignPath,
+  assignCohortPaths,
+  advanceLearningPaths
+};
@@ -0,0 +1,165 @@
+const { pool } = require('../config/database');
+const { logAudit } = require('./audit');
+const { createSession } = require('./sessions');
+const { getTwoFactor, isTwoFactorRequired, signChallenge } = require('./two-factor');
+
+// After LOGIN_DELAY_AFTER consecutive failures the account must wait 1s, 2s, 4s...
+// (capped at one minute) before the next attempt; after LOGIN_MAX_ATTEMPTS it is
+// locked for LOGIN_LOCKOUT_MINUTES. Counters reset on a successful login or once
+// the lockout window passes without new failures.
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+const recordLoginAttempt = async ({ userId = null, email, req, success, failureReason = null }) => {
+  await pool.execute(
+    `INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, failure_reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      String(email || '').substring(0, 255),
+      req.ip || null,
+      (req.get('User-Agent') || '').substring(0, 500) || null,
+      success,
+      failureReason
+    ]
+  );
+};
+
+// Returns { locked, retryAfter } where retryAfter is in seconds
+const getLockState = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT TIMESTAMPDIFF(SECOND, NOW(), locked_until) as retry_after
+     FROM account_lockouts
+     WHERE user_id = ? AND locked_until > NOW()`,
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  return { locked: true, retryAfter: Math.max(rows[0].retry_after, 1) };
+};
+
+const getLockDurationSeconds = (failedAttempts) => {
+  if (failedAttempts >= LOGIN_MAX_ATTEMPTS) {
+    return LOGIN_LOCKOUT_MINUTES * 60;
+  }
+
+  if (failedAttempts >= LOGIN_DELAY_AFTER) {
+    return Math.min(2 ** (failedAttempts - LOGIN_DELAY_AFTER), MAX_DELAY_SECONDS);
+  }
+
+  return 0;
+};
+
+const registerFailedLogin = async (user, req, failureReason) => {
+  await recordLoginAttempt({ userId: user.id, email: user.email, req, success: false, failureReason });
+
+  // failed_attempts is assigned before last_failed_at so the IF() sees the previous failure time
+  await pool.execute(
+    `INSERT INTO account_lockouts (user_id, failed_attempts, last_failed_at) VALUES (?, 1, NOW())
+     ON DUPLICATE KEY UPDATE
+       failed_attempts = IF(last_failed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, failed_attempts + 1),
+       last_failed_at = NOW()`,
+    [user.id, LOGIN_LOCKOUT_MINUTES]
+  );
+
+  const [rows] = await pool.execute(
+    'SELECT failed_attempts FROM account_lockouts WHERE user_id = ?',
+    [user.id]
+  );
+
+  const failedAttempts = rows[0].failed_attempts;
+  const lockSeconds = getLockDurationSeconds(failedAttempts);
+
+  if (lockSeconds > 0) {
+    await pool.execute(
+      'UPDATE account_lockouts SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE user_id = ?',
+      [lockSeconds, user.id]
+    );
+  }
+
+  if (failedAttempts === LOGIN_MAX_ATTEMPTS) {
+    await logAudit({
+      action: 'account_locked',
+      targetUserId: user.id,
+      details: { failed_attempts: failedAttempts, lockout_minutes: LOGIN_LOCKOUT_MINUTES },
+      ipAddress: req.ip
+    });
+  }
+};
+
+const registerSuccessfulLogin = async (user, req) => {
+  await recordLoginAttempt({ userId: user.id, email: user.email, req, success: true });
+  await pool.execute('DELETE FROM account_lockouts WHERE user_id = ?', [user.id]);
+};
+
+const clearLockout = async (userId) => {
+  const [result] = await pool.execute('DELETE FROM account_lockouts WHERE user_id = ?', [userId]);
+  return result.affectedRows > 0;
+};
+
+const sendLockedResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Try again later.',
+    retryAfter
+  });
+};
+
+// Second half of every login once the credentials are proven (local password,
+// LDAP or SSO): 2FA challenge or tokens. extra is merged into the response
+// (e.g. the returnTo of an SSO login).
+const completeLogin = async (user, req, res, extra = {}) => {
+  // If 2FA applies, hand out a short-lived challenge instead of tokens.
+  // See routes/two-factor.js for the second step.
+  const twoFactor = await getTwoFactor(user.id);
+
+  if (twoFactor && twoFactor.enabled_at) {
+    return res.json({
+      message: 'Two-factor code required',
+      requiresTwoFactor: true,
+      challengeToken: signChallenge(user.id, '2fa'),
+      ...extra
+    });
+  }
+
+  if (isTwoFactorRequired(user.role)) {
+    return res.json({
+      message: 'Two-factor setup required',
+      requiresTwoFactorSetup: true,
+      challengeToken: signChallenge(user.id, '2fa_setup'),
+      ...extra
+    });
+  }
+
+  await registerSuccessfulLogin(user, req);
+
+  const { token, refreshToken } = await createSession(user.id, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    ...extra,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    }
+  });
+};
+
+module.exports = {
+  recordLoginAttempt,
+  getLockState,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  clearLockout,
+  sendLockedResponse,
+  completeLogin
+};
@@ -0,0 +1,684 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { encryptSecret, decryptSecret } = require('./two-factor');
+const { publicFetch } = require('./outbound');
+
+// LTI 1.3 tool: other LMSs (the "platforms", registered in lti_platforms)
+// launch our courses through an OIDC third-party login, send deep linking
+// requests to pick a course or activity, and receive quiz and workshop scores
+// through Assignment and Grade Services (AGS). mock-lti-platform.js plays the
+// platform for local testing.
+const LTI_VERSION = '1.3.0';
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const LTI_SCORE_RETRY_INTERVAL_SECONDS = parseInt(process.env.LTI_SCORE_RETRY_INTERVAL_SECONDS, 10);
+const LTI_SCORE_MAX_ATTEMPTS = parseInt(process.env.LTI_SCORE_MAX_ATTEMPTS, 10) || 10;
+
+const CLAIMS = {
+  messageType: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+  version: 'https://purl.imsglobal.org/spec/lti/claim/version',
+  deploymentId: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+  resourceLink: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+  roles: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+  context: 'https://purl.imsglobal.org/spec/lti/claim/context',
+  custom: 'https://purl.imsglobal.org/spec/lti/claim/custom',
+  deepLinkingSettings: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+  contentItems: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+  data: 'https://purl.imsglobal.org/spec/lti-dl/claim/data',
+  ags: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'
+};
+
+const MESSAGE_TYPES = {
+  resourceLink: 'LtiResourceLinkRequest',
+  deepLinking: 'LtiDeepLinkingRequest',
+  deepLinkingResponse: 'LtiDeepLinkingResponse'
+};
+
+const AGS_SCOPES = {
+  lineItem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+};
+
+// Platform roles that become formador when the launch provisions the account;
+// everybody else is a student. Administrators of the other LMS are not
+// administrators here.
+const INSTRUCTOR_ROLES = ['#Instructor', '#Administrator', '#ContentDeveloper', '#Mentor', '#TeachingAssistant'];
+
+const getToolUrl = () => (process.env.LTI_TOOL_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+// What an admin of the platform needs to register the tool
+const getToolConfiguration = () => {
+  const toolUrl = getToolUrl();
+
+  return {
+    login_url: `${toolUrl}/api/lti/login`,
+    redirect_uri: `${toolUrl}/api/lti/launch`,
+    target_link_uri: `${toolUrl}/api/lti/launch`,
+    deep_linking_url: `${toolUrl}/api/lti/launch`,
+    jwks_url: `${toolUrl}/api/lti/jwks`
+  };
+};
+
+const parseJsonList = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await publicFetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const text = await response.text();
+  let body = null;
+
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (error) {
+    body = null;
+  }
+
+  if (!response.ok) {
+    // Only the OAuth error fields: the raw body of an arbitrary URL ends up in
+    // last_error, which tenant admins can read
+    const description = body && typeof (body.error_description || body.error) === 'string'
+      ? (body.error_description || body.error).substring(0, 300)
+      : null;
+    throw new Error(`LTI request to ${url} failed with ${response.status}${description ? `: ${description}` : ''}`);
+  }
+
+  return body;
+};
+
+// Tool key pair: signs the deep linking responses and the client assertions
+// of AGS token requests. Generated on first use; the private key is stored
+// encrypted like the TOTP secrets.
+let toolKeyCache = null;
+
+const getToolKey = async () => {
+  if (toolKeyCache) {
+    return toolKeyCache;
+  }
+
+  const [rows] = await pool.execute(
+    'SELECT kid, private_key_encrypted FROM lti_tool_keys WHERE retired_at IS NULL ORDER BY id DESC LIMIT 1'
+  );
+
+  if (rows.length > 0) {
+    toolKeyCache = { kid: rows[0].kid, privateKey: decryptSecret(rows[0].private_key_encrypted) };
+    return toolKeyCache;
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(12).toString('hex');
+  const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+  await pool.execute(
+    'INSERT INTO lti_tool_keys (kid, private_key_encrypted, public_jwk) VALUES (?, ?, ?)',
+    [kid, encryptSecret(privatePem), JSON.stringify(publicJwk)]
+  );
+
+  toolKeyCache = { kid, privateKey: privatePem };
+  return toolKeyCache;
+};
+
+const getToolJwks = async () => {
+  await getToolKey();
+
+  const [rows] = await pool.execute('SELECT public_jwk FROM lti_tool_keys WHERE retired_at IS NULL ORDER BY id DESC');
+
+  return { keys: rows.map(row => (typeof row.public_jwk === 'string' ? JSON.parse(row.public_jwk) : row.public_jwk)) };
+};
+
+const signToolJwt = async (claims, expiresIn = '5m') => {
+  const { kid, privateKey } = await getToolKey();
+
+  return jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: kid, expiresIn });
+};
+
+// Platform public keys, cached per platform and fetched again for an unknown kid
+const platformJwksCache = new Map();
+
+const getPlatformSigningKey = async (platform, kid) => {
+  const cached = platformJwksCache.get(platform.id);
+  const findKey = (jwks) => jwks && jwks.keys.find(key => !kid || key.kid === kid);
+
+  let jwks = cached && cached.expiresAt > Date.now() && cached.jwksUrl === platform.jwks_url ? cached.jwks : null;
+
+  if (!findKey(jwks)) {
+    jwks = await fetchJson(platform.jwks_url);
+    platformJwksCache.set(platform.id, { jwks, jwksUrl: platform.jwks_url, expiresAt: Date.now() + JWKS_TTL_MS });
+  }
+
+  const jwk = findKey(jwks);
+
+  if (!jwk) {
+    throw new Error('No matching signing key in the platform JWKS');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const findPlatform = async ({ issuer, clientId }) => {
+  const [rows] = await pool.execute(
+    `SELECT * FROM lti_platforms
+     WHERE issuer = ? AND disabled_at IS NULL${clientId ? ' AND client_id = ?' : ''}`,
+    clientId ? [issuer, clientId] : [issuer]
+  );
+
+  // Without client_id the issuer has to be unambiguous
+  return rows.length === 1 ? rows[0] : null;
+};
+
+const buildAuthenticationUrl = (platform, { state, nonce, loginHint, messageHint }) => {
+  const params = new URLSearchParams({
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: platform.client_id,
+    redirect_uri: getToolConfiguration().redirect_uri,
+    login_hint: loginHint,
+    state,
+    nonce
+  });
+
+  if (messageHint) {
+    params.set('lti_message_hint', messageHint);
+  }
+
+  const url = new URL(platform.auth_login_url);
+  params.forEach((value, key) => url.searchParams.set(key, value));
+
+  return url.toString();
+};
+
+// Checks signature, issuer, audience, expiry, nonce and the LTI claims of the
+// id_token posted to the launch URL. Returns the claims or throws.
+const verifyLaunchToken = async (platform, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed id_token');
+  }
+
+  const key = await getPlatformSigningKey(platform, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512'],
+    issuer: platform.issuer,
+    audience: platform.client_id,
+    clockTolerance: 60
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== platform.client_id) {
+    throw new Error('id_token azp does not match the client id');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new Error('id_token nonce mismatch');
+  }
+
+  if (claims[CLAIMS.version] !== LTI_VERSION) {
+    throw new Error(`Unsupported LTI version ${claims[CLAIMS.version]}`);
+  }
+
+  const deploymentId = claims[CLAIMS.deploymentId];
+  const deploymentIds = parseJsonList(platform.deployment_ids);
+
+  if (!deploymentId) {
+    throw new Error('The launch has no deployment id');
+  }
+
+  if (deploymentIds.length > 0 && !deploymentIds.includes(deploymentId)) {
+    throw new Error(`Deployment ${deploymentId} is not registered for this platform`);
+  }
+
+  const messageType = claims[CLAIMS.messageType];
+
+  if (messageType === MESSAGE_TYPES.resourceLink) {
+    if (!claims[CLAIMS.resourceLink]?.id) {
+      throw new Error('The launch has no resource link id');
+    }
+  } else if (messageType === MESSAGE_TYPES.deepLinking) {
+    if (!claims[CLAIMS.deepLinkingSettings]?.deep_link_return_url) {
+      throw new Error('The deep linking request has no return URL');
+    }
+  } else {
+    throw new Error(`Unsupported LTI message type ${messageType}`);
+  }
+
+  if (!claims.sub) {
+    throw new Error('The launch has no user');
+  }
+
+  return claims;
+};
+
+const mapLtiRole = (roles) => (
+  Array.isArray(roles) && roles.some(role => INSTRUCTOR_ROLES.some(suffix => String(role).endsWith(suffix)))
+    ? 'formador'
+    : 'estudiante'
+);
+
+// Platforms may launch without name or email (privacy settings of the LMS).
+// Those users get a placeholder address that cannot receive mail.
+const launchEmail = (platform, claims) => {
+  if (claims.email) {
+    return String(claims.email).toLowerCase();
+  }
+
+  const hash = crypto.createHash('sha256').update(`${platform.id}:${claims.sub}`).digest('hex').substring(0, 20);
+  return `lti-${platform.id}-${hash}@lti.invalid`;
+};
+
+const launchName = (claims) => claims.name ||
+  [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+  null;
+
+// Course and activity a launch points to: custom parameters set by our deep
+// linking response (course_id / activity_id), otherwise what the resource
+// link was already bound to. Content of another tenant is ignored.
+const resolveLaunchTarget = async (platform, custom, link) => {
+  let courseId = custom?.course_id ? parseInt(custom.course_id, 10) : null;
+  let activityId = custom?.activity_id ? parseInt(custom.activity_id, 10) : null;
+
+  if (!courseId && !activityId && link) {
+    courseId = link.course_id;
+    activityId = link.activity_id;
+  }
+
+  if (activityId) {
+    const [rows] = await pool.execute('SELECT course_id FROM activities WHERE id = ?', [activityId]);
+
+    if (rows.length === 0) {
+      return { courseId: null, activityId: null };
+    }
+
+    courseId = rows[0].course_id;
+  }
+
+  if (!courseId) {
+    return { courseId: null, activityId: null };
+  }
+
+  const [courses] = await pool.execute(
+    'SELECT id FROM courses WHERE id = ? AND (tenant_id IS NULL OR tenant_id <=> ?)',
+    [courseId, platform.tenant_id]
+  );
+
+  return courses.length > 0 ? { courseId, activityId } : { courseId: null, activityId: null };
+};
+
+// Stores (or refreshes) the resource link of a launch with its AGS endpoints
+// and remembers the platform user id of the learner for score passback
+const recordResourceLink = async (platform, claims, userId) => {
+  const resourceLink = claims[CLAIMS.resourceLink];
+  const deploymentId = claims[CLAIMS.deploymentId];
+  const context = claims[CLAIMS.context] || {};
+  const ags = claims[CLAIMS.ags] || null;
+
+  const [existing] = await pool.execute(
+    'SELECT * FROM lti_resource_links WHERE platform_id = ? AND deployment_id = ? AND link_id = ?',
+    [platform.id, deploymentId, resourceLink.id]
+  );
+
+  const target = await resolveLaunchTarget(platform, claims[CLAIMS.custom], existing[0] || null);
+
+  await pool.execute(
+    `INSERT INTO lti_resource_links
+       (platform_id, deployment_id, link_id, title, context_id, context_title, course_id, activity_id,
+        ags_lineitems_url, ags_lineitem_url, ags_scopes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       title = VALUES(title),
+       context_id = VALUES(context_id),
+       context_title = VALUES(context_title),
+       course_id = VALUES(course_id),
+       activity_id = VALUES(activity_id),
+       ags_lineitems_url = VALUES(ags_lineitems_url),
+       ags_lineitem_url = VALUES(ags_lineitem_url),
+       ags_scopes = VALUES(ags_scopes)`,
+    [
+      platform.id,
+      deploymentId,
+      resourceLink.id,
+      resourceLink.title || null,
+      context.id || null,
+      context.title || null,
+      target.courseId,
+      target.activityId,
+      ags?.lineitems || null,
+      ags?.lineitem || null,
+      ags?.scope ? JSON.stringify(ags.scope) : null
+    ]
+  );
+
+  const [links] = await pool.execute(
+    'SELECT id FROM lti_resource_links WHERE platform_id = ? AND deployment_id = ? AND link_id = ?',
+    [platform.id, deploymentId, resourceLink.id]
+  );
+
+  await pool.execute(
+    `INSERT INTO lti_link_members (resource_link_id, user_id, platform_user_id, last_launch_at)
+     VALUES (?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE platform_user_id = VALUES(platform_user_id), last_launch_at = NOW()`,
+    [links[0].id, userId, claims.sub]
+  );
+
+  return { resourceLinkId: links[0].id, ...target };
+};
+
+// Deep linking response with one ltiResourceLink per picked item. The custom
+// parameters come back in every launch of the link.
+const buildDeepLinkingResponse = async (platform, launch, items) => {
+  const settings = launch.deep_linking;
+  const { target_link_uri } = getToolConfiguration();
+
+  const contentItems = items.map(item => ({
+    type: 'ltiResourceLink',
+    title: item.title,
+    ...(item.description ? { text: item.description } : {}),
+    url: target_link_uri,
+    custom: {
+      course_id: String(item.course_id),
+      ...(item.activity_id ? { activity_id: String(item.activity_id) } : {})
+    }
+  }));
+
+  const token = await signToolJwt({
+    iss: platform.client_id,
+    aud: platform.issuer,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    [CLAIMS.deploymentId]: launch.deployment_id,
+    [CLAIMS.messageType]: MESSAGE_TYPES.deepLinkingResponse,
+    [CLAIMS.version]: LTI_VERSION,
+    [CLAIMS.contentItems]: contentItems,
+    ...(settings.data ? { [CLAIMS.data]: settings.data } : {})
+  });
+
+  return { return_url: settings.deep_link_return_url, jwt: token };
+};
+
+// OAuth2 client credentials grant with a signed client assertion, cached
+// until shortly before it expires
+const accessTokenCache = new Map();
+
+const getAccessToken = async (platform, scopes) => {
+  const cacheKey = `${platform.id}|${scopes.join(' ')}`;
+  const cached = accessTokenCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const assertion = await signToolJwt({
+    iss: platform.client_id,
+    sub: platform.client_id,
+    aud: platform.auth_token_audience || platform.auth_token_url,
+    jti: crypto.randomUUID()
+  });
+
+  const body = await fetchJson(platform.auth_token_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: assertion,
+      scope: scopes.join(' ')
+    })
+  });
+
+  const expiresIn = Number(body.expires_in) || 3600;
+  accessTokenCache.set(cacheKey, { token: body.access_token, expiresAt: Date.now() + (expiresIn - 60) * 1000 });
+
+  return body.access_token;
+};
+
+const withPath = (url, suffix) => {
+  const parsed = new URL(url);
+  parsed.pathname = `${parsed.pathname.replace(/\/+$/, '')}${suffix}`;
+  return parsed.toString();
+};
+
+// Line item of a quiz / workshop in the gradebook of the platform. With the
+// lineitem scope each item gets its own column (found by resourceId or
+// created); otherwise the score goes to the line item of the link itself.
+const resolveLineItem = async (platform, link, item) => {
+  const scopes = parseJsonList(link.ags_scopes);
+
+  if (link.ags_lineitems_url && scopes.includes(AGS_SCOPES.lineItem)) {
+    const [known] = await pool.execute(
+      'SELECT lineitem_url FROM lti_line_items WHERE resource_link_id = ? AND item_type = ? AND item_id = ?',
+      [link.id, item.type, item.id]
+    );
+
+    if (known.length > 0) {
+      return known[0].lineitem_url;
+    }
+
+    const token = await getAccessToken(platform, [AGS_SCOPES.lineItem]);
+    const resourceId = `${item.type}-${item.id}`;
+    const query = new URL(link.ags_lineitems_url);
+    query.searchParams.set('resource_link_id', link.link_id);
+    query.searchParams.set('resource_id', resourceId);
+
+    const found = await fetchJson(query.toString(), {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'application/vnd.ims.lis.v2.lineitemcontainer+json' }
+    });
+
+    let lineItemUrl = Array.isArray(found) && found.length > 0 ? found[0].id : null;
+
+    if (!lineItemUrl) {
+      const created = await fetchJson(link.ags_lineitems_url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/vnd.ims.lis.v2.lineitem+json',
+          Accept: 'application/vnd.ims.lis.v2.lineitem+json'
+        },
+        body: JSON.stringify({
+          scoreMaximum: 100,
+          label: item.title,
+          resourceId,
+          resourceLinkId: link.link_id,
+          tag: 'asiste-university'
+        })
+      });
+
+      lineItemUrl = created.id;
+    }
+
+    await pool.execute(
+      'INSERT IGNORE INTO lti_line_items (resource_link_id, item_type, item_id, lineitem_url) VALUES (?, ?, ?, ?)',
+      [link.id, item.type, item.id, lineItemUrl]
+    );
+
+    return lineItemUrl;
+  }
+
+  if (link.ags_lineitem_url) {
+    return link.ags_lineitem_url;
+  }
+
+  throw new Error('The platform did not grant a line item for this link');
+};
+
+const sendScore = async (row) => {
+  const platform = {
+    id: row.platform_id,
+    client_id: row.client_id,
+    auth_token_url: row.auth_token_url,
+    auth_token_audience: row.auth_token_audience
+  };
+  const link = {
+    id: row.resource_link_id,
+    link_id: row.link_id,
+    ags_lineitems_url: row.ags_lineitems_url,
+    ags_lineitem_url: row.ags_lineitem_url,
+    ags_scopes: row.ags_scopes
+  };
+
+  const lineItemUrl = await resolveLineItem(platform, link, { type: row.item_type, id: row.item_id, title: row.item_title });
+  const token = await getAccessToken(platform, [AGS_SCOPES.score]);
+
+  const response = await publicFetch(withPath(lineItemUrl, '/scores'), {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/vnd.ims.lis.v1.score+json' },
+    body: JSON.stringify({
+      userId: row.platform_user_id,
+      scoreGiven: Number(row.score),
+      scoreMaximum: Number(row.max_score),
+      activityProgress: 'Completed',
+      gradingProgress: 'FullyGraded',
+      timestamp: new Date(row.created_at).toISOString()
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Score passback failed with HTTP ${response.status}`);
+  }
+};
+
+let deliveringScores = false;
+
+// Sends the pending scores that are due. A failed one is retried with
+// exponential backoff (1, 2, 4... minutes, capped at a day) until
+// LTI_SCORE_MAX_ATTEMPTS, then left as failed.
+const deliverPendingScores = async () => {
+  if (deliveringScores) {
+    return { sent: 0, failed: 0 };
+  }
+
+  deliveringScores = true;
+
+  let sent = 0;
+  let failed = 0;
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT s.id, s.item_type, s.item_id, s.score, s.max_score, s.created_at,
+              m.platform_user_id,
+              l.id as resource_link_id, l.link_id, l.ags_lineitems_url, l.ags_lineitem_url, l.ags_scopes,
+              p.id as platform_id, p.client_id, p.auth_token_url, p.auth_token_audience,
+              COALESCE(q.title, w.title) as item_title
+       FROM lti_score_outbox s
+       JOIN lti_resource_links l ON s.resource_link_id = l.id
+       JOIN lti_platforms p ON l.platform_id = p.id
+       JOIN lti_link_members m ON m.resource_link_id = l.id AND m.user_id = s.user_id
+       LEFT JOIN quizzes q ON s.item_type = 'quiz' AND q.id = s.item_id
+       LEFT JOIN workshops w ON s.item_type = 'workshop' AND w.id = s.item_id
+       WHERE s.status = 'pending' AND s.next_attempt_at <= NOW() AND p.disabled_at IS NULL
+       ORDER BY s.id
+       LIMIT ?`,
+      [100]
+    );
+
+    for (const row of rows) {
+      try {
+        await sendScore(row);
+        await pool.execute(
+          "UPDATE lti_score_outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = NOW() WHERE id = ?",
+          [row.id]
+        );
+        sent += 1;
+      } catch (error) {
+        await pool.execute(
+          `UPDATE lti_score_outbox
+           SET attempts = attempts + 1,
+               last_error = ?,
+               status = IF(attempts >= ?, 'failed', 'pending'),
+               next_attempt_at = DATE_ADD(NOW(), INTERVAL LEAST(POW(2, attempts - 1), 1440) MINUTE)
+           WHERE id = ?`,
+          [error.message.substring(0, 1000), LTI_SCORE_MAX_ATTEMPTS, row.id]
+        );
+        failed += 1;
+      }
+    }
+  } finally {
+    deliveringScores = false;
+  }
+
+  return { sent, failed };
+};
+
+// Queues the score of a quiz or workshop for every LTI link the student
+// launched that covers it (the link's course, or its activity) and tries to
+// send it right away. Never fails the request that graded the student.
+const queueLtiScores = async (studentId, type, itemId, { score, maxScore }) => {
+  try {
+    const table = type === 'quiz' ? 'quizzes' : 'workshops';
+
+    const [links] = await pool.execute(
+      `SELECT l.id
+       FROM ${table} i
+       JOIN activities a ON i.activity_id = a.id
+       JOIN lti_resource_links l ON l.course_id = a.course_id AND (l.activity_id IS NULL OR l.activity_id = a.id)
+       JOIN lti_link_members m ON m.resource_link_id = l.id AND m.user_id = ?
+       JOIN lti_platforms p ON l.platform_id = p.id AND p.disabled_at IS NULL
+       WHERE i.id = ? AND (l.ags_lineitems_url IS NOT NULL OR l.ags_lineitem_url IS NOT NULL)`,
+      [studentId, itemId]
+    );
+
+    if (links.length === 0) {
+      return;
+    }
+
+    await pool.query(
+      'INSERT INTO lti_score_outbox (resource_link_id, user_id, item_type, item_id, score, max_score) VALUES ?',
+      [links.map(link => [link.id, studentId, type, itemId, score, maxScore])]
+    );
+
+    await deliverPendingScores();
+  } catch (error) {
+    console.error('LTI score passback error:', error);
+  }
+};
+
+// Runs deliverPendingScores every LTI_SCORE_RETRY_INTERVAL_SECONDS (default 60, 0 disables)
+const startLtiScoreJob = () => {
+  const intervalSeconds = Number.isNaN(LTI_SCORE_RETRY_INTERVAL_SECONDS) ? 60 : LTI_SCORE_RETRY_INTERVAL_SECONDS;
+
+  if (intervalSeconds <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const result = await deliverPendingScores();
+
+      if (result.failed > 0) {
+        console.warn(`LTI score passback: ${result.sent} sent, ${result.failed} pending retry`);
+      }
+    } catch (error) {
+      console.error('LTI score passback job error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  CLAIMS,
+  MESSAGE_TYPES,
+  getToolConfiguration,
+  parseJsonList,
+  getToolJwks,
+  findPlatform,
+  buildAuthenticationUrl,
+  verifyLaunchToken,
+  mapLtiRole,
+  launchEmail,
+  launchName,
+  recordResourceLink,
+  buildDeepLinkingResponse,
+  deliverPendingScores,
+  queueLtiScores,
+  startLtiScoreJob
+};
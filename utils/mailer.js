@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT selects how outgoing mail is delivered:
+//   smtp    - real delivery through SMTP_* settings (default)
+//   file    - each message is written as JSON to MAIL_OUTBOX_DIR (useful for tests)
+//   console - message is printed to stdout; only with NODE_ENV=development,
+//             where it is the default, since the messages carry live password
+//             reset and invitation links that would end up in the logs
+const IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+const getTransportName = () => process.env.MAIL_TRANSPORT || (IS_DEVELOPMENT ? 'console' : 'smtp');
+
+// Throws when mail would be dropped or leaked; server.js runs it on startup
+const assertMailConfiguration = () => {
+  const name = getTransportName();
+
+  if (!MAIL_TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use ${MAIL_TRANSPORTS.join(', ')})`);
+  }
+
+  if (name === 'console' && !IS_DEVELOPMENT) {
+    throw new Error('MAIL_TRANSPORT=console prints password reset and invitation links; it is only allowed with NODE_ENV=development');
+  }
+
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required to send mail (or set MAIL_TRANSPORT=file)');
+  }
+};
+
+const createFileTransport = (directory) => ({
+  sendMail: async (message) => {
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const messageId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const filePath = path.join(directory, `${messageId}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+
+    return { messageId, filePath };
+  }
+});
+
+const createConsoleTransport = () => ({
+  sendMail: async (message) => {
+    console.log('📧 Mail to:', message.to);
+    console.log('Subject:', message.subject);
+    console.log(message.text);
+
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const createTransport = () => {
+  assertMailConfiguration();
+
+  switch (getTransportName()) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox'));
+    case 'console':
+      return createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport;
+};
+
+// Allows swapping the transport at runtime, e.g. with an in-memory stub in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Asiste University <no-reply@asisteuniversity.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, setTransport, assertMailConfiguration };
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+// Uploaded files are not public. <img>, <video> and SCORM iframes cannot send
+// the Authorization header, so browsers load them with a media token in the
+// URL instead (see routes/media.js):
+//   /uploads/<images|videos>/<file>?media_token=...   files of the tenant
+//   /uploads/scorm/<launch token>/<path>              one SCORM package; the
+//                                                     token is part of the path
+//                                                     so relative assets work
+// Tokens are bound to the session they were issued to: logging out or
+// revoking it cuts media access as well.
+const MEDIA_TOKEN_EXPIRES_IN = process.env.MEDIA_TOKEN_EXPIRES_IN || '1h';
+const SCORM_LAUNCH_EXPIRES_IN = process.env.SCORM_LAUNCH_EXPIRES_IN || '4h';
+
+// Images and videos of the tenant the request acts in
+const signMediaToken = (req) => jwt.sign(
+  { userId: req.user.id, sessionId: req.sessionId, tenantId: req.tenantId || null, purpose: 'media' },
+  process.env.JWT_SECRET,
+  { expiresIn: MEDIA_TOKEN_EXPIRES_IN }
+);
+
+// The files of one SCORM package folder; issue it only once the request was
+// allowed to open the package
+const signScormLaunchToken = (req, folder) => jwt.sign(
+  { userId: req.user.id, sessionId: req.sessionId, folder, purpose: 'scorm' },
+  process.env.JWT_SECRET,
+  { expiresIn: SCORM_LAUNCH_EXPIRES_IN }
+);
+
+// Returns the token payload, or null when it is invalid, expired, meant for
+// something else or its session is no longer active
+const verifyMediaToken = async (token, purpose) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== purpose || !decoded.sessionId) {
+    return null;
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT s.id FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND u.status = 'active'`,
+    [decoded.sessionId, decoded.userId]
+  );
+
+  return rows.length > 0 ? decoded : null;
+};
+
+module.exports = {
+  MEDIA_TOKEN_EXPIRES_IN,
+  signMediaToken,
+  signScormLaunchToken,
+  verifyMediaToken
+};
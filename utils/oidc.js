@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect relying party (authorization code + PKCE). Endpoints come from
+// the provider's discovery document, so any compliant IdP works (Azure AD / Entra,
+// Google Workspace, Keycloak, Okta...) as well as mock-oidc-provider.js for local testing.
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ROLE_PRIORITY = ['admin', 'formador', 'estudiante'];
+
+const getConfig = () => ({
+  enabled: process.env.OIDC_ENABLED === 'true',
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || '',
+  jitProvisioning: process.env.OIDC_JIT_PROVISIONING !== 'false',
+  linkByEmail: process.env.OIDC_LINK_BY_EMAIL === 'true'
+});
+
+const isOidcEnabled = () => {
+  const config = getConfig();
+  return config.enabled && Boolean(config.issuer && config.clientId && config.redirectUri);
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const description = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${description ? `: ${description}` : ''}`);
+  }
+
+  return body;
+};
+
+const getDiscovery = async () => {
+  if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.document;
+  }
+
+  const { issuer } = getConfig();
+  const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (document.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error('OIDC discovery issuer does not match OIDC_ISSUER');
+  }
+
+  discoveryCache = { document, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  jwksCache = null;
+
+  return document;
+};
+
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache && jwksCache.keys.find(key => !kid || key.kid === kid);
+
+  // Unknown kid: the provider may have rotated its keys, fetch them again
+  if (!findKey()) {
+    const discovery = await getDiscovery();
+    jwksCache = await fetchJson(discovery.jwks_uri);
+  }
+
+  const jwk = findKey();
+
+  if (!jwk) {
+    throw new Error('No matching signing key in the provider JWKS');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const createPkcePair = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  return { codeVerifier, codeChallenge };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getConfig();
+  const discovery = await getDiscovery();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${discovery.authorization_endpoint}?${params.toString()}`;
+};
+
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getConfig();
+  const discovery = await getDiscovery();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (config.clientSecret) {
+    body.set('client_secret', config.clientSecret);
+  }
+
+  return fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+};
+
+// Checks signature, issuer, audience, expiry and nonce. Returns the claims.
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed id_token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('id_token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// OIDC_ROLE_MAPPING is JSON: {"admin": ["lms-admins"], "formador": ["lms-formadores"]}.
+// The highest role whose groups intersect the user's groups wins; null when none match.
+const getRoleMapping = () => {
+  try {
+    return JSON.parse(process.env.OIDC_ROLE_MAPPING || '{}');
+  } catch (error) {
+    console.error('Invalid OIDC_ROLE_MAPPING:', error.message);
+    return {};
+  }
+};
+
+const getClaimGroups = (claims) => {
+  const value = claims[getConfig().groupsClaim];
+
+  if (!value) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value.map(String) : String(value).split(',').map(group => group.trim());
+};
+
+const mapRoleFromGroups = (groups, mapping) => {
+  for (const role of ROLE_PRIORITY) {
+    const roleGroups = mapping[role] || [];
+
+    if (roleGroups.some(group => groups.includes(group))) {
+      return role;
+    }
+  }
+
+  return null;
+};
+
+const mapRole = (claims) => mapRoleFromGroups(getClaimGroups(claims), getRoleMapping());
+
+// LOCAL_PASSWORD_LOGIN: enabled (default), disabled, or a comma-separated list of
+// roles that keep password login (e.g. "admin" as a break-glass account)
+const isLocalLoginAllowed = (role) => {
+  const setting = (process.env.LOCAL_PASSWORD_LOGIN || 'enabled').trim();
+
+  if (setting === 'enabled') {
+    return true;
+  }
+
+  if (setting === 'disabled') {
+    return false;
+  }
+
+  return setting.split(',').map(value => value.trim()).includes(role);
+};
+
+module.exports = {
+  ROLE_PRIORITY,
+  getConfig,
+  isOidcEnabled,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromGroups,
+  mapRole,
+  isLocalLoginAllowed
+};
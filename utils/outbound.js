@@ -0,0 +1,144 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, buildConnector, fetch } = require('undici');
+
+// Outgoing requests to URLs entered by (tenant) admins: webhooks and LTI
+// platforms. They must not reach the server's own network, so loopback,
+// private, link-local (cloud metadata) and other special-purpose addresses are
+// refused. The check runs on every connection, after DNS resolution and on
+// redirects, so a hostname cannot be re-pointed once the URL was accepted.
+// ALLOW_PRIVATE_OUTBOUND_URLS=true lifts it for local testing against the
+// mock servers.
+const ALLOW_PRIVATE_OUTBOUND_URLS = process.env.ALLOW_PRIVATE_OUTBOUND_URLS === 'true';
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const BLOCKED_MESSAGE = 'must not point to a private, loopback or link-local address';
+
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+
+  if (version === 0) {
+    return false;
+  }
+
+  return !BLOCKED_ADDRESSES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+const stripBrackets = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1');
+
+const blockedError = (hostname) => {
+  const error = new Error(`${hostname} ${BLOCKED_MESSAGE}`);
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+};
+
+// dns.lookup replacement given to the sockets: resolves as usual and fails
+// when any address of the host is not public
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(blockedError(hostname));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Sockets skip the lookup for IP literals, so those are checked here
+const connectPublic = buildConnector({ lookup: publicLookup });
+
+const publicAgent = new Agent({
+  connect: (options, callback) => {
+    const hostname = stripBrackets(options.hostname);
+
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      return callback(blockedError(hostname), null);
+    }
+
+    connectPublic(options, callback);
+  }
+});
+
+// fetch() that only connects to public addresses
+const publicFetch = (url, options = {}) => (ALLOW_PRIVATE_OUTBOUND_URLS
+  ? fetch(url, options)
+  : fetch(url, { ...options, dispatcher: publicAgent }));
+
+// Validation of a URL before it is stored: null when it is an http(s) URL of
+// a public host, otherwise the reason (to prefix with the field name)
+const checkPublicUrl = async (value) => {
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be an http(s) URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'must be an http(s) URL';
+  }
+
+  if (ALLOW_PRIVATE_OUTBOUND_URLS) {
+    return null;
+  }
+
+  const hostname = stripBrackets(url.hostname);
+
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : BLOCKED_MESSAGE;
+  }
+
+  let addresses;
+
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return 'must point to a host that can be resolved';
+  }
+
+  return addresses.every(({ address }) => isPublicAddress(address)) ? null : BLOCKED_MESSAGE;
+};
+
+module.exports = {
+  isPublicAddress,
+  checkPublicUrl,
+  publicFetch
+};
@@ -0,0 +1,183 @@
+const { pool } = require('../config/database');
+const { buildTenantUserFilter } = require('./tenants');
+
+// Role permissions rarely change, so they are cached per role for a minute
+// (and dropped immediately when a role is edited through /api/roles).
+const CACHE_TTL_MS = 60 * 1000;
+const rolePermissionCache = new Map();
+
+const getRolePermissions = async (roleId) => {
+  if (!roleId) {
+    return [];
+  }
+
+  const cached = rolePermissionCache.get(roleId);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT p.name FROM role_permissions rp
+     JOIN permissions p ON rp.permission_id = p.id
+     WHERE rp.role_id = ?`,
+    [roleId]
+  );
+
+  const permissions = rows.map(row => row.name);
+  rolePermissionCache.set(roleId, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return permissions;
+};
+
+const invalidateRolePermissions = (roleId) => {
+  if (roleId) {
+    rolePermissionCache.delete(Number(roleId));
+  } else {
+    rolePermissionCache.clear();
+  }
+};
+
+// Permissions granted to a single user on top of their role (wider scopes
+// given to a formador by an admin)
+const getUserGrants = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT p.name FROM user_permission_grants upg
+     JOIN permissions p ON upg.permission_id = p.id
+     WHERE upg.user_id = ?`,
+    [userId]
+  );
+
+  return rows.map(row => row.name);
+};
+
+const getUserPermissions = async (user) => {
+  const [rolePermissions, grants] = await Promise.all([
+    getRolePermissions(user.role_id),
+    getUserGrants(user.id)
+  ]);
+
+  return grants.length > 0
+    ? [...new Set([...rolePermissions, ...grants])]
+    : rolePermissions;
+};
+
+// Students linked to a formador directly or through one of their courses
+const OWN_STUDENTS_SQL = `
+  SELECT sf.student_id FROM student_formador sf WHERE sf.formador_id = ?
+  UNION
+  SELECT ca.student_id FROM course_assignments ca
+  JOIN formador_courses fc ON ca.course_id = fc.course_id
+  WHERE fc.formador_id = ?
+`;
+
+const isOwnStudent = async (formadorId, studentId) => {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM (${OWN_STUDENTS_SQL}) own WHERE own.student_id = ? LIMIT 1`,
+    [formadorId, formadorId, studentId]
+  );
+
+  return rows.length > 0;
+};
+
+// Ownership checks for scoped permissions, run against the object returned by
+// the resource resolver given to can()
+const SCOPE_CHECKS = {
+  own: async (user, resource) => resource.userId != null && Number(resource.userId) === user.id,
+  own_students: async (user, resource) => resource.studentId != null && isOwnStudent(user.id, resource.studentId)
+};
+
+// null means unrestricted (the exact permission or its .all variant), otherwise
+// the list of scopes held for it (empty when the permission is missing)
+const getPermissionScopes = (req, permission) => {
+  const permissions = req.permissions || [];
+
+  if (permissions.includes(permission) || permissions.includes(`${permission}.all`)) {
+    return null;
+  }
+
+  const prefix = `${permission}.`;
+
+  return permissions
+    .filter(name => name.startsWith(prefix))
+    .map(name => name.substring(prefix.length));
+};
+
+// True when the permission list covers `name`: the permission itself or, for
+// a scoped one (.all, .own, .own_students, .students), the unrestricted one
+const holdsPermission = (permissions, name) => {
+  if (permissions.includes(name)) {
+    return true;
+  }
+
+  const base = name.replace(/\.(all|own|own_students|students)$/, '');
+
+  return base !== name && getPermissionScopes({ permissions }, base) === null;
+};
+
+const canAccessResource = async (req, permission, resource) => {
+  const scopes = getPermissionScopes(req, permission);
+
+  if (scopes === null) {
+    return true;
+  }
+
+  for (const scope of scopes) {
+    const check = SCOPE_CHECKS[scope];
+
+    if (check && await check(req.user, resource)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Visibility layer: SQL condition restricting `studentColumn` to the students
+// the user may see for a list endpoint. Every scoped list (grades, students,
+// surveys...) goes through here so the own / own_students rules live in one
+// place. Inside a tenant only its students are visible; otherwise the clause
+// is empty when the permission is unrestricted.
+const buildScopeFilter = (req, permission, studentColumn) => {
+  const scopes = getPermissionScopes(req, permission);
+  const tenant = buildTenantUserFilter(req, studentColumn);
+
+  if (scopes === null) {
+    return tenant;
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (scopes.includes('own')) {
+    conditions.push(`${studentColumn} = ?`);
+    params.push(req.user.id);
+  }
+
+  if (scopes.includes('own_students')) {
+    conditions.push(`${studentColumn} IN (${OWN_STUDENTS_SQL})`);
+    params.push(req.user.id, req.user.id);
+  }
+
+  if (conditions.length === 0) {
+    conditions.push('1 = 0');
+  }
+
+  return {
+    clause: ` AND (${conditions.join(' OR ')})${tenant.clause}`,
+    params: [...params, ...tenant.params]
+  };
+};
+
+module.exports = {
+  OWN_STUDENTS_SQL,
+  getRolePermissions,
+  invalidateRolePermissions,
+  getUserGrants,
+  getUserPermissions,
+  isOwnStudent,
+  getPermissionScopes,
+  holdsPermission,
+  canAccessResource,
+  buildScopeFilter
+};
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { generateToken } = require('./tokens');
+const { revokeUserSessions } = require('./sessions');
+const { agentIfi, platformAgent } = require('./xapi');
+
+// Data subject requests: everything the platform stores about one person, and
+// an anonymization that strips the identity but keeps the rows the analytics
+// dashboard aggregates (grades, progress, survey ratings, enrollments).
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// forum_* tables come from database/forum_tables.sql and may be missing
+const selectIfTableExists = async (query, params) => {
+  try {
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Returns null when the user does not exist
+const collectPersonalData = async (userId) => {
+  const [userRows] = await pool.execute(
+    `SELECT u.id, u.name, u.email, u.role, r.name as role_name, u.profile_image, u.bio,
+            u.status, u.status_reason, u.status_changed_at, u.anonymized_at, u.created_at, u.updated_at
+     FROM users u
+     LEFT JOIN roles r ON u.role_id = r.id
+     WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (userRows.length === 0) {
+    return null;
+  }
+
+  const [identities] = await pool.execute(
+    'SELECT provider, subject, email, created_at, last_login_at, removed_at FROM user_identities WHERE user_id = ?',
+    [userId]
+  );
+
+  const [enrollments] = await pool.execute(
+    `SELECT ca.course_id, c.title as course_title, ca.assigned_at, u.name as assigned_by_name
+     FROM course_assignments ca
+     JOIN courses c ON ca.course_id = c.id
+     LEFT JOIN users u ON ca.assigned_by = u.id
+     WHERE ca.student_id = ?
+     ORDER BY ca.assigned_at`,
+    [userId]
+  );
+
+  const [formadores] = await pool.execute(
+    `SELECT sf.formador_id, u.name as formador_name, sf.assigned_at
+     FROM student_formador sf
+     JOIN users u ON sf.formador_id = u.id
+     WHERE sf.student_id = ?`,
+    [userId]
+  );
+
+  const [formadorCourses] = await pool.execute(
+    `SELECT fc.course_id, c.title as course_title, fc.assigned_at
+     FROM formador_courses fc
+     JOIN courses c ON fc.course_id = c.id
+     WHERE fc.formador_id = ?`,
+    [userId]
+  );
+
+  const [cohorts] = await pool.execute(
+    `SELECT co.id as cohort_id, co.name as cohort_name, co.campaign, cm.added_at
+     FROM cohort_members cm
+     JOIN cohorts co ON cm.cohort_id = co.id
+     WHERE cm.student_id = ?`,
+    [userId]
+  );
+
+  const [learningPaths] = await pool.execute(
+    `SELECT lp.id as path_id, lp.name as path_name, lpa.assigned_at, lpa.completed_at
+     FROM learning_path_assignments lpa
+     JOIN learning_paths lp ON lpa.path_id = lp.id
+     WHERE lpa.student_id = ?`,
+    [userId]
+  );
+
+  const [quizGrades] = await pool.execute(
+    `SELECT g.*, q.title as quiz_title, a.title as activity_title, c.title as course_title
+     FROM grades g
+     JOIN quizzes q ON g.quiz_id = q.id
+     JOIN activities a ON q.activity_id = a.id
+     JOIN courses c ON a.course_id = c.id
+     WHERE g.student_id = ?
+     ORDER BY g.completed_at`,
+    [userId]
+  );
+
+  const [workshopGrades] = await pool.execute(
+    `SELECT wg.*, w.title as workshop_title, a.title as activity_title, c.title as course_title
+     FROM workshop_grades wg
+     JOIN workshops w ON wg.workshop_id = w.id
+     JOIN activities a ON w.activity_id = a.id
+     JOIN courses c ON a.course_id = c.id
+     WHERE wg.student_id = ?
+     ORDER BY wg.completed_at`,
+    [userId]
+  );
+
+  const [activityProgress] = await pool.execute(
+    `SELECT ap.activity_id, a.title as activity_title, c.title as course_title, ap.completed, ap.completed_at
+     FROM activity_progress ap
+     JOIN activities a ON ap.activity_id = a.id
+     JOIN courses c ON a.course_id = c.id
+     WHERE ap.student_id = ?`,
+    [userId]
+  );
+
+  const [courseSurveys] = await pool.execute(
+    `SELECT ss.*, c.title as course_title
+     FROM satisfaction_surveys ss
+     JOIN courses c ON ss.course_id = c.id
+     WHERE ss.student_id = ?`,
+    [userId]
+  );
+
+  const [generalSurveys] = await pool.execute(
+    'SELECT * FROM general_satisfaction_surveys WHERE student_id = ?',
+    [userId]
+  );
+
+  const forumPosts = await selectIfTableExists(
+    'SELECT id, title, content, image_url, created_at, updated_at FROM forum_posts WHERE author_id = ? ORDER BY created_at',
+    [userId]
+  );
+
+  const forumComments = await selectIfTableExists(
+    `SELECT fc.id, fc.post_id, fp.title as post_title, fc.content, fc.created_at, fc.updated_at
+     FROM forum_comments fc
+     LEFT JOIN forum_posts fp ON fc.post_id = fp.id
+     WHERE fc.author_id = ?
+     ORDER BY fc.created_at`,
+    [userId]
+  );
+
+  const notifications = await selectIfTableExists(
+    'SELECT * FROM forum_notifications WHERE user_id = ? ORDER BY created_at',
+    [userId]
+  );
+
+  const [sessions] = await pool.execute(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at, revoked_reason,
+            impersonator_id IS NOT NULL as impersonated
+     FROM user_sessions
+     WHERE user_id = ?
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  const [loginAttempts] = await pool.execute(
+    `SELECT email, ip_address, user_agent, success, failure_reason, created_at
+     FROM login_attempts
+     WHERE user_id = ?
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  const [auditEntries] = await pool.execute(
+    `SELECT action, details, created_at
+     FROM audit_logs
+     WHERE target_user_id = ?
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: userRows[0],
+    identities,
+    enrollments,
+    formadores,
+    formador_courses: formadorCourses,
+    cohorts,
+    learning_paths: learningPaths,
+    quiz_grades: quizGrades.map(grade => ({ ...grade, student_answers: parseJson(grade.student_answers) })),
+    workshop_grades: workshopGrades.map(grade => ({ ...grade, student_answers: parseJson(grade.student_answers) })),
+    activity_progress: activityProgress,
+    course_surveys: courseSurveys,
+    general_surveys: generalSurveys,
+    forum_posts: forumPosts,
+    forum_comments: forumComments,
+    notifications,
+    sessions,
+    login_attempts: loginAttempts,
+    audit_log: auditEntries.map(entry => ({ ...entry, details: parseJson(entry.details) }))
+  };
+};
+
+// Maps a public /uploads/... URL to the file on disk, or null for anything
+// outside the uploads directory (external URLs, path traversal)
+const getUploadPath = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) {
+    return null;
+  }
+
+  const filePath = path.resolve(UPLOADS_DIR, url.substring('/uploads/'.length));
+
+  return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null;
+};
+
+// One JSON file per section plus the images the user uploaded
+const buildPersonalDataZip = async (data) => {
+  const zip = new JSZip();
+
+  for (const [section, value] of Object.entries(data)) {
+    if (section !== 'exported_at') {
+      zip.file(`${section}.json`, JSON.stringify(value, null, 2));
+    }
+  }
+
+  const uploads = [data.profile.profile_image, ...data.forum_posts.map(post => post.image_url)];
+
+  for (const url of uploads) {
+    const filePath = getUploadPath(url);
+
+    if (filePath && fs.existsSync(filePath)) {
+      zip.file(`files/${path.basename(filePath)}`, fs.readFileSync(filePath));
+    }
+  }
+
+  zip.file('README.txt', [
+    `Personal data export of user ${data.profile.id}`,
+    `Generated at ${data.exported_at}`,
+    '',
+    'Each .json file holds one category of data. files/ holds uploaded images.'
+  ].join('\r\n'));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const tableExists = async (connection, table) => {
+  const [rows] = await connection.execute(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+
+  return rows.length > 0;
+};
+
+// Replaces every direct identifier of the account with a pseudonym. Learning
+// records and survey ratings stay linked to the (now anonymous) account so
+// counts and averages do not change; free-text survey answers, credentials,
+// sessions and login history are cleared. Returns the pseudonym, or null
+// when the user does not exist.
+const anonymizeUser = async (userId, { redactForumContent = false } = {}) => {
+  const [userRows] = await pool.execute('SELECT id, name, email, profile_image FROM users WHERE id = ?', [userId]);
+
+  if (userRows.length === 0) {
+    return null;
+  }
+
+  const user = userRows[0];
+  const suffix = generateToken(4);
+  const pseudonym = `Usuario anónimo ${suffix}`;
+  const pseudonymousEmail = `anon-${userId}-${suffix}@anonymized.invalid`;
+  const hashedPassword = await bcrypt.hash(generateToken(32), 10);
+
+  await revokeUserSessions(userId, 'anonymized');
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(
+      `UPDATE users
+       SET name = ?, email = ?, password = ?, profile_image = NULL, bio = NULL,
+           status = 'archived', status_reason = 'anonymized', status_changed_at = NOW(), anonymized_at = NOW()
+       WHERE id = ?`,
+      [pseudonym, pseudonymousEmail, hashedPassword, userId]
+    );
+
+    await connection.execute('DELETE FROM user_identities WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM account_lockouts WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM oidc_logins WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM login_attempts WHERE user_id = ? OR email = ?', [userId, user.email]);
+    await connection.execute(
+      'UPDATE user_sessions SET ip_address = NULL, user_agent = NULL WHERE user_id = ?',
+      [userId]
+    );
+    await connection.execute(
+      'UPDATE invitations SET email = ?, name = ? WHERE accepted_user_id = ? OR email = ?',
+      [pseudonymousEmail, pseudonym, userId, user.email]
+    );
+
+    // Ratings feed the dashboard; the free-text answers may identify the person
+    await connection.execute('UPDATE satisfaction_surveys SET comments = NULL WHERE student_id = ?', [userId]);
+    await connection.execute(
+      'UPDATE general_satisfaction_surveys SET comments = NULL, suggestions = NULL WHERE student_id = ?',
+      [userId]
+    );
+
+    // External content may identify the learner by email and name in xAPI
+    // statements; they keep only the account id, like the ones we generate
+    const agent = platformAgent(userId);
+    await connection.execute(
+      "UPDATE xapi_statements SET actor_ifi = ?, statement = JSON_SET(statement, '$.actor', CAST(? AS JSON)) WHERE actor_user_id = ?",
+      [agentIfi(agent), JSON.stringify(agent), userId]
+    );
+
+    // Webhook payloads carry the name and email; the log goes with them
+    await connection.execute('DELETE FROM webhook_events WHERE user_id = ?', [userId]);
+
+    if (await tableExists(connection, 'forum_notifications')) {
+      await connection.execute('DELETE FROM forum_notifications WHERE user_id = ?', [userId]);
+      // Notifications about the user's own posts and comments start with their
+      // name ("Ana comentó en tu publicación"); only that prefix is rewritten
+      await connection.execute(
+        `UPDATE forum_notifications
+         SET message = CONCAT(?, SUBSTRING(message, CHAR_LENGTH(?) + 1))
+         WHERE LEFT(message, CHAR_LENGTH(?)) = ?
+           AND ((related_comment_id IS NULL AND related_post_id IN (SELECT id FROM forum_posts WHERE author_id = ?))
+             OR related_comment_id IN (SELECT id FROM forum_comments WHERE author_id = ?))`,
+        [pseudonym, user.name, user.name, user.name, userId, userId]
+      );
+    }
+
+    if (redactForumContent && await tableExists(connection, 'forum_posts')) {
+      await connection.execute(
+        "UPDATE forum_posts SET content = '[contenido eliminado]', image_url = NULL WHERE author_id = ?",
+        [userId]
+      );
+      await connection.execute(
+        "UPDATE forum_comments SET content = '[contenido eliminado]' WHERE author_id = ?",
+        [userId]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const profileImagePath = getUploadPath(user.profile_image);
+
+  if (profileImagePath) {
+    fs.promises.unlink(profileImagePath).catch(() => {});
+  }
+
+  return pseudonym;
+};
+
+module.exports = {
+  collectPersonalData,
+  buildPersonalDataZip,
+  anonymizeUser
+};
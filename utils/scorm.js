@@ -0,0 +1,791 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { SaxesParser } = require('saxes');
+const { pool } = require('../config/database');
+const { getStudentCourseVersion, findSnapshotActivity } = require('./course-versions');
+const { publishActivityCompleted } = require('./webhooks');
+const { advanceLearningPaths } = require('./learning-paths');
+
+// SCORM 1.2 and 2004 packages. A package belongs to an activity and is
+// unpacked under uploads/scorm/<folder>/ and its SCOs are served by
+// routes/media.js to whoever holds a launch token for that folder. Each launchable item of the default organization is
+// a row of scorm_scos; students get one scorm_attempts row per attempt of a
+// SCO, holding the runtime data model (cmi.*) the SCO reads and writes
+// through the API adapter of the player. Completion marks the activity as
+// completed and scores are listed in the gradebook.
+//
+// Packages are not part of course versions: students of any version see the
+// packages of the activity.
+
+const SCORM_DIR = path.join(__dirname, '../uploads/scorm');
+const MAX_PACKAGE_ENTRIES = 10000;
+const MAX_UNPACKED_SIZE = 1024 * 1024 * 1024; // 1GB
+const MAX_CMI_ELEMENTS = 5000;
+
+// ---------------------------------------------------------------------------
+// imsmanifest.xml
+
+const parseXml = (xml) => {
+  const parser = new SaxesParser();
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+
+  parser.on('opentag', (tag) => {
+    const node = { name: tag.name, attributes: tag.attributes, children: [], text: '' };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  });
+  parser.on('text', (text) => {
+    stack[stack.length - 1].text += text;
+  });
+  parser.on('cdata', (text) => {
+    stack[stack.length - 1].text += text;
+  });
+  parser.on('closetag', () => {
+    stack.pop();
+  });
+
+  parser.write(xml.replace(/^\uFEFF/, '')).close();
+
+  return root.children[0];
+};
+
+// Manifests mix prefixes (adlcp:, imsss:) and casing (scormtype / scormType)
+const localName = (name) => name.split(':').pop().toLowerCase();
+const childrenNamed = (node, name) => (node ? node.children.filter(child => localName(child.name) === name) : []);
+const childNamed = (node, name) => childrenNamed(node, name)[0] || null;
+const attributeOf = (node, name) => {
+  const key = node ? Object.keys(node.attributes).find(attribute => localName(attribute) === name) : null;
+  return key ? node.attributes[key] : null;
+};
+const textOf = (node) => (node ? node.text.trim() : null);
+
+const detectVersion = (manifest) => {
+  const schemaVersion = textOf(childNamed(childNamed(manifest, 'metadata'), 'schemaversion'));
+
+  if (schemaVersion === '1.2') {
+    return '1.2';
+  }
+
+  if (schemaVersion && /2004|CAM 1\.3/i.test(schemaVersion)) {
+    return '2004';
+  }
+
+  const namespaces = Object.values(manifest.attributes).join(' ');
+
+  return /adlcp_v1p3|imsss|adlseq/.test(namespaces) ? '2004' : '1.2';
+};
+
+const joinPath = (...parts) => path.posix.normalize(parts.filter(Boolean).join('/')).replace(/^\.\//, '');
+
+// Query parameters of the item go after the href (SCORM CAM, "parameters")
+const appendParameters = (href, parameters) => {
+  if (!parameters) {
+    return href;
+  }
+
+  if (parameters.startsWith('#')) {
+    return `${href}${parameters}`;
+  }
+
+  return `${href}${href.includes('?') ? '&' : '?'}${parameters.replace(/^[?&]/, '')}`;
+};
+
+// Passing score of an item as a percentage, or null
+const itemPassingScore = (item, version) => {
+  if (version === '1.2') {
+    const mastery = Number.parseFloat(textOf(childNamed(item, 'masteryscore')));
+    return Number.isFinite(mastery) ? mastery : null;
+  }
+
+  const objectives = childNamed(childNamed(item, 'sequencing'), 'objectives');
+  const primary = childNamed(objectives, 'primaryobjective');
+
+  if (!primary || attributeOf(primary, 'satisfiedbymeasure') !== 'true') {
+    return null;
+  }
+
+  const measure = Number.parseFloat(textOf(childNamed(primary, 'minnormalizedmeasure')));
+  return Number.isFinite(measure) ? measure * 100 : null;
+};
+
+// { version, identifier, title, scos: [{ identifier, title, launch_path,
+// scorm_type, passing_score, launch_data, order_index }] }
+const parseManifest = (xml) => {
+  let manifest;
+
+  try {
+    manifest = parseXml(xml);
+  } catch (error) {
+    throw new Error(`imsmanifest.xml is not valid XML: ${error.message}`);
+  }
+
+  if (!manifest || localName(manifest.name) !== 'manifest') {
+    throw new Error('imsmanifest.xml has no manifest element');
+  }
+
+  const version = detectVersion(manifest);
+  const organizations = childNamed(manifest, 'organizations');
+  const defaultOrganization = attributeOf(organizations, 'default');
+  const organization = childrenNamed(organizations, 'organization')
+    .find(candidate => attributeOf(candidate, 'identifier') === defaultOrganization)
+    || childNamed(organizations, 'organization');
+
+  if (!organization) {
+    throw new Error('imsmanifest.xml has no organization');
+  }
+
+  const resourcesNode = childNamed(manifest, 'resources');
+  const resources = new Map(childrenNamed(resourcesNode, 'resource').map(resource => [
+    attributeOf(resource, 'identifier'),
+    {
+      href: attributeOf(resource, 'href'),
+      base: joinPath(attributeOf(resourcesNode, 'base'), attributeOf(resource, 'base')),
+      scormType: (attributeOf(resource, 'scormtype') || 'asset').toLowerCase()
+    }
+  ]));
+
+  const scos = [];
+
+  const collectItems = (parent) => {
+    for (const item of childrenNamed(parent, 'item')) {
+      const resource = resources.get(attributeOf(item, 'identifierref'));
+
+      if (resource && resource.href) {
+        scos.push({
+          identifier: attributeOf(item, 'identifier'),
+          title: textOf(childNamed(item, 'title')) || attributeOf(item, 'identifier'),
+          launch_path: appendParameters(joinPath(resource.base, resource.href), attributeOf(item, 'parameters')),
+          scorm_type: resource.scormType === 'sco' ? 'sco' : 'asset',
+          passing_score: itemPassingScore(item, version),
+          launch_data: textOf(childNamed(item, 'datafromlms')),
+          order_index: scos.length
+        });
+      }
+
+      collectItems(item);
+    }
+  };
+
+  collectItems(organization);
+
+  if (scos.length === 0) {
+    throw new Error('The package has no launchable items');
+  }
+
+  return {
+    version,
+    identifier: attributeOf(manifest, 'identifier'),
+    title: textOf(childNamed(organization, 'title')) || attributeOf(manifest, 'identifier') || 'SCORM',
+    scos
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Package files
+
+// Reads an uploaded ZIP. imsmanifest.xml may sit at the root or inside a
+// single top folder. Returns { manifest, files: [{ name, entry }] } with
+// names relative to the manifest; throws with a readable message when the
+// package cannot be used.
+const readScormPackage = async (buffer) => {
+  let zip;
+
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new Error('The package is not a valid ZIP file');
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  if (entries.length > MAX_PACKAGE_ENTRIES) {
+    throw new Error(`The package has more than ${MAX_PACKAGE_ENTRIES} files`);
+  }
+
+  const manifestEntry = entries
+    .filter(entry => path.posix.basename(entry.name).toLowerCase() === 'imsmanifest.xml')
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+
+  if (!manifestEntry) {
+    throw new Error('The package has no imsmanifest.xml');
+  }
+
+  const base = path.posix.dirname(manifestEntry.name);
+  const files = [];
+
+  for (const entry of entries) {
+    const name = base === '.' ? entry.name : path.posix.relative(base, entry.name);
+
+    // Never write outside the package folder
+    if (!name || name.startsWith('..') || path.posix.isAbsolute(name) || name.includes('\\')) {
+      continue;
+    }
+
+    files.push({ name: path.posix.normalize(name), entry });
+  }
+
+  const manifest = parseManifest(await manifestEntry.async('string'));
+  const names = new Set(files.map(file => file.name));
+
+  for (const sco of manifest.scos) {
+    const launchFile = decodeURIComponent(sco.launch_path.split(/[?#]/)[0]);
+
+    if (!names.has(launchFile)) {
+      throw new Error(`The launch file ${launchFile} of item ${sco.identifier} is not in the package`);
+    }
+  }
+
+  return { manifest, files };
+};
+
+const unpackFiles = async (folder, files) => {
+  const target = path.join(SCORM_DIR, folder);
+  let size = 0;
+
+  for (const file of files) {
+    const content = await file.entry.async('nodebuffer');
+    size += content.length;
+
+    if (size > MAX_UNPACKED_SIZE) {
+      throw new Error('The unpacked package is larger than 1GB');
+    }
+
+    const filePath = path.join(target, file.name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  return size;
+};
+
+const removePackageFolder = (folder) => {
+  fs.promises.rm(path.join(SCORM_DIR, folder), { recursive: true, force: true }).catch(() => {});
+};
+
+// launchToken: from signScormLaunchToken (utils/media.js) for the package folder
+const launchUrl = (launchToken, launchPath) => `/uploads/scorm/${launchToken}/${launchPath}`;
+
+// Unpacks a package read by readScormPackage and stores it under activityId.
+// Returns the id of the new package.
+const installScormPackage = async ({ manifest, files }, { activityId, title, actorId }) => {
+  const folder = crypto.randomUUID();
+
+  try {
+    const size = await unpackFiles(folder, files);
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `INSERT INTO scorm_packages (activity_id, title, scorm_version, identifier, folder, size, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [activityId, title || manifest.title, manifest.version, manifest.identifier, folder, size, actorId]
+      );
+
+      await connection.query(
+        `INSERT INTO scorm_scos (package_id, identifier, title, launch_path, scorm_type, passing_score, launch_data, order_index)
+         VALUES ?`,
+        [manifest.scos.map(sco => [
+          result.insertId,
+          sco.identifier,
+          sco.title,
+          sco.launch_path,
+          sco.scorm_type,
+          sco.passing_score,
+          sco.launch_data,
+          sco.order_index
+        ])]
+      );
+
+      await connection.commit();
+
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    removePackageFolder(folder);
+    throw error;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Runtime data model
+
+const vocabulary = (values) => (value) => values.includes(value);
+const text = (max) => (value) => value.length <= max;
+const decimal = (min = -Infinity, max = Infinity) => (value) => (
+  /^-?\d+(\.\d+)?$/.test(value) && Number(value) >= min && Number(value) <= max
+);
+const optionalDecimal = (min, max) => (value) => value === '' || decimal(min, max)(value);
+
+// HHHH:MM:SS.SS
+const parseTimespan = (value) => {
+  const match = /^(\d{2,4}):([0-5]\d):([0-5]\d(?:\.\d{1,2})?)$/.exec(value);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+};
+
+// ISO 8601 duration (P1DT2H3M4.5S); years and months as 365 and 30 days
+const parseDuration = (value) => {
+  const match = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(\d+(?:\.\d{1,2})?S)?)?$/.exec(value);
+
+  if (!match || value === 'P' || value.endsWith('T')) {
+    return null;
+  }
+
+  const [, years, months, days, hours, minutes, seconds] = match.map(part => Number.parseFloat(part) || 0);
+  return ((years * 365 + months * 30 + days) * 24 + hours) * 3600 + minutes * 60 + seconds;
+};
+
+const formatTimespan = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toFixed(2);
+
+  return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds.padStart(5, '0')}`;
+};
+
+const formatDuration = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.round((totalSeconds % 60) * 100) / 100;
+
+  return `PT${hours}H${minutes}M${seconds}S`;
+};
+
+// Elements of each version: [element or pattern, access (r, w, rw), check]
+const DATA_MODEL = {
+  '1.2': [
+    ['cmi.core.student_id', 'r'],
+    ['cmi.core.student_name', 'r'],
+    ['cmi.core.lesson_location', 'rw', text(255)],
+    ['cmi.core.credit', 'r'],
+    ['cmi.core.lesson_status', 'rw', vocabulary(['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'])],
+    ['cmi.core.entry', 'r'],
+    ['cmi.core.score.raw', 'rw', optionalDecimal(0, 100)],
+    ['cmi.core.score.min', 'rw', optionalDecimal(0, 100)],
+    ['cmi.core.score.max', 'rw', optionalDecimal(0, 100)],
+    ['cmi.core.total_time', 'r'],
+    ['cmi.core.lesson_mode', 'r'],
+    ['cmi.core.exit', 'w', vocabulary(['time-out', 'suspend', 'logout', ''])],
+    ['cmi.core.session_time', 'w', (value) => parseTimespan(value) !== null],
+    ['cmi.suspend_data', 'rw', text(4096)],
+    ['cmi.launch_data', 'r'],
+    ['cmi.comments', 'rw', text(4096)],
+    ['cmi.comments_from_lms', 'r'],
+    ['cmi.student_data.mastery_score', 'r'],
+    [/^cmi\.objectives\.\d+\.(id|score\.raw|score\.min|score\.max|status)$/, 'rw', text(255)],
+    [/^cmi\.interactions\.\d+\.(id|objectives\.\d+\.id|time|type|correct_responses\.\d+\.pattern|weighting|student_response|result|latency)$/, 'w', text(4096)],
+    [/^cmi\.student_preference\.(audio|language|speed|text)$/, 'rw', text(255)]
+  ],
+  '2004': [
+    ['cmi.learner_id', 'r'],
+    ['cmi.learner_name', 'r'],
+    ['cmi.location', 'rw', text(1000)],
+    ['cmi.credit', 'r'],
+    ['cmi.completion_status', 'rw', vocabulary(['completed', 'incomplete', 'not attempted', 'unknown'])],
+    ['cmi.success_status', 'rw', vocabulary(['passed', 'failed', 'unknown'])],
+    ['cmi.entry', 'r'],
+    ['cmi.score.scaled', 'rw', decimal(-1, 1)],
+    ['cmi.score.raw', 'rw', decimal()],
+    ['cmi.score.min', 'rw', decimal()],
+    ['cmi.score.max', 'rw', decimal()],
+    ['cmi.progress_measure', 'rw', decimal(0, 1)],
+    ['cmi.total_time', 'r'],
+    ['cmi.mode', 'r'],
+    ['cmi.exit', 'w', vocabulary(['time-out', 'suspend', 'logout', 'normal', ''])],
+    ['cmi.session_time', 'w', (value) => parseDuration(value) !== null],
+    ['cmi.suspend_data', 'rw', text(64000)],
+    ['cmi.launch_data', 'r'],
+    ['cmi.scaled_passing_score', 'r'],
+    [/^cmi\.objectives\.\d+\.(id|score\.scaled|score\.raw|score\.min|score\.max|success_status|completion_status|progress_measure|description)$/, 'rw', text(4000)],
+    [/^cmi\.interactions\.\d+\.(id|type|objectives\.\d+\.id|timestamp|correct_responses\.\d+\.pattern|weighting|learner_response|result|latency|description)$/, 'rw', text(4000)],
+    [/^cmi\.comments_from_learner\.\d+\.(comment|location|timestamp)$/, 'rw', text(4000)],
+    [/^cmi\.learner_preference\.(audio_level|language|delivery_speed|audio_captioning)$/, 'rw', text(255)]
+  ]
+};
+
+// Error codes each version's API returns for a rejected SetValue
+const SET_VALUE_ERRORS = {
+  '1.2': { undefined: 401, readOnly: 403, invalid: 405 },
+  '2004': { undefined: 401, readOnly: 404, invalid: 406 }
+};
+
+// Element names of each version for the fields the LMS tracks
+const ELEMENTS = {
+  '1.2': {
+    location: 'cmi.core.lesson_location',
+    exit: 'cmi.core.exit',
+    sessionTime: 'cmi.core.session_time',
+    scoreRaw: 'cmi.core.score.raw',
+    scoreMin: 'cmi.core.score.min',
+    scoreMax: 'cmi.core.score.max'
+  },
+  '2004': {
+    location: 'cmi.location',
+    exit: 'cmi.exit',
+    sessionTime: 'cmi.session_time',
+    scoreRaw: 'cmi.score.raw',
+    scoreMin: 'cmi.score.min',
+    scoreMax: 'cmi.score.max'
+  }
+};
+
+const findElement = (version, element) => DATA_MODEL[version].find(([name]) => (
+  typeof name === 'string' ? name === element : name.test(element)
+));
+
+// Validates the values a SCO set since its last commit. Returns { accepted,
+// errors }; errors carry the SCORM error code of the version.
+const validateCmiValues = (version, values) => {
+  const accepted = {};
+  const errors = [];
+  const codes = SET_VALUE_ERRORS[version];
+
+  for (const [element, rawValue] of Object.entries(values)) {
+    const definition = findElement(version, element);
+    const value = rawValue === null || rawValue === undefined ? '' : String(rawValue);
+
+    if (!definition) {
+      errors.push({ element, code: codes.undefined, message: 'Undefined data model element' });
+    } else if (definition[1] === 'r') {
+      errors.push({ element, code: codes.readOnly, message: 'Element is read only' });
+    } else if (definition[2] && !definition[2](value)) {
+      errors.push({ element, code: codes.invalid, message: 'Incorrect data type' });
+    } else {
+      accepted[element] = value;
+    }
+  }
+
+  return { accepted, errors };
+};
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Status and score columns of an attempt from its data model. Applies the
+// passing score of the SCO when the SCO reported a score: 1.2 turns
+// completed into passed/failed against the mastery score, 2004 sets
+// success_status from scaled_passing_score.
+const summarizeCmi = (version, cmi, sco) => {
+  const elements = ELEMENTS[version];
+  const raw = toNumber(cmi[elements.scoreRaw]);
+  const min = toNumber(cmi[elements.scoreMin]);
+  const max = toNumber(cmi[elements.scoreMax]);
+  const scaled = version === '2004' ? toNumber(cmi['cmi.score.scaled']) : null;
+  const passingScore = sco.passing_score === null ? null : Number(sco.passing_score);
+
+  let percentage = null;
+
+  if (scaled !== null) {
+    percentage = scaled * 100;
+  } else if (raw !== null) {
+    percentage = max !== null && max > (min || 0) ? ((raw - (min || 0)) / (max - (min || 0))) * 100 : raw;
+  }
+
+  if (percentage !== null) {
+    percentage = Math.round(Math.min(Math.max(percentage, 0), 100) * 100) / 100;
+  }
+
+  let completionStatus;
+  let successStatus;
+
+  if (version === '1.2') {
+    let lessonStatus = cmi['cmi.core.lesson_status'] || 'not attempted';
+
+    if (passingScore !== null && percentage !== null && ['completed', 'passed', 'failed'].includes(lessonStatus)) {
+      lessonStatus = percentage >= passingScore ? 'passed' : 'failed';
+      cmi['cmi.core.lesson_status'] = lessonStatus;
+    }
+
+    completionStatus = {
+      passed: 'completed',
+      failed: 'completed',
+      completed: 'completed',
+      incomplete: 'incomplete',
+      browsed: 'incomplete'
+    }[lessonStatus] || 'not attempted';
+    successStatus = ['passed', 'failed'].includes(lessonStatus) ? lessonStatus : 'unknown';
+  } else {
+    completionStatus = cmi['cmi.completion_status'] || 'unknown';
+    successStatus = cmi['cmi.success_status'] || 'unknown';
+
+    if (passingScore !== null && scaled !== null) {
+      successStatus = scaled * 100 >= passingScore ? 'passed' : 'failed';
+      cmi['cmi.success_status'] = successStatus;
+    }
+  }
+
+  return {
+    completion_status: completionStatus,
+    success_status: successStatus,
+    score_raw: raw,
+    score_min: min,
+    score_max: max,
+    score_scaled: scaled,
+    percentage,
+    location: cmi[elements.location] || null
+  };
+};
+
+const parseCmi = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Values handed to the SCO on Initialize: what it stored plus the read-only
+// elements the LMS provides
+const buildLaunchCmi = (attempt, sco, student, entry) => {
+  const cmi = parseCmi(attempt.cmi);
+  const totalSeconds = Number(attempt.total_seconds) || 0;
+  const passingScore = sco.passing_score === null ? '' : String(Number(sco.passing_score));
+  const stored = Object.fromEntries(Object.entries(cmi).filter(([element]) => {
+    const definition = findElement(attempt.scorm_version, element);
+    return definition && definition[1] !== 'w';
+  }));
+
+  if (attempt.scorm_version === '1.2') {
+    return {
+      'cmi.core.lesson_status': 'not attempted',
+      ...stored,
+      'cmi.core.student_id': String(student.id),
+      'cmi.core.student_name': student.name,
+      'cmi.core.credit': 'credit',
+      'cmi.core.entry': entry,
+      'cmi.core.total_time': formatTimespan(totalSeconds),
+      'cmi.core.lesson_mode': 'normal',
+      'cmi.launch_data': sco.launch_data || '',
+      'cmi.comments_from_lms': '',
+      'cmi.student_data.mastery_score': passingScore
+    };
+  }
+
+  return {
+    'cmi.completion_status': 'unknown',
+    'cmi.success_status': 'unknown',
+    ...stored,
+    'cmi.learner_id': String(student.id),
+    'cmi.learner_name': student.name,
+    'cmi.credit': 'credit',
+    'cmi.entry': entry,
+    'cmi.total_time': formatDuration(totalSeconds),
+    'cmi.mode': 'normal',
+    'cmi.launch_data': sco.launch_data || '',
+    'cmi.scaled_passing_score': passingScore === '' ? '' : String(Number(passingScore) / 100)
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Attempts
+
+// SCO of a package a student may launch: the package is not archived and its
+// activity is in the course version the student is pinned to. Returns null
+// otherwise.
+const findStudentSco = async (scoId, studentId) => {
+  const [rows] = await pool.execute(
+    `SELECT s.*, p.scorm_version, p.folder, p.activity_id, a.course_id
+     FROM scorm_scos s
+     JOIN scorm_packages p ON s.package_id = p.id
+     JOIN activities a ON p.activity_id = a.id
+     WHERE s.id = ? AND p.archived_at IS NULL`,
+    [scoId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const pinned = await getStudentCourseVersion(rows[0].course_id, studentId);
+
+  if (!pinned || !pinned.snapshot || !findSnapshotActivity(pinned.snapshot, rows[0].activity_id)) {
+    return null;
+  }
+
+  return rows[0];
+};
+
+// Resumes the open attempt of the student or starts a new one. An attempt
+// stays open until the SCO finishes it completed (or passed/failed) without
+// suspending, so closing the window half-way resumes where the student was.
+// Returns { attempt, entry }.
+const openAttempt = async (sco, studentId) => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM scorm_attempts WHERE sco_id = ? AND student_id = ? ORDER BY attempt_number DESC LIMIT 1',
+    [sco.id, studentId]
+  );
+
+  const latest = rows[0];
+
+  if (latest && !latest.ended_at) {
+    const entry = latest.last_exit === 'suspend' ? 'resume' : '';
+
+    await pool.execute('UPDATE scorm_attempts SET sessions = sessions + 1 WHERE id = ?', [latest.id]);
+
+    return { attempt: { ...latest, scorm_version: sco.scorm_version }, entry };
+  }
+
+  const attemptNumber = latest ? latest.attempt_number + 1 : 1;
+
+  const [result] = await pool.execute(
+    `INSERT INTO scorm_attempts (sco_id, package_id, student_id, attempt_number, completion_status, success_status, cmi)
+     VALUES (?, ?, ?, ?, ?, 'unknown', ?)`,
+    [sco.id, sco.package_id, studentId, attemptNumber, sco.scorm_version === '1.2' ? 'not attempted' : 'unknown', JSON.stringify({})]
+  );
+
+  const [created] = await pool.execute('SELECT * FROM scorm_attempts WHERE id = ?', [result.insertId]);
+
+  return { attempt: { ...created[0], scorm_version: sco.scorm_version }, entry: 'ab-initio' };
+};
+
+// Attempt of the student with its SCO, or null
+const findStudentAttempt = async (attemptId, studentId) => {
+  const [rows] = await pool.execute(
+    `SELECT sa.*, p.scorm_version, p.activity_id, s.passing_score
+     FROM scorm_attempts sa
+     JOIN scorm_scos s ON sa.sco_id = s.id
+     JOIN scorm_packages p ON sa.package_id = p.id
+     WHERE sa.id = ? AND sa.student_id = ?`,
+    [attemptId, studentId]
+  );
+
+  return rows[0] || null;
+};
+
+// The activity counts as completed once every SCO of the package has a
+// completed attempt. The first time, activity.completed is published.
+const syncActivityProgress = async (packageId, activityId, studentId) => {
+  const [rows] = await pool.execute(
+    `SELECT COUNT(*) as total,
+            SUM(EXISTS (
+              SELECT 1 FROM scorm_attempts sa
+              WHERE sa.sco_id = s.id AND sa.student_id = ? AND sa.completion_status = 'completed'
+            )) as completed
+     FROM scorm_scos s
+     WHERE s.package_id = ? AND s.scorm_type = 'sco'`,
+    [studentId, packageId]
+  );
+
+  const total = Number(rows[0].total);
+
+  if (total === 0 || Number(rows[0].completed) < total) {
+    return false;
+  }
+
+  const [progress] = await pool.execute(
+    'SELECT completed FROM activity_progress WHERE student_id = ? AND activity_id = ?',
+    [studentId, activityId]
+  );
+
+  if (progress.length > 0 && progress[0].completed) {
+    return true;
+  }
+
+  await pool.execute(
+    `INSERT INTO activity_progress (student_id, activity_id, completed, completed_at)
+     VALUES (?, ?, TRUE, NOW())
+     ON DUPLICATE KEY UPDATE completed_at = IF(completed, completed_at, NOW()), completed = TRUE`,
+    [studentId, activityId]
+  );
+
+  publishActivityCompleted(studentId, activityId);
+  advanceLearningPaths(studentId, activityId);
+
+  return true;
+};
+
+// Stores the values of a Commit (or of Terminate/Finish, with finish) and
+// updates the status, score and progress derived from them. Returns
+// { errors, attempt, activityCompleted }; attempt is null when nothing could
+// be stored.
+const commitAttempt = async (attempt, values, { finish = false } = {}) => {
+  const version = attempt.scorm_version;
+  const elements = ELEMENTS[version];
+  const { accepted, errors } = validateCmiValues(version, values || {});
+  const cmi = { ...parseCmi(attempt.cmi), ...accepted };
+
+  if (Object.keys(cmi).length > MAX_CMI_ELEMENTS) {
+    return { errors: [{ element: null, code: SET_VALUE_ERRORS[version].invalid, message: 'Too many data model elements' }], attempt: null };
+  }
+
+  let totalSeconds = Number(attempt.total_seconds) || 0;
+  let lastExit = attempt.last_exit;
+
+  // session_time and exit only mean something for the session that ends
+  if (finish) {
+    const sessionSeconds = version === '1.2' ? parseTimespan(cmi[elements.sessionTime] || '') : parseDuration(cmi[elements.sessionTime] || '');
+    totalSeconds += sessionSeconds || 0;
+    lastExit = cmi[elements.exit] || null;
+    delete cmi[elements.sessionTime];
+    delete cmi[elements.exit];
+  }
+
+  const summary = summarizeCmi(version, cmi, attempt);
+  const finished = summary.completion_status === 'completed' || summary.success_status !== 'unknown';
+  const ended = finish && finished && lastExit !== 'suspend';
+
+  await pool.execute(
+    `UPDATE scorm_attempts
+     SET cmi = ?, completion_status = ?, success_status = ?, score_raw = ?, score_min = ?, score_max = ?,
+         score_scaled = ?, percentage = ?, total_seconds = ?, last_exit = ?,
+         completed_at = IF(? AND completed_at IS NULL, NOW(), completed_at),
+         ended_at = IF(?, NOW(), ended_at)
+     WHERE id = ?`,
+    [
+      JSON.stringify(cmi),
+      summary.completion_status,
+      summary.success_status,
+      summary.score_raw,
+      summary.score_min,
+      summary.score_max,
+      summary.score_scaled,
+      summary.percentage,
+      totalSeconds,
+      lastExit,
+      summary.completion_status === 'completed',
+      ended,
+      attempt.id
+    ]
+  );
+
+  const activityCompleted = summary.completion_status === 'completed'
+    ? await syncActivityProgress(attempt.package_id, attempt.activity_id, attempt.student_id)
+    : false;
+
+  return {
+    errors,
+    activityCompleted,
+    attempt: {
+      id: attempt.id,
+      attempt_number: attempt.attempt_number,
+      ...summary,
+      total_time: version === '1.2' ? formatTimespan(totalSeconds) : formatDuration(totalSeconds),
+      ended
+    }
+  };
+};
+
+module.exports = {
+  SCORM_DIR,
+  parseManifest,
+  readScormPackage,
+  installScormPackage,
+  launchUrl,
+  validateCmiValues,
+  summarizeCmi,
+  buildLaunchCmi,
+  findStudentSco,
+  openAttempt,
+  findStudentAttempt,
+  commitAttempt,
+  parseTimespan,
+  parseDuration
+};
@@ -0,0 +1,237 @@
+const { pool } = require('../config/database');
+const { findSnapshotItem } = require('./course-versions');
+
+// Activity sequencing. order_index only sorts activities; whether a student
+// may open one is decided by the rules of the version they are pinned to:
+//   sequence_mode 'sequential'  every earlier activity must be completed
+//   prerequisite 'activity'     required_activity_id must be completed
+//   prerequisite 'quiz'         best grade at quiz_id >= min_percentage
+//                               (the quiz's passing_score when null)
+// Rules pointing at something the version does not have are ignored.
+// Only students are gated; staff always see every activity.
+
+const SEQUENCE_MODES = ['free', 'sequential'];
+const PREREQUISITE_TYPES = ['activity', 'quiz'];
+
+const describeRequirement = (requirement) => (
+  requirement.type === 'quiz'
+    ? `Score at least ${requirement.min_percentage}% in "${requirement.title}"`
+    : `Complete "${requirement.title}" first`
+);
+
+const getStudentState = async (snapshot, studentId) => {
+  const activityIds = snapshot.activities.map(activity => activity.id);
+  const quizIds = [...new Set(snapshot.activities.flatMap(activity => (activity.prerequisites || [])
+    .filter(prerequisite => prerequisite.prerequisite_type === 'quiz')
+    .map(prerequisite => prerequisite.quiz_id)))];
+  let progressRows = [];
+  let gradeRows = [];
+
+  if (activityIds.length > 0) {
+    [progressRows] = await pool.query(
+      'SELECT activity_id FROM activity_progress WHERE student_id = ? AND completed = TRUE AND activity_id IN (?)',
+      [studentId, activityIds]
+    );
+  }
+
+  if (quizIds.length > 0) {
+    [gradeRows] = await pool.query(
+      'SELECT quiz_id, MAX(percentage) as best_percentage FROM grades WHERE student_id = ? AND quiz_id IN (?) GROUP BY quiz_id',
+      [studentId, quizIds]
+    );
+  }
+
+  return {
+    completed: new Set(progressRows.map(row => row.activity_id)),
+    bestPercentages: new Map(gradeRows.map(row => [row.quiz_id, Number(row.best_percentage)]))
+  };
+};
+
+// Unmet requirements of every activity of a snapshot for a student:
+// Map activityId -> [{ type: sequential|activity, activity_id, title } |
+// { type: quiz, quiz_id, title, min_percentage, best_percentage }]
+const getUnmetRequirements = async (snapshot, studentId) => {
+  const { completed, bestPercentages } = await getStudentState(snapshot, studentId);
+  const sequential = snapshot.course.sequence_mode === 'sequential';
+  const unmet = new Map();
+
+  snapshot.activities.forEach((activity, index) => {
+    const requirements = [];
+
+    if (sequential) {
+      for (const previous of snapshot.activities.slice(0, index)) {
+        if (!completed.has(previous.id)) {
+          requirements.push({ type: 'sequential', activity_id: previous.id, title: previous.title });
+        }
+      }
+    }
+
+    for (const prerequisite of activity.prerequisites || []) {
+      if (prerequisite.prerequisite_type === 'activity') {
+        const required = snapshot.activities.find(candidate => candidate.id === prerequisite.required_activity_id);
+
+        if (required && !completed.has(required.id) && !requirements.some(requirement => requirement.activity_id === required.id)) {
+          requirements.push({ type: 'activity', activity_id: required.id, title: required.title });
+        }
+        continue;
+      }
+
+      const found = findSnapshotItem(snapshot, 'quizzes', prerequisite.quiz_id);
+
+      if (!found) {
+        continue;
+      }
+
+      const minPercentage = Number(prerequisite.min_percentage ?? found.item.passing_score);
+      const bestPercentage = bestPercentages.has(found.item.id) ? bestPercentages.get(found.item.id) : null;
+
+      if (bestPercentage === null || bestPercentage < minPercentage) {
+        requirements.push({
+          type: 'quiz',
+          quiz_id: found.item.id,
+          title: found.item.title,
+          min_percentage: minPercentage,
+          best_percentage: bestPercentage
+        });
+      }
+    }
+
+    unmet.set(activity.id, requirements);
+  });
+
+  return unmet;
+};
+
+// Lock state of every activity of a snapshot for a student:
+// Map activityId -> { is_locked, lock_reason, requirements }
+const getActivityLocks = async (snapshot, studentId) => {
+  const unmet = await getUnmetRequirements(snapshot, studentId);
+  const locks = new Map();
+
+  for (const [activityId, requirements] of unmet) {
+    locks.set(activityId, {
+      is_locked: requirements.length > 0,
+      lock_reason: requirements.length > 0 ? requirements.map(describeRequirement).join('; ') : null,
+      requirements
+    });
+  }
+
+  return locks;
+};
+
+// Null when the student may open the activity; otherwise the body of the 403
+// the routes answer with
+const getActivityLock = async (snapshot, activityId, studentId) => {
+  const lock = (await getActivityLocks(snapshot, studentId)).get(Number(activityId));
+
+  if (!lock || !lock.is_locked) {
+    return null;
+  }
+
+  return { message: 'This activity is locked', lock_reason: lock.lock_reason, requirements: lock.requirements };
+};
+
+// Checks a sequencing configuration against the draft of a course before it
+// is stored. activities: [{ id, title, order_index }] in display order;
+// quizzes: [{ id, activity_id }]. Returns the list of problems, empty when
+// the configuration is valid.
+const validateSequencing = ({ sequenceMode, prerequisites }, { activities, quizzes }) => {
+  const errors = [];
+  const activityIds = new Set(activities.map(activity => activity.id));
+  const quizActivity = new Map(quizzes.map(quiz => [quiz.id, quiz.activity_id]));
+
+  if (!SEQUENCE_MODES.includes(sequenceMode)) {
+    errors.push('sequence_mode must be free or sequential');
+  }
+
+  // activity -> activities it waits for
+  const dependencies = new Map(activities.map(activity => [activity.id, new Set()]));
+
+  if (sequenceMode === 'sequential') {
+    activities.forEach((activity, index) => {
+      activities.slice(0, index).forEach(previous => dependencies.get(activity.id).add(previous.id));
+    });
+  }
+
+  prerequisites.forEach((prerequisite, index) => {
+    const field = `prerequisites[${index}]`;
+    const activityId = prerequisite?.activity_id;
+
+    if (!activityIds.has(activityId)) {
+      errors.push(`${field}.activity_id must be an activity of the course`);
+      return;
+    }
+
+    if (!PREREQUISITE_TYPES.includes(prerequisite.prerequisite_type)) {
+      errors.push(`${field}.prerequisite_type must be activity or quiz`);
+      return;
+    }
+
+    if (prerequisite.prerequisite_type === 'activity') {
+      if (!activityIds.has(prerequisite.required_activity_id)) {
+        errors.push(`${field}.required_activity_id must be an activity of the course`);
+      } else if (prerequisite.required_activity_id === activityId) {
+        errors.push(`${field}.required_activity_id cannot be the activity itself`);
+      } else {
+        dependencies.get(activityId).add(prerequisite.required_activity_id);
+      }
+      return;
+    }
+
+    const minPercentage = prerequisite.min_percentage;
+
+    if (minPercentage !== undefined && minPercentage !== null && !(Number.isInteger(minPercentage) && minPercentage >= 0 && minPercentage <= 100)) {
+      errors.push(`${field}.min_percentage must be an integer from 0 to 100`);
+    }
+
+    if (!quizActivity.has(prerequisite.quiz_id)) {
+      errors.push(`${field}.quiz_id must be a quiz of the course`);
+    } else if (quizActivity.get(prerequisite.quiz_id) === activityId) {
+      errors.push(`${field}.quiz_id cannot be a quiz of the activity itself`);
+    } else {
+      dependencies.get(activityId).add(quizActivity.get(prerequisite.quiz_id));
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // A cycle would leave every activity in it locked forever
+  const titles = new Map(activities.map(activity => [activity.id, activity.title]));
+  const state = new Map();
+  const visit = (activityId, trail) => {
+    state.set(activityId, 'visiting');
+
+    for (const required of dependencies.get(activityId)) {
+      if (state.get(required) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(required)), required];
+        errors.push(`prerequisites form a cycle: ${cycle.map(id => `"${titles.get(id)}"`).join(' -> ')}`);
+        return true;
+      }
+
+      if (!state.has(required) && visit(required, [...trail, required])) {
+        return true;
+      }
+    }
+
+    state.set(activityId, 'done');
+    return false;
+  };
+
+  for (const activity of activities) {
+    if (!state.has(activity.id) && visit(activity.id, [activity.id])) {
+      break;
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  SEQUENCE_MODES,
+  PREREQUISITE_TYPES,
+  getActivityLocks,
+  getActivityLock,
+  validateSequencing
+};
@@ -0,0 +1,155 @@
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+
+const signAccessToken = (userId, sessionId, claims = {}, expiresIn = process.env.JWT_EXPIRES_IN || '15m') => jwt.sign(
+  { userId, sessionId, ...claims },
+  process.env.JWT_SECRET,
+  { expiresIn }
+);
+
+// Refresh tokens look like "<sessionId>.<secret>". Only the hash of the secret is
+// stored, and the session id lets us detect a replayed (already rotated) token.
+const parseRefreshToken = (refreshToken) => {
+  const [sessionPart, secret] = String(refreshToken || '').split('.');
+  const sessionId = parseInt(sessionPart, 10);
+
+  if (!sessionId || !secret) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').substring(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+const createSession = async (userId, req) => {
+  const secret = generateToken(48);
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const [result] = await pool.execute(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userId, hashToken(secret), userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    sessionId: result.insertId,
+    token: signAccessToken(userId, result.insertId),
+    refreshToken: `${result.insertId}.${secret}`
+  };
+};
+
+// Impersonation sessions belong to the target user but remember the admin who
+// opened them. They have no refresh token and end after IMPERSONATION_TTL_MINUTES.
+const createImpersonationSession = async (userId, impersonatorId, readOnly, req) => {
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const [result] = await pool.execute(
+    `INSERT INTO user_sessions
+       (user_id, refresh_token_hash, user_agent, ip_address, expires_at, impersonator_id, read_only)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?, ?)`,
+    [userId, hashToken(generateToken(48)), userAgent, ipAddress, IMPERSONATION_TTL_MINUTES, impersonatorId, readOnly]
+  );
+
+  return {
+    sessionId: result.insertId,
+    token: signAccessToken(
+      userId,
+      result.insertId,
+      { impersonatorId, readOnly },
+      `${IMPERSONATION_TTL_MINUTES}m`
+    ),
+    expiresInMinutes: IMPERSONATION_TTL_MINUTES
+  };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const [result] = await pool.execute(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+const revokeUserSessions = async (userId, reason = 'logout_all') => {
+  const [result] = await pool.execute(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [reason, userId]
+  );
+
+  return result.affectedRows;
+};
+
+// Exchanges a refresh token for a new access/refresh pair. Returns null when the
+// token is unknown, expired or revoked. Presenting a stale token revokes the session.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT id, user_id, refresh_token_hash
+     FROM user_sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW() AND impersonator_id IS NULL`,
+    [parsed.sessionId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const session = rows[0];
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash !== session.refresh_token_hash) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return null;
+  }
+
+  const newSecret = generateToken(48);
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const [result] = await pool.execute(
+    `UPDATE user_sessions
+     SET refresh_token_hash = ?, user_agent = ?, ip_address = ?, last_seen_at = NOW()
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hashToken(newSecret), userAgent, ipAddress, session.id, presentedHash]
+  );
+
+  // Another request rotated this token first
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  return {
+    userId: session.user_id,
+    sessionId: session.id,
+    token: signAccessToken(session.user_id, session.id),
+    refreshToken: `${session.id}.${newSecret}`
+  };
+};
+
+const touchSession = (sessionId) => pool.execute(
+  'UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ? AND last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)',
+  [sessionId]
+);
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  touchSession,
+  parseRefreshToken
+};
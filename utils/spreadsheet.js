@@ -0,0 +1,174 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Reading and writing the CSV / XLSX files used by bulk imports. Rows are
+// returned as arrays of strings; the caller maps the header row.
+
+// RFC 4180 CSV with quoted fields. Spreadsheets exported with a Spanish locale
+// use ";" as separator, so the delimiter is detected from the header line.
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  return (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return { rows, delimiter };
+};
+
+const cellToString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    // Hyperlinks, rich text and formulas
+    if (value.text !== undefined) {
+      return typeof value.text === 'string' ? value.text : cellToString(value.text);
+    }
+
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+
+    if (value.result !== undefined) {
+      return cellToString(value.result);
+    }
+  }
+
+  return String(value);
+};
+
+// First worksheet only
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+
+  if (!worksheet) {
+    return { rows };
+  }
+
+  worksheet.eachRow({ includeEmpty: true }, (sheetRow, rowNumber) => {
+    const values = [];
+
+    for (let column = 1; column <= worksheet.columnCount; column += 1) {
+      values.push(cellToString(sheetRow.getCell(column).value));
+    }
+
+    rows[rowNumber - 1] = values;
+  });
+
+  return { rows: Array.from(rows, row => row || []) };
+};
+
+const getSpreadsheetFormat = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.csv' || extension === '.txt') {
+    return 'csv';
+  }
+
+  if (extension === '.xlsx') {
+    return 'xlsx';
+  }
+
+  return null;
+};
+
+// Returns { format, delimiter, rows } or throws for unsupported files
+const readSpreadsheet = async (buffer, fileName) => {
+  const format = getSpreadsheetFormat(fileName);
+
+  if (format === 'csv') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return { format, ...parseCsv(text) };
+  }
+
+  if (format === 'xlsx') {
+    return { format, ...(await parseXlsx(buffer)) };
+  }
+
+  throw new Error('Only .csv and .xlsx files are supported');
+};
+
+const escapeCsvField = (value, delimiter) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Keep spreadsheet apps from evaluating imported names as formulas
+  if (/^[=+@\t]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// With a BOM so Excel opens accented characters correctly
+const writeCsv = (rows, delimiter = ',') => Buffer.from(
+  `\uFEFF${rows.map(row => row.map(value => escapeCsvField(value, delimiter)).join(delimiter)).join('\r\n')}\r\n`,
+  'utf8'
+);
+
+const writeXlsx = async (rows, sheetName = 'Resultado') => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  rows.forEach(row => worksheet.addRow(row));
+  worksheet.getRow(1).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  parseCsv,
+  getSpreadsheetFormat,
+  readSpreadsheet,
+  writeCsv,
+  writeXlsx
+};
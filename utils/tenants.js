@@ -0,0 +1,330 @@
+const { pool } = require('../config/database');
+const { createInvitation } = require('./invitations');
+
+// Tenants are the campaigns / clients the platform trains people for. Users,
+// cohorts, invitations, forum posts and uploads belong to at most one tenant;
+// courses without a tenant form the shared library every tenant can take.
+//
+// req.tenantId is the tenant a request acts in, set by auth():
+//   - users of a tenant are always bound to it
+//   - platform users (tenant_id NULL) are not restricted; holders of
+//     tenants.manage may send X-Tenant-Id to act as admin of one tenant
+// null means "no tenant restriction", which is also how an installation
+// without tenants behaves.
+
+const TENANT_HEADER = 'X-Tenant-Id';
+const DEFAULT_TENANT_ID = parseInt(process.env.DEFAULT_TENANT_ID, 10) || null;
+const TENANT_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const DEFAULT_TENANT_SETTINGS = {
+  locale: 'es',
+  forum_enabled: true,
+  welcome_message: 'Bienvenido/a a Asiste University'
+};
+
+// Returns { tenantId } or { status, message } when the request may not act in
+// the tenant it asks for
+const resolveRequestTenant = async (req, userTenantId, permissions) => {
+  const requested = req.header(TENANT_HEADER);
+
+  if (userTenantId) {
+    if (requested && Number(requested) !== Number(userTenantId)) {
+      return { status: 403, message: 'You cannot act in another tenant' };
+    }
+
+    return { tenantId: Number(userTenantId) };
+  }
+
+  if (!requested) {
+    return { tenantId: null };
+  }
+
+  if (!permissions.includes('tenants.manage')) {
+    return { status: 403, message: 'Only platform administrators can switch tenant' };
+  }
+
+  const [rows] = await pool.execute(
+    "SELECT id FROM tenants WHERE id = ? AND status = 'active'",
+    [requested]
+  );
+
+  if (rows.length === 0) {
+    return { status: 404, message: 'Tenant not found' };
+  }
+
+  return { tenantId: rows[0].id };
+};
+
+// Tenant of accounts nobody placed in one: public sign-up and SSO / LDAP
+// just-in-time provisioning. A NULL tenant_id would make them platform users
+// who see every tenant, so once the installation has tenants such accounts
+// need DEFAULT_TENANT_ID. Returns { tenantId } or { error }.
+const resolveDefaultTenant = async () => {
+  if (DEFAULT_TENANT_ID) {
+    const [rows] = await pool.execute(
+      "SELECT id FROM tenants WHERE id = ? AND status = 'active'",
+      [DEFAULT_TENANT_ID]
+    );
+
+    if (rows.length === 0) {
+      console.warn(`DEFAULT_TENANT_ID ${DEFAULT_TENANT_ID} is not an active tenant; refusing to create the account`);
+      return { error: 'New accounts cannot be created right now. Ask an administrator.' };
+    }
+
+    return { tenantId: rows[0].id };
+  }
+
+  const [tenants] = await pool.execute('SELECT id FROM tenants LIMIT 1');
+
+  if (tenants.length > 0) {
+    console.warn('Set DEFAULT_TENANT_ID to create accounts through sign-up or SSO in an installation with tenants');
+    return { error: 'New accounts cannot be created right now. Ask an administrator.' };
+  }
+
+  return { tenantId: null };
+};
+
+// SQL condition for a column holding a tenant_id. shared also lets through
+// rows without tenant (the shared course library).
+const buildTenantFilter = (req, column, { shared = false } = {}) => {
+  if (!req.tenantId) {
+    return { clause: '', params: [] };
+  }
+
+  return {
+    clause: shared ? ` AND (${column} = ? OR ${column} IS NULL)` : ` AND ${column} = ?`,
+    params: [req.tenantId]
+  };
+};
+
+// SQL condition for a column holding a users.id (students, authors, creators)
+const buildTenantUserFilter = (req, userColumn) => {
+  if (!req.tenantId) {
+    return { clause: '', params: [] };
+  }
+
+  return {
+    clause: ` AND ${userColumn} IN (SELECT tu.id FROM users tu WHERE tu.tenant_id = ?)`,
+    params: [req.tenantId]
+  };
+};
+
+// How to find the tenant of each resource a route can address by id. Course
+// content inherits the tenant of its course and is shared when the course is.
+const TENANT_RESOURCES = {
+  user: { sql: 'SELECT id, tenant_id FROM users WHERE id IN (?)' },
+  cohort: { sql: 'SELECT id, tenant_id FROM cohorts WHERE id IN (?)' },
+  learning_path: { sql: 'SELECT id, tenant_id FROM learning_paths WHERE id IN (?)' },
+  invitation: { sql: 'SELECT id, tenant_id FROM invitations WHERE id IN (?)' },
+  forum_post: { sql: 'SELECT id, tenant_id FROM forum_posts WHERE id IN (?)' },
+  api_key: {
+    sql: 'SELECT k.id, u.tenant_id FROM api_keys k JOIN users u ON k.created_by = u.id WHERE k.id IN (?)'
+  },
+  lti_platform: { sql: 'SELECT id, tenant_id FROM lti_platforms WHERE id IN (?)' },
+  webhook: { sql: 'SELECT id, tenant_id FROM webhook_subscriptions WHERE id IN (?)' },
+  webhook_delivery: {
+    sql: 'SELECT d.id, s.tenant_id FROM webhook_deliveries d JOIN webhook_subscriptions s ON d.subscription_id = s.id WHERE d.id IN (?)'
+  },
+  course: { sql: 'SELECT id, tenant_id FROM courses WHERE id IN (?)', shared: true },
+  activity: {
+    sql: 'SELECT a.id, c.tenant_id FROM activities a JOIN courses c ON a.course_id = c.id WHERE a.id IN (?)',
+    shared: true
+  },
+  quiz: {
+    sql: `SELECT q.id, c.tenant_id FROM quizzes q
+          JOIN activities a ON q.activity_id = a.id
+          JOIN courses c ON a.course_id = c.id
+          WHERE q.id IN (?)`,
+    shared: true
+  },
+  workshop: {
+    sql: `SELECT w.id, c.tenant_id FROM workshops w
+          JOIN activities a ON w.activity_id = a.id
+          JOIN courses c ON a.course_id = c.id
+          WHERE w.id IN (?)`,
+    shared: true
+  },
+  workshop_question: {
+    sql: `SELECT wq.id, c.tenant_id FROM workshop_questions wq
+          JOIN workshops w ON wq.workshop_id = w.id
+          JOIN activities a ON w.activity_id = a.id
+          JOIN courses c ON a.course_id = c.id
+          WHERE wq.id IN (?)`,
+    shared: true
+  },
+  scorm_package: {
+    sql: `SELECT p.id, c.tenant_id FROM scorm_packages p
+          JOIN activities a ON p.activity_id = a.id
+          JOIN courses c ON a.course_id = c.id
+          WHERE p.id IN (?)`,
+    shared: true
+  },
+  scorm_sco: {
+    sql: `SELECT s.id, c.tenant_id FROM scorm_scos s
+          JOIN scorm_packages p ON s.package_id = p.id
+          JOIN activities a ON p.activity_id = a.id
+          JOIN courses c ON a.course_id = c.id
+          WHERE s.id IN (?)`,
+    shared: true
+  },
+  content_block: {
+    sql: `SELECT b.id, c.tenant_id FROM activity_content_blocks b
+          JOIN activities a ON b.activity_id = a.id
+          JOIN courses c ON a.course_id = c.id
+          WHERE b.id IN (?)`,
+    shared: true
+  }
+};
+
+// Ids among `ids` the request cannot reach: missing, in another tenant or,
+// with write, shared library content (only platform users edit the library)
+const findOutsideTenant = async (req, resource, ids, { write = false } = {}) => {
+  const uniqueIds = [...new Set(ids.map(Number))];
+
+  if (!req.tenantId || uniqueIds.length === 0) {
+    return [];
+  }
+
+  const { sql, shared } = TENANT_RESOURCES[resource];
+  const [rows] = await pool.query(sql, [uniqueIds]);
+
+  const reachable = new Set(rows
+    .filter(row => Number(row.tenant_id) === req.tenantId || (shared && !write && row.tenant_id === null))
+    .map(row => Number(row.id)));
+
+  return uniqueIds.filter(id => !reachable.has(id));
+};
+
+// Route guard for a resource addressed by a route parameter (or, with
+// source 'body', by a field of the body, e.g. the course_id of a new
+// activity). Resources of another tenant answer 404, as if they did not
+// exist; shared library content is read-only for tenant users.
+const tenantParam = (resource, param = 'id', { write = false, source = 'params' } = {}) => async (req, res, next) => {
+  const id = source === 'body' ? req.body?.[param] : req.params[param];
+
+  if (!req.tenantId || id === undefined || id === null) {
+    return next();
+  }
+
+  try {
+    const { sql, shared } = TENANT_RESOURCES[resource];
+    const [rows] = await pool.query(sql, [[id]]);
+
+    if (rows.length === 0) {
+      return next();
+    }
+
+    const tenantId = rows[0].tenant_id;
+
+    if (shared && tenantId === null) {
+      if (write) {
+        return res.status(403).json({ message: 'Shared library content can only be edited by platform administrators' });
+      }
+      return next();
+    }
+
+    if (Number(tenantId) !== req.tenantId) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Tenant check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Tenant administration (roles, tenants) stays with platform users acting
+// outside any tenant
+const platformOnly = (req, res, next) => {
+  if (req.tenantId) {
+    return res.status(403).json({ message: 'Only platform administrators can do this' });
+  }
+
+  next();
+};
+
+const parseTenantSettings = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Creates a tenant with its defaults: settings, a general cohort, a welcome
+// forum post and, when given, the invitation of its first administrator.
+// Runs in one transaction; returns { tenantId, cohortId, invitation }.
+const provisionTenant = async ({ slug, name, description, settings, admin, actorId }) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO tenants (slug, name, description, settings, created_by) VALUES (?, ?, ?, ?, ?)',
+      [slug, name, description || null, JSON.stringify({ ...DEFAULT_TENANT_SETTINGS, ...settings }), actorId]
+    );
+
+    const tenantId = result.insertId;
+
+    const [cohortResult] = await connection.execute(
+      'INSERT INTO cohorts (name, campaign, description, tenant_id, created_by) VALUES (?, ?, ?, ?, ?)',
+      [`${name} – General`, name, 'Cohorte creada al dar de alta la campaña', tenantId, actorId]
+    );
+
+    const [forumTables] = await connection.execute(
+      "SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'forum_posts'"
+    );
+
+    if (forumTables.length > 0) {
+      await connection.execute(
+        'INSERT INTO forum_posts (title, content, author_id, tenant_id) VALUES (?, ?, ?, ?)',
+        [
+          `Bienvenidos a ${name}`,
+          'Este es el foro de la campaña. Usadlo para compartir dudas, novedades y recursos con vuestro equipo.',
+          actorId,
+          tenantId
+        ]
+      );
+    }
+
+    let invitation = null;
+
+    if (admin?.email) {
+      const { id, token } = await createInvitation({
+        email: admin.email,
+        name: admin.name,
+        role: 'admin',
+        invitedBy: actorId,
+        tenantId
+      }, connection);
+
+      invitation = { id, token, email: admin.email, name: admin.name || null };
+    }
+
+    await connection.commit();
+
+    return { tenantId, cohortId: cohortResult.insertId, invitation };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  TENANT_HEADER,
+  TENANT_SLUG_PATTERN,
+  DEFAULT_TENANT_SETTINGS,
+  resolveRequestTenant,
+  resolveDefaultTenant,
+  buildTenantFilter,
+  buildTenantUserFilter,
+  findOutsideTenant,
+  tenantParam,
+  platformOnly,
+  parseTenantSettings,
+  provisionTenant
+};
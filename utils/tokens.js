@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Initial passwords handed out on paper or in a spreadsheet: no look-alike characters
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+const generatePassword = (length = 12) => Array.from(
+  { length },
+  () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]
+).join('');
+
+module.exports = { generateToken, hashToken, generatePassword };
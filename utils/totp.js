@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Microsoft Authenticator, Authy, etc.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step (to block replays) or null. Accepts one step
+// of clock drift in either direction.
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateCode(secret, step + offset);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};
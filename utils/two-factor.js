@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// TWO_FACTOR_REQUIRED_ROLES=admin,formador makes 2FA mandatory for those roles
+const isTwoFactorRequired = (role) => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(value => value.trim())
+  .filter(Boolean)
+  .includes(role);
+
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database dump alone
+// is not enough to generate codes.
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Short-lived token proving the password step of the login succeeded. It has no
+// sessionId, so the auth middleware never accepts it as an access token.
+const signChallenge = (userId, purpose) => jwt.sign(
+  { userId, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+const verifyChallenge = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getTwoFactor = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT user_id, secret_encrypted, enabled_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+
+  return rows[0] || null;
+};
+
+// Checks a TOTP code against the user's secret and records the step so the same
+// code cannot be replayed. Works for pending (not yet enabled) enrollments too.
+const verifyUserCode = async (userId, code) => {
+  const twoFactor = await getTwoFactor(userId);
+
+  if (!twoFactor) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(twoFactor.secret_encrypted), code);
+
+  if (step === null || (twoFactor.last_used_step !== null && step <= twoFactor.last_used_step)) {
+    return false;
+  }
+
+  const [result] = await pool.execute(
+    'UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)',
+    [step, userId, step]
+  );
+
+  return result.affectedRows > 0;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => generateToken(5));
+
+  await pool.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+  for (const code of codes) {
+    await pool.execute(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashToken(code)]
+    );
+  }
+
+  return codes.map(code => `${code.substring(0, 5)}-${code.substring(5)}`);
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const [result] = await pool.execute(
+    'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.affectedRows > 0;
+};
+
+const resetTwoFactor = async (userId) => {
+  await pool.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  const [result] = await pool.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  encryptSecret,
+  decryptSecret,
+  signChallenge,
+  verifyChallenge,
+  getTwoFactor,
+  verifyUserCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  resetTwoFactor
+};
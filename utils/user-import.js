@@ -0,0 +1,438 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { generateToken, generatePassword } = require('./tokens');
+const { createInvitation } = require('./invitations');
+const { readSpreadsheet, writeCsv, writeXlsx } = require('./spreadsheet');
+const { emitCourseEnrollments } = require('./xapi');
+const { publishEnrollments, publishUsersCreated } = require('./webhooks');
+
+// Bulk user import from a spreadsheet with one user per row. Columns are
+// matched by header (English or Spanish); courses are course titles separated
+// by "|" or ";".
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+const IMPORT_RESULT_TTL_HOURS = parseInt(process.env.IMPORT_RESULT_TTL_HOURS, 10) || 24;
+const IMPORT_RESULTS_DIR = process.env.IMPORT_RESULTS_DIR || path.join(__dirname, '../import-results');
+
+const ROLES = ['admin', 'formador', 'estudiante'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const HEADER_ALIASES = {
+  name: ['name', 'nombre', 'nombre completo', 'full name'],
+  email: ['email', 'correo', 'correo electronico', 'e mail', 'mail'],
+  role: ['role', 'rol'],
+  formador_email: ['formador email', 'formador', 'email formador', 'correo formador', 'trainer email'],
+  courses: ['courses', 'cursos', 'course titles', 'titulos cursos', 'curso']
+};
+
+const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[_-]+/g, ' ')
+  .trim();
+
+const normalizeTitle = (title) => String(title).trim().toLowerCase();
+
+// Reads the file into { format, delimiter, records }. Throws an Error with a
+// user-facing message when the file itself is unusable.
+const parseImportFile = async (buffer, fileName) => {
+  const { format, delimiter, rows } = await readSpreadsheet(buffer, fileName);
+  const [headerRow, ...dataRows] = rows;
+
+  if (!headerRow) {
+    throw new Error('The file is empty');
+  }
+
+  const columns = {};
+
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalized));
+
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+
+  const missing = ['name', 'email'].filter(field => columns[field] === undefined);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  const records = [];
+
+  dataRows.forEach((values, index) => {
+    const value = (field) => (columns[field] === undefined ? '' : String(values[columns[field]] || '').trim());
+
+    if (values.every(cell => String(cell || '').trim() === '')) {
+      return;
+    }
+
+    records.push({
+      // Spreadsheet row number, counting the header as row 1
+      row: index + 2,
+      name: value('name'),
+      email: value('email').toLowerCase(),
+      role: value('role').toLowerCase(),
+      formador_email: value('formador_email').toLowerCase(),
+      courses: value('courses').split(/[|;]/).map(title => title.trim()).filter(Boolean)
+    });
+  });
+
+  if (records.length === 0) {
+    throw new Error('The file has no data rows');
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has ${records.length} rows; the limit is ${MAX_IMPORT_ROWS}`);
+  }
+
+  return { format, delimiter, records };
+};
+
+const emailsIn = async (query, emails) => {
+  if (emails.length === 0) {
+    return new Set();
+  }
+
+  const [rows] = await pool.query(query, [emails]);
+  return new Set(rows.map(row => row.email.toLowerCase()));
+};
+
+// Validates every row against the file itself and the database. Returns the
+// per-row report; rows with errors block the commit, warnings do not.
+//   options.canCreateAnyRole  - users.create without restriction (else students only)
+//   options.canAssignCourses  - enrollments.manage
+//   options.method            - 'password' or 'invitation'
+//   options.tenantId          - tenant of the import: formadores and courses
+//                               must belong to it (courses may be shared)
+const validateImport = async (records, { actor, canCreateAnyRole, canAssignCourses, method, tenantId = null }) => {
+  const emails = [...new Set(records.map(record => record.email).filter(Boolean))];
+  const formadorEmails = [...new Set(records.map(record => record.formador_email).filter(Boolean))];
+  const titles = [...new Set(records.flatMap(record => record.courses).map(normalizeTitle))];
+
+  const existingEmails = await emailsIn('SELECT email FROM users WHERE email IN (?)', emails);
+  const invitedEmails = await emailsIn(
+    `SELECT email FROM invitations
+     WHERE email IN (?) AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+    emails
+  );
+
+  const formadores = new Map();
+
+  if (formadorEmails.length > 0) {
+    const [rows] = await pool.query(
+      `SELECT id, email, role, status FROM users WHERE email IN (?)${tenantId ? ' AND tenant_id = ?' : ''}`,
+      tenantId ? [formadorEmails, tenantId] : [formadorEmails]
+    );
+    rows.forEach(row => formadores.set(row.email.toLowerCase(), row));
+  }
+
+  const coursesByTitle = new Map();
+
+  if (titles.length > 0) {
+    const [rows] = await pool.query(
+      `SELECT id, title FROM courses WHERE title IN (?)${tenantId ? ' AND (tenant_id = ? OR tenant_id IS NULL)' : ''}`,
+      tenantId ? [titles, tenantId] : [titles]
+    );
+    rows.forEach(row => {
+      const key = normalizeTitle(row.title);
+      coursesByTitle.set(key, [...(coursesByTitle.get(key) || []), row.id]);
+    });
+  }
+
+  const fileFormadores = new Set(records
+    .filter(record => (record.role || 'estudiante') === 'formador')
+    .map(record => record.email));
+  const seenEmails = new Set();
+
+  const rows = records.map(record => {
+    const errors = [];
+    const warnings = [];
+    let role = record.role;
+    let formadorId = null;
+    let formadorInFile = false;
+    const courseIds = [];
+
+    if (!record.name) {
+      errors.push('Name is required');
+    }
+
+    if (!record.email) {
+      errors.push('Email is required');
+    } else if (!EMAIL_PATTERN.test(record.email)) {
+      errors.push('Invalid email');
+    } else if (seenEmails.has(record.email)) {
+      errors.push('Email appears more than once in the file');
+    } else if (existingEmails.has(record.email)) {
+      errors.push('Email already registered');
+    } else if (invitedEmails.has(record.email)) {
+      if (method === 'invitation') {
+        errors.push('There is already a pending invitation for this email');
+      } else {
+        warnings.push('The pending invitation for this email will be revoked');
+      }
+    }
+
+    seenEmails.add(record.email);
+
+    if (!role) {
+      role = 'estudiante';
+      warnings.push('No role given, defaulting to estudiante');
+    } else if (!ROLES.includes(role)) {
+      errors.push(`Invalid role "${record.role}"`);
+    }
+
+    if (!canCreateAnyRole && ROLES.includes(role) && role !== 'estudiante') {
+      errors.push('You can only import students');
+    }
+
+    if (!canCreateAnyRole && role === 'estudiante') {
+      // Formadores always become the formador of the students they import
+      formadorId = actor.id;
+
+      if (record.formador_email && record.formador_email !== actor.email) {
+        warnings.push('Formador column ignored: students you import are linked to you');
+      }
+    } else if (record.formador_email) {
+      const formador = formadores.get(record.formador_email);
+
+      if (role !== 'estudiante') {
+        errors.push('Only students can be linked to a formador');
+      } else if (formador && formador.role === 'formador' && formador.status === 'active') {
+        formadorId = formador.id;
+      } else if (!formador && fileFormadores.has(record.formador_email)) {
+        if (method === 'invitation') {
+          errors.push('The formador must already have an account when importing with invitations');
+        } else {
+          formadorInFile = true;
+        }
+      } else {
+        errors.push(`Formador ${record.formador_email} not found`);
+      }
+    }
+
+    if (record.courses.length > 0) {
+      if (!canAssignCourses) {
+        errors.push('You are not allowed to assign courses');
+      } else if (role === 'admin') {
+        warnings.push('Courses are ignored for admin accounts');
+      } else {
+        record.courses.forEach(title => {
+          const ids = coursesByTitle.get(normalizeTitle(title)) || [];
+
+          if (ids.length === 0) {
+            errors.push(`Course "${title}" not found`);
+          } else if (ids.length > 1) {
+            errors.push(`More than one course is titled "${title}"`);
+          } else if (!courseIds.includes(ids[0])) {
+            courseIds.push(ids[0]);
+          }
+        });
+      }
+    }
+
+    return {
+      row: record.row,
+      name: record.name,
+      email: record.email,
+      role,
+      formador_email: record.formador_email || null,
+      courses: record.courses,
+      course_ids: courseIds,
+      formador_id: formadorId,
+      formador_in_file: formadorInFile,
+      errors,
+      warnings
+    };
+  });
+
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.filter(row => row.errors.length === 0).length,
+      with_errors: rows.filter(row => row.errors.length > 0).length,
+      with_warnings: rows.filter(row => row.warnings.length > 0).length
+    }
+  };
+};
+
+// Creates every row of a validated import in one transaction: all users (or
+// invitations), student_formador links and course assignments, or nothing.
+// Returns the per-row results, including generated passwords / invitation tokens.
+const commitImport = async (report, { actor, method, fileName, tenantId = null }) => {
+  const saltRounds = 10;
+  const passwords = new Map();
+
+  // Hash before opening the transaction so locks are held as briefly as possible
+  if (method === 'password') {
+    for (const row of report.rows) {
+      const password = generatePassword();
+      passwords.set(row.row, { password, hash: await bcrypt.hash(password, saltRounds) });
+    }
+  }
+
+  // Formadores first, so students can be linked to formadores from the same file
+  const ordered = [...report.rows].sort((a, b) => (a.role === 'formador' ? 0 : 1) - (b.role === 'formador' ? 0 : 1));
+  const createdIds = new Map();
+  const results = [];
+  const enrolled = [];
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    for (const row of ordered) {
+      const formadorId = row.formador_in_file ? createdIds.get(row.formador_email) : row.formador_id;
+
+      if (method === 'invitation') {
+        const { id, token } = await createInvitation({
+          email: row.email,
+          name: row.name,
+          role: row.role,
+          courseIds: row.course_ids,
+          formadorId,
+          invitedBy: actor.id,
+          tenantId
+        }, connection);
+
+        results.push({ ...row, status: 'invited', invitation_id: id, token });
+        continue;
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO users (name, email, password, role, tenant_id) VALUES (?, ?, ?, ?, ?)',
+        [row.name, row.email, passwords.get(row.row).hash, row.role, tenantId]
+      );
+
+      const userId = result.insertId;
+      createdIds.set(row.email, userId);
+
+      await connection.execute(
+        'UPDATE invitations SET revoked_at = NOW() WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+        [row.email]
+      );
+
+      for (const courseId of row.course_ids) {
+        if (row.role === 'estudiante') {
+          const [assignment] = await connection.execute(
+            'INSERT IGNORE INTO course_assignments (course_id, student_id, assigned_by) VALUES (?, ?, ?)',
+            [courseId, userId, actor.id]
+          );
+
+          if (assignment.affectedRows > 0) {
+            enrolled.push({ studentId: userId, courseId });
+          }
+        } else if (row.role === 'formador') {
+          await connection.execute(
+            'INSERT IGNORE INTO formador_courses (formador_id, course_id, assigned_by) VALUES (?, ?, ?)',
+            [userId, courseId, actor.id]
+          );
+        }
+      }
+
+      if (formadorId && row.role === 'estudiante') {
+        await connection.execute(
+          'INSERT IGNORE INTO student_formador (student_id, formador_id) VALUES (?, ?)',
+          [userId, formadorId]
+        );
+      }
+
+      results.push({ ...row, status: 'created', user_id: userId, password: passwords.get(row.row).password });
+    }
+
+    results.sort((a, b) => a.row - b.row);
+
+    // The stored report never contains passwords or invitation tokens
+    const storedReport = results.map(({ password, token, ...row }) => row);
+
+    const [importResult] = await connection.execute(
+      `INSERT INTO user_imports (created_by, file_name, method, total_rows, created_count, report)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [actor.id, fileName, method, report.rows.length, results.length, JSON.stringify(storedReport)]
+    );
+
+    await connection.commit();
+
+    publishUsersCreated([...createdIds.values()]);
+    emitCourseEnrollments(enrolled);
+    publishEnrollments(enrolled);
+
+    return { importId: importResult.insertId, results };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const RESULT_HEADERS = ['row', 'name', 'email', 'role', 'formador_email', 'courses', 'status', 'password', 'warnings'];
+
+const buildResultRows = (results) => [
+  RESULT_HEADERS,
+  ...results.map(result => [
+    result.row,
+    result.name,
+    result.email,
+    result.role,
+    result.formador_email || '',
+    result.courses.join(' | '),
+    result.status,
+    result.password || '',
+    result.warnings.join(' / ')
+  ])
+];
+
+// Writes the credentials / result file outside the public uploads folder. It
+// holds initial passwords, so it can be downloaded for IMPORT_RESULT_TTL_HOURS only.
+const saveResultFile = async (importId, results, { format, delimiter }) => {
+  if (!fs.existsSync(IMPORT_RESULTS_DIR)) {
+    fs.mkdirSync(IMPORT_RESULTS_DIR, { recursive: true });
+  }
+
+  const rows = buildResultRows(results);
+  const extension = format === 'xlsx' ? 'xlsx' : 'csv';
+  const fileName = `import-${importId}-${generateToken(8)}.${extension}`;
+  const content = extension === 'xlsx' ? await writeXlsx(rows) : writeCsv(rows, delimiter || ',');
+
+  fs.writeFileSync(path.join(IMPORT_RESULTS_DIR, fileName), content, { mode: 0o600 });
+
+  await pool.execute(
+    `UPDATE user_imports
+     SET result_file = ?, result_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+     WHERE id = ?`,
+    [fileName, IMPORT_RESULT_TTL_HOURS, importId]
+  );
+
+  return fileName;
+};
+
+const getResultFilePath = (fileName) => path.join(IMPORT_RESULTS_DIR, path.basename(fileName));
+
+// Deletes result files past their download window
+const purgeExpiredResultFiles = async () => {
+  const [rows] = await pool.execute(
+    'SELECT id, result_file FROM user_imports WHERE result_file IS NOT NULL AND result_expires_at <= NOW()'
+  );
+
+  for (const row of rows) {
+    fs.rmSync(getResultFilePath(row.result_file), { force: true });
+    await pool.execute('UPDATE user_imports SET result_file = NULL WHERE id = ?', [row.id]);
+  }
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  validateImport,
+  commitImport,
+  saveResultFile,
+  getResultFilePath,
+  purgeExpiredResultFiles
+};
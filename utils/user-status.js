@@ -0,0 +1,76 @@
+const { pool } = require('../config/database');
+const { logAudit } = require('./audit');
+const { revokeUserSessions } = require('./sessions');
+
+// Account lifecycle. Only active accounts can sign in or be picked for new
+// assignments; the rest keep all their history (grades, progress, surveys,
+// forum posts). archived is for accounts kept only for the records and is
+// left out of GET /api/users unless asked for.
+const USER_STATUSES = ['active', 'suspended', 'deactivated', 'archived'];
+
+const LOGIN_BLOCKED_MESSAGES = {
+  suspended: 'Your account is suspended',
+  deactivated: 'Your account is deactivated',
+  archived: 'Your account is deactivated'
+};
+
+// null when the account may sign in
+const getLoginBlockMessage = (status) => LOGIN_BLOCKED_MESSAGES[status] || null;
+
+// Parses a ?status= filter: a comma-separated list of statuses or "all".
+// Returns null for "all", the default list when empty, or false when invalid.
+const parseStatusFilter = (value, defaultStatuses) => {
+  if (!value) {
+    return defaultStatuses;
+  }
+
+  if (value === 'all') {
+    return null;
+  }
+
+  const statuses = String(value).split(',').map(status => status.trim()).filter(Boolean);
+
+  return statuses.every(status => USER_STATUSES.includes(status)) ? statuses : false;
+};
+
+// Moves one account to a new status. Leaving "active" ends every session at
+// once. Returns the previous status, or null when the user does not exist.
+const changeUserStatus = async ({ userId, status, reason = null, actorId = null, ipAddress = null, details = {} }) => {
+  const [rows] = await pool.execute('SELECT id, status FROM users WHERE id = ?', [userId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const previousStatus = rows[0].status;
+
+  if (previousStatus === status) {
+    return previousStatus;
+  }
+
+  await pool.execute(
+    'UPDATE users SET status = ?, status_reason = ?, status_changed_at = NOW() WHERE id = ?',
+    [status, reason ? String(reason).substring(0, 255) : null, userId]
+  );
+
+  if (status !== 'active') {
+    await revokeUserSessions(userId, status);
+  }
+
+  await logAudit({
+    actorId,
+    action: status === 'active' ? 'user_reactivated' : 'user_status_changed',
+    targetUserId: userId,
+    details: { from: previousStatus, to: status, reason, ...details },
+    ipAddress
+  });
+
+  return previousStatus;
+};
+
+module.exports = {
+  USER_STATUSES,
+  getLoginBlockMessage,
+  parseStatusFilter,
+  changeUserStatus
+};
@@ -0,0 +1,481 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { generateToken } = require('./tokens');
+const { decryptSecret } = require('./two-factor');
+const { getStudentCourseVersion } = require('./course-versions');
+const { WORKSHOP_PASSING_SCORE } = require('./grading');
+const { publicFetch } = require('./outbound');
+
+// Outgoing webhooks: learning events are stored in webhook_events and queued
+// in webhook_deliveries for every subscription (webhook_subscriptions) that
+// listens to them. Each delivery is an HMAC-signed POST, retried with
+// exponential backoff by startWebhookDeliveryJob; every attempt is logged in
+// webhook_delivery_attempts and any delivery can be replayed.
+const WEBHOOK_RETRY_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS, 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;
+const DELIVERY_BATCH_SIZE = 50;
+const DELIVERY_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const WEBHOOK_EVENTS = {
+  'user.created': 'A user account was created (sign-up, invitation, import, SSO or LTI)',
+  'enrollment.created': 'A student was assigned to a course',
+  'activity.completed': 'A student completed an activity',
+  'course.completed': 'A student completed every activity of a course',
+  'quiz.submitted': 'A student submitted a quiz',
+  'workshop.submitted': 'A student submitted a workshop',
+  'survey.submitted': 'A student answered a satisfaction survey'
+};
+
+// Sent only by POST /api/webhooks/:id/test, never subscribed to
+const TEST_EVENT = 'webhook.test';
+
+const isWebhookEvent = (event) => Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event);
+
+const generateWebhookSecret = () => `whsec_${generateToken(24)}`;
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<raw body>") and
+// compare it with X-Webhook-Signature (rejecting old timestamps)
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const loadUser = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT id, name, email, role, tenant_id FROM users WHERE id = ?',
+    [userId]
+  );
+
+  return rows[0] || null;
+};
+
+const studentSummary = (user) => ({ id: user.id, name: user.name, email: user.email });
+
+// Stores the event and queues a delivery for each active subscription of its
+// tenant (and the platform-wide ones). dedupeKey makes the event happen once
+// (e.g. a course is completed once per student). Returns the event id or null.
+const storeEvent = async (type, data, { userId = null, tenantId = null, dedupeKey = null } = {}) => {
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, type, created_at: new Date().toISOString(), tenant_id: tenantId, data };
+
+  const [result] = await pool.execute(
+    `INSERT IGNORE INTO webhook_events (event_id, event_type, user_id, tenant_id, dedupe_key, payload)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [eventId, type, userId, tenantId, dedupeKey, JSON.stringify(payload)]
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const [queued] = await pool.execute(
+    `INSERT INTO webhook_deliveries (event_seq, subscription_id)
+     SELECT ?, s.id
+     FROM webhook_subscriptions s
+     WHERE s.disabled_at IS NULL
+       AND JSON_CONTAINS(s.events, JSON_QUOTE(?))
+       AND (s.tenant_id IS NULL OR s.tenant_id <=> ?)`,
+    [result.insertId, type, tenantId]
+  );
+
+  return queued.affectedRows > 0 ? eventId : null;
+};
+
+// Event helpers are called without await from the routes: a failing webhook
+// never fails the request that produced the event
+const publish = async (event, buildEvents) => {
+  try {
+    const events = await buildEvents();
+    let queued = false;
+
+    for (const { type, data, options } of events) {
+      queued = Boolean(await storeEvent(type, data, options)) || queued;
+    }
+
+    if (queued) {
+      await deliverPendingWebhooks();
+    }
+  } catch (error) {
+    console.error(`Webhook ${event} event error:`, error);
+  }
+};
+
+const publishUsersCreated = (userIds) => publish('user.created', async () => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const [users] = await pool.query(
+    'SELECT id, name, email, role, tenant_id, created_at FROM users WHERE id IN (?)',
+    [[...new Set(userIds.map(Number))]]
+  );
+
+  return users.map(user => ({
+    type: 'user.created',
+    data: { user },
+    options: { userId: user.id, tenantId: user.tenant_id }
+  }));
+});
+
+// pairs: [{ studentId, courseId }] of new course assignments
+const publishEnrollments = (pairs) => publish('enrollment.created', async () => {
+  if (pairs.length === 0) {
+    return [];
+  }
+
+  const [students] = await pool.query(
+    'SELECT id, name, email, tenant_id FROM users WHERE id IN (?)',
+    [[...new Set(pairs.map(pair => Number(pair.studentId)))]]
+  );
+  const [courses] = await pool.query(
+    'SELECT id, title FROM courses WHERE id IN (?)',
+    [[...new Set(pairs.map(pair => Number(pair.courseId)))]]
+  );
+
+  const studentsById = new Map(students.map(student => [student.id, student]));
+  const coursesById = new Map(courses.map(course => [course.id, course]));
+
+  return pairs
+    .filter(pair => studentsById.has(Number(pair.studentId)) && coursesById.has(Number(pair.courseId)))
+    .map(pair => {
+      const student = studentsById.get(Number(pair.studentId));
+
+      return {
+        type: 'enrollment.created',
+        data: { student: studentSummary(student), course: coursesById.get(Number(pair.courseId)) },
+        options: { userId: student.id, tenantId: student.tenant_id }
+      };
+    });
+});
+
+// A course is completed when the student has completed every activity of
+// the version they are pinned to
+const isCourseCompleted = async (courseId, studentId) => {
+  const pinned = await getStudentCourseVersion(courseId, studentId);
+
+  if (!pinned || !pinned.snapshot || pinned.snapshot.activities.length === 0) {
+    return false;
+  }
+
+  const activityIds = pinned.snapshot.activities.map(activity => activity.id);
+
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) as completed FROM activity_progress WHERE student_id = ? AND completed = TRUE AND activity_id IN (?)',
+    [studentId, activityIds]
+  );
+
+  return Number(rows[0].completed) >= activityIds.length;
+};
+
+const publishActivityCompleted = (studentId, activityId) => publish('activity.completed', async () => {
+  const student = await loadUser(studentId);
+  const [activities] = await pool.execute(
+    `SELECT a.id, a.title, c.id as course_id, c.title as course_title
+     FROM activities a
+     JOIN courses c ON a.course_id = c.id
+     WHERE a.id = ?`,
+    [activityId]
+  );
+
+  if (!student || activities.length === 0) {
+    return [];
+  }
+
+  const activity = activities[0];
+  const course = { id: activity.course_id, title: activity.course_title };
+  const options = { userId: student.id, tenantId: student.tenant_id };
+
+  const events = [{
+    type: 'activity.completed',
+    data: { student: studentSummary(student), course, activity: { id: activity.id, title: activity.title } },
+    options
+  }];
+
+  if (await isCourseCompleted(course.id, student.id)) {
+    events.push({
+      type: 'course.completed',
+      data: { student: studentSummary(student), course },
+      options: { ...options, dedupeKey: `course.completed:${course.id}:${student.id}` }
+    });
+  }
+
+  return events;
+});
+
+// type is 'quiz' or 'workshop'; passed against passingScore (the one of the
+// student's version), the passing score of the quiz or, for workshops,
+// WORKSHOP_PASSING_SCORE
+const publishAssessmentSubmitted = (studentId, type, itemId, { score, maxScore, percentage, passingScore }) => publish(`${type}.submitted`, async () => {
+  const student = await loadUser(studentId);
+  const [items] = await pool.execute(
+    type === 'quiz'
+      ? `SELECT i.id, i.title, i.passing_score, a.id as activity_id, a.title as activity_title, c.id as course_id, c.title as course_title
+         FROM quizzes i JOIN activities a ON i.activity_id = a.id JOIN courses c ON a.course_id = c.id WHERE i.id = ?`
+      : `SELECT i.id, i.title, NULL as passing_score, a.id as activity_id, a.title as activity_title, c.id as course_id, c.title as course_title
+         FROM workshops i JOIN activities a ON i.activity_id = a.id JOIN courses c ON a.course_id = c.id WHERE i.id = ?`,
+    [itemId]
+  );
+
+  if (!student || items.length === 0) {
+    return [];
+  }
+
+  const item = items[0];
+  const threshold = Number(passingScore ?? item.passing_score ?? WORKSHOP_PASSING_SCORE);
+
+  return [{
+    type: `${type}.submitted`,
+    data: {
+      student: studentSummary(student),
+      course: { id: item.course_id, title: item.course_title },
+      activity: { id: item.activity_id, title: item.activity_title },
+      [type]: { id: item.id, title: item.title },
+      score: Number(score),
+      max_score: Number(maxScore),
+      percentage: Number(percentage),
+      passing_score: threshold,
+      passed: Number(percentage) >= threshold
+    },
+    options: { userId: student.id, tenantId: student.tenant_id }
+  }];
+});
+
+// Course survey when courseId is given, otherwise the general platform survey.
+// Only the ratings are sent: free-text comments stay in the database.
+const publishSurveySubmitted = (studentId, courseId, ratings) => publish('survey.submitted', async () => {
+  const student = await loadUser(studentId);
+
+  if (!student) {
+    return [];
+  }
+
+  let course = null;
+
+  if (courseId) {
+    const [courses] = await pool.execute('SELECT id, title FROM courses WHERE id = ?', [courseId]);
+    course = courses[0] || null;
+  }
+
+  return [{
+    type: 'survey.submitted',
+    data: { student: studentSummary(student), survey: course ? 'course' : 'general', course, ratings },
+    options: { userId: student.id, tenantId: student.tenant_id }
+  }];
+});
+
+// Sends one delivery and logs the attempt. Returns { ok, statusCode, error }.
+const attemptDelivery = async (delivery) => {
+  const body = JSON.stringify(parseJson(delivery.payload));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptNumber = delivery.attempts + 1;
+  const startedAt = Date.now();
+
+  let statusCode = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await publicFetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AsisteUniversity-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(decryptSecret(delivery.secret_encrypted), timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    statusCode = response.status;
+    responseBody = (await response.text()).substring(0, RESPONSE_BODY_LIMIT) || null;
+
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.cause?.code === 'EBLOCKEDADDRESS' ? requestError.cause.message : requestError.message;
+  }
+
+  await pool.execute(
+    `INSERT INTO webhook_delivery_attempts (delivery_id, attempt_number, status_code, response_body, error, duration_ms)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [delivery.id, attemptNumber, statusCode, responseBody, error, Date.now() - startedAt]
+  );
+
+  if (!error) {
+    await pool.execute(
+      `UPDATE webhook_deliveries
+       SET status = 'sent', attempts = attempts + 1, last_status_code = ?, last_error = NULL, delivered_at = NOW()
+       WHERE id = ?`,
+      [statusCode, delivery.id]
+    );
+  } else {
+    await pool.execute(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts + 1,
+           last_status_code = ?,
+           last_error = ?,
+           status = IF(attempts >= ?, 'failed', 'pending'),
+           next_attempt_at = DATE_ADD(NOW(), INTERVAL LEAST(POW(2, attempts - 1), 1440) MINUTE)
+       WHERE id = ?`,
+      [statusCode, error.substring(0, 1000), WEBHOOK_MAX_ATTEMPTS, delivery.id]
+    );
+  }
+
+  return { ok: !error, statusCode, error };
+};
+
+const DELIVERY_QUERY = `
+  SELECT d.id, d.attempts, e.event_id, e.event_type, e.payload, s.url, s.secret_encrypted
+  FROM webhook_deliveries d
+  JOIN webhook_events e ON d.event_seq = e.id
+  JOIN webhook_subscriptions s ON d.subscription_id = s.id`;
+
+// Sends one delivery right away, whatever its schedule (test and replay)
+const deliverNow = async (deliveryId) => {
+  const [rows] = await pool.execute(`${DELIVERY_QUERY} WHERE d.id = ?`, [deliveryId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return attemptDelivery(rows[0]);
+};
+
+let delivering = false;
+
+// Sends the deliveries whose next attempt is due, oldest first. A failed one
+// is retried with exponential backoff (1, 2, 4... minutes, capped at a day)
+// until WEBHOOK_MAX_ATTEMPTS, then left as failed. Deliveries of disabled
+// subscriptions wait until it is enabled again.
+const deliverPendingWebhooks = async () => {
+  if (delivering) {
+    return { sent: 0, failed: 0 };
+  }
+
+  delivering = true;
+
+  let sent = 0;
+  let failed = 0;
+
+  try {
+    for (;;) {
+      const [rows] = await pool.query(
+        `${DELIVERY_QUERY}
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.disabled_at IS NULL
+         ORDER BY d.id
+         LIMIT ?`,
+        [DELIVERY_BATCH_SIZE]
+      );
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        const result = await attemptDelivery(row);
+
+        if (result.ok) {
+          sent += 1;
+        } else {
+          failed += 1;
+        }
+      }
+    }
+  } finally {
+    delivering = false;
+  }
+
+  return { sent, failed };
+};
+
+// Queues the event of a delivery again for the same subscription. The event
+// keeps its id (X-Webhook-Id) so receivers can tell it is a replay.
+const replayDelivery = async (delivery) => {
+  const [result] = await pool.execute(
+    'INSERT INTO webhook_deliveries (event_seq, subscription_id, replay_of) VALUES (?, ?, ?)',
+    [delivery.event_seq, delivery.subscription_id, delivery.id]
+  );
+
+  return result.insertId;
+};
+
+// Test event delivered only to the given subscription
+const sendTestEvent = async (subscription) => {
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    type: TEST_EVENT,
+    created_at: new Date().toISOString(),
+    tenant_id: subscription.tenant_id,
+    data: { subscription: { id: subscription.id, name: subscription.name } }
+  };
+
+  const [event] = await pool.execute(
+    'INSERT INTO webhook_events (event_id, event_type, tenant_id, payload) VALUES (?, ?, ?, ?)',
+    [eventId, TEST_EVENT, subscription.tenant_id, JSON.stringify(payload)]
+  );
+
+  const [delivery] = await pool.execute(
+    'INSERT INTO webhook_deliveries (event_seq, subscription_id) VALUES (?, ?)',
+    [event.insertId, subscription.id]
+  );
+
+  const result = await deliverNow(delivery.insertId);
+
+  return { deliveryId: delivery.insertId, ...result };
+};
+
+// Runs deliverPendingWebhooks every WEBHOOK_RETRY_INTERVAL_SECONDS (default
+// 60, 0 disables)
+const startWebhookDeliveryJob = () => {
+  const intervalSeconds = Number.isNaN(WEBHOOK_RETRY_INTERVAL_SECONDS) ? 60 : WEBHOOK_RETRY_INTERVAL_SECONDS;
+
+  if (intervalSeconds <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const result = await deliverPendingWebhooks();
+
+      if (result.failed > 0) {
+        console.warn(`Webhook delivery: ${result.sent} sent, ${result.failed} pending retry or failed`);
+      }
+    } catch (error) {
+      console.error('Webhook delivery error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  isWebhookEvent,
+  generateWebhookSecret,
+  signPayload,
+  parseJson,
+  publishUsersCreated,
+  publishEnrollments,
+  publishActivityCompleted,
+  publishAssessmentSubmitted,
+  publishSurveySubmitted,
+  deliverNow,
+  deliverPendingWebhooks,
+  replayDelivery,
+  sendTestEvent,
+  startWebhookDeliveryJob
+};
@@ -0,0 +1,617 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { WORKSHOP_PASSING_SCORE } = require('./grading');
+
+// xAPI (Tin Can) statements. Every statement, ours or reported by external
+// content through /xapi/statements, is stored in xapi_statements; the ones
+// generated by the platform are also queued in xapi_outbox and forwarded to
+// the LRS configured in XAPI_LRS_ENDPOINT by startXapiDeliveryJob.
+const XAPI_VERSION = '1.0.3';
+const XAPI_HOMEPAGE = (process.env.XAPI_HOMEPAGE || process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+const XAPI_ACTIVITY_BASE = (process.env.XAPI_ACTIVITY_BASE || XAPI_HOMEPAGE).replace(/\/+$/, '');
+const XAPI_RETRY_INTERVAL_SECONDS = parseInt(process.env.XAPI_RETRY_INTERVAL_SECONDS, 10);
+const XAPI_MAX_ATTEMPTS = parseInt(process.env.XAPI_MAX_ATTEMPTS, 10) || 10;
+const DELIVERY_BATCH_SIZE = 50;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const VERBS = {
+  completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+  passed: { id: 'http://adlnet.gov/expapi/verbs/passed', display: { 'en-US': 'passed' } },
+  failed: { id: 'http://adlnet.gov/expapi/verbs/failed', display: { 'en-US': 'failed' } },
+  registered: { id: 'http://adlnet.gov/expapi/verbs/registered', display: { 'en-US': 'registered' } },
+  responded: { id: 'http://adlnet.gov/expapi/verbs/responded', display: { 'en-US': 'responded' } },
+  voided: { id: 'http://adlnet.gov/expapi/verbs/voided', display: { 'en-US': 'voided' } }
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  activity: 'http://adlnet.gov/expapi/activities/module',
+  quiz: 'http://adlnet.gov/expapi/activities/assessment',
+  workshop: 'http://adlnet.gov/expapi/activities/assessment',
+  survey: 'http://id.tincanapi.com/activitytype/survey'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+const OBJECT_TYPES = ['Activity', 'Agent', 'Group', 'StatementRef', 'SubStatement'];
+
+const getLrsConfig = () => ({
+  endpoint: (process.env.XAPI_LRS_ENDPOINT || '').replace(/\/+$/, ''),
+  username: process.env.XAPI_LRS_USERNAME || '',
+  password: process.env.XAPI_LRS_PASSWORD || ''
+});
+
+const isLrsConfigured = () => Boolean(getLrsConfig().endpoint);
+
+const activityIri = (type, id) => `${XAPI_ACTIVITY_BASE}/${type === 'activity' ? 'activities' : `${type}s`}/${id}`;
+
+const platformAgent = (userId) => ({
+  objectType: 'Agent',
+  account: { homePage: XAPI_HOMEPAGE, name: String(userId) }
+});
+
+const activityObject = (type, id, title) => ({
+  objectType: 'Activity',
+  id: activityIri(type, id),
+  definition: {
+    type: ACTIVITY_TYPES[type],
+    ...(title ? { name: { 'es-ES': title } } : {})
+  }
+});
+
+const courseContext = (courseId) => ({
+  platform: 'Asiste University',
+  contextActivities: { parent: [{ objectType: 'Activity', id: activityIri('course', courseId) }] }
+});
+
+// Inverse Functional Identifier of an agent: the one property xAPI uses to
+// tell who it is. Stored as a string so GET ?agent= is a plain lookup.
+const agentIfi = (agent) => {
+  if (!agent || typeof agent !== 'object') {
+    return null;
+  }
+
+  if (agent.mbox) {
+    return `mbox:${String(agent.mbox).toLowerCase()}`;
+  }
+
+  if (agent.mbox_sha1sum) {
+    return `mbox_sha1sum:${String(agent.mbox_sha1sum).toLowerCase()}`;
+  }
+
+  if (agent.openid) {
+    return `openid:${agent.openid}`;
+  }
+
+  if (agent.account && agent.account.homePage && agent.account.name != null) {
+    return `account:${String(agent.account.homePage).replace(/\/+$/, '')}|${agent.account.name}`;
+  }
+
+  return null;
+};
+
+const ifiCount = (agent) => ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(key => agent[key] != null).length;
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const validateAgent = (agent, path, errors) => {
+  if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (agent.objectType && !['Agent', 'Group'].includes(agent.objectType)) {
+    errors.push(`${path}.objectType must be Agent or Group`);
+  }
+
+  const count = ifiCount(agent);
+
+  // An anonymous Group is identified by its members instead
+  if (count === 0 && !(agent.objectType === 'Group' && Array.isArray(agent.member))) {
+    errors.push(`${path} needs one of mbox, mbox_sha1sum, openid or account`);
+  } else if (count > 1) {
+    errors.push(`${path} must have only one of mbox, mbox_sha1sum, openid or account`);
+  }
+
+  if (agent.mbox != null && !/^mailto:[^@\s]+@[^@\s]+$/i.test(agent.mbox)) {
+    errors.push(`${path}.mbox must be a mailto: IRI`);
+  }
+
+  if (agent.account != null && (typeof agent.account.homePage !== 'string' || !IRI_PATTERN.test(agent.account.homePage) || agent.account.name == null)) {
+    errors.push(`${path}.account needs homePage (IRI) and name`);
+  }
+};
+
+const validateVerb = (verb, path, errors) => {
+  if (!verb || typeof verb.id !== 'string' || !IRI_PATTERN.test(verb.id)) {
+    errors.push(`${path}.id must be an IRI`);
+  }
+};
+
+const validateObject = (object, path, errors, { nested = false } = {}) => {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const objectType = object.objectType || 'Activity';
+
+  if (!OBJECT_TYPES.includes(objectType)) {
+    errors.push(`${path}.objectType must be one of ${OBJECT_TYPES.join(', ')}`);
+    return;
+  }
+
+  if (objectType === 'Activity' && (typeof object.id !== 'string' || !IRI_PATTERN.test(object.id))) {
+    errors.push(`${path}.id must be an IRI`);
+  } else if (objectType === 'StatementRef' && !UUID_PATTERN.test(object.id || '')) {
+    errors.push(`${path}.id must be a UUID`);
+  } else if (objectType === 'Agent' || objectType === 'Group') {
+    validateAgent(object, path, errors);
+  } else if (objectType === 'SubStatement') {
+    if (nested) {
+      errors.push(`${path} cannot contain another SubStatement`);
+    } else {
+      validateAgent(object.actor, `${path}.actor`, errors);
+      validateVerb(object.verb, `${path}.verb`, errors);
+      validateObject(object.object, `${path}.object`, errors, { nested: true });
+    }
+  }
+};
+
+// Structural checks of the xAPI 1.0.3 statement format. Returns the list of
+// problems, empty when the statement can be stored.
+const validateStatement = (statement, path = 'statement') => {
+  const errors = [];
+
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    return [`${path} must be an object`];
+  }
+
+  if (statement.id != null && !UUID_PATTERN.test(statement.id)) {
+    errors.push(`${path}.id must be a UUID`);
+  }
+
+  validateAgent(statement.actor, `${path}.actor`, errors);
+  validateVerb(statement.verb, `${path}.verb`, errors);
+  validateObject(statement.object, `${path}.object`, errors);
+
+  const score = statement.result?.score;
+
+  if (score != null) {
+    if (score.scaled != null && (typeof score.scaled !== 'number' || score.scaled < -1 || score.scaled > 1)) {
+      errors.push(`${path}.result.score.scaled must be a number between -1 and 1`);
+    }
+
+    if (score.min != null && score.max != null && score.min > score.max) {
+      errors.push(`${path}.result.score.min cannot be greater than max`);
+    }
+
+    if (score.raw != null && ((score.min != null && score.raw < score.min) || (score.max != null && score.raw > score.max))) {
+      errors.push(`${path}.result.score.raw must be between min and max`);
+    }
+  }
+
+  if (statement.context?.registration != null && !UUID_PATTERN.test(statement.context.registration)) {
+    errors.push(`${path}.context.registration must be a UUID`);
+  }
+
+  if (statement.timestamp != null && !isTimestamp(statement.timestamp)) {
+    errors.push(`${path}.timestamp must be an ISO 8601 date`);
+  }
+
+  if (statement.verb?.id === VERBS.voided.id && statement.object?.objectType !== 'StatementRef') {
+    errors.push(`${path}.object must be a StatementRef when voiding`);
+  }
+
+  return errors;
+};
+
+// Key order does not matter to xAPI (nor survives a MySQL JSON column), so
+// statements are compared through this canonical form
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+// Properties the LRS sets, ignored when checking whether a statement sent
+// again with the same id is the same statement
+const withoutLrsProperties = (statement) => {
+  const { stored, authority, version, ...rest } = statement;
+  return rest;
+};
+
+const isSameStatement = (a, b) => canonicalJson(withoutLrsProperties(a)) === canonicalJson(withoutLrsProperties(b));
+
+const parseStatement = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Local user behind an agent: an account of our homePage or the mbox of a user
+const resolveActorUsers = async (connection, statements) => {
+  const ids = new Set();
+  const emails = new Set();
+
+  for (const { actor } of statements) {
+    if (actor?.account && String(actor.account.homePage).replace(/\/+$/, '') === XAPI_HOMEPAGE && /^\d+$/.test(String(actor.account.name))) {
+      ids.add(Number(actor.account.name));
+    } else if (actor?.mbox) {
+      emails.add(String(actor.mbox).replace(/^mailto:/i, '').toLowerCase());
+    }
+  }
+
+  const users = [];
+
+  if (ids.size > 0) {
+    const [rows] = await connection.query('SELECT id, email, tenant_id FROM users WHERE id IN (?)', [[...ids]]);
+    users.push(...rows);
+  }
+
+  if (emails.size > 0) {
+    const [rows] = await connection.query('SELECT id, email, tenant_id FROM users WHERE LOWER(email) IN (?)', [[...emails]]);
+    users.push(...rows);
+  }
+
+  return statements.map(({ actor }) => {
+    if (actor?.account) {
+      return users.find(user => String(user.id) === String(actor.account.name) &&
+        String(actor.account.homePage).replace(/\/+$/, '') === XAPI_HOMEPAGE) || null;
+    }
+
+    if (actor?.mbox) {
+      const email = String(actor.mbox).replace(/^mailto:/i, '').toLowerCase();
+      return users.find(user => user.email && user.email.toLowerCase() === email) || null;
+    }
+
+    return null;
+  });
+};
+
+// Stores statements (already validated) and, for the ones generated here,
+// queues them for the external LRS. Fills in id, stored, timestamp, version
+// and authority. Statement ids already stored are skipped when the content is
+// the same and rejected with a conflict otherwise.
+// Returns { ids } or { conflict: statementId }.
+const storeStatements = async (statements, { source = 'platform', authority, tenantId = null } = {}) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const now = new Date().toISOString();
+    const prepared = statements.map(statement => ({
+      ...statement,
+      id: statement.id ? statement.id.toLowerCase() : crypto.randomUUID(),
+      timestamp: statement.timestamp || now,
+      stored: now,
+      version: XAPI_VERSION,
+      ...(authority ? { authority } : {})
+    }));
+
+    const [existing] = await connection.query(
+      'SELECT statement_id, statement FROM xapi_statements WHERE statement_id IN (?)',
+      [prepared.map(statement => statement.id)]
+    );
+
+    // Also catches the same id sent twice in one batch
+    const known = new Map(existing.map(row => [row.statement_id, parseStatement(row.statement)]));
+    const toInsert = [];
+
+    for (const statement of prepared) {
+      const stored = known.get(statement.id);
+
+      if (stored) {
+        if (!isSameStatement(stored, statement)) {
+          await connection.rollback();
+          return { conflict: statement.id };
+        }
+        continue;
+      }
+
+      known.set(statement.id, statement);
+      toInsert.push(statement);
+    }
+
+    const users = await resolveActorUsers(connection, toInsert);
+
+    for (const [index, statement] of toInsert.entries()) {
+      const user = users[index];
+
+      const [result] = await connection.execute(
+        `INSERT INTO xapi_statements
+           (statement_id, actor_ifi, actor_user_id, verb_id, object_id, registration, tenant_id, source, statement)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          statement.id,
+          agentIfi(statement.actor),
+          user ? user.id : null,
+          statement.verb.id,
+          statement.object.id || null,
+          statement.context?.registration || null,
+          user ? user.tenant_id : tenantId,
+          source,
+          JSON.stringify(statement)
+        ]
+      );
+
+      if (statement.verb.id === VERBS.voided.id) {
+        await connection.execute(
+          "UPDATE xapi_statements SET voided = TRUE WHERE statement_id = ? AND verb_id <> ?",
+          [statement.object.id.toLowerCase(), VERBS.voided.id]
+        );
+      }
+
+      if (source === 'platform' && isLrsConfigured()) {
+        await connection.execute('INSERT INTO xapi_outbox (statement_seq) VALUES (?)', [result.insertId]);
+      }
+    }
+
+    await connection.commit();
+
+    return { ids: prepared.map(statement => statement.id) };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Platform events never fail the request that triggered them: a statement
+// that cannot be stored is logged and lost
+const emit = async (event, buildStatements) => {
+  try {
+    const statements = await buildStatements();
+
+    if (statements.length > 0) {
+      await storeStatements(statements);
+    }
+  } catch (error) {
+    console.error(`xAPI ${event} statement error:`, error);
+  }
+};
+
+const emitActivityCompleted = (studentId, activityId) => emit('activity completed', async () => {
+  const [activities] = await pool.execute('SELECT id, title, course_id FROM activities WHERE id = ?', [activityId]);
+
+  if (activities.length === 0) {
+    return [];
+  }
+
+  const activity = activities[0];
+
+  return [{
+    actor: platformAgent(studentId),
+    verb: VERBS.completed,
+    object: activityObject('activity', activity.id, activity.title),
+    result: { completion: true },
+    context: courseContext(activity.course_id)
+  }];
+});
+
+// type is 'quiz' or 'workshop'; passed / failed against passingScore (the one
+// of the student's version), the passing score of the quiz or, for workshops,
+// WORKSHOP_PASSING_SCORE
+const emitAssessmentSubmitted = (studentId, type, itemId, { score, maxScore, percentage, passingScore }) => emit(`${type} submitted`, async () => {
+  const [items] = await pool.execute(
+    type === 'quiz'
+      ? 'SELECT i.id, i.title, i.passing_score, a.course_id FROM quizzes i JOIN activities a ON i.activity_id = a.id WHERE i.id = ?'
+      : 'SELECT i.id, i.title, NULL as passing_score, a.course_id FROM workshops i JOIN activities a ON i.activity_id = a.id WHERE i.id = ?',
+    [itemId]
+  );
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  const item = items[0];
+  const threshold = Number(passingScore ?? item.passing_score ?? WORKSHOP_PASSING_SCORE);
+  const success = Number(percentage) >= threshold;
+  const max = Number(maxScore);
+  const raw = Number(score);
+
+  return [{
+    actor: platformAgent(studentId),
+    verb: success ? VERBS.passed : VERBS.failed,
+    object: activityObject(type, item.id, item.title),
+    result: {
+      score: {
+        scaled: max > 0 ? Math.max(0, Math.min(1, Math.round((raw / max) * 10000) / 10000)) : 0,
+        raw,
+        min: 0,
+        max
+      },
+      success,
+      completion: true
+    },
+    context: courseContext(item.course_id)
+  }];
+});
+
+// pairs: [{ studentId, courseId }] of course assignments that were just created
+const emitCourseEnrollments = (pairs) => emit('course enrollment', async () => {
+  if (pairs.length === 0) {
+    return [];
+  }
+
+  const [courses] = await pool.query(
+    'SELECT id, title FROM courses WHERE id IN (?)',
+    [[...new Set(pairs.map(pair => Number(pair.courseId)))]]
+  );
+
+  const titles = new Map(courses.map(course => [course.id, course.title]));
+
+  return pairs
+    .filter(pair => titles.has(Number(pair.courseId)))
+    .map(pair => ({
+      actor: platformAgent(pair.studentId),
+      verb: VERBS.registered,
+      object: activityObject('course', pair.courseId, titles.get(Number(pair.courseId)))
+    }));
+});
+
+// Course survey when courseId is given, otherwise the general platform survey.
+// Only the ratings are sent: free-text comments stay in the database.
+const emitSurveySubmitted = (studentId, courseId, ratings) => emit('survey submitted', async () => {
+  const object = courseId
+    ? { objectType: 'Activity', id: `${activityIri('course', courseId)}/survey`, definition: { type: ACTIVITY_TYPES.survey } }
+    : { objectType: 'Activity', id: `${XAPI_ACTIVITY_BASE}/surveys/general`, definition: { type: ACTIVITY_TYPES.survey } };
+
+  return [{
+    actor: platformAgent(studentId),
+    verb: VERBS.responded,
+    object,
+    result: {
+      completion: true,
+      extensions: { [`${XAPI_ACTIVITY_BASE}/xapi/extensions/ratings`]: ratings }
+    },
+    ...(courseId ? { context: courseContext(courseId) } : {})
+  }];
+});
+
+const lrsHeaders = () => {
+  const { username, password } = getLrsConfig();
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': XAPI_VERSION
+  };
+
+  if (username || password) {
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  return headers;
+};
+
+let delivering = false;
+
+// Sends the queued statements whose next attempt is due, in batches. A batch
+// the LRS rejects is retried with exponential backoff (1, 2, 4... minutes,
+// capped at a day) until XAPI_MAX_ATTEMPTS, then left as failed.
+const deliverPendingStatements = async () => {
+  if (delivering || !isLrsConfigured()) {
+    return { sent: 0, failed: 0 };
+  }
+
+  delivering = true;
+
+  let sent = 0;
+  let failed = 0;
+
+  try {
+    const { endpoint } = getLrsConfig();
+
+    for (;;) {
+      const [rows] = await pool.query(
+        `SELECT o.id, o.attempts, s.statement
+         FROM xapi_outbox o
+         JOIN xapi_statements s ON o.statement_seq = s.id
+         WHERE o.status = 'pending' AND o.next_attempt_at <= NOW()
+         ORDER BY o.id
+         LIMIT ?`,
+        [DELIVERY_BATCH_SIZE]
+      );
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      const ids = rows.map(row => row.id);
+      let error = null;
+
+      try {
+        const response = await fetch(`${endpoint}/statements`, {
+          method: 'POST',
+          headers: lrsHeaders(),
+          body: JSON.stringify(rows.map(row => parseStatement(row.statement))),
+          signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+
+        // 409: the LRS already has these statement ids
+        if (!response.ok && response.status !== 409) {
+          error = `HTTP ${response.status}: ${(await response.text()).substring(0, 500)}`;
+        }
+      } catch (requestError) {
+        error = requestError.message;
+      }
+
+      if (!error) {
+        await pool.query(
+          "UPDATE xapi_outbox SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = NOW() WHERE id IN (?)",
+          [ids]
+        );
+        sent += rows.length;
+        continue;
+      }
+
+      await pool.query(
+        `UPDATE xapi_outbox
+         SET attempts = attempts + 1,
+             last_error = ?,
+             status = IF(attempts >= ?, 'failed', 'pending'),
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL LEAST(POW(2, attempts - 1), 1440) MINUTE)
+         WHERE id IN (?)`,
+        [error, XAPI_MAX_ATTEMPTS, ids]
+      );
+      failed += rows.length;
+
+      // The LRS is unreachable or refusing: wait for the next run
+      break;
+    }
+  } finally {
+    delivering = false;
+  }
+
+  return { sent, failed };
+};
+
+// Runs deliverPendingStatements every XAPI_RETRY_INTERVAL_SECONDS (default 60,
+// 0 disables) while an LRS is configured
+const startXapiDeliveryJob = () => {
+  const intervalSeconds = Number.isNaN(XAPI_RETRY_INTERVAL_SECONDS) ? 60 : XAPI_RETRY_INTERVAL_SECONDS;
+
+  if (!isLrsConfigured() || intervalSeconds <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const result = await deliverPendingStatements();
+
+      if (result.failed > 0) {
+        console.warn(`xAPI delivery: ${result.sent} sent, ${result.failed} pending retry`);
+      }
+    } catch (error) {
+      console.error('xAPI delivery error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  XAPI_VERSION,
+  XAPI_HOMEPAGE,
+  VERBS,
+  UUID_PATTERN,
+  isLrsConfigured,
+  agentIfi,
+  platformAgent,
+  validateStatement,
+  isSameStatement,
+  parseStatement,
+  storeStatements,
+  emitActivityCompleted,
+  emitAssessmentSubmitted,
+  emitCourseEnrollments,
+  emitSurveySubmitted,
+  deliverPendingStatements,
+  startXapiDeliveryJob
+};